@@ -8,7 +8,15 @@ module.exports = {
             chatFallback: 'gpt-3.5-turbo',
             image: 'dall-e-3',
             imageFallback: 'dall-e-2',
-            whisper: 'whisper-1'
+            imageEdit: 'dall-e-2', // edits and variations are dall-e-2 only
+            tts: 'tts-1',
+            whisper: 'whisper-1',
+            embedding: 'text-embedding-3-small'
+        },
+        // Sizes each image model renders; other requests get the closest one
+        imageSizes: {
+            'dall-e-3': [[1024, 1024], [1792, 1024], [1024, 1792]],
+            'dall-e-2': [[256, 256], [512, 512], [1024, 1024]]
         },
         limits: {
             maxTokens: 4000,
@@ -38,12 +46,15 @@ module.exports = {
     stabilityAI: {
         apiKey: process.env.STABILITY_API_KEY,
         engine: 'stable-diffusion-xl-1024-v1-0',
+        upscaleEngine: 'esrgan-v1-x2plus',
         defaults: {
             height: 512,
             width: 512,
             steps: 30,
             cfg_scale: 7
-        }
+        },
+        // The SDXL engine only accepts these dimensions
+        sizes: [[1024, 1024], [1152, 896], [896, 1152], [1216, 832], [832, 1216], [1344, 768], [768, 1344], [1536, 640], [640, 1536]]
     },
 
     // ElevenLabs Configuration (Voice)
@@ -63,12 +74,48 @@ module.exports = {
         numResults: 5
     },
 
+    // Bing Web Search API
+    bingSearch: {
+        apiKey: process.env.BING_SEARCH_KEY,
+        endpoint: 'https://api.bing.microsoft.com/v7.0/search',
+        market: 'en-US'
+    },
+
+    // Brave Search API
+    braveSearch: {
+        apiKey: process.env.BRAVE_SEARCH_KEY,
+        endpoint: 'https://api.search.brave.com/res/v1/web/search'
+    },
+
+    // Web research: which search vendors to try, and how many result pages
+    // the research agent reads in full
+    search: {
+        // SEARCH_PROVIDER=fixture serves results from SEARCH_FIXTURE_FILE (offline)
+        forceProvider: process.env.SEARCH_PROVIDER,
+        fixtureFile: process.env.SEARCH_FIXTURE_FILE,
+        providers: ['serpapi', 'bing', 'brave'],
+        numResults: 8,
+        fetchTop: 5,
+        fetchConcurrency: 3,
+        fetchTimeout: 8000,
+        maxPageBytes: 2 * 1024 * 1024,
+        sourceChars: 3000, // article text quoted to the model per source
+        duplicateThreshold: 0.8, // word-shingle overlap at which two pages count as the same article
+        userAgent: 'SyntheticIntelligenceResearchBot/1.0'
+    },
+
     // Agent-specific configurations
     agents: {
         research: {
             maxTokens: 4000,
             temperature: 0.7,
-            includeWebSearch: true
+            includeWebSearch: true,
+            // A statement counts as supported when one passage of a source
+            // holds this share of its content words; shorter statements are not checked
+            grounding: {
+                threshold: 0.5,
+                minWords: 5
+            }
         },
         creative: {
             maxTokens: 2000,
@@ -103,6 +150,16 @@ module.exports = {
                 trends: { maxTokens: 1000, temperature: 0.5 },
                 insights: { maxTokens: 1200, temperature: 0.6 },
                 comparison: { maxTokens: 1000, temperature: 0.4 }
+            },
+            // Local statistics computed before trends and comparison narration
+            statistics: {
+                movingAverageWindow: 3,
+                outlierZScore: 3,
+                maxSeasonalPeriod: 12,
+                minSeasonalStrength: 0.3,
+                maxColumns: 10,
+                maxGroups: 20,
+                maxSeriesPoints: 100
             }
         },
         voice: {
@@ -114,6 +171,233 @@ module.exports = {
         }
     },
 
+    // Orchestrator worker pool (-1 = no per-agent cap)
+    orchestrator: {
+        maxConcurrency: 20,
+        maxQueueLength: 1000,
+        pollInterval: 1000,
+        agentConcurrency: {
+            research: 5,
+            creative: 10,
+            coding: 10,
+            analysis: 5,
+            voice: 2
+        },
+        scheduling: {
+            tierPriority: { enterprise: 3, premium: 2, basic: 1, free: 0 },
+            agingInterval: 300000 // Waiting tasks move up one tier every 5 minutes
+        },
+        retries: {
+            default: { maxAttempts: 3, baseDelay: 2000, maxDelay: 60000, jitter: 0.2 },
+            agents: {
+                research: { maxAttempts: 4 },
+                creative: { maxAttempts: 3 },
+                coding: { maxAttempts: 3 },
+                analysis: { maxAttempts: 3 },
+                voice: { maxAttempts: 5, baseDelay: 5000, maxDelay: 120000 }
+            }
+        },
+        // Per-task execution timeouts in ms, looked up by task type, then agent type
+        timeouts: {
+            default: 60000,
+            research: 120000,
+            creative: 60000,
+            content_creation: 90000,
+            image: 120000,
+            // Covers test runs and repair rounds when verification is on
+            coding: 180000,
+            code_generation: 180000,
+            analysis: 90000,
+            data_analysis: 90000,
+            voice: 120000,
+            voice_processing: 120000
+        }
+    },
+
+    // Multi-step workflow pipelines
+    workflows: {
+        maxSteps: 20,
+        // Daily limit bucket used for each agent's steps unless a step sets its own type
+        stepTaskTypes: {
+            research: 'research',
+            creative: 'text',
+            coding: 'code',
+            analysis: 'analysis',
+            voice: 'voice'
+        }
+    },
+
+    // Conversation threads: how much of a thread's history each agent sees
+    conversations: {
+        // Prior turns are dropped oldest first to stay within these budgets
+        historyTokens: {
+            default: 2000,
+            research: 3000,
+            creative: 3000,
+            coding: 4000,
+            analysis: 2000
+        },
+        maxHistoryMessages: 50,
+        maxMessageChars: 20000, // longer replies are stored truncated
+        titleLength: 80
+    },
+
+    // Uploaded datasets for the analysis agent
+    datasets: {
+        maxFileSize: 10 * 1024 * 1024, // 10MB
+        maxRows: 100000,
+        storageDir: process.env.DATASET_DIR || 'uploads/datasets',
+        // Rows quoted to the model per analysis; larger datasets are sampled
+        promptRows: 200,
+        promptChars: 24000
+    },
+
+    // Image generation and editing in the creative agent, finished locally with sharp
+    images: {
+        storageDir: process.env.IMAGE_DIR || 'uploads/images',
+        maxFileSize: 20 * 1024 * 1024, // 20MB
+        maxInputPixels: 4096 * 4096,
+        aspectRatios: ['1:1', '4:3', '3:4', '3:2', '2:3', '16:9', '9:16', '21:9'],
+        sizes: { small: 512, medium: 1024, large: 2048 }, // long edge in px
+        defaultSize: 'medium',
+        maxDimension: 4096,
+        upscaleFactors: [2, 4],
+        maxVariations: 4,
+        quality: 85, // WebP, AVIF and JPEG
+        watermark: {
+            tiers: ['free'],
+            text: 'Synthetic Intelligence',
+            opacity: 0.6
+        }
+    },
+
+    // Generated media (images, audio) kept in the asset store and delivered
+    // through signed, expiring URLs
+    assets: {
+        backend: process.env.ASSET_BACKEND || 'local', // local or s3
+        storageDir: process.env.ASSET_DIR || 'uploads/assets',
+        // Signs local download URLs; set in production so URLs survive restarts
+        urlSecret: process.env.ASSET_URL_SECRET || process.env.JWT_SECRET,
+        publicBaseURL: process.env.ASSET_BASE_URL || '',
+        urlTTL: 3600, // seconds a download URL stays valid
+        thumbnailSize: 256,
+        // Bytes of stored media per user (-1 = unlimited)
+        quotaBytes: {
+            free: 100 * 1024 * 1024,
+            basic: 1024 * 1024 * 1024,
+            premium: 10 * 1024 * 1024 * 1024,
+            enterprise: -1
+        },
+        // Days generated media is kept, matching the task retention the admin
+        // cleanup applies (it removes assets with the tasks that made them)
+        retentionDays: 90,
+        // S3 or an S3-compatible server such as MinIO (path-style URLs)
+        s3: {
+            endpoint: process.env.S3_ENDPOINT || 'https://s3.amazonaws.com',
+            region: process.env.S3_REGION || 'us-east-1',
+            bucket: process.env.S3_BUCKET,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+        }
+    },
+
+    // Document collections that research and creative tasks can retrieve from
+    knowledgeBases: {
+        storageDir: process.env.KNOWLEDGE_DIR || 'uploads/knowledge',
+        maxFileSize: 20 * 1024 * 1024, // 20MB
+        maxDocuments: 200, // per knowledge base
+        maxChunksPerDocument: 2000,
+        chunkTokens: 400,
+        chunkOverlap: 50, // tokens repeated at the start of the next chunk
+        embedBatchSize: 64,
+        topK: 6,
+        minScore: 0.2, // cosine similarity below which a chunk is not quoted
+        maxContextChars: 12000
+    },
+
+    // Reusable brand voice for creative content, per user or organization
+    brandProfiles: {
+        storageDir: process.env.BRAND_PROFILE_DIR || 'uploads/brand-profiles',
+        maxProfiles: 50, // per user or organization
+        maxListItems: 100, // rules, banned words, disclaimers, glossary terms
+        maxExamples: 5,
+        maxExampleChars: 2000,
+        maxSentenceWords: 40 // default flag for overlong sentences (0 = off)
+    },
+
+    // Scored A/B variants of creative copy and the feedback that tunes them
+    variants: {
+        storageDir: process.env.VARIANT_DIR || 'uploads/variants',
+        maxCount: 5,
+        // Length that reads as right for each content type
+        lengthTargets: {
+            blog_post: { unit: 'words', min: 800, max: 1500 },
+            social_media: { unit: 'characters', min: 70, max: 280 },
+            ad_copy: { unit: 'words', min: 15, max: 90 },
+            product_description: { unit: 'words', min: 50, max: 200 },
+            email: { unit: 'words', min: 100, max: 300 }
+        },
+        readabilityTarget: 60, // Flesch reading ease at and above which readability scores 100
+        // How the overall score is weighted (keywords drop out when none are given)
+        weights: { readability: 0.25, lengthFit: 0.25, keywordCoverage: 0.2, engagement: 0.3 },
+        // Published variants (per user and content type) before feedback
+        // starts steering prompts and engagement scores, and the number at
+        // which it is trusted fully
+        minFeedback: 3,
+        fullConfidenceFeedback: 12,
+        feedbackWindow: 50 // most recent published variants learned from
+    },
+
+    // SEO mode for optimizing blog posts (creative agent)
+    seo: {
+        maxContentChars: 60000,
+        maxSecondaryKeywords: 10,
+        maxTokens: 3000, // the rewrite plus its meta tags
+        minWords: 300,
+        keywordDensity: { min: 0.5, max: 2.5 }, // percent of words, target keyword
+        metaTitleLength: { min: 30, max: 60 },
+        metaDescriptionLength: { min: 120, max: 160 },
+        readabilityTarget: 60, // Flesch reading ease
+        // Points taken off the 100 score per issue found
+        penalties: { error: 15, warning: 5 }
+    },
+
+    // Static checks run on every piece of generated code (coding agent)
+    staticAnalysis: {
+        maxComplexity: 10, // cyclomatic, per function
+        maxParams: 5,
+        maxLineLength: 120,
+        timeLimit: 5000, // ms for the Python ast helper
+        pythonCommand: process.env.SANDBOX_PYTHON_BIN || 'python3'
+    },
+
+    // Multi-file projects generated by the coding agent
+    projects: {
+        storageDir: process.env.PROJECT_DIR || 'uploads/projects',
+        maxTokens: 8000,
+        temperature: 0.3,
+        maxFiles: 40,
+        maxFileBytes: 200 * 1024,
+        // Current file contents quoted to the model for a follow-up edit
+        editPromptChars: 40000
+    },
+
+    // Sandboxed execution of generated code and tests (coding agent)
+    sandbox: {
+        timeLimit: 10000, // ms per run
+        memoryLimitMb: 256,
+        maxProcesses: 32, // per run, threads included
+        maxOutputBytes: 64 * 1024,
+        maxConcurrentRuns: 2,
+        // Rounds of debugCode fixes after a failing test run
+        repairRounds: 2,
+        commands: {
+            javascript: process.env.SANDBOX_NODE_BIN || 'node',
+            python: process.env.SANDBOX_PYTHON_BIN || 'python3'
+        }
+    },
+
     // Rate limiting for AI APIs
     rateLimiting: {
         openai: {
@@ -130,11 +414,58 @@ module.exports = {
         }
     },
 
-    // Fallback strategies
-    fallbacks: {
-        primary: 'openai',
-        secondary: 'anthropic',
-        tertiary: 'googleAI'
+    // Provider routing and fallback strategies
+    providers: {
+        // Set AI_PROVIDER=mock to send every request to the offline mock provider
+        forceProvider: process.env.AI_PROVIDER,
+        // How long a failed provider is tried last before it is preferred again
+        failoverCooldown: 30000,
+        // Ordered fallback lists per capability; agents can override any of
+        // them by key, e.g. research: { chat: ['anthropic', 'openai'] }
+        routing: {
+            default: {
+                chat: ['openai', 'anthropic', 'googleAI'],
+                image: ['stabilityAI', 'openai'],
+                tts: ['elevenLabs', 'openai'],
+                stt: ['openai'],
+                embed: ['openai'],
+                imageEdit: ['stabilityAI', 'openai']
+            }
+        }
+    },
+
+    // Provider rate table in USD, keyed by provider then model. Chat is
+    // priced per 1K prompt/completion tokens, images per image, speech
+    // synthesis per 1K characters and transcription per audio minute.
+    // A provider's `default` entry covers models not listed.
+    pricing: {
+        openai: {
+            'gpt-4': { promptPer1K: 0.03, completionPer1K: 0.06 },
+            'gpt-3.5-turbo': { promptPer1K: 0.0005, completionPer1K: 0.0015 },
+            'dall-e-3': { perImage: 0.04 },
+            'dall-e-2': { perImage: 0.018 },
+            'tts-1': { per1KCharacters: 0.015 },
+            'whisper-1': { perMinute: 0.006 },
+            'text-embedding-3-small': { promptPer1K: 0.00002 },
+            default: { promptPer1K: 0.03, completionPer1K: 0.06 }
+        },
+        anthropic: {
+            default: { promptPer1K: 0.008, completionPer1K: 0.024 }
+        },
+        googleAI: {
+            default: { promptPer1K: 0.0005, completionPer1K: 0.0015 }
+        },
+        stabilityAI: {
+            'esrgan-v1-x2plus': { perImage: 0.002 },
+            'stable-image-outpaint': { perImage: 0.04 },
+            default: { perImage: 0.006 }
+        },
+        elevenLabs: {
+            default: { per1KCharacters: 0.30 }
+        },
+        mock: {
+            default: {}
+        }
     },
 
     // Cost optimization
@@ -3,6 +3,10 @@ class AIOrchestratorApp {
     constructor() {
         this.currentUser = null;
         this.authToken = localStorage.getItem('authToken');
+        this.taskSocket = null;
+        this.currentConversation = null;
+        // Task type each agent runs, as in aiConfig.workflows.stepTaskTypes
+        this.taskTypes = { research: 'research', creative: 'text', coding: 'code', analysis: 'analysis', voice: 'voice' };
         this.init();
     }
 
@@ -35,6 +39,17 @@ class AIOrchestratorApp {
             taskForm.addEventListener('submit', (e) => this.handleTaskSubmission(e));
         }
 
+        // Conversation threads
+        const newConversationBtn = document.getElementById('newConversationBtn');
+        if (newConversationBtn) {
+            newConversationBtn.addEventListener('click', () => this.startNewConversation());
+        }
+
+        const conversationList = document.getElementById('conversationList');
+        if (conversationList) {
+            conversationList.addEventListener('click', (e) => this.handleConversationClick(e));
+        }
+
         // Subscription management
         const upgradeButtons = document.querySelectorAll('.upgrade-btn');
         upgradeButtons.forEach(btn => {
@@ -223,6 +238,8 @@ class AIOrchestratorApp {
                 if (response.success) {
                     this.currentUser = response.user;
                     this.updateUIForAuthenticatedUser();
+                    this.connectTaskEvents();
+                    this.loadConversations();
                 } else {
                     this.handleLogout();
                 }
@@ -233,8 +250,14 @@ class AIOrchestratorApp {
     }
 
     handleLogout() {
+        if (this.taskSocket) {
+            this.taskSocket.disconnect();
+            this.taskSocket = null;
+        }
+
         this.authToken = null;
         this.currentUser = null;
+        this.currentConversation = null;
         localStorage.removeItem('authToken');
         this.updateUIForUnauthenticatedUser();
     }
@@ -243,8 +266,10 @@ class AIOrchestratorApp {
     async handleTaskSubmission(e) {
         e.preventDefault();
         const formData = new FormData(e.target);
+        const agentType = formData.get('agentType');
         const taskData = {
-            type: formData.get('taskType'),
+            type: this.taskTypes[agentType],
+            agentType: agentType,
             prompt: formData.get('prompt'),
             options: {
                 // Additional options based on task type
@@ -259,11 +284,21 @@ class AIOrchestratorApp {
             submitBtn.textContent = 'Processing...';
             submitBtn.classList.add('loading');
 
-            const response = await this.apiCall('/api/agents/process', 'POST', { task: taskData });
+            // Within an open thread the prompt continues it, so the agent sees the earlier turns
+            const response = this.currentConversation
+                ? await this.apiCall(`/api/agents/conversations/${this.currentConversation.id}/messages`, 'POST', taskData)
+                : await this.apiCall('/api/agents/process', 'POST', { task: taskData });
 
             if (response.success) {
+                // The task runs in the background; its card updates from socket events
                 this.showNotification('Task submitted successfully!', 'success');
-                this.displayTaskResult(response);
+                this.trackTask(response.taskId, taskData.type, response.position);
+
+                if (this.currentConversation) {
+                    this.currentConversation.pendingTasks.add(response.taskId);
+                    this.appendConversationMessage({ role: 'user', content: taskData.prompt });
+                    this.appendConversationMessage({ role: 'assistant', content: 'Working on it...', pending: true });
+                }
                 
                 // Check if ad is required
                 if (response.adRequired) {
@@ -282,6 +317,113 @@ class AIOrchestratorApp {
         }
     }
 
+    // Real-time Task Updates
+    connectTaskEvents() {
+        if (this.taskSocket || typeof io === 'undefined' || !this.authToken) {
+            return;
+        }
+
+        this.taskSocket = io('/tasks', { auth: { token: this.authToken } });
+
+        this.taskSocket.on('task:queued', (event) => {
+            const label = event.retry ? 'Retrying shortly...' : `Queued (position ${event.position || 1})`;
+            this.updateTaskCard(event.taskId, 'queued', label);
+        });
+
+        this.taskSocket.on('task:processing', (event) => {
+            this.updateTaskCard(event.taskId, 'processing', 'Processing...', 5);
+        });
+
+        this.taskSocket.on('task:progress', (event) => {
+            this.updateTaskCard(event.taskId, 'processing', event.message || 'Processing...', event.progress);
+        });
+
+        this.taskSocket.on('task:completed', (event) => {
+            this.updateTaskCard(event.taskId, 'completed', 'Task Completed', 100);
+            this.renderTaskCardResult(event.taskId, {
+                taskType: event.type,
+                ...event.result,
+                content: event.result?.content || event.result?.text
+            });
+
+            // Replies in the open thread are shown as stored, so reload them
+            if (this.currentConversation && this.currentConversation.pendingTasks.has(event.taskId)) {
+                this.openConversation(this.currentConversation.id);
+            }
+            this.loadConversations();
+        });
+
+        this.taskSocket.on('task:failed', (event) => {
+            this.updateTaskCard(event.taskId, 'failed', 'Task Failed');
+            this.showNotification(event.error || 'Task failed', 'error');
+        });
+
+        this.taskSocket.on('task:cancelled', (event) => {
+            this.updateTaskCard(event.taskId, 'cancelled', 'Task Cancelled');
+        });
+
+        this.taskSocket.on('connect', () => {
+            // Catch up on tasks whose events may have been missed while disconnected
+            document.querySelectorAll('.task-result[data-task-id]').forEach(card => {
+                if (card.classList.contains('completed') || card.classList.contains('failed')) return;
+
+                this.taskSocket.emit('task:subscribe', card.dataset.taskId, (state) => {
+                    if (state.success) {
+                        this.updateTaskCard(state.taskId, state.status, state.status);
+                    }
+                });
+            });
+        });
+
+        this.taskSocket.on('connect_error', (error) => {
+            console.error('Task events connection error:', error.message);
+        });
+    }
+
+    trackTask(taskId, taskType, position) {
+        const resultsContainer = document.getElementById('taskResults');
+        if (!resultsContainer) return;
+
+        const card = document.createElement('div');
+        card.className = 'task-result queued';
+        card.dataset.taskId = taskId;
+        card.innerHTML = `
+            <div class="result-header">
+                <h4 class="task-status">Queued (position ${position || 1})</h4>
+                <span class="task-type">${this.escapeHtml(taskType)}</span>
+            </div>
+            <div class="task-progress"><div class="task-progress-bar"></div></div>
+            <div class="result-content"></div>
+            <div class="result-meta">
+                <span>Submitted at: ${new Date().toLocaleString()}</span>
+            </div>
+        `;
+        resultsContainer.prepend(card);
+
+        this.connectTaskEvents();
+    }
+
+    updateTaskCard(taskId, status, label, progress = null) {
+        const card = document.querySelector(`.task-result[data-task-id="${taskId}"]`);
+        if (!card) return;
+
+        card.classList.remove('queued', 'processing', 'completed', 'failed', 'cancelled');
+        card.classList.add(status);
+        card.querySelector('.task-status').textContent = label;
+
+        if (progress !== null) {
+            card.querySelector('.task-progress-bar').style.width = `${Math.min(progress, 100)}%`;
+        }
+    }
+
+    renderTaskCardResult(taskId, result) {
+        const card = document.querySelector(`.task-result[data-task-id="${taskId}"]`);
+        if (!card) return;
+
+        card.querySelector('.result-content').innerHTML = this.formatTaskResult(result);
+        card.querySelector('.result-meta span').textContent = `Completed at: ${new Date().toLocaleString()}`;
+    }
+
     displayTaskResult(result) {
         const resultsContainer = document.getElementById('taskResults');
         if (resultsContainer) {
@@ -290,7 +432,7 @@ class AIOrchestratorApp {
             resultElement.innerHTML = `
                 <div class="result-header">
                     <h4>Task Completed</h4>
-                    <span class="task-type">${result.taskType}</span>
+                    <span class="task-type">${this.escapeHtml(result.taskType)}</span>
                 </div>
                 <div class="result-content">
                     ${this.formatTaskResult(result)}
@@ -303,24 +445,176 @@ class AIOrchestratorApp {
         }
     }
 
+    // Results carry text from fetched pages and model output, so everything
+    // is escaped and media sources are checked before they reach the DOM
     formatTaskResult(result) {
         switch (result.taskType) {
             case 'text':
             case 'research':
             case 'analysis':
-                return `<div class="text-result">${result.content}</div>`;
+                return `<div class="text-result">${this.escapeHtml(result.content)}</div>`;
             case 'code':
-                return `<pre><code>${result.code}</code></pre>`;
-            case 'image':
-                return `<img src="data:image/png;base64,${result.image.base64}" alt="Generated image">`;
-            case 'voice':
-                return `
+                return `<pre><code>${this.escapeHtml(result.code)}</code></pre>`;
+            case 'image': {
+                // Stored assets come with a signed URL; inline base64 otherwise
+                const src = this.safeMediaUrl(result.image.url || `data:image/${result.image.format || 'png'};base64,${result.image.base64}`, 'image');
+                return src ? `<img src="${this.escapeHtml(src)}" alt="Generated image">` : '';
+            }
+            case 'voice': {
+                const src = this.safeMediaUrl(result.audio.url || `data:audio/mp3;base64,${result.audio.base64}`, 'audio');
+                return src ? `
                     <audio controls>
-                        <source src="data:audio/mp3;base64,${result.audio.base64}" type="audio/mp3">
+                        <source src="${this.escapeHtml(src)}" type="audio/mpeg">
                     </audio>
-                `;
+                ` : '';
+            }
             default:
-                return `<pre>${JSON.stringify(result, null, 2)}</pre>`;
+                return `<pre>${this.escapeHtml(JSON.stringify(result, null, 2))}</pre>`;
+        }
+    }
+
+    // https URLs, our own /assets/ routes and inline media of the given kind
+    safeMediaUrl(url, kind) {
+        const value = String(url || '');
+        if (new RegExp(`^data:${kind}/[a-z0-9.+-]+;base64,[a-z0-9+/=]*$`, 'i').test(value)) {
+            return value;
+        }
+
+        try {
+            const parsed = new URL(value, window.location.origin);
+            const ownAsset = parsed.origin === window.location.origin && parsed.pathname.startsWith('/assets/');
+            return parsed.protocol === 'https:' || ownAsset ? parsed.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Conversation Threads
+    async loadConversations() {
+        const list = document.getElementById('conversationList');
+        if (!list) return;
+
+        try {
+            const response = await this.apiCall('/api/agents/conversations', 'GET');
+            const activeId = this.currentConversation?.id;
+
+            list.innerHTML = response.conversations.length
+                ? response.conversations.map(conversation => `
+                    <li class="conversation-item${conversation.id === activeId ? ' active' : ''}" data-conversation-id="${conversation.id}">
+                        <span class="conversation-title">${this.escapeHtml(conversation.title || 'New conversation')}</span>
+                        <span class="conversation-meta">${conversation.agentType} · ${this.formatDate(conversation.updatedAt)}</span>
+                        <span class="conversation-actions">
+                            <button type="button" class="conversation-rename" title="Rename">&#9998;</button>
+                            <button type="button" class="conversation-delete" title="Delete">&times;</button>
+                        </span>
+                    </li>
+                `).join('')
+                : '<li class="conversation-empty">No conversations yet</li>';
+        } catch (error) {
+            console.error('Load conversations error:', error);
+        }
+    }
+
+    async startNewConversation() {
+        const agentSelect = document.querySelector('#taskForm [name="agentType"]');
+
+        try {
+            const response = await this.apiCall('/api/agents/conversations', 'POST', {
+                agentType: agentSelect ? agentSelect.value : 'research'
+            });
+
+            await this.openConversation(response.conversation.id);
+            await this.loadConversations();
+        } catch (error) {
+            this.showNotification(error.message || 'Could not start a conversation', 'error');
+        }
+    }
+
+    async handleConversationClick(e) {
+        const item = e.target.closest('.conversation-item');
+        if (!item) return;
+
+        const conversationId = item.dataset.conversationId;
+
+        if (e.target.closest('.conversation-rename')) {
+            return this.renameConversation(conversationId);
+        }
+        if (e.target.closest('.conversation-delete')) {
+            return this.deleteConversation(conversationId);
+        }
+
+        await this.openConversation(conversationId);
+        await this.loadConversations();
+    }
+
+    async openConversation(conversationId) {
+        try {
+            const response = await this.apiCall(`/api/agents/conversations/${conversationId}`, 'GET');
+            const pendingTasks = this.currentConversation?.id === conversationId
+                ? this.currentConversation.pendingTasks
+                : new Set();
+
+            response.messages.forEach(message => pendingTasks.delete(message.taskId));
+            this.currentConversation = { ...response.conversation, pendingTasks };
+            this.renderConversation(response.conversation, response.messages);
+        } catch (error) {
+            this.showNotification(error.message || 'Could not open the conversation', 'error');
+        }
+    }
+
+    renderConversation(conversation, messages) {
+        const container = document.getElementById('conversationMessages');
+        if (!container) return;
+
+        container.innerHTML = `<h4 class="conversation-heading">${this.escapeHtml(conversation.title || 'New conversation')}</h4>`;
+        messages.forEach(message => this.appendConversationMessage(message));
+        this.currentConversation.pendingTasks.forEach(taskId => this.appendConversationMessage({
+            role: 'assistant',
+            content: 'Working on it...',
+            taskId: taskId,
+            pending: true
+        }));
+    }
+
+    appendConversationMessage(message) {
+        const container = document.getElementById('conversationMessages');
+        if (!container) return;
+
+        const element = document.createElement('div');
+        element.className = `conversation-message ${message.role}${message.pending ? ' pending' : ''}`;
+        element.innerHTML = `<div class="message-content">${this.escapeHtml(message.content)}</div>`;
+        container.appendChild(element);
+        container.scrollTop = container.scrollHeight;
+    }
+
+    async renameConversation(conversationId) {
+        const title = window.prompt('Rename conversation');
+        if (!title) return;
+
+        try {
+            await this.apiCall(`/api/agents/conversations/${conversationId}`, 'PATCH', { title });
+            if (this.currentConversation?.id === conversationId) {
+                await this.openConversation(conversationId);
+            }
+            await this.loadConversations();
+        } catch (error) {
+            this.showNotification(error.message || 'Could not rename the conversation', 'error');
+        }
+    }
+
+    async deleteConversation(conversationId) {
+        if (!window.confirm('Delete this conversation and its messages?')) return;
+
+        try {
+            await this.apiCall(`/api/agents/conversations/${conversationId}`, 'DELETE');
+            if (this.currentConversation?.id === conversationId) {
+                this.currentConversation = null;
+                const container = document.getElementById('conversationMessages');
+                if (container) container.innerHTML = '';
+            }
+            await this.loadConversations();
+        } catch (error) {
+            this.showNotification(error.message || 'Could not delete the conversation', 'error');
         }
     }
 
@@ -561,6 +855,13 @@ class AIOrchestratorApp {
         });
     }
 
+    // Safe in element content and in double-quoted attributes
+    escapeHtml(text) {
+        const element = document.createElement('div');
+        element.textContent = text == null ? '' : String(text);
+        return element.innerHTML.replace(/"/g, '&quot;');
+    }
+
     debounce(func, wait) {
         let timeout;
         return function executedFunction(...args) {
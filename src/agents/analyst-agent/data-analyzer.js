@@ -1,8 +1,14 @@
-const axios = require('axios');
+const ProviderRouter = require('../../services/providers/provider-router');
+const DatasetStore = require('../../services/datasets/dataset-store');
+const { buildDatasetContext, extractCitations } = require('../../services/datasets/dataset-context');
+const StatisticalEngine = require('../../services/statistics/statistical-engine');
+const { buildCharts } = require('../../services/reports/chart-builder');
 
 class AnalysisAgent {
-    constructor() {
-        this.openaiApiKey = process.env.OPENAI_API_KEY;
+    constructor(options = {}) {
+        this.providers = options.providers || new ProviderRouter();
+        this.datasets = options.datasets || new DatasetStore();
+        this.statistics = options.statistics || new StatisticalEngine();
         this.analysisTypes = {
             'sentiment': { maxTokens: 500, temperature: 0.3 },
             'summary': { maxTokens: 800, temperature: 0.4 },
@@ -12,27 +18,61 @@ class AnalysisAgent {
         };
     }
 
-    async execute(task) {
-        const { data, analysisType = 'insights', options = {} } = task;
+    async execute(task, context = {}) {
+        const { analysisType = 'insights', options = {} } = task;
         
         try {
             let result;
+            let data = task.data;
+            let dataset = null;
+            let datasetContext = null;
+
+            // Uploaded files are referenced by id and loaded here (see DatasetStore)
+            if (task.dataset) {
+                context.onProgress?.(5, 'Loading dataset');
+                dataset = await this.datasets.load(task.dataset.id, context.userId);
+                datasetContext = buildDatasetContext(dataset);
+                data = this.formatDatasetForAnalysis(datasetContext, task.prompt);
+            }
+
+            context.onProgress?.(10, `Running ${analysisType} analysis`);
 
             switch (analysisType) {
                 case 'sentiment':
-                    result = await this.analyzeSentiment(data, options);
+                    result = await this.analyzeSentiment(data, options, context);
                     break;
                 case 'summary':
-                    result = await this.generateSummary(data, options);
+                    result = await this.generateSummary(data, options, context);
                     break;
                 case 'trends':
-                    result = await this.identifyTrends(data, options);
+                    result = await this.identifyTrends(data, options, context, {
+                        table: dataset || this.statistics.toTable(task.data),
+                        question: task.prompt
+                    });
                     break;
                 case 'comparison':
-                    result = await this.compareData(data, options);
+                    result = await this.compareData(data, options, context, {
+                        table: dataset || this.statistics.toTable(task.data),
+                        question: task.prompt
+                    });
                     break;
                 default:
-                    result = await this.generateInsights(data, options);
+                    result = await this.generateInsights(data, options, context);
+            }
+
+            if (dataset) {
+                const analysisText = Object.values(result).filter(value => typeof value === 'string').join('\n');
+
+                result.dataset = {
+                    id: dataset.id,
+                    filename: dataset.filename,
+                    format: dataset.format,
+                    rowCount: dataset.rows.length,
+                    rowsShown: datasetContext.rowNumbers.length,
+                    sampled: datasetContext.sampled,
+                    profile: dataset.profile
+                };
+                result.citations = extractCitations(analysisText, dataset);
             }
 
             return {
@@ -47,181 +87,215 @@ class AnalysisAgent {
             return {
                 success: false,
                 error: error.message,
+                statusCode: error.response?.status,
+                errorCode: error.code,
                 insights: null
             };
         }
     }
 
-    async analyzeSentiment(data, options) {
+    async analyzeSentiment(data, options, context = {}) {
         const config = this.analysisTypes.sentiment;
         
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+        const completion = await this.providers.chat('analysis', [
             {
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a sentiment analysis expert. Analyze the sentiment of the provided text and provide a detailed analysis including overall sentiment, confidence level, and key factors influencing the sentiment."
-                    },
-                    {
-                        role: "user",
-                        content: this.formatDataForAnalysis(data)
-                    }
-                ],
-                max_tokens: config.maxTokens,
-                temperature: config.temperature
+                role: "system",
+                content: "You are a sentiment analysis expert. Analyze the sentiment of the provided text and provide a detailed analysis including overall sentiment, confidence level, and key factors influencing the sentiment."
             },
+            ...(context.history || []),
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: this.formatDataForAnalysis(data)
             }
-        );
+        ], { maxTokens: config.maxTokens, temperature: config.temperature, signal: context.signal, usage: context.usage });
 
         return {
-            sentiment: response.data.choices[0].message.content,
-            metrics: this.extractSentimentMetrics(response.data.choices[0].message.content)
+            sentiment: completion.content,
+            metrics: this.extractSentimentMetrics(completion.content)
         };
     }
 
-    async generateSummary(data, options) {
+    async generateSummary(data, options, context = {}) {
         const config = this.analysisTypes.summary;
         
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+        const completion = await this.providers.chat('analysis', [
             {
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a summarization expert. Create a comprehensive summary that captures the key points, main ideas, and important details from the provided content."
-                    },
-                    {
-                        role: "user",
-                        content: this.formatDataForAnalysis(data)
-                    }
-                ],
-                max_tokens: config.maxTokens,
-                temperature: config.temperature
+                role: "system",
+                content: "You are a summarization expert. Create a comprehensive summary that captures the key points, main ideas, and important details from the provided content."
             },
+            ...(context.history || []),
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: this.formatDataForAnalysis(data)
             }
-        );
+        ], { maxTokens: config.maxTokens, temperature: config.temperature, signal: context.signal, usage: context.usage });
 
         return {
-            summary: response.data.choices[0].message.content,
-            keyPoints: await this.extractKeyPoints(response.data.choices[0].message.content)
+            summary: completion.content,
+            keyPoints: await this.extractKeyPoints(completion.content, context)
         };
     }
 
-    async identifyTrends(data, options) {
+    // Trends are computed locally when the data has numeric columns and the
+    // model only explains the figures; free text still goes to the model as is
+    async identifyTrends(data, options, context = {}, input = {}) {
         const config = this.analysisTypes.trends;
+        const statistics = input.table && this.statistics.analyzeTrends(input.table, options);
+
+        if (statistics) {
+            const completion = await this.providers.chat('analysis', [
+                {
+                    role: "system",
+                    content: "You are a data trends analyst. The statistics provided were computed exactly from the full dataset. Explain the trends, seasonality, outliers and correlations they show and what they might indicate. Only use the figures given; do not estimate, recalculate or invent numbers. Refer to rows by the row numbers given."
+                },
+                ...(context.history || []),
+                {
+                    role: "user",
+                    content: this.formatStatisticsForNarration(statistics, input.question)
+                }
+            ], { maxTokens: config.maxTokens, temperature: config.temperature, signal: context.signal, usage: context.usage });
+
+            return {
+                trends: completion.content,
+                statistics: statistics,
+                charts: buildCharts(statistics),
+                patterns: this.describeTrendPatterns(statistics)
+            };
+        }
         
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+        const completion = await this.providers.chat('analysis', [
             {
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a data trends analyst. Identify and analyze trends, patterns, and anomalies in the provided data. Provide insights about what the trends might indicate and their potential implications."
-                    },
-                    {
-                        role: "user",
-                        content: this.formatDataForAnalysis(data)
-                    }
-                ],
-                max_tokens: config.maxTokens,
-                temperature: config.temperature
+                role: "system",
+                content: "You are a data trends analyst. Identify and analyze trends, patterns, and anomalies in the provided data. Provide insights about what the trends might indicate and their potential implications."
             },
+            ...(context.history || []),
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: this.formatDataForAnalysis(data)
             }
-        );
+        ], { maxTokens: config.maxTokens, temperature: config.temperature, signal: context.signal, usage: context.usage });
 
         return {
-            trends: response.data.choices[0].message.content,
-            patterns: this.extractPatterns(response.data.choices[0].message.content)
+            trends: completion.content,
+            patterns: this.extractPatterns(completion.content)
         };
     }
 
-    async generateInsights(data, options) {
+    async generateInsights(data, options, context = {}) {
         const config = this.analysisTypes.insights;
         
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+        const completion = await this.providers.chat('analysis', [
             {
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a data insights expert. Analyze the provided data and generate actionable insights, recommendations, and observations. Focus on providing valuable, practical information that can inform decision-making."
-                    },
-                    {
-                        role: "user",
-                        content: this.formatDataForAnalysis(data)
-                    }
-                ],
-                max_tokens: config.maxTokens,
-                temperature: config.temperature
+                role: "system",
+                content: "You are a data insights expert. Analyze the provided data and generate actionable insights, recommendations, and observations. Focus on providing valuable, practical information that can inform decision-making."
             },
+            ...(context.history || []),
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: this.formatDataForAnalysis(data)
             }
-        );
+        ], { maxTokens: config.maxTokens, temperature: config.temperature, signal: context.signal, usage: context.usage });
 
         return {
-            insights: response.data.choices[0].message.content,
-            recommendations: await this.extractRecommendations(response.data.choices[0].message.content)
+            insights: completion.content,
+            recommendations: await this.extractRecommendations(completion.content, context)
         };
     }
 
-    async compareData(data, options) {
+    async compareData(data, options, context = {}, input = {}) {
         const config = this.analysisTypes.comparison;
+        const statistics = input.table && this.statistics.compareGroups(input.table, options);
+
+        if (statistics) {
+            const completion = await this.providers.chat('analysis', [
+                {
+                    role: "system",
+                    content: "You are a comparative analysis expert. The group statistics provided were computed exactly from the full dataset. Explain the similarities, differences and relative performance they show. Only use the figures given; do not estimate, recalculate or invent numbers."
+                },
+                ...(context.history || []),
+                {
+                    role: "user",
+                    content: this.formatStatisticsForNarration(statistics, input.question)
+                }
+            ], { maxTokens: config.maxTokens, temperature: config.temperature, signal: context.signal, usage: context.usage });
+
+            return {
+                comparison: completion.content,
+                statistics: statistics,
+                charts: buildCharts(statistics),
+                keyDifferences: this.describeGroupDifferences(statistics)
+            };
+        }
         
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+        const completion = await this.providers.chat('analysis', [
             {
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a comparative analysis expert. Compare the provided datasets and highlight similarities, differences, strengths, weaknesses, and relative performance."
-                    },
-                    {
-                        role: "user",
-                        content: this.formatDataForAnalysis(data)
-                    }
-                ],
-                max_tokens: config.maxTokens,
-                temperature: config.temperature
+                role: "system",
+                content: "You are a comparative analysis expert. Compare the provided datasets and highlight similarities, differences, strengths, weaknesses, and relative performance."
             },
+            ...(context.history || []),
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: this.formatDataForAnalysis(data)
             }
-        );
+        ], { maxTokens: config.maxTokens, temperature: config.temperature, signal: context.signal, usage: context.usage });
 
         return {
-            comparison: response.data.choices[0].message.content,
-            keyDifferences: this.extractDifferences(response.data.choices[0].message.content)
+            comparison: completion.content,
+            keyDifferences: this.extractDifferences(completion.content)
         };
     }
 
+    formatStatisticsForNarration(statistics, question) {
+        return [
+            question ? `Question: ${question}` : null,
+            `Computed statistics (JSON):\n${JSON.stringify(statistics, null, 2)}`
+        ].filter(Boolean).join('\n\n');
+    }
+
+    // Plain-language findings built straight from the computed statistics
+    describeTrendPatterns(statistics) {
+        const patterns = [];
+
+        for (const series of statistics.series) {
+            if (series.trend && series.trend.direction !== 'flat') {
+                patterns.push(`${series.column} is ${series.trend.direction} by ${series.trend.slope} per step (R² ${series.trend.r2}, ${series.trend.changePercent}% over the period)`);
+            }
+            if (series.seasonality) {
+                patterns.push(`${series.column} repeats every ${series.seasonality.period} steps (autocorrelation ${series.seasonality.strength})`);
+            }
+            if (series.outliers.length > 0) {
+                const rows = series.outliers.map(outlier => outlier.row).join(', ');
+                patterns.push(`${series.column} has ${series.outliers.length} outlier(s) at row(s) ${rows}`);
+            }
+        }
+
+        for (const correlation of statistics.correlations) {
+            if (correlation.strength.startsWith('strong')) {
+                patterns.push(`${correlation.columns[0]} and ${correlation.columns[1]} have a ${correlation.strength} correlation (r = ${correlation.r})`);
+            }
+        }
+
+        return patterns;
+    }
+
+    describeGroupDifferences(statistics) {
+        return statistics.comparisons
+            .filter(comparison => comparison.highest && comparison.highest.group !== comparison.lowest.group)
+            .map(comparison => {
+                const measure = statistics.groupColumn ? `mean ${comparison.column}` : 'mean';
+                const percent = comparison.differencePercent === null ? '' : ` (${comparison.differencePercent}% higher)`;
+                return `${comparison.highest.group} has the highest ${measure} (${comparison.highest.mean}) and ${comparison.lowest.group} the lowest (${comparison.lowest.mean}), a difference of ${comparison.difference}${percent}`;
+            });
+    }
+
+    formatDatasetForAnalysis(datasetContext, question) {
+        return [
+            question ? `Question: ${question}` : null,
+            datasetContext.text,
+            'Back each finding with the rows and columns it comes from, cited as [row N, column "Column name"] using the row numbers shown above.'
+        ].filter(Boolean).join('\n\n');
+    }
+
     formatDataForAnalysis(data) {
         if (typeof data === 'string') {
             return data;
@@ -257,33 +331,19 @@ class AnalysisAgent {
         return metrics;
     }
 
-    async extractKeyPoints(summary) {
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+    async extractKeyPoints(summary, context = {}) {
+        const completion = await this.providers.chat('analysis', [
             {
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: "Extract the key points as a bulleted list from the following summary:"
-                    },
-                    {
-                        role: "user",
-                        content: summary
-                    }
-                ],
-                max_tokens: 300,
-                temperature: 0.3
+                role: "system",
+                content: "Extract the key points as a bulleted list from the following summary:"
             },
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: summary
             }
-        );
+        ], { maxTokens: 300, temperature: 0.3, signal: context.signal, usage: context.usage });
 
-        return response.data.choices[0].message.content;
+        return completion.content;
     }
 
     extractPatterns(trendsAnalysis) {
@@ -300,33 +360,19 @@ class AnalysisAgent {
         return patterns.slice(0, 5); // Return top 5 patterns
     }
 
-    async extractRecommendations(insights) {
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+    async extractRecommendations(insights, context = {}) {
+        const completion = await this.providers.chat('analysis', [
             {
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: "Extract actionable recommendations as a bulleted list from the following insights:"
-                    },
-                    {
-                        role: "user",
-                        content: insights
-                    }
-                ],
-                max_tokens: 400,
-                temperature: 0.3
+                role: "system",
+                content: "Extract actionable recommendations as a bulleted list from the following insights:"
             },
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: insights
             }
-        );
+        ], { maxTokens: 400, temperature: 0.3, signal: context.signal, usage: context.usage });
 
-        return response.data.choices[0].message.content;
+        return completion.content;
     }
 
     extractDifferences(comparison) {
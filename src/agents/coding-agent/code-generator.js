@@ -1,8 +1,25 @@
-const axios = require('axios');
+const ProviderRouter = require('../../services/providers/provider-router');
+const CodeRunner = require('../../services/sandbox/code-runner');
+const ProjectStore = require('../../services/projects/project-store');
+const CodeAnalyzer = require('../../services/static-analysis/code-analyzer');
+const {
+    parseProjectResponse,
+    buildManifest,
+    applyProjectChanges,
+    formatProjectForEdit,
+    normalizeProjectPath,
+    detectFileLanguage
+} = require('../../services/projects/project-files');
+const aiConfig = require('../../../config/ai-config');
 
 class CodingAgent {
-    constructor() {
-        this.openaiApiKey = process.env.OPENAI_API_KEY;
+    constructor(options = {}) {
+        this.providers = options.providers || new ProviderRouter();
+        this.runner = options.runner || new CodeRunner();
+        this.projects = options.projects || new ProjectStore();
+        this.analyzer = options.analyzer || new CodeAnalyzer();
+        this.projectConfig = options.projectConfig || aiConfig.projects;
+        this.repairRounds = options.repairRounds ?? aiConfig.sandbox.repairRounds;
         this.languageConfigs = {
             'javascript': { maxTokens: 2000, temperature: 0.3 },
             'python': { maxTokens: 2000, temperature: 0.3 },
@@ -14,16 +31,45 @@ class CodingAgent {
         };
     }
 
-    async execute(task) {
+    async execute(task, context = {}) {
         const { prompt, language = 'javascript', options = {} } = task;
+
+        // Project mode produces a file tree instead of a single code block;
+        // a task naming an existing project is a follow-up edit to it
+        if (task.project || options.project === true) {
+            return this.executeProject(task, context);
+        }
+
+        if (task.action === 'refactor') {
+            return this.executeRefactor(task, context);
+        }
         
         try {
-            const code = await this.generateCode(prompt, language, options);
-            const explanation = options.includeExplanation ? 
-                await this.generateExplanation(code, language) : null;
+            // Verification runs the generated tests, so it implies them
+            const verify = options.verify === true && CodeRunner.supports(language);
+
+            context.onProgress?.(10, 'Generating code');
+            let code = await this.generateCode(prompt, language, { ...options, verify }, context);
+
+            const tests = options.includeTests || verify ?
+                await this.generateTests(code, language, context) : null;
+
+            let verification = null;
+            if (verify) {
+                context.onProgress?.(40, 'Running generated tests');
+                verification = await this.verifyCode(code, tests, language, context);
+                code = verification.code;
+                delete verification.code;
+            } else if (options.verify === true) {
+                verification = { passed: false, skipped: true, reason: `Sandboxed execution is not available for ${language}` };
+            }
 
-            const tests = options.includeTests ?
-                await this.generateTests(code, language) : null;
+            context.onProgress?.(70, 'Checking code quality');
+            const staticAnalysis = await this.analyzeCode(code, language);
+
+            context.onProgress?.(80, 'Reviewing generated code');
+            const explanation = options.includeExplanation ? 
+                await this.generateExplanation(code, language, context) : null;
 
             return {
                 success: true,
@@ -31,6 +77,8 @@ class CodingAgent {
                 language: language,
                 explanation: explanation,
                 tests: tests,
+                verification: verification,
+                staticAnalysis: staticAnalysis,
                 timestamp: new Date().toISOString()
             };
 
@@ -39,40 +87,247 @@ class CodingAgent {
             return {
                 success: false,
                 error: error.message,
+                statusCode: error.response?.status,
+                errorCode: error.code,
+                code: null
+            };
+        }
+    }
+
+    async executeProject(task, context = {}) {
+        const { prompt, language = 'javascript', options = {} } = task;
+
+        try {
+            const project = task.project?.id
+                ? await this.editProject(task.project.id, prompt, task.project.files || [], context)
+                : await this.generateProject(prompt, language, options, context);
+
+            return {
+                success: true,
+                project: {
+                    id: project.record.id,
+                    name: project.record.manifest.name,
+                    revision: project.record.revision
+                },
+                language: project.record.language,
+                manifest: project.record.manifest,
+                files: project.record.files,
+                changes: project.changes || null,
+                staticAnalysis: await this.analyzeProject(project.record.files),
+                skipped: project.skipped,
+                notes: project.notes,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            console.error('Coding agent project error:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.status || error.response?.status,
+                errorCode: error.code,
+                project: null
+            };
+        }
+    }
+
+    async executeRefactor(task, context = {}) {
+        const { code, prompt, language = 'javascript', findings = [] } = task;
+
+        try {
+            context.onProgress?.(10, 'Refactoring code');
+            const refactored = await this.refactorCode(code, language, prompt, { findings }, context);
+
+            return {
+                success: true,
+                code: refactored.refactoredCode,
+                language: language,
+                explanation: refactored.explanation,
+                staticAnalysis: refactored.staticAnalysis,
+                findings: refactored.findings,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            console.error('Coding agent refactor error:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.status || error.response?.status,
+                errorCode: error.code,
                 code: null
             };
         }
     }
 
-    async generateCode(prompt, language, options) {
+    async generateProject(prompt, language, options, context = {}) {
+        const { maxTokens, temperature, maxFiles, maxFileBytes } = this.projectConfig;
+
+        context.onProgress?.(10, 'Generating project files');
+        const completion = await this.providers.chat('coding', [
+            {
+                role: "system",
+                content: this.getProjectSystemPrompt(language, options)
+            },
+            ...(context.history || []),
+            {
+                role: "user",
+                content: prompt
+            }
+        ], {
+            maxTokens: maxTokens,
+            temperature: temperature,
+            signal: context.signal,
+            usage: context.usage,
+            onToken: context.onToken
+        });
+
+        const parsed = parseProjectResponse(completion.content, { maxFiles, maxFileBytes });
+
+        if (!parsed.files.length) {
+            const error = new Error('The model did not return any project files');
+            error.code = 'EMPTY_PROJECT';
+            throw error;
+        }
+
+        context.onProgress?.(80, 'Saving project');
+        const record = await this.projects.save(context.userId, {
+            language: language,
+            manifest: buildManifest(parsed.files, language, parsed.manifest),
+            files: parsed.files,
+            revision: 1,
+            history: [{ revision: 1, prompt: prompt, at: new Date().toISOString() }]
+        });
+
+        return { record, skipped: parsed.skipped, notes: parsed.notes };
+    }
+
+    // Regenerates only the named files (or whatever the model chooses to
+    // change when no files are named) and saves the result as a new revision
+    async editProject(projectId, prompt, targetFiles, context = {}) {
+        const { maxTokens, temperature, maxFiles, maxFileBytes, editPromptChars } = this.projectConfig;
+        const targets = targetFiles.map(normalizeProjectPath);
+        const project = await this.projects.load(projectId, context.userId);
+
+        context.onProgress?.(10, 'Editing project files');
+        const completion = await this.providers.chat('coding', [
+            {
+                role: "system",
+                content: this.getProjectEditPrompt(project.language, targets)
+            },
+            ...(context.history || []),
+            {
+                role: "user",
+                content: `${formatProjectForEdit(project, targets, editPromptChars)}\n\nRequested change:\n${prompt}`
+            }
+        ], {
+            maxTokens: maxTokens,
+            temperature: temperature,
+            signal: context.signal,
+            usage: context.usage,
+            onToken: context.onToken
+        });
+
+        const parsed = parseProjectResponse(completion.content, { maxFiles, maxFileBytes });
+        const { files, changes } = applyProjectChanges(project.files, parsed, targets, maxFiles);
+        const changed = changes.added.length + changes.modified.length + changes.deleted.length > 0;
+
+        if (!changed) {
+            return { record: project, changes, skipped: parsed.skipped, notes: parsed.notes };
+        }
+
+        context.onProgress?.(80, 'Saving project revision');
+        const revision = project.revision + 1;
+        const record = await this.projects.update(project.id, context.userId, {
+            manifest: buildManifest(files, project.language, parsed.manifest, project.manifest),
+            files: files,
+            revision: revision,
+            history: [
+                ...project.history,
+                {
+                    revision: revision,
+                    prompt: prompt,
+                    added: changes.added,
+                    modified: changes.modified,
+                    deleted: changes.deleted,
+                    at: new Date().toISOString()
+                }
+            ]
+        });
+
+        return { record, changes, skipped: parsed.skipped, notes: parsed.notes };
+    }
+
+    getProjectSystemPrompt(language, options) {
+        let prompt = `You are an expert ${language} developer. Generate a complete, runnable project as a set of files.`;
+
+        if (options.framework) {
+            prompt += ` Use the ${options.framework} framework.`;
+        }
+
+        prompt += ` ${this.getProjectConventions(language)}`;
+        prompt += ` ${this.getProjectFormat()}`;
+        prompt += " Start with a ```json manifest block giving the project's name, description, entry file, dependencies and install/start/test commands.";
+
+        return prompt;
+    }
+
+    getProjectEditPrompt(language, targets) {
+        let prompt = `You are an expert ${language} developer updating an existing project.`;
+
+        prompt += targets.length
+            ? ` Only change these files: ${targets.join(', ')}.`
+            : ' Change only the files the request needs.';
+
+        prompt += ` ${this.getProjectFormat()}`;
+        prompt += " Return only files you change or create, each in full. List files to remove, one path per line, in a ```delete block.";
+        prompt += " Include a ```json manifest block only if the name, entry point, dependencies or commands change.";
+
+        return prompt;
+    }
+
+    getProjectFormat() {
+        return "Return every file as a fenced code block whose info string is the language followed by path=<relative path>, for example ```javascript path=src/index.js. Use four backticks for files that themselves contain ``` lines.";
+    }
+
+    // Layout expectations per language so generated projects run as-is
+    getProjectConventions(language) {
+        const conventions = {
+            javascript: 'Include a package.json with dependencies and start/test scripts.',
+            python: 'Include a requirements.txt and put the entry point under `if __name__ == "__main__":`.',
+            java: 'Use a Maven layout with a pom.xml and sources under src/main/java.',
+            cpp: 'Include a CMakeLists.txt and keep headers and sources in separate files.',
+            html: 'Use an index.html that links separate stylesheet and script files.',
+            css: 'Include an index.html that demonstrates the stylesheets.',
+            sql: 'Split schema, seed data and queries into separate numbered .sql files.'
+        };
+
+        return `${conventions[language] || ''} Include a short README.md with setup and run instructions.`.trim();
+    }
+
+    async generateCode(prompt, language, options, context = {}) {
         const config = this.languageConfigs[language] || this.languageConfigs.javascript;
         
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+        // Streamed tokens go to the client raw; the result still gets the code block extracted
+        const completion = await this.providers.chat('coding', [
             {
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: this.getSystemPrompt(language, options)
-                    },
-                    {
-                        role: "user",
-                        content: prompt
-                    }
-                ],
-                max_tokens: config.maxTokens,
-                temperature: config.temperature
+                role: "system",
+                content: this.getSystemPrompt(language, options)
             },
+            ...(context.history || []),
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: prompt
             }
-        );
+        ], {
+            maxTokens: config.maxTokens,
+            temperature: config.temperature,
+            signal: context.signal,
+            usage: context.usage,
+            onToken: context.onToken
+        });
 
-        return this.extractCodeFromResponse(response.data.choices[0].message.content, language);
+        return this.extractCodeFromResponse(completion.content, language);
     }
 
     getSystemPrompt(language, options) {
@@ -90,13 +345,20 @@ class CodingAgent {
             prompt += " Include helpful comments to explain complex logic.";
         }
 
+        // Verified code is loaded as a module by the generated tests
+        if (options.verify) {
+            prompt += language === 'python'
+                ? " Put any example usage under `if __name__ == '__main__':`."
+                : " Export the public functions and classes with module.exports and do not run example code at the top level.";
+        }
+
         return prompt;
     }
 
     extractCodeFromResponse(response, language) {
-        // Extract code from markdown code blocks
+        // Extract code from markdown code blocks, preferring one tagged with the language
         const codeBlockRegex = new RegExp(`\`\`\`${language}(.*?)\`\`\``, 's');
-        const match = response.match(codeBlockRegex);
+        const match = response.match(codeBlockRegex) || response.match(/```[\w+-]*\n(.*?)```/s);
         
         if (match) {
             return match[1].trim();
@@ -106,125 +368,206 @@ class CodingAgent {
         return response.trim();
     }
 
-    async generateExplanation(code, language) {
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+    async generateExplanation(code, language, context = {}) {
+        const completion = await this.providers.chat('coding', [
             {
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: `You are a technical educator. Explain the following ${language} code in simple terms.`
-                    },
-                    {
-                        role: "user",
-                        content: code
-                    }
-                ],
-                max_tokens: 500,
-                temperature: 0.5
+                role: "system",
+                content: `You are a technical educator. Explain the following ${language} code in simple terms.`
             },
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: code
             }
-        );
+        ], { maxTokens: 500, temperature: 0.5, signal: context.signal, usage: context.usage });
 
-        return response.data.choices[0].message.content;
+        return completion.content;
     }
 
-    async generateTests(code, language) {
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+    async generateTests(code, language, context = {}) {
+        const completion = await this.providers.chat('coding', [
             {
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: `You are a QA engineer. Generate comprehensive unit tests for the following ${language} code.`
-                    },
-                    {
-                        role: "user",
-                        content: code
-                    }
-                ],
-                max_tokens: 1000,
-                temperature: 0.3
+                role: "system",
+                content: `You are a QA engineer. Generate comprehensive unit tests for the following ${language} code.${this.getTestConventions(language)}`
             },
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
+                role: "user",
+                content: code
+            }
+        ], { maxTokens: 1000, temperature: 0.3, signal: context.signal, usage: context.usage });
+
+        return this.extractCodeFromResponse(completion.content, language);
+    }
+
+    // Tests have to match what the sandbox harness can run
+    getTestConventions(language) {
+        if (language === 'javascript') {
+            return " Use Jest-style describe/it/expect without importing a test framework, and load the code with require('./solution').";
+        }
+
+        if (language === 'python') {
+            return " Use the unittest module or plain test_ functions with assert, and import the code with `from solution import ...`.";
+        }
+
+        return '';
+    }
+
+    // Runs the tests in the sandbox and, while they fail, asks debugCode for a
+    // fix and tries again, up to repairRounds times. Returns the last code
+    // tried with every round's results.
+    async verifyCode(code, tests, language, context = {}) {
+        const rounds = [];
+        let current = code;
+
+        for (let round = 0; round <= this.repairRounds; round++) {
+            let run;
+
+            try {
+                run = await this.runner.runTests(language, current, tests, { signal: context.signal });
+            } catch (error) {
+                if (context.signal?.aborted) throw error;
+                if (error.code === 'SANDBOX_UNAVAILABLE') {
+                    return { code: current, passed: false, skipped: true, reason: error.message, repairs: round, rounds };
                 }
+                console.error('Sandbox run error:', error);
+                return { code: current, passed: false, repairs: round, rounds, error: error.message };
             }
-        );
 
-        return this.extractCodeFromResponse(response.data.choices[0].message.content, language);
+            rounds.push({
+                round: round,
+                passed: run.passed,
+                total: run.total,
+                failed: run.failed,
+                failures: run.results.filter(result => !result.passed),
+                loadError: run.loadError,
+                exitCode: run.exitCode,
+                timedOut: run.timedOut,
+                stdout: run.stdout,
+                stderr: run.stderr,
+                durationMs: run.durationMs
+            });
+
+            if (run.passed || round === this.repairRounds) {
+                return { code: current, passed: run.passed, repairs: round, rounds };
+            }
+
+            context.onProgress?.(50 + round * 10, `Repairing code (round ${round + 1})`);
+            const fix = await this.debugCode(current, language, this.describeFailures(run, tests), context);
+            current = fix.fixedCode;
+        }
     }
 
-    async debugCode(code, language, error) {
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+    describeFailures(run, tests) {
+        const failures = run.results
+            .filter(result => !result.passed)
+            .map(result => `- ${result.name}: ${result.message}`);
+
+        return [
+            run.timedOut ? 'The test run timed out.' : null,
+            run.loadError ? `The tests could not load the code:\n${run.loadError}` : null,
+            failures.length ? `Failing tests:\n${failures.join('\n')}` : null,
+            run.stderr ? `stderr:\n${run.stderr.slice(-2000)}` : null,
+            `Tests:\n${tests}`
+        ].filter(Boolean).join('\n\n');
+    }
+
+    async debugCode(code, language, error, context = {}) {
+        const completion = await this.providers.chat('coding', [
             {
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: `You are a debugging expert. Help fix the following ${language} code.`
-                    },
-                    {
-                        role: "user",
-                        content: `Code:\n${code}\n\nError: ${error}`
-                    }
-                ],
-                max_tokens: 1000,
-                temperature: 0.3
+                role: "system",
+                content: `You are a debugging expert. Help fix the following ${language} code.`
             },
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: `Code:\n${code}\n\nError: ${error}`
             }
-        );
+        ], { maxTokens: 1000, temperature: 0.3, signal: context.signal, usage: context.usage });
 
         return {
-            fixedCode: this.extractCodeFromResponse(response.data.choices[0].message.content, language),
-            explanation: response.data.choices[0].message.content
+            fixedCode: this.extractCodeFromResponse(completion.content, language),
+            explanation: completion.content
         };
     }
 
-    async refactorCode(code, language, goal) {
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+    // `options.findings` picks static analysis findings to fix, by id (D3),
+    // rule (no-eval) or category (security). The rewrite is analysed again
+    // and each targeted finding is reported as resolved or remaining.
+    async refactorCode(code, language, goal, options = {}, context = {}) {
+        const selectors = options.findings || [];
+        const before = await this.analyzer.analyze(code, language);
+        const targeted = before.diagnostics.filter(finding => selectors.some(selector => (
+            selector === finding.id || selector === finding.rule || selector === finding.category
+        )));
+
+        if (selectors.length && !targeted.length) {
+            const error = new Error('None of the requested findings apply to this code');
+            error.status = 400;
+            error.code = 'FINDINGS_NOT_FOUND';
+            throw error;
+        }
+
+        let prompt = `You are a code refactoring expert. Refactor the following ${language} code to ${goal || 'improve readability and maintainability'}.`;
+
+        if (targeted.length) {
+            prompt += ` Resolve these static analysis findings without changing behaviour:\n${targeted
+                .map(finding => `- [${finding.id}] line ${finding.line}, ${finding.rule}: ${finding.message}`)
+                .join('\n')}`;
+        }
+
+        const completion = await this.providers.chat('coding', [
             {
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: `You are a code refactoring expert. Refactor the following ${language} code to ${goal}.`
-                    },
-                    {
-                        role: "user",
-                        content: code
-                    }
-                ],
-                max_tokens: 1500,
-                temperature: 0.3
+                role: "system",
+                content: prompt
             },
+            ...(context.history || []),
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: code
             }
-        );
+        ], { maxTokens: 1500, temperature: 0.3, signal: context.signal, usage: context.usage });
+
+        const refactoredCode = this.extractCodeFromResponse(completion.content, language);
+        const after = await this.analyzer.analyze(refactoredCode, language);
+        const remaining = new Set(after.diagnostics.map(finding => finding.fingerprint));
 
         return {
-            refactoredCode: this.extractCodeFromResponse(response.data.choices[0].message.content, language),
-            explanation: response.data.choices[0].message.content
+            refactoredCode: refactoredCode,
+            explanation: completion.content,
+            staticAnalysis: after,
+            findings: {
+                targeted: targeted,
+                resolved: targeted.filter(finding => !remaining.has(finding.fingerprint)).map(finding => finding.id),
+                remaining: targeted.filter(finding => remaining.has(finding.fingerprint)).map(finding => finding.id)
+            }
+        };
+    }
+
+    // Quality signal only: a failing analyzer never fails the generation
+    async analyzeCode(code, language) {
+        try {
+            return await this.analyzer.analyze(code, language);
+        } catch (error) {
+            console.error('Static analysis error:', error);
+            return { language: language, error: error.message };
+        }
+    }
+
+    async analyzeProject(files) {
+        const reports = [];
+
+        for (const file of files) {
+            const language = detectFileLanguage(file.path);
+            if (this.languageConfigs[language]) {
+                reports.push({ path: file.path, ...await this.analyzeCode(file.content, language) });
+            }
+        }
+
+        return {
+            files: reports,
+            summary: {
+                errors: reports.reduce((sum, report) => sum + (report.summary?.errors || 0), 0),
+                warnings: reports.reduce((sum, report) => sum + (report.summary?.warnings || 0), 0),
+                info: reports.reduce((sum, report) => sum + (report.summary?.info || 0), 0)
+            }
         };
     }
 }
@@ -1,11 +1,26 @@
-const axios = require('axios');
-const { StabilityAI } = require('stability-ai');
+const ProviderRouter = require('../../services/providers/provider-router');
+const KnowledgeBaseService = require('../../services/knowledge/knowledge-base-service');
+const BrandProfileService = require('../../services/brand/brand-profile-service');
+const { buildBrandInstructions } = require('../../services/brand/brand-rules');
+const VariantFeedbackService = require('../../services/variants/variant-feedback-service');
+const { scoreVariant, describePreferences } = require('../../services/variants/variant-scorer');
+const { analyzeSeo, buildJsonLd, extractHeadings, extractFirstParagraph } = require('../../services/seo/seo-analyzer');
+const { CITATION_INSTRUCTIONS, formatKnowledgeExcerpts, extractCitations } = require('../../services/knowledge/knowledge-citations');
+const ImageStore = require('../../services/images/image-store');
+const { OUTPUT_FORMATS, EDIT_OPERATIONS, resolveDimensions, postProcess } = require('../../services/images/image-processing');
+const aiConfig = require('../../../config/ai-config');
 
 class CreativeAgent {
-    constructor() {
-        this.openaiApiKey = process.env.OPENAI_API_KEY;
-        this.stabilityApiKey = process.env.STABILITY_API_KEY;
-        this.stabilityClient = new StabilityAI(this.stabilityApiKey);
+    constructor(options = {}) {
+        this.providers = options.providers || new ProviderRouter();
+        this.knowledge = options.knowledge;
+        this.brandProfiles = options.brandProfiles;
+        this.variantFeedback = options.variantFeedback;
+        this.variantConfig = options.variantConfig || aiConfig.variants;
+        this.seoConfig = options.seoConfig || aiConfig.seo;
+        this.images = options.images || new ImageStore();
+        this.assets = options.assets;
+        this.imageConfig = options.imageConfig || aiConfig.images;
         
         this.contentTypes = {
             'blog_post': { maxTokens: 2000, temperature: 0.8 },
@@ -16,20 +31,78 @@ class CreativeAgent {
         };
     }
 
-    async execute(task) {
+    async execute(task, context = {}) {
         const { prompt, contentType = 'blog_post', options = {} } = task;
         
         try {
             let result = {};
 
-            // Generate text content
+            // Edits of an uploaded image replace text and image generation
+            if (task.image) {
+                Object.assign(result, await this.editImage(task, context));
+
+                return {
+                    success: true,
+                    ...result,
+                    operation: task.operation,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            // Rewrites of existing copy (task.text) replace generation
+            if (task.optimization) {
+                Object.assign(result, await this.optimize(task, context));
+
+                return {
+                    success: true,
+                    ...result,
+                    contentType: contentType,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            // Generate text content, grounded in the knowledge base when one is named
             if (options.generateText !== false) {
-                result.text = await this.generateTextContent(prompt, contentType, options);
+                let knowledge = [];
+                if (task.knowledgeBaseId) {
+                    context.onProgress?.(5, 'Searching the knowledge base');
+                    knowledge = await this.getKnowledgeBases().retrieve(task.knowledgeBaseId, context.userId, prompt, context);
+                }
+
+                const brandProfile = task.brandProfileId
+                    ? await this.getBrandProfiles().loadProfile(task.brandProfileId)
+                    : null;
+
+                // options.variants asks for scored A/B drafts; the best one is also result.text
+                if (options.variants) {
+                    Object.assign(result, await this.generateMultipleVariations(
+                        prompt, contentType, options.variants, options, context, { knowledge, brandProfile }
+                    ));
+                    result.text = result.variants[0].text;
+                } else {
+                    context.onProgress?.(10, 'Generating text');
+                    result.text = await this.generateTextContent(prompt, contentType, options, context, knowledge, brandProfile);
+                }
+
+                if (task.knowledgeBaseId) {
+                    result.knowledgeBaseId = task.knowledgeBaseId;
+                    result.citations = extractCitations(result.text, knowledge);
+                }
+
+                // Rule breaks are flagged for review rather than rewritten
+                if (brandProfile) {
+                    result.brand = {
+                        profileId: brandProfile.id,
+                        name: brandProfile.name,
+                        ...this.getBrandProfiles().checkContent(result.text, brandProfile)
+                    };
+                }
             }
 
             // Generate image if requested
             if (options.generateImage) {
-                result.image = await this.generateImage(prompt, options.imageStyle);
+                context.onProgress?.(60, 'Generating image');
+                result.image = await this.generateImage(prompt, options, context);
             }
 
             return {
@@ -44,44 +117,45 @@ class CreativeAgent {
             return {
                 success: false,
                 error: error.message,
+                statusCode: error.status || error.response?.status,
+                errorCode: error.code,
                 content: null
             };
         }
     }
 
-    async generateTextContent(prompt, contentType, options) {
+    async generateTextContent(prompt, contentType, options, context = {}, knowledge = [], brandProfile = null) {
         const config = this.contentTypes[contentType] || this.contentTypes.blog_post;
+        let systemPrompt = this.getSystemPrompt(contentType, options, brandProfile);
+        let userPrompt = prompt;
+
+        if (knowledge.length > 0) {
+            systemPrompt += ` ${CITATION_INSTRUCTIONS}`;
+            userPrompt += `\n\nKnowledge base excerpts:\n${formatKnowledgeExcerpts(knowledge)}`;
+        }
         
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+        const completion = await this.providers.chat('creative', [
             {
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: this.getSystemPrompt(contentType, options)
-                    },
-                    {
-                        role: "user",
-                        content: prompt
-                    }
-                ],
-                max_tokens: config.maxTokens,
-                temperature: config.temperature,
-                ...options
+                role: "system",
+                content: systemPrompt
             },
+            ...(context.history || []),
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: userPrompt
             }
-        );
+        ], {
+            maxTokens: options.maxTokens || config.maxTokens,
+            temperature: options.temperature ?? config.temperature,
+            signal: context.signal,
+            usage: context.usage,
+            onToken: context.onToken
+        });
 
-        return response.data.choices[0].message.content;
+        return completion.content;
     }
 
-    getSystemPrompt(contentType, options) {
+    getSystemPrompt(contentType, options, brandProfile = null) {
         const prompts = {
             'blog_post': "You are a professional blog writer. Create engaging, well-structured blog posts with compelling introductions and conclusions.",
             'social_media': "You are a social media expert. Create engaging, viral-style posts with appropriate hashtags and emojis.",
@@ -100,103 +174,502 @@ class CreativeAgent {
             systemPrompt += ` Target audience: ${options.targetAudience}.`;
         }
 
+        const keywords = this.parseKeywords(options.keywords);
+        if (keywords.length > 0) {
+            systemPrompt += ` Work these keywords in naturally: ${keywords.join(', ')}.`;
+        }
+
+        if (brandProfile) {
+            systemPrompt += `\n\n${buildBrandInstructions(brandProfile)}`;
+        }
+
         return systemPrompt;
     }
 
-    async generateImage(prompt, style = 'realistic') {
-        try {
-            const response = await this.stabilityClient.generate({
-                prompt: prompt,
-                height: 512,
-                width: 512,
-                steps: 30,
-                cfg_scale: 7,
-                sampler: 'K_DPMPP_2M',
-                style_preset: style
-            });
+    // Created on first use so agents that never see a knowledge base task
+    // don't open the knowledge store
+    getKnowledgeBases() {
+        if (!this.knowledge) {
+            this.knowledge = new KnowledgeBaseService({ providers: this.providers });
+        }
+        return this.knowledge;
+    }
+
+    getBrandProfiles() {
+        if (!this.brandProfiles) {
+            this.brandProfiles = new BrandProfileService();
+        }
+        return this.brandProfiles;
+    }
+
+    // Stability AI first, then DALL-E, per the image routing in ai-config.
+    // options: imageStyle, aspectRatio and size (or width and height),
+    // outputFormat (png, webp, avif, jpeg), quality
+    async generateImage(prompt, options = {}, context = {}) {
+        const requested = resolveDimensions(options, this.imageConfig);
+        this.checkOutputFormat(options);
+
+        const image = await this.providers.generateImage('creative', prompt, {
+            style: options.imageStyle || 'realistic',
+            ...requested,
+            signal: context.signal,
+            usage: context.usage
+        });
+
+        return await this.storeImage(await this.finishImage(image, requested, options, context), context);
+    }
+
+    // task: { operation, prompt, image: { id }, options }. The source image
+    // (and inpainting mask) were stored by the route; see EDIT_OPERATIONS.
+    async editImage(task, context = {}) {
+        const { operation, prompt, options = {} } = task;
+        const requirements = EDIT_OPERATIONS[operation];
+
+        if (!requirements) {
+            throw this.createStatusError(`operation must be one of ${Object.keys(EDIT_OPERATIONS).join(', ')}`, 400);
+        }
+        if (requirements.needsPrompt && !prompt) {
+            throw this.createStatusError(`A prompt is required for ${operation}`, 400);
+        }
+
+        const upload = await this.images.load(task.image.id, context.userId);
+        if (requirements.needsMask && !upload.mask) {
+            throw this.createStatusError('Inpainting needs a mask image (white where the image should change)', 400);
+        }
+
+        // Outpainting and upscaling decide the output size themselves
+        const requested = ['outpaint', 'upscale'].includes(operation) ? null : resolveDimensions(options, this.imageConfig);
+        this.checkOutputFormat(options);
 
-            // Convert base64 image data
-            const imageData = response.artifacts[0].base64;
+        const editOptions = {
+            operation: operation,
+            prompt: prompt,
+            style: options.imageStyle,
+            ...(operation === 'image-to-image' && { strength: this.getStrength(options) }),
+            ...(operation === 'inpaint' && { mask: Buffer.from(upload.mask, 'base64') }),
+            ...(operation === 'outpaint' && { expand: this.getExpansion(upload, options) }),
+            ...(operation === 'upscale' && { scale: this.getUpscaleFactor(options) }),
+            signal: context.signal,
+            usage: context.usage
+        };
+
+        const source = Buffer.from(upload.image, 'base64');
+        const count = operation === 'variation' ? this.getVariationCount(options) : 1;
+        const images = [];
+
+        for (let i = 0; i < count; i++) {
+            context.onProgress?.(10 + Math.round(80 * i / count), count > 1 ? `Creating variation ${i + 1} of ${count}` : `Running ${operation}`);
+            const edited = await this.providers.editImage('creative', source, editOptions);
+            images.push(await this.storeImage(await this.finishImage(edited, requested, options, context), context));
+        }
+
+        return {
+            image: images[0],
+            ...(operation === 'variation' && { images }),
+            source: { id: upload.id, filename: upload.filename, dimensions: { width: upload.width, height: upload.height } }
+        };
+    }
+
+    // Resizes to the exact requested size, converts the format and
+    // watermarks images for tiers in images.watermark.tiers. Provider
+    // output that needs none of that is passed through untouched.
+    async finishImage(image, requested, options, context) {
+        const format = options.outputFormat || image.format;
+        const watermark = this.imageConfig.watermark.tiers.includes(context.userTier);
+        const resize = Boolean(requested) &&
+            (image.dimensions.width !== requested.width || image.dimensions.height !== requested.height);
+
+        if (!resize && !watermark && format === image.format) {
             return {
-                base64: imageData,
-                format: 'png',
-                dimensions: { width: 512, height: 512 }
+                base64: image.base64,
+                format: image.format,
+                dimensions: image.dimensions,
+                provider: image.provider
             };
+        }
 
-        } catch (error) {
-            console.error('Image generation failed:', error);
-            
-            // Fallback to DALL-E if Stability AI fails
-            return await this.generateImageDalle(prompt);
+        const processed = await postProcess(Buffer.from(image.base64, 'base64'), {
+            ...(resize && requested),
+            format: format,
+            watermark: watermark,
+            quality: options.quality
+        }, this.imageConfig);
+
+        return {
+            base64: processed.buffer.toString('base64'),
+            format: processed.format,
+            dimensions: processed.dimensions,
+            provider: image.provider,
+            ...(watermark && { watermarked: true })
+        };
+    }
+
+    // With asset storage the result carries download URLs instead of the
+    // image itself
+    async storeImage(image, context) {
+        return this.assets
+            ? await this.assets.storeMedia(image, { kind: 'image', context: context, dimensions: image.dimensions })
+            : image;
+    }
+
+    checkOutputFormat(options) {
+        if (options.outputFormat && !OUTPUT_FORMATS.includes(options.outputFormat)) {
+            throw this.createStatusError(`outputFormat must be one of ${OUTPUT_FORMATS.join(', ')}`, 400);
         }
     }
 
-    async generateImageDalle(prompt) {
-        const response = await axios.post(
-            'https://api.openai.com/v1/images/generations',
-            {
-                prompt: prompt,
-                n: 1,
-                size: "512x512",
-                response_format: "b64_json"
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
+    // How far image-to-image may move from the source, 0 (unchanged) to 1
+    getStrength(options) {
+        const strength = options.strength === undefined ? 0.35 : Number(options.strength);
+        if (!(strength >= 0 && strength <= 1)) {
+            throw this.createStatusError('strength must be between 0 and 1', 400);
+        }
+        return strength;
+    }
+
+    // Pixels to add on each side, given directly as options.expand or
+    // worked out from a target aspectRatio (or width and height) by
+    // growing the image evenly on the short sides
+    getExpansion(upload, options) {
+        if (options.expand) {
+            const expand = {};
+            for (const side of ['left', 'right', 'up', 'down']) {
+                const value = options.expand[side] === undefined ? 0 : Number(options.expand[side]);
+                if (!Number.isInteger(value) || value < 0 || value > this.imageConfig.maxDimension) {
+                    throw this.createStatusError(`expand.${side} must be a whole number of pixels up to ${this.imageConfig.maxDimension}`, 400);
                 }
+                expand[side] = value;
             }
-        );
+            if (!Object.values(expand).some(Boolean)) {
+                throw this.createStatusError('expand must add pixels to at least one side', 400);
+            }
+            return expand;
+        }
+
+        let target;
+        if (options.width || options.height) {
+            target = resolveDimensions(options, this.imageConfig);
+        } else if (options.aspectRatio) {
+            resolveDimensions({ aspectRatio: options.aspectRatio }, this.imageConfig);
+            const [across, down] = options.aspectRatio.split(':').map(Number);
+            target = upload.width / upload.height < across / down
+                ? { width: Math.round(upload.height * across / down), height: upload.height }
+                : { width: upload.width, height: Math.round(upload.width * down / across) };
+        } else {
+            throw this.createStatusError('Outpainting needs expand ({ left, right, up, down }) or a target aspectRatio', 400);
+        }
+
+        const addWidth = target.width - upload.width;
+        const addHeight = target.height - upload.height;
+        if (addWidth < 0 || addHeight < 0) {
+            throw this.createStatusError('Outpainting can only make the image larger', 400);
+        }
+        if (addWidth === 0 && addHeight === 0) {
+            throw this.createStatusError('The image already has that size', 400);
+        }
 
         return {
-            base64: response.data.data[0].b64_json,
-            format: 'png',
-            dimensions: { width: 512, height: 512 }
+            left: Math.floor(addWidth / 2),
+            right: addWidth - Math.floor(addWidth / 2),
+            up: Math.floor(addHeight / 2),
+            down: addHeight - Math.floor(addHeight / 2)
         };
     }
 
-    async generateMultipleVariations(prompt, contentType, count = 3) {
-        const variations = [];
-        
-        for (let i = 0; i < count; i++) {
-            const variation = await this.generateTextContent(
-                prompt, 
-                contentType, 
-                { temperature: 0.9 + (i * 0.1) } // Increase temperature for more variation
+    getUpscaleFactor(options) {
+        const scale = options.scale === undefined ? this.imageConfig.upscaleFactors[0] : Number(options.scale);
+        if (!this.imageConfig.upscaleFactors.includes(scale)) {
+            throw this.createStatusError(`scale must be one of ${this.imageConfig.upscaleFactors.join(', ')}`, 400);
+        }
+        return scale;
+    }
+
+    getVariationCount(options) {
+        const count = options.count === undefined ? 1 : Number(options.count);
+        if (!Number.isInteger(count) || count < 1 || count > this.imageConfig.maxVariations) {
+            throw this.createStatusError(`count must be between 1 and ${this.imageConfig.maxVariations}`, 400);
+        }
+        return count;
+    }
+
+    createStatusError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    // Drafts the brief count times at rising temperatures and scores each
+    // draft (see variant-scorer). Drafts are steered toward what the user
+    // published before, and the set is saved so they can report which one
+    // they used (POST /variants/:variantSetId/feedback). Returns the variants
+    // best first; index is the order they were written in.
+    async generateMultipleVariations(prompt, contentType, count = 3, options = {}, context = {}, { knowledge = [], brandProfile = null } = {}) {
+        const total = parseInt(count, 10);
+        if (!(total >= 2 && total <= this.variantConfig.maxCount)) {
+            throw this.createStatusError(`variants must be between 2 and ${this.variantConfig.maxCount}`, 400);
+        }
+
+        const config = this.contentTypes[contentType] || this.contentTypes.blog_post;
+        const keywords = this.parseKeywords(options.keywords);
+        const preferences = context.userId
+            ? await this.getVariantFeedback().getPreferences(context.userId, contentType)
+            : null;
+        const guidance = describePreferences(preferences, this.variantConfig.lengthTargets[contentType]);
+        const brief = guidance ? `${prompt}\n\n${guidance}` : prompt;
+        const baseTemperature = options.temperature ?? config.temperature;
+        const variants = [];
+
+        for (let index = 0; index < total; index++) {
+            context.onProgress?.(10 + Math.round(80 * index / total), `Writing variant ${index + 1} of ${total}`);
+
+            // Several drafts can't share one token stream
+            const text = await this.generateTextContent(
+                brief,
+                contentType,
+                { ...options, temperature: Math.min(1.3, baseTemperature + index * 0.1) },
+                { ...context, onToken: undefined },
+                knowledge,
+                brandProfile
             );
-            variations.push(variation);
+
+            variants.push({
+                index: index,
+                text: text,
+                scores: scoreVariant(text, { contentType, keywords, preferences }, this.variantConfig),
+                ...(brandProfile && { brand: this.getBrandProfiles().checkContent(text, brandProfile) })
+            });
         }
-        
-        return variations;
+
+        // Drafts that keep to the brand rules rank above ones that don't
+        const ranked = [...variants].sort((a, b) =>
+            (b.brand ? Number(b.brand.compliant) : 0) - (a.brand ? Number(a.brand.compliant) : 0) ||
+            b.scores.overall - a.scores.overall
+        );
+        ranked.forEach((variant, rank) => { variant.rank = rank + 1; });
+
+        return {
+            variants: ranked,
+            variantSetId: await this.recordVariantSet(context, { contentType, prompt, keywords, variants }),
+            recommendedIndex: ranked[0].index,
+            ...(preferences && preferences.confidence > 0 && {
+                personalization: { samples: preferences.samples, confidence: preferences.confidence }
+            })
+        };
+    }
+
+    // Saving the set only enables feedback; the drafts are returned either way
+    async recordVariantSet(context, { contentType, prompt, keywords, variants }) {
+        if (!context.userId) {
+            return null;
+        }
+
+        try {
+            const variantSet = await this.getVariantFeedback().recordVariantSet(context.userId, {
+                taskId: context.taskId,
+                contentType: contentType,
+                prompt: prompt,
+                keywords: keywords,
+                variants: variants.map(({ index, text, scores }) => ({ index, text, scores }))
+            });
+            return variantSet.id;
+        } catch (error) {
+            console.warn('Failed to save variant set:', error.message);
+            return null;
+        }
+    }
+
+    parseKeywords(keywords) {
+        const list = Array.isArray(keywords) ? keywords : String(keywords || '').split(',');
+        return [...new Set(list.map(keyword => String(keyword).trim()).filter(Boolean))];
+    }
+
+    getVariantFeedback() {
+        if (!this.variantFeedback) {
+            this.variantFeedback = new VariantFeedbackService({ config: this.variantConfig });
+        }
+        return this.variantFeedback;
+    }
+
+    // task.optimization is { goal } for a free-text rewrite or
+    // { mode: 'seo', targetKeyword, ... } for SEO mode (see optimizeForSeo)
+    async optimize(task, context = {}) {
+        const { optimization, contentType = 'blog_post' } = task;
+        const brandProfile = task.brandProfileId
+            ? await this.getBrandProfiles().loadProfile(task.brandProfileId)
+            : null;
+
+        context.onProgress?.(10, 'Rewriting content');
+        const result = optimization.mode === 'seo'
+            ? await this.optimizeForSeo(task.text, optimization, context, contentType, brandProfile)
+            : { text: await this.optimizeContent(task.text, optimization.goal, context, brandProfile) };
+
+        if (brandProfile) {
+            result.brand = {
+                profileId: brandProfile.id,
+                name: brandProfile.name,
+                ...this.getBrandProfiles().checkContent(result.text, brandProfile)
+            };
+        }
+
+        return result;
     }
 
-    async optimizeContent(content, optimizationGoal) {
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+    async optimizeContent(content, optimizationGoal, context = {}, brandProfile = null) {
+        let systemPrompt = `You are a content optimization expert. Optimize the following content for: ${optimizationGoal}`;
+        if (brandProfile) {
+            systemPrompt += `\n\n${buildBrandInstructions(brandProfile)}`;
+        }
+
+        const completion = await this.providers.chat('creative', [
             {
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: `You are a content optimization expert. Optimize the following content for: ${optimizationGoal}`
-                    },
-                    {
-                        role: "user",
-                        content: content
-                    }
-                ],
-                max_tokens: 1000,
-                temperature: 0.7
+                role: "system",
+                content: systemPrompt
             },
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: content
             }
-        );
+        ], { maxTokens: 1000, temperature: 0.7, signal: context.signal, usage: context.usage });
+
+        return completion.content;
+    }
+
+    // SEO mode for blog posts. The draft is checked first (see seo-analyzer)
+    // and the rewrite is asked to fix what was found, with a meta title and
+    // description. Returns the rewrite with an seo report of the same checks
+    // on it, plus schema.org JSON-LD. seo: { targetKeyword,
+    // secondaryKeywords, and optionally author, publisher, url, image and
+    // datePublished for the JSON-LD }
+    async optimizeForSeo(content, seo = {}, context = {}, contentType = 'blog_post', brandProfile = null) {
+        if (contentType !== 'blog_post') {
+            throw this.createStatusError('SEO mode is only available for blog posts', 400);
+        }
+        if (!content || String(content).length > this.seoConfig.maxContentChars) {
+            throw this.createStatusError(`Content to optimize is required (up to ${this.seoConfig.maxContentChars} characters)`, 400);
+        }
+
+        const targetKeyword = String(seo.targetKeyword || '').trim();
+        if (!targetKeyword) {
+            throw this.createStatusError('targetKeyword is required in SEO mode', 400);
+        }
+
+        const secondaryKeywords = this.parseKeywords(seo.secondaryKeywords)
+            .filter(keyword => keyword.toLowerCase() !== targetKeyword.toLowerCase());
+        if (secondaryKeywords.length > this.seoConfig.maxSecondaryKeywords) {
+            throw this.createStatusError(`secondaryKeywords is limited to ${this.seoConfig.maxSecondaryKeywords}`, 400);
+        }
+
+        const keywords = { targetKeyword, secondaryKeywords };
+        const before = analyzeSeo(content, keywords, this.seoConfig);
+
+        const completion = await this.providers.chat('creative', [
+            {
+                role: "system",
+                content: this.getSeoPrompt(keywords, before, brandProfile)
+            },
+            {
+                role: "user",
+                content: content
+            }
+        ], {
+            maxTokens: this.seoConfig.maxTokens,
+            temperature: 0.5,
+            signal: context.signal,
+            usage: context.usage
+        });
+
+        context.onProgress?.(80, 'Checking the rewrite');
+        const rewrite = this.parseSeoRewrite(completion.content);
+        const report = analyzeSeo(rewrite.text, { ...keywords, metaTitle: rewrite.metaTitle, metaDescription: rewrite.metaDescription }, this.seoConfig);
 
-        return response.data.choices[0].message.content;
+        return {
+            text: rewrite.text,
+            seo: {
+                targetKeyword: targetKeyword,
+                secondaryKeywords: secondaryKeywords,
+                meta: { title: rewrite.metaTitle, description: rewrite.metaDescription },
+                structuredData: buildJsonLd({
+                    title: rewrite.metaTitle,
+                    description: rewrite.metaDescription,
+                    keywords: [targetKeyword, ...secondaryKeywords],
+                    wordCount: report.wordCount,
+                    author: seo.author,
+                    publisher: seo.publisher,
+                    url: seo.url,
+                    image: seo.image,
+                    datePublished: seo.datePublished
+                }),
+                report: report,
+                before: { score: before.score, wordCount: before.wordCount, issues: before.issues }
+            }
+        };
+    }
+
+    getSeoPrompt({ targetKeyword, secondaryKeywords }, analysis, brandProfile = null) {
+        const { keywordDensity, metaTitleLength, metaDescriptionLength } = this.seoConfig;
+        const sections = [
+            `You are an SEO editor for blog posts. Rewrite the article so it ranks for the target keyword "${targetKeyword}" while reading naturally.`,
+            [
+                'Rules:',
+                '- One H1 title containing the target keyword, then H2 and H3 subheadings in order without skipping levels',
+                '- Use the target keyword in the first paragraph and in at least one subheading',
+                `- Keep the target keyword at ${keywordDensity.min}–${keywordDensity.max}% of words; never stuff it`,
+                '- Prefer short sentences and plain words',
+                '- Keep the facts, links and claims of the original; don\'t invent statistics'
+            ].join('\n')
+        ];
+
+        if (secondaryKeywords.length > 0) {
+            sections.push(`Work in these secondary keywords where they fit: ${secondaryKeywords.join(', ')}.`);
+        }
+        if (analysis.issues.length > 0) {
+            sections.push(`Fix these problems found in the draft:\n${analysis.issues.map(issue => `- ${issue.message}`).join('\n')}`);
+        }
+        if (brandProfile) {
+            sections.push(buildBrandInstructions(brandProfile));
+        }
+
+        sections.push([
+            'Reply in exactly this format:',
+            `Meta title: <${metaTitleLength.min}–${metaTitleLength.max} characters, including the target keyword>`,
+            `Meta description: <${metaDescriptionLength.min}–${metaDescriptionLength.max} characters, including the target keyword>`,
+            '',
+            '<the rewritten article in Markdown>'
+        ].join('\n'));
+
+        return sections.join('\n\n');
+    }
+
+    // Splits the meta lines off the rewrite. A model that skips them gets
+    // meta tags cut from the H1 and the first paragraph, which the report
+    // then judges like any others.
+    parseSeoRewrite(output) {
+        const metaLine = name => new RegExp(`^[ \\t*_]*Meta ${name}[ \\t*_]*:[ \\t*_]*(.*?)[ \\t*_]*$`, 'im');
+        const titleMatch = String(output).match(metaLine('title'));
+        const descriptionMatch = String(output).match(metaLine('description'));
+        const text = String(output)
+            .replace(metaLine('title'), '')
+            .replace(metaLine('description'), '')
+            .replace(/^\s*(?:---\s*\n)?/, '')
+            .trim();
+
+        const title = extractHeadings(text).find(heading => heading.level === 1);
+        const { metaTitleLength, metaDescriptionLength } = this.seoConfig;
+
+        return {
+            text: text,
+            metaTitle: titleMatch?.[1] || this.truncateAtWord(title ? title.text : '', metaTitleLength.max),
+            metaDescription: descriptionMatch?.[1] || this.truncateAtWord(extractFirstParagraph(text), metaDescriptionLength.max)
+        };
+    }
+
+    truncateAtWord(text, length) {
+        if (text.length <= length) {
+            return text;
+        }
+        const cut = text.slice(0, length - 1);
+        const lastSpace = cut.lastIndexOf(' ');
+        return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.-]+$/, '')}…`;
     }
 }
 
@@ -1,11 +1,44 @@
 const axios = require('axios');
+const EventEmitter = require('events');
 const SecurityManager = require('../../../security/encryption');
-
-class SyntheticIntelligenceOrchestrator {
-    constructor() {
+const TaskQueue = require('../../services/task-queue/task-queue');
+const WorkerPool = require('../../services/task-queue/worker-pool');
+const TaskScheduler = require('../../services/task-queue/scheduler');
+const RetryPolicy = require('../../services/task-queue/retry-policy');
+const ProviderRouter = require('../../services/providers/provider-router');
+const UsageMeter = require('../../services/costs/usage-meter');
+const ConversationService = require('../../services/conversations/conversation-service');
+const KnowledgeBaseService = require('../../services/knowledge/knowledge-base-service');
+const AssetService = require('../../services/assets/asset-service');
+const BrandProfileService = require('../../services/brand/brand-profile-service');
+const VariantFeedbackService = require('../../services/variants/variant-feedback-service');
+const WebSearchService = require('../../services/search/web-search');
+const aiConfig = require('../../../config/ai-config');
+
+// Emits task:queued, task:processing, task:progress, task:completed,
+// task:failed and task:cancelled with { taskId, userId, ... } payloads.
+class SyntheticIntelligenceOrchestrator extends EventEmitter {
+    constructor(options = {}) {
+        super();
         this.agents = new Map();
-        this.taskQueue = [];
+        this.poolConfig = { ...aiConfig.orchestrator, ...options.workerPool };
+        this.taskQueue = new TaskQueue(
+            options.queueStore,
+            new TaskScheduler(this.poolConfig.scheduling)
+        );
+        this.retryPolicy = new RetryPolicy(this.poolConfig.retries);
+        this.runningTasks = new Map(); // taskId -> AbortController
+        this.streamingAgents = ['research', 'creative', 'coding'];
         this.securityManager = new SecurityManager();
+        this.providers = options.providers || new ProviderRouter();
+        this.conversations = options.conversations || new ConversationService();
+        this.knowledge = options.knowledge || new KnowledgeBaseService({
+            providers: this.providers,
+            recordCosts: (owner, usage) => this.recordTaskCosts(owner, usage)
+        });
+        this.assets = options.assets || new AssetService();
+        this.brandProfiles = options.brandProfiles || new BrandProfileService();
+        this.variantFeedback = options.variantFeedback || new VariantFeedbackService();
         this.taskLimits = {
             'free': {
                 text: 5, image: 1, code: 1, research: 1, analysis: 1, voice: 0
@@ -23,23 +56,118 @@ class SyntheticIntelligenceOrchestrator {
         
         this.initAgents();
         this.startTaskProcessor();
+        this.ready = this.resumeInterruptedTasks();
     }
 
     initAgents() {
         const ResearchAgent = require('../research-agent/research');
         const CreativeAgent = require('../creative-agent/content-generator');
         const CodingAgent = require('../coding-agent/code-generator');
-        const AnalysisAgent = require('../analysis-agent/data-analyzer');
+        const AnalysisAgent = require('../analyst-agent/data-analyzer');
         const VoiceAgent = require('../voice-agent/text-to-speech');
 
-        this.agents.set('research', new ResearchAgent());
-        this.agents.set('creative', new CreativeAgent());
-        this.agents.set('coding', new CodingAgent());
-        this.agents.set('analysis', new AnalysisAgent());
-        this.agents.set('voice', new VoiceAgent());
+        // Agents share one router so a vendor outage seen by one steers the others
+        const agentOptions = {
+            providers: this.providers,
+            knowledge: this.knowledge,
+            assets: this.assets,
+            brandProfiles: this.brandProfiles,
+            variantFeedback: this.variantFeedback
+        };
+
+        this.agents.set('research', new ResearchAgent(agentOptions));
+        this.agents.set('creative', new CreativeAgent(agentOptions));
+        this.agents.set('coding', new CodingAgent(agentOptions));
+        this.agents.set('analysis', new AnalysisAgent(agentOptions));
+        this.agents.set('voice', new VoiceAgent(agentOptions));
     }
 
     async processTask(task, user) {
+        const userTier = await this.admitTask(task, user);
+        await this.checkQueueCapacity();
+
+        const queuedTask = this.createQueuedTask(task, user, userTier);
+
+        await this.taskQueue.enqueue(queuedTask);
+        this.workerPool.notify();
+        
+        // Record task usage
+        await this.recordTaskUsage(user.id, userTier, task.type, queuedTask.id, this.getTaskUnits(task));
+
+        const position = await this.taskQueue.getPosition(queuedTask.id);
+
+        this.emitTaskEvent('queued', queuedTask, { position: position });
+
+        return {
+            taskId: queuedTask.id,
+            status: 'queued',
+            position: position,
+            estimatedWait: this.estimateWaitTime(position)
+        };
+    }
+
+    // Runs a task immediately instead of queueing it, passing generated text
+    // to handlers.onToken as it arrives. Aborting handlers.signal (e.g. the
+    // client disconnecting) cancels the task like a user cancellation.
+    async streamTask(task, user, handlers = {}) {
+        if (!this.streamingAgents.includes(task.agentType)) {
+            throw this.createStatusError(`Streaming is not supported for the ${task.agentType} agent`, 400);
+        }
+
+        const userTier = await this.admitTask(task, user);
+        await this.checkQueueCapacity();
+
+        const queuedTask = this.createQueuedTask(task, user, userTier);
+        queuedTask.status = 'processing';
+        queuedTask.attempts = 1;
+        queuedTask.startedAt = new Date();
+
+        // Streamed tasks skip the queue but not the pool's concurrency caps
+        const execution = this.workerPool.runInline(queuedTask, async () => {
+            await this.recordTaskUsage(user.id, userTier, task.type, queuedTask.id, this.getTaskUnits(task));
+            handlers.onStart?.(queuedTask.id);
+
+            return await this.runTask(queuedTask, {
+                signal: handlers.signal,
+                onToken: handlers.onToken,
+                onProgress: handlers.onProgress
+            });
+        });
+
+        if (!execution) {
+            const error = new Error(`Too many ${task.agentType} tasks are running. Please try again shortly, or send the request without streaming to queue it.`);
+            error.code = 'WORKERS_BUSY';
+            error.status = 503;
+            throw error;
+        }
+
+        try {
+            const result = await execution;
+
+            return { taskId: queuedTask.id, result };
+        } catch (failure) {
+            // Tokens have already been sent, so streamed tasks are never retried
+            if (failure.code === 'TASK_CANCELLED') {
+                await this.markTaskCancelled(queuedTask);
+            } else {
+                await this.markTaskFailed(queuedTask, failure, 1);
+            }
+            throw failure;
+        }
+    }
+
+    // Back-pressure: refuse new work rather than letting the queue grow unbounded
+    async checkQueueCapacity() {
+        const queueStats = await this.taskQueue.getStats();
+        if (queueStats.queued >= this.poolConfig.maxQueueLength) {
+            const error = new Error('Task queue is full. Please try again shortly.');
+            error.code = 'QUEUE_FULL';
+            error.status = 503;
+            throw error;
+        }
+    }
+
+    async admitTask(task, user) {
         const userTier = user.subscriptionTier || 'free';
         
         // Validate task
@@ -49,35 +177,43 @@ class SyntheticIntelligenceOrchestrator {
         }
 
         // Check daily task limit
-        if (!await this.canProcessTask(user.id, userTier, task.type)) {
+        if (!await this.canProcessTask(user.id, userTier, task.type, this.getTaskUnits(task))) {
             throw new Error(`Daily ${task.type} task limit reached for ${userTier} tier.`);
         }
 
-        // Encrypt sensitive task data
-        const encryptedTask = this.encryptTaskData(task);
+        // Turns can only be added to the user's own threads, and retrieval
+        // only reads the user's own knowledge bases
+        if (task.conversationId) {
+            await this.conversations.getConversation(task.conversationId, user.id);
+        }
+        if (task.knowledgeBaseId) {
+            await this.knowledge.getKnowledgeBase(task.knowledgeBaseId, user.id);
+        }
 
-        // Queue the task
-        const queuedTask = {
+        // Creative text follows the named brand profile or the default one
+        // in scope. It's settled here, where the user's organization is
+        // known, and the agent only loads it by id.
+        if (task.agentType === 'creative' && !task.image) {
+            const profile = await this.brandProfiles.resolveProfile(user, task.brandProfileId);
+            task.brandProfileId = profile ? profile.id : null;
+        }
+
+        return userTier;
+    }
+
+    createQueuedTask(task, user, userTier) {
+        return {
             id: this.generateTaskId(),
             userId: user.id,
             userTier: userTier,
-            task: encryptedTask,
+            // Encrypt sensitive task data
+            task: this.encryptTaskData(task),
             type: task.type,
+            agentType: task.agentType,
             status: 'queued',
+            attempts: 0,
             createdAt: new Date()
         };
-
-        this.taskQueue.push(queuedTask);
-        
-        // Record task usage
-        await this.recordTaskUsage(user.id, userTier, task.type);
-
-        return {
-            taskId: queuedTask.id,
-            status: 'queued',
-            position: this.taskQueue.length,
-            estimatedWait: this.estimateWaitTime()
-        };
     }
 
     async validateTask(task, user, userTier) {
@@ -89,8 +225,11 @@ class SyntheticIntelligenceOrchestrator {
             };
         }
 
-        // Validate task structure
-        if (!task.type || !task.prompt) {
+        // Validate task structure (voice tasks carry their input as text,
+        // analysis tasks as inline data or an uploaded dataset, image edits
+        // as an uploaded image)
+        const content = task.prompt || task.text;
+        if (!task.type || !(content || task.data || task.dataset || task.image)) {
             return {
                 valid: false,
                 error: 'Task must include type and prompt'
@@ -98,16 +237,43 @@ class SyntheticIntelligenceOrchestrator {
         }
 
         // Check for inappropriate content
-        if (this.containsInappropriateContent(task.prompt)) {
+        if (content && this.containsInappropriateContent(content)) {
             return {
                 valid: false,
                 error: 'Task contains inappropriate content'
             };
         }
 
+        // Variant sets are charged per draft, so the count is checked before admission
+        const maxVariants = aiConfig.variants.maxCount;
+        const variants = task.options?.variants;
+        const asksForVariants = task.agentType === 'creative' && !task.image && variants !== undefined && variants !== null;
+        if (asksForVariants && !(Number.isInteger(Number(variants)) && variants >= 2 && variants <= maxVariants)) {
+            return {
+                valid: false,
+                error: `variants must be between 2 and ${maxVariants}`
+            };
+        }
+
+        // Search filters too, rather than failing once the task runs
+        if (task.agentType === 'research' && task.options) {
+            try {
+                WebSearchService.checkOptions(task.options);
+            } catch (error) {
+                return { valid: false, error: error.message };
+            }
+        }
+
         return { valid: true };
     }
 
+    // How many tasks this counts as against the daily limit. Each draft of
+    // a creative variant set is a model call of its own.
+    getTaskUnits(task) {
+        const variants = parseInt(task.options?.variants, 10);
+        return task.agentType === 'creative' && !task.image && variants > 1 ? variants : 1;
+    }
+
     validateAgentAccess(userTier, agentType) {
         const tierAccess = {
             'free': ['research', 'creative', 'coding', 'analysis'],
@@ -119,20 +285,22 @@ class SyntheticIntelligenceOrchestrator {
         return tierAccess[userTier]?.includes(agentType) || false;
     }
 
-    async canProcessTask(userId, userTier, taskType) {
+    async canProcessTask(userId, userTier, taskType, units = 1) {
         const limits = this.taskLimits[userTier];
         if (limits[taskType] === -1) return true; // unlimited
         
         const todayTasks = await this.getTodayTaskCount(userId, taskType);
-        return todayTasks < limits[taskType];
+        return todayTasks + units <= limits[taskType];
     }
 
+    // Usage rows are written on admission, one per unit charged, and
+    // deleted when a task is refunded
     async getTodayTaskCount(userId, taskType) {
         const db = require('../../services/database/mysql-connector');
         
         try {
             const [rows] = await db.execute(
-                `SELECT COUNT(*) as count FROM tasks 
+                `SELECT COUNT(*) as count FROM task_usage 
                  WHERE user_id = ? AND task_type = ? 
                  AND DATE(created_at) = CURDATE()`,
                 [userId, taskType]
@@ -148,11 +316,23 @@ class SyntheticIntelligenceOrchestrator {
     encryptTaskData(task) {
         return {
             ...task,
-            prompt: this.securityManager.encrypt(task.prompt),
+            prompt: task.prompt ? this.securityManager.encrypt(task.prompt) : task.prompt,
             sensitiveData: task.sensitiveData ? this.securityManager.encrypt(JSON.stringify(task.sensitiveData)) : null
         };
     }
 
+    decryptTaskData(encryptedTask) {
+        return {
+            ...encryptedTask,
+            prompt: typeof encryptedTask.prompt === 'object' && encryptedTask.prompt
+                ? this.securityManager.decrypt(encryptedTask.prompt)
+                : encryptedTask.prompt,
+            sensitiveData: encryptedTask.sensitiveData
+                ? JSON.parse(this.securityManager.decrypt(encryptedTask.sensitiveData))
+                : undefined
+        };
+    }
+
     decryptTaskResult(encryptedResult) {
         return {
             ...encryptedResult,
@@ -176,35 +356,108 @@ class SyntheticIntelligenceOrchestrator {
         return `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
-    estimateWaitTime() {
+    // Tasks ahead of this position are handed out maxConcurrency at a time
+    estimateWaitTime(position) {
         const avgProcessingTime = 5000; // 5 seconds average
-        return this.taskQueue.length * avgProcessingTime;
+        return Math.ceil(position / this.poolConfig.maxConcurrency) * avgProcessingTime;
     }
 
-    async recordTaskUsage(userId, userTier, taskType) {
+    async recordTaskUsage(userId, userTier, taskType, taskId = null, units = 1) {
         const db = require('../../services/database/mysql-connector');
         
         try {
             await db.execute(
-                `INSERT INTO task_usage (user_id, tier, task_type, created_at) 
-                 VALUES (?, ?, ?, NOW())`,
-                [userId, userTier, taskType]
+                `INSERT INTO task_usage (user_id, task_id, tier, task_type, created_at) 
+                 VALUES ${Array(units).fill('(?, ?, ?, ?, NOW())').join(', ')}`,
+                Array(units).fill([userId, taskId, userTier, taskType]).flat()
             );
         } catch (error) {
             console.error('Error recording task usage:', error);
         }
     }
 
+    async refundTaskUsage(taskId) {
+        const db = require('../../services/database/mysql-connector');
+        
+        try {
+            const [result] = await db.execute(
+                'DELETE FROM task_usage WHERE task_id = ?',
+                [taskId]
+            );
+            
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error refunding task usage:', error);
+            return false;
+        }
+    }
+
     startTaskProcessor() {
-        setInterval(async () => {
-            if (this.taskQueue.length > 0) {
-                const task = this.taskQueue.shift();
-                await this.processQueuedTask(task);
+        this.workerPool = new WorkerPool(this.poolConfig, {
+            claim: (canRun) => this.taskQueue.claimNext(canRun),
+            run: (task) => this.processQueuedTask(task)
+        });
+
+        this.workerPool.start();
+    }
+
+    // Picks up tasks that were processing when the previous process stopped
+    async resumeInterruptedTasks() {
+        try {
+            const interrupted = await this.taskQueue.recover();
+
+            for (const task of interrupted) {
+                // Tasks that were running each time the process went down are
+                // the likely cause, so they stop being resumed
+                const agentType = task.agentType || task.task.agentType;
+                if (task.attempts > this.retryPolicy.getPolicy(agentType).maxAttempts) {
+                    const error = new Error(`Task was interrupted by a restart on each of its ${task.attempts - 1} attempts`);
+                    error.code = 'TASK_INTERRUPTED';
+                    await this.markTaskFailed(task, error, task.attempts - 1);
+                    await this.taskQueue.deadLetter(task.id, error.message);
+                    continue;
+                }
+
+                // Resumed tasks go through the pool so they count against its limits
+                console.log(`Resuming interrupted task ${task.id} (attempt ${task.attempts})`);
+                this.workerPool.launch(task);
             }
-        }, 1000); // Process one task per second
+        } catch (error) {
+            console.error('Error resuming interrupted tasks:', error);
+        }
+    }
+
+    async shutdown() {
+        // Queued tasks stay in storage and are picked up on the next start
+        await this.workerPool.stop();
+        await this.ready;
     }
 
     async processQueuedTask(queuedTask) {
+        try {
+            await this.runTask(queuedTask);
+            await this.taskQueue.complete(queuedTask.id);
+        } catch (failure) {
+            if (failure.code === 'TASK_CANCELLED') {
+                await this.markTaskCancelled(queuedTask);
+            } else {
+                await this.handleTaskFailure(queuedTask, failure);
+            }
+        }
+    }
+
+    // Executes a task under its timeout and cancellation controller and
+    // stores the result. Rejects with the abort reason when aborted.
+    async runTask(queuedTask, context = {}) {
+        const controller = new AbortController();
+        const timeout = this.getTaskTimeout(queuedTask);
+        const timer = setTimeout(() => controller.abort(this.createTimeoutError(timeout)), timeout);
+        const onAbort = () => controller.abort(this.createCancelError());
+        const usage = new UsageMeter();
+
+        this.runningTasks.set(queuedTask.id, controller);
+        context.signal?.addEventListener('abort', onAbort, { once: true });
+
         try {
             queuedTask.status = 'processing';
             
@@ -213,24 +466,265 @@ class SyntheticIntelligenceOrchestrator {
                 throw new Error(`Unknown agent type: ${queuedTask.task.agentType}`);
             }
 
-            const result = await agent.execute(queuedTask.task);
-            
-            // Store result
-            await this.storeTaskResult(queuedTask, result);
+            this.emitTaskEvent('processing', queuedTask, { attempt: queuedTask.attempts });
+
+            const task = this.decryptTaskData(queuedTask.task);
+            const history = task.conversationId
+                ? await this.conversations.getHistory(task.conversationId, task.agentType)
+                : [];
+
+            const result = await this.executeAgent(agent, task, {
+                signal: controller.signal,
+                taskId: queuedTask.id,
+                userId: queuedTask.userId,
+                userTier: queuedTask.userTier,
+                usage: usage,
+                history: history,
+                onToken: context.onToken,
+                onProgress: (progress, message) => {
+                    this.emitTaskEvent('progress', queuedTask, { progress, message });
+                    context.onProgress?.(progress, message);
+                }
+            });
+
+            // Agents report provider failures in the result rather than throwing
+            if (result && result.success === false) {
+                throw this.createAgentError(result);
+            }
             
             // Update task status
             queuedTask.status = 'completed';
             queuedTask.completedAt = new Date();
             
+            // Store result
+            await this.storeTaskResult(queuedTask, result);
+
+            if (task.conversationId) {
+                await this.recordConversationTurn(queuedTask, task, result);
+            }
+
+            this.emitTaskEvent('completed', queuedTask, { result });
+
+            return result;
         } catch (error) {
-            console.error(`Task ${queuedTask.id} failed:`, error);
-            queuedTask.status = 'failed';
-            queuedTask.error = error.message;
-            
-            await this.storeTaskResult(queuedTask, { error: error.message });
+            // Agents surface aborts as provider errors; report the real reason
+            throw controller.signal.aborted ? controller.signal.reason : error;
+        } finally {
+            clearTimeout(timer);
+            this.runningTasks.delete(queuedTask.id);
+            context.signal?.removeEventListener('abort', onAbort);
+
+            // Provider spend counts whether or not the attempt succeeded
+            await this.recordTaskCosts(queuedTask, usage);
+        }
+    }
+
+    // A thread that fails to update must not fail a task that has completed
+    async recordConversationTurn(queuedTask, task, result) {
+        try {
+            await this.conversations.addTurn(task.conversationId, {
+                prompt: task.prompt || task.text,
+                result: result,
+                agentType: task.agentType,
+                taskId: queuedTask.id
+            });
+        } catch (error) {
+            console.error('Error recording conversation turn:', error);
+        }
+    }
+
+    async recordTaskCosts(queuedTask, usage) {
+        const entries = usage.getEntries();
+        if (entries.length === 0) return;
+
+        const db = require('../../services/database/mysql-connector');
+        const agentType = queuedTask.agentType || queuedTask.task.agentType;
+
+        try {
+            await db.execute(
+                `INSERT INTO task_costs 
+                 (task_id, user_id, user_tier, agent_type, provider, model, capability,
+                  prompt_tokens, completion_tokens, images, characters, audio_seconds, cost_usd) 
+                 VALUES ${entries.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+                entries.flatMap(entry => [
+                    queuedTask.id,
+                    queuedTask.userId,
+                    queuedTask.userTier,
+                    agentType,
+                    entry.provider,
+                    entry.model,
+                    entry.capability,
+                    entry.promptTokens,
+                    entry.completionTokens,
+                    entry.images,
+                    entry.characters,
+                    entry.audioSeconds,
+                    entry.cost
+                ])
+            );
+        } catch (error) {
+            console.error('Error recording task costs:', error);
+        }
+    }
+
+    // Agents receive the signal to abort their HTTP calls; the race also
+    // frees the worker when a provider client ignores it.
+    executeAgent(agent, task, context) {
+        const { signal } = context;
+
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) {
+                return reject(signal.reason);
+            }
+
+            signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+            agent.execute(task, context).then(resolve, reject);
+        });
+    }
+
+    emitTaskEvent(event, queuedTask, details = {}) {
+        const { workflowRunId, workflowStepId } = queuedTask.task;
+
+        this.emit(`task:${event}`, {
+            taskId: queuedTask.id,
+            userId: queuedTask.userId,
+            type: queuedTask.type,
+            agentType: queuedTask.agentType || queuedTask.task.agentType,
+            // Lets the workflow engine route events for tasks it launched
+            ...(workflowRunId && { workflowRunId, workflowStepId }),
+            ...details
+        });
+    }
+
+    getTaskTimeout(queuedTask) {
+        const timeouts = this.poolConfig.timeouts || {};
+        const agentType = queuedTask.agentType || queuedTask.task.agentType;
+
+        return timeouts[queuedTask.type] || timeouts[agentType] || timeouts.default || 60000;
+    }
+
+    createCancelError() {
+        const error = new Error('Task cancelled by user');
+        error.code = 'TASK_CANCELLED';
+        return error;
+    }
+
+    createTimeoutError(timeout) {
+        const error = new Error(`Task timed out after ${timeout}ms`);
+        error.code = 'ETIMEDOUT';
+        return error;
+    }
+
+    async cancelTask(taskId, userId) {
+        const queuedTask = await this.taskQueue.get(taskId);
+
+        if (!queuedTask) {
+            const storedTask = await this.getTaskStatus(taskId);
+            if (!storedTask) {
+                throw this.createStatusError('Task not found', 404);
+            }
+            if (storedTask.user_id !== userId) {
+                throw this.createStatusError('Access denied to this task', 403);
+            }
+            throw this.createStatusError(`Task is already ${storedTask.status}`, 409);
+        }
+
+        if (queuedTask.userId !== userId) {
+            throw this.createStatusError('Access denied to this task', 403);
+        }
+
+        // Running: abort it; whoever is running the task records the cancellation
+        const controller = this.runningTasks.get(taskId);
+        if (controller) {
+            controller.abort(this.createCancelError());
+
+            return { taskId, status: 'cancelling', refunded: false };
+        }
+
+        if (queuedTask.status === 'processing') {
+            throw this.createStatusError('Task is starting, please try again', 409);
+        }
+
+        // Not started yet (or waiting on a retry backoff)
+        await this.markTaskCancelled(queuedTask);
+        const refunded = queuedTask.attempts === 0 ? await this.refundTaskUsage(taskId) : false;
+
+        return { taskId, status: 'cancelled', refunded };
+    }
+
+    async markTaskCancelled(queuedTask) {
+        queuedTask.status = 'cancelled';
+        queuedTask.completedAt = new Date();
+
+        await this.taskQueue.complete(queuedTask.id);
+        await this.storeTaskResult(queuedTask, { cancelled: true });
+        this.emitTaskEvent('cancelled', queuedTask);
+    }
+
+    createStatusError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    createAgentError(result) {
+        const error = new Error(result.error || 'Agent execution failed');
+        error.statusCode = result.statusCode;
+        error.code = result.errorCode;
+        return error;
+    }
+
+    async handleTaskFailure(queuedTask, error) {
+        const agentType = queuedTask.agentType || queuedTask.task.agentType;
+        const attempts = queuedTask.attempts || 1;
+
+        if (this.retryPolicy.shouldRetry(error, attempts, agentType)) {
+            const delay = this.retryPolicy.getDelay(attempts, agentType);
+            console.warn(`Task ${queuedTask.id} failed (attempt ${attempts}), retrying in ${delay}ms:`, error.message);
+
+            await this.taskQueue.scheduleRetry(queuedTask.id, delay, error.message);
+            this.emitTaskEvent('queued', queuedTask, { retry: true, retryIn: delay, error: error.message });
+            return;
+        }
+
+        await this.markTaskFailed(queuedTask, error, attempts);
+
+        // Transient failures that ran out of attempts are kept for admins to inspect
+        if (this.retryPolicy.isExhausted(error, attempts, agentType)) {
+            await this.taskQueue.deadLetter(queuedTask.id, error.message);
+        } else {
+            await this.taskQueue.complete(queuedTask.id);
         }
     }
 
+    async markTaskFailed(queuedTask, error, attempts) {
+        console.error(`Task ${queuedTask.id} failed:`, error);
+        queuedTask.status = 'failed';
+        queuedTask.error = error.message;
+        queuedTask.completedAt = new Date();
+        
+        await this.storeTaskResult(queuedTask, { error: error.message, attempts: attempts });
+        this.emitTaskEvent('failed', queuedTask, { error: error.message, attempts: attempts });
+    }
+
+    async listDeadLetterTasks(limit = 50, offset = 0) {
+        const tasks = await this.taskQueue.getDeadLetters();
+        return tasks.slice(offset, offset + limit);
+    }
+
+    async getDeadLetterTask(taskId) {
+        const task = await this.taskQueue.get(taskId);
+        return task && task.status === 'dead_letter' ? task : null;
+    }
+
+    async requeueDeadLetterTask(taskId) {
+        const task = await this.taskQueue.requeue(taskId);
+        if (task) {
+            this.workerPool.notify();
+        }
+        return task;
+    }
+
     async storeTaskResult(task, result) {
         const db = require('../../services/database/mysql-connector');
         
@@ -238,7 +732,11 @@ class SyntheticIntelligenceOrchestrator {
             await db.execute(
                 `INSERT INTO tasks 
                  (id, user_id, task_type, task_data, result_data, status, created_at, completed_at) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE 
+                    result_data = VALUES(result_data), 
+                    status = VALUES(status), 
+                    completed_at = VALUES(completed_at)`,
                 [
                     task.id,
                     task.userId,
@@ -271,6 +769,17 @@ class SyntheticIntelligenceOrchestrator {
         }
     }
 
+    // Current status of a task whether it is still queued or already stored
+    async getTaskState(taskId) {
+        const queuedTask = await this.taskQueue.get(taskId);
+        if (queuedTask) {
+            return { id: queuedTask.id, userId: queuedTask.userId, status: queuedTask.status };
+        }
+
+        const storedTask = await this.getTaskStatus(taskId);
+        return storedTask ? { id: storedTask.id, userId: storedTask.user_id, status: storedTask.status } : null;
+    }
+
     async getUserTasks(userId, limit = 10) {
         const db = require('../../services/database/mysql-connector');
         
@@ -287,12 +796,15 @@ class SyntheticIntelligenceOrchestrator {
         }
     }
 
-    getQueueStats() {
+    async getQueueStats() {
+        const stats = await this.taskQueue.getStats();
+
         return {
-            queueLength: this.taskQueue.length,
-            processing: this.taskQueue.filter(t => t.status === 'processing').length,
-            waiting: this.taskQueue.filter(t => t.status === 'queued').length,
-            estimatedWait: this.estimateWaitTime()
+            queueLength: stats.queued + stats.processing,
+            processing: stats.processing,
+            waiting: stats.queued,
+            estimatedWait: this.estimateWaitTime(stats.queued),
+            workers: this.workerPool.getStats()
         };
     }
 }
@@ -1,35 +1,62 @@
 const axios = require('axios');
+const ProviderRouter = require('../../services/providers/provider-router');
+const KnowledgeBaseService = require('../../services/knowledge/knowledge-base-service');
+const WebSearchService = require('../../services/search/web-search');
+const { CITATION_INSTRUCTIONS, formatKnowledgeExcerpts, extractCitations } = require('../../services/knowledge/knowledge-citations');
+const { SOURCE_CITATION_INSTRUCTIONS, checkGrounding, buildReferences } = require('../../services/citations/source-grounding');
+const aiConfig = require('../../../config/ai-config');
 
 class ResearchAgent {
-    constructor() {
-        this.openaiApiKey = process.env.OPENAI_API_KEY;
-        this.serpApiKey = process.env.SERP_API_KEY;
+    constructor(options = {}) {
+        this.providers = options.providers || new ProviderRouter();
+        this.knowledge = options.knowledge;
+        this.search = options.search || new WebSearchService();
+        this.grounding = options.grounding || aiConfig.agents.research.grounding;
         this.baseConfig = {
             maxTokens: 4000,
-            temperature: 0.7,
-            model: "gpt-4"
+            temperature: 0.7
         };
     }
 
-    async execute(task) {
+    async execute(task, context = {}) {
         const { prompt, options = {} } = task;
         
         try {
+            // Excerpts from the user's own documents, when a knowledge base is named
+            let knowledge = [];
+            if (task.knowledgeBaseId) {
+                context.onProgress?.(5, 'Searching the knowledge base');
+                knowledge = await this.getKnowledgeBases().retrieve(task.knowledgeBaseId, context.userId, prompt, context);
+            }
+
             // Perform web search if needed
             let searchResults = [];
             if (options.includeWebSearch) {
-                searchResults = await this.performWebSearch(prompt);
+                context.onProgress?.(10, 'Searching the web');
+                searchResults = await this.performWebSearch(prompt, context, options);
             }
 
+            context.onProgress?.(40, 'Writing research report');
+
             // Generate research content
-            const researchContent = await this.generateResearchContent(prompt, searchResults, options);
+            const researchContent = await this.generateResearchContent(prompt, searchResults, options, context, knowledge);
+            const timestamp = new Date().toISOString();
+
+            context.onProgress?.(90, 'Checking citations against sources');
+            const grounding = this.checkSources(researchContent, searchResults, knowledge);
 
             return {
                 success: true,
                 content: researchContent,
                 sources: searchResults,
+                ...buildReferences(researchContent, searchResults, grounding, timestamp),
+                grounding: grounding,
+                ...(task.knowledgeBaseId && {
+                    knowledgeBaseId: task.knowledgeBaseId,
+                    citations: extractCitations(researchContent, knowledge)
+                }),
                 wordCount: researchContent.length,
-                timestamp: new Date().toISOString()
+                timestamp: timestamp
             };
 
         } catch (error) {
@@ -37,74 +64,90 @@ class ResearchAgent {
             return {
                 success: false,
                 error: error.message,
+                statusCode: error.status || error.response?.status,
+                errorCode: error.code,
                 content: null
             };
         }
     }
 
-    async performWebSearch(query) {
+    // Search filters (searchProvider, numResults, timeRange, includeDomains,
+    // excludeDomains, fetchPages) come from the task options
+    async performWebSearch(query, context = {}, options = {}) {
         try {
-            const response = await axios.get('https://serpapi.com/search', {
-                params: {
-                    q: query,
-                    api_key: this.serpApiKey,
-                    engine: 'google',
-                    num: 5
-                }
-            });
-
-            return response.data.organic_results?.map(result => ({
-                title: result.title,
-                link: result.link,
-                snippet: result.snippet
-            })) || [];
+            return await this.search.search(query, options, context);
 
         } catch (error) {
+            // Cancellation must stop the task, not degrade to "no results",
+            // and invalid filters are the caller's to fix
+            if (axios.isCancel(error) || context.signal?.aborted || error.status === 400) throw error;
+
             console.error('Web search failed:', error);
             return [];
         }
     }
 
-    async generateResearchContent(prompt, searchResults, options) {
-        const context = this.buildResearchContext(prompt, searchResults);
+    // Flags statements the sources given to the model don't support. Null
+    // when there were no sources to check against.
+    checkSources(content, searchResults, knowledge = []) {
+        const sources = [
+            ...searchResults.map((result, index) => ({ marker: String(index + 1), text: result.content || result.snippet })),
+            ...knowledge.map((chunk, index) => ({ marker: `K${index + 1}`, text: chunk.content }))
+        ];
+
+        return sources.length > 0 ? checkGrounding(content, sources, this.grounding) : null;
+    }
+
+    async generateResearchContent(prompt, searchResults, options, context = {}, knowledge = []) {
+        const researchContext = this.buildResearchContext(prompt, searchResults, knowledge);
+        let systemPrompt = "You are a research assistant. Provide comprehensive, well-structured research based on the given prompt and available sources. Include citations where appropriate.";
+
+        if (searchResults.length > 0) {
+            systemPrompt += ` ${SOURCE_CITATION_INSTRUCTIONS}`;
+        }
+        if (knowledge.length > 0) {
+            systemPrompt += ` ${CITATION_INSTRUCTIONS}`;
+        }
         
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+        const completion = await this.providers.chat('research', [
             {
-                model: this.baseConfig.model,
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a research assistant. Provide comprehensive, well-structured research based on the given prompt and available sources. Include citations where appropriate."
-                    },
-                    {
-                        role: "user",
-                        content: context
-                    }
-                ],
-                max_tokens: this.baseConfig.maxTokens,
-                temperature: this.baseConfig.temperature
+                role: "system",
+                content: systemPrompt
             },
+            ...(context.history || []),
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: researchContext
             }
-        );
-
-        return response.data.choices[0].message.content;
+        ], {
+            maxTokens: this.baseConfig.maxTokens,
+            temperature: this.baseConfig.temperature,
+            signal: context.signal,
+            usage: context.usage,
+            onToken: context.onToken
+        });
+
+        return completion.content;
     }
 
-    buildResearchContext(prompt, searchResults) {
+    buildResearchContext(prompt, searchResults, knowledge = []) {
         let context = `Research Topic: ${prompt}\n\n`;
 
+        if (knowledge.length > 0) {
+            context += `Knowledge Base Excerpts:\n${formatKnowledgeExcerpts(knowledge)}\n\n`;
+        }
+
         if (searchResults.length > 0) {
             context += "Available Sources:\n";
             searchResults.forEach((result, index) => {
-                context += `${index + 1}. ${result.title}\n`;
+                context += `[${index + 1}] ${result.title}\n`;
                 context += `   URL: ${result.link}\n`;
-                context += `   Summary: ${result.snippet}\n\n`;
+                if (result.publishedAt) {
+                    context += `   Published: ${result.publishedAt}\n`;
+                }
+                context += result.content
+                    ? `   Content:\n${result.content}\n\n`
+                    : `   Summary: ${result.snippet}\n\n`;
             });
         }
 
@@ -113,62 +156,43 @@ class ResearchAgent {
         return context;
     }
 
+    // Created on first use so agents that never see a knowledge base task
+    // don't open the knowledge store
+    getKnowledgeBases() {
+        if (!this.knowledge) {
+            this.knowledge = new KnowledgeBaseService({ providers: this.providers });
+        }
+        return this.knowledge;
+    }
+
     async summarizeContent(content, maxLength = 500) {
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+        const completion = await this.providers.chat('research', [
             {
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a summarization expert. Create concise summaries while preserving key information."
-                    },
-                    {
-                        role: "user",
-                        content: `Please summarize the following content in under ${maxLength} words:\n\n${content}`
-                    }
-                ],
-                max_tokens: 300,
-                temperature: 0.3
+                role: "system",
+                content: "You are a summarization expert. Create concise summaries while preserving key information."
             },
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: `Please summarize the following content in under ${maxLength} words:\n\n${content}`
             }
-        );
+        ], { maxTokens: 300, temperature: 0.3 });
 
-        return response.data.choices[0].message.content;
+        return completion.content;
     }
 
     async extractKeyPoints(content) {
-        const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
+        const completion = await this.providers.chat('research', [
             {
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: "Extract the key points from the provided content. Return as a bulleted list."
-                    },
-                    {
-                        role: "user",
-                        content: content
-                    }
-                ],
-                max_tokens: 500,
-                temperature: 0.3
+                role: "system",
+                content: "Extract the key points from the provided content. Return as a bulleted list."
             },
             {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                }
+                role: "user",
+                content: content
             }
-        );
+        ], { maxTokens: 500, temperature: 0.3 });
 
-        return response.data.choices[0].message.content;
+        return completion.content;
     }
 }
 
@@ -1,11 +1,9 @@
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
+const ProviderRouter = require('../../services/providers/provider-router');
 
 class VoiceAgent {
-    constructor() {
-        this.openaiApiKey = process.env.OPENAI_API_KEY;
-        this.elevenLabsApiKey = process.env.ELEVEN_LABS_API_KEY;
+    constructor(options = {}) {
+        this.providers = options.providers || new ProviderRouter();
+        this.assets = options.assets;
         this.voices = {
             'male': 'VR6AewLTigWG4xSOukaG',
             'female': 'EXAVITQu4vr4xnSDxMaL',
@@ -13,23 +11,18 @@ class VoiceAgent {
         };
     }
 
-    async execute(task) {
+    async execute(task, context = {}) {
         const { text, voiceType = 'neutral', options = {} } = task;
         
         try {
-            let audioData;
-
-            // Use ElevenLabs for high-quality voice generation
-            if (this.elevenLabsApiKey) {
-                audioData = await this.generateWithElevenLabs(text, voiceType, options);
-            } else {
-                // Fallback to OpenAI TTS
-                audioData = await this.generateWithOpenAI(text, options);
-            }
+            context.onProgress?.(10, 'Synthesizing speech');
+
+            // ElevenLabs for high-quality voices, falling back to OpenAI TTS
+            const audioData = await this.synthesize(text, voiceType, options, context);
 
             return {
                 success: true,
-                audio: audioData,
+                audio: await this.storeAudio(audioData, context),
                 voiceType: voiceType,
                 duration: this.estimateDuration(text),
                 timestamp: new Date().toISOString()
@@ -40,62 +33,25 @@ class VoiceAgent {
             return {
                 success: false,
                 error: error.message,
+                statusCode: error.status || error.response?.status,
+                errorCode: error.code,
                 audio: null
             };
         }
     }
 
-    async generateWithElevenLabs(text, voiceType, options) {
-        const voiceId = this.voices[voiceType] || this.voices.neutral;
-        
-        const response = await axios.post(
-            `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`,
-            {
-                text: text,
-                model_id: "eleven_monolingual_v1",
-                voice_settings: {
-                    stability: options.stability || 0.5,
-                    similarity_boost: options.similarity || 0.5
-                }
-            },
-            {
-                headers: {
-                    'xi-api-key': this.elevenLabsApiKey,
-                    'Content-Type': 'application/json'
-                },
-                responseType: 'arraybuffer'
-            }
-        );
+    async synthesize(text, voiceType, options, context = {}) {
+        const speech = await this.providers.textToSpeech('voice', text, {
+            ...options,
+            voiceType: voiceType,
+            signal: context.signal,
+            usage: context.usage
+        });
 
         return {
-            base64: Buffer.from(response.data).toString('base64'),
-            format: 'mp3',
-            provider: 'elevenlabs'
-        };
-    }
-
-    async generateWithOpenAI(text, options) {
-        const response = await axios.post(
-            'https://api.openai.com/v1/audio/speech',
-            {
-                model: "tts-1",
-                input: text,
-                voice: options.voice || "alloy",
-                response_format: "mp3"
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${this.openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                responseType: 'arraybuffer'
-            }
-        );
-
-        return {
-            base64: Buffer.from(response.data).toString('base64'),
-            format: 'mp3',
-            provider: 'openai'
+            base64: speech.base64,
+            format: speech.format,
+            provider: speech.provider
         };
     }
 
@@ -105,28 +61,15 @@ class VoiceAgent {
         return Math.ceil(wordCount / 150 * 60); // Duration in seconds
     }
 
-    async speechToText(audioData) {
+    async speechToText(audioData, options = {}) {
         try {
-            const response = await axios.post(
-                'https://api.openai.com/v1/audio/transcriptions',
-                {
-                    file: audioData,
-                    model: "whisper-1",
-                    response_format: "json"
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.openaiApiKey}`,
-                        'Content-Type': 'multipart/form-data'
-                    }
-                }
-            );
+            const transcript = await this.providers.speechToText('voice', audioData, options);
 
             return {
                 success: true,
-                text: response.data.text,
-                language: response.data.language,
-                duration: response.data.duration
+                text: transcript.text,
+                language: transcript.language,
+                duration: transcript.duration
             };
 
         } catch (error) {
@@ -144,7 +87,7 @@ class VoiceAgent {
         
         for (const voiceType of voiceTypes) {
             try {
-                results[voiceType] = await this.generateWithElevenLabs(text, voiceType, {});
+                results[voiceType] = await this.synthesize(text, voiceType, {});
             } catch (error) {
                 console.error(`Failed to generate ${voiceType} voice:`, error);
                 results[voiceType] = null;
@@ -154,18 +97,12 @@ class VoiceAgent {
         return results;
     }
 
-    async saveAudioToFile(audioData, filename) {
-        const audioBuffer = Buffer.from(audioData.base64, 'base64');
-        const filePath = path.join(__dirname, '../../public/audio', filename);
-        
-        // Ensure directory exists
-        const dir = path.dirname(filePath);
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
-        }
-        
-        fs.writeFileSync(filePath, audioBuffer);
-        return `/audio/${filename}`;
+    // With asset storage the result carries a download URL instead of the
+    // audio itself
+    async storeAudio(audioData, context = {}) {
+        return this.assets
+            ? await this.assets.storeMedia(audioData, { kind: 'audio', context: context })
+            : audioData;
     }
 
     getAvailableVoices() {
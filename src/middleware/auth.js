@@ -49,6 +49,17 @@ class AuthMiddleware {
         }
     }
 
+    // Socket.IO handshakes carry the same JWT in auth.token (or ?token=)
+    verifySocketToken(socket) {
+        const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+
+        if (!token) {
+            throw new Error('Access token required');
+        }
+
+        return jwt.verify(token, this.jwtSecret);
+    }
+
     extractToken(req) {
         const authHeader = req.headers.authorization;
         if (authHeader && authHeader.startsWith('Bearer ')) {
@@ -63,6 +74,8 @@ class AuthMiddleware {
             id: user.id,
             email: user.email,
             subscriptionTier: user.subscriptionTier,
+            // Members of an organization share its brand profiles
+            organizationId: user.organization_id || null,
             permissions: this.getUserPermissions(user.subscriptionTier)
         };
 
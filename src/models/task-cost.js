@@ -0,0 +1,102 @@
+const mysql = require('mysql2/promise');
+
+// Provider spend recorded per task (see migrations/007-task-costs.sql),
+// rolled up for the admin cost report
+class TaskCostModel {
+    constructor() {
+        this.dbConfig = {
+            host: process.env.DB_HOST,
+            user: process.env.DB_USER,
+            password: process.env.DB_PASSWORD,
+            database: process.env.DB_NAME
+        };
+        this.usageColumns = `
+            COUNT(DISTINCT task_id) as total_tasks,
+            SUM(prompt_tokens) as prompt_tokens,
+            SUM(completion_tokens) as completion_tokens,
+            SUM(images) as images,
+            SUM(characters) as characters,
+            SUM(audio_seconds) as audio_seconds,
+            SUM(cost_usd) as total_cost
+        `;
+    }
+
+    async getTaskCosts(taskId) {
+        const connection = await mysql.createConnection(this.dbConfig);
+
+        try {
+            const [rows] = await connection.execute(
+                `SELECT * FROM task_costs WHERE task_id = ? ORDER BY id`,
+                [taskId]
+            );
+
+            return rows;
+        } finally {
+            await connection.end();
+        }
+    }
+
+    async getCostTotals(days = 30) {
+        const rows = await this.rollUp(null, days);
+        return rows[0];
+    }
+
+    async getCostsByTier(days = 30) {
+        return await this.rollUp('user_tier', days);
+    }
+
+    async getCostsByAgent(days = 30) {
+        return await this.rollUp('agent_type', days);
+    }
+
+    async getCostsByProvider(days = 30) {
+        return await this.rollUp('provider', days);
+    }
+
+    async getCostsByUser(days = 30, limit = 20) {
+        const connection = await mysql.createConnection(this.dbConfig);
+
+        try {
+            const [rows] = await connection.execute(
+                `SELECT
+                    c.user_id,
+                    u.email,
+                    u.subscription_tier,
+                    ${this.usageColumns}
+                 FROM task_costs c
+                 JOIN users u ON c.user_id = u.id
+                 WHERE c.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+                 GROUP BY c.user_id, u.email, u.subscription_tier
+                 ORDER BY total_cost DESC
+                 LIMIT ?`,
+                [days, limit]
+            );
+
+            return rows;
+        } finally {
+            await connection.end();
+        }
+    }
+
+    async rollUp(groupColumn, days) {
+        const connection = await mysql.createConnection(this.dbConfig);
+
+        try {
+            const [rows] = await connection.execute(
+                `SELECT
+                    ${groupColumn ? `${groupColumn},` : ''}
+                    ${this.usageColumns}
+                 FROM task_costs
+                 WHERE created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+                 ${groupColumn ? `GROUP BY ${groupColumn} ORDER BY total_cost DESC` : ''}`,
+                [days]
+            );
+
+            return rows;
+        } finally {
+            await connection.end();
+        }
+    }
+}
+
+module.exports = TaskCostModel;
@@ -69,7 +69,7 @@ class UserModel {
         
         try {
             const [rows] = await connection.execute(
-                `SELECT id, email, first_name, last_name, country, timezone, 
+                `SELECT id, email, first_name, last_name, country, timezone, organization_id,
                         subscription_tier, subscription_status, tasks_today, 
                         ads_today, total_ads, created_at, updated_at
                  FROM users 
@@ -88,7 +88,7 @@ class UserModel {
         
         try {
             const [rows] = await connection.execute(
-                `SELECT id, email, password_hash, first_name, last_name, country, timezone,
+                `SELECT id, email, password_hash, first_name, last_name, country, timezone, organization_id,
                         subscription_tier, subscription_status, tasks_today, ads_today,
                         created_at, updated_at
                  FROM users 
@@ -4,14 +4,24 @@ const rateLimit = require('../middleware/rate-limiter');
 const UserModel = require('../models/user');
 const SubscriptionModel = require('../models/subscription');
 const TaskModel = require('../models/task');
+const TaskCostModel = require('../models/task-cost');
 const AdCampaignModel = require('../models/ad-campaign');
+const DatasetStore = require('../services/datasets/dataset-store');
+const ProjectStore = require('../services/projects/project-store');
+const ImageStore = require('../services/images/image-store');
+const AssetService = require('../services/assets/asset-service');
 const AuditLogger = require('../../security/audit-logger');
 const GrowthTracker = require('../../marketing/analytics-tracker');
 
 const userModel = new UserModel();
 const subscriptionModel = new SubscriptionModel();
 const taskModel = new TaskModel();
+const taskCostModel = new TaskCostModel();
 const adCampaignModel = new AdCampaignModel();
+const datasetStore = new DatasetStore();
+const projectStore = new ProjectStore();
+const imageStore = new ImageStore();
+const assets = new AssetService();
 const auditLogger = new AuditLogger();
 const growthTracker = new GrowthTracker();
 
@@ -227,6 +237,109 @@ router.get('/tasks', async (req, res) => {
     }
 });
 
+// Dead-letter queue: tasks that exhausted their retries
+router.get('/dead-letter', async (req, res) => {
+    try {
+        const { page = 1, limit = 50 } = req.query;
+        const offset = (page - 1) * limit;
+
+        const tasks = await getOrchestrator().listDeadLetterTasks(parseInt(limit), offset);
+
+        res.json({
+            success: true,
+            tasks: tasks.map(formatDeadLetterTask),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: tasks.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin get dead-letter tasks error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get dead-letter tasks'
+        });
+    }
+});
+
+router.get('/dead-letter/:taskId', async (req, res) => {
+    try {
+        const task = await getOrchestrator().getDeadLetterTask(req.params.taskId);
+
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dead-letter task not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            task: {
+                ...formatDeadLetterTask(task),
+                task: task.task
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin get dead-letter task error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get dead-letter task'
+        });
+    }
+});
+
+router.post('/dead-letter/:taskId/requeue', async (req, res) => {
+    try {
+        const { taskId } = req.params;
+        const task = await getOrchestrator().requeueDeadLetterTask(taskId);
+
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dead-letter task not found'
+            });
+        }
+
+        await auditLogger.logSecurityEvent({
+            userId: req.user.id,
+            action: 'ADMIN_TASK_REQUEUE',
+            resource: 'ADMIN',
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            status: 'SUCCESS',
+            details: { taskId }
+        });
+
+        res.json({
+            success: true,
+            message: 'Task re-enqueued successfully',
+            task: formatDeadLetterTask(task)
+        });
+
+    } catch (error) {
+        console.error('Admin requeue task error:', error);
+
+        await auditLogger.logSecurityEvent({
+            userId: req.user.id,
+            action: 'ADMIN_TASK_REQUEUE',
+            resource: 'ADMIN',
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            status: 'FAILED',
+            details: { taskId: req.params.taskId, error: error.message }
+        });
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to re-enqueue task'
+        });
+    }
+});
+
 // Ad campaign management
 router.get('/ad-campaigns', async (req, res) => {
     try {
@@ -310,6 +423,28 @@ router.get('/analytics', async (req, res) => {
     }
 });
 
+// Provider spend against revenue, broken down by tier, agent, provider and user
+router.get('/costs', async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
+        const report = await getCostReport(days);
+
+        res.json({
+            success: true,
+            period: `${days} days`,
+            ...report
+        });
+
+    } catch (error) {
+        console.error('Admin get costs error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get cost report'
+        });
+    }
+});
+
 // Audit logs
 router.get('/audit-logs', async (req, res) => {
     try {
@@ -346,6 +481,10 @@ router.post('/maintenance/cleanup', async (req, res) => {
         const { days = 90 } = req.body;
 
         const deletedTasks = await taskModel.deleteOldTasks(days);
+        const deletedDatasets = await datasetStore.deleteOlderThan(days);
+        const deletedProjects = await projectStore.deleteOlderThan(days);
+        const deletedImages = await imageStore.deleteOlderThan(days);
+        const deletedAssets = await assets.cleanup(days);
 
         await auditLogger.logSecurityEvent({
             userId: req.user.id,
@@ -354,12 +493,12 @@ router.post('/maintenance/cleanup', async (req, res) => {
             ipAddress: req.ip,
             userAgent: req.get('User-Agent'),
             status: 'SUCCESS',
-            details: { deletedTasks, days }
+            details: { deletedTasks, deletedDatasets, deletedProjects, deletedImages, deletedAssets, days }
         });
 
         res.json({
             success: true,
-            message: `Cleaned up ${deletedTasks} tasks older than ${days} days`
+            message: `Cleaned up ${deletedTasks} tasks, ${deletedDatasets} datasets, ${deletedProjects} projects, ${deletedImages} uploaded images and ${deletedAssets} generated assets older than ${days} days`
         });
 
     } catch (error) {
@@ -433,6 +572,26 @@ function requireAdminPermissions(req, res, next) {
     next();
 }
 
+function getOrchestrator() {
+    // Shares the orchestrator instance owned by the agent routes
+    return require('./agents').orchestrator;
+}
+
+function formatDeadLetterTask(task) {
+    return {
+        id: task.id,
+        userId: task.userId,
+        userTier: task.userTier,
+        type: task.type,
+        agentType: task.agentType,
+        status: task.status,
+        attempts: task.attempts,
+        lastError: task.error,
+        createdAt: task.createdAt,
+        deadLetteredAt: task.deadLetteredAt
+    };
+}
+
 async function getUserStatistics() {
     const totalUsers = await userModel.getActiveUserCount();
     const subscriptionDistribution = await userModel.getSubscriptionDistribution();
@@ -497,6 +656,84 @@ async function getRevenueStatistics() {
     }
 }
 
+async function getCostReport(days) {
+    const [totals, byTier, byAgent, byProvider, byUser, mrr, adRevenue] = await Promise.all([
+        taskCostModel.getCostTotals(days),
+        taskCostModel.getCostsByTier(days),
+        taskCostModel.getCostsByAgent(days),
+        taskCostModel.getCostsByProvider(days),
+        taskCostModel.getCostsByUser(days),
+        subscriptionModel.getMonthlyRecurringRevenue(),
+        taskModel.getAdRevenueByTier(days)
+    ]);
+
+    const tiers = ['free', 'basic', 'premium', 'enterprise'].map(tier => {
+        const costs = byTier.find(row => row.user_tier === tier);
+        const ads = adRevenue.find(row => row.subscription_tier === tier);
+
+        // MRR is monthly; prorate it to the report period
+        const subscriptionRevenue = (mrr.breakdown[tier]?.revenue || 0) * days / 30;
+        const revenue = subscriptionRevenue + (parseFloat(ads?.total_revenue) || 0);
+        const cost = parseFloat(costs?.total_cost) || 0;
+
+        return {
+            tier: tier,
+            tasks: costs?.total_tasks || 0,
+            revenue: roundCurrency(revenue),
+            subscriptionRevenue: roundCurrency(subscriptionRevenue),
+            adRevenue: roundCurrency(parseFloat(ads?.total_revenue) || 0),
+            cost: roundCurrency(cost),
+            grossMargin: roundCurrency(revenue - cost),
+            grossMarginPercent: revenue > 0 ? Math.round((revenue - cost) / revenue * 1000) / 10 : null,
+            usage: formatUsage(costs)
+        };
+    });
+
+    return {
+        totals: {
+            cost: roundCurrency(parseFloat(totals?.total_cost) || 0),
+            revenue: roundCurrency(tiers.reduce((sum, tier) => sum + tier.revenue, 0)),
+            tasks: totals?.total_tasks || 0,
+            usage: formatUsage(totals)
+        },
+        byTier: tiers,
+        byAgent: byAgent.map(row => ({
+            agentType: row.agent_type,
+            tasks: row.total_tasks,
+            cost: roundCurrency(parseFloat(row.total_cost) || 0),
+            usage: formatUsage(row)
+        })),
+        byProvider: byProvider.map(row => ({
+            provider: row.provider,
+            tasks: row.total_tasks,
+            cost: roundCurrency(parseFloat(row.total_cost) || 0),
+            usage: formatUsage(row)
+        })),
+        topUsers: byUser.map(row => ({
+            userId: row.user_id,
+            email: row.email,
+            tier: row.subscription_tier,
+            tasks: row.total_tasks,
+            cost: roundCurrency(parseFloat(row.total_cost) || 0),
+            usage: formatUsage(row)
+        }))
+    };
+}
+
+function formatUsage(row) {
+    return {
+        promptTokens: parseInt(row?.prompt_tokens) || 0,
+        completionTokens: parseInt(row?.completion_tokens) || 0,
+        images: parseInt(row?.images) || 0,
+        characters: parseInt(row?.characters) || 0,
+        audioSeconds: parseFloat(row?.audio_seconds) || 0
+    };
+}
+
+function roundCurrency(amount) {
+    return Math.round(amount * 10000) / 10000;
+}
+
 async function getAdStatistics() {
     const campaigns = await adCampaignModel.getActiveCampaigns();
     const topCampaigns = await adCampaignModel.getTopPerformingCampaigns();
@@ -1,10 +1,79 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
+const aiConfig = require('../../config/ai-config');
 const SyntheticIntelligenceOrchestrator = require('../agents/orchestrator/orchestrator');
+const WorkflowEngine = require('../services/workflows/workflow-engine');
+const { createTaskStreamer } = require('../services/streaming/task-stream');
+const ConversationService = require('../services/conversations/conversation-service');
+const AssetService = require('../services/assets/asset-service');
+const BrandProfileService = require('../services/brand/brand-profile-service');
+const VariantFeedbackService = require('../services/variants/variant-feedback-service');
+const { detectDocumentFormat } = require('../services/knowledge/document-loader');
+const DatasetStore = require('../services/datasets/dataset-store');
+const ProjectStore = require('../services/projects/project-store');
+const { buildProjectArchive, normalizeProjectPath } = require('../services/projects/project-files');
+const { parseDataset, detectFormat } = require('../services/datasets/dataset-parser');
+const { profileDataset } = require('../services/datasets/dataset-profiler');
+const { renderSvg, renderPng } = require('../services/reports/chart-renderer');
+const { buildReport } = require('../services/reports/report-builder');
+const ImageStore = require('../services/images/image-store');
+const { EDIT_OPERATIONS, readImageInfo } = require('../services/images/image-processing');
+const { CITATION_STYLES } = require('../services/citations/citation-formatter');
 const adMiddleware = require('../middleware/ad-middleware');
 const rateLimit = require('../middleware/rate-limiter');
 
-const orchestrator = new SyntheticIntelligenceOrchestrator();
+const conversations = new ConversationService();
+const assets = new AssetService();
+const brandProfiles = new BrandProfileService();
+const variantFeedback = new VariantFeedbackService();
+const orchestrator = new SyntheticIntelligenceOrchestrator({ conversations, assets, brandProfiles, variantFeedback });
+const streamTaskResponse = createTaskStreamer(orchestrator);
+// Shares the orchestrator's provider router and records its spend in task_costs
+const knowledgeBases = orchestrator.knowledge;
+const workflowEngine = new WorkflowEngine(orchestrator);
+const datasetStore = new DatasetStore();
+const projectStore = new ProjectStore();
+const imageStore = new ImageStore();
+
+// Task fields a conversation turn may set besides its prompt, agent and type
+const CONVERSATION_TASK_FIELDS = ['options', 'contentType', 'language', 'analysisType', 'voiceType', 'knowledgeBaseId', 'brandProfileId'];
+
+// Dataset uploads are parsed in memory and only the parsed rows are kept
+const datasetUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: aiConfig.datasets.maxFileSize, files: 1 },
+    fileFilter: (req, file, callback) => {
+        if (!detectFormat(file.originalname, file.mimetype)) {
+            return callback(createStatusError('Unsupported file type. Upload a CSV, XLSX, JSON or PDF file', 400));
+        }
+        callback(null, true);
+    }
+});
+
+// Knowledge base documents are read in memory; only their chunks are kept
+const knowledgeUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: aiConfig.knowledgeBases.maxFileSize, files: 1 },
+    fileFilter: (req, file, callback) => {
+        if (!detectDocumentFormat(file.originalname, file.mimetype)) {
+            return callback(createStatusError('Unsupported file type. Upload a TXT, Markdown, HTML, JSON, CSV or PDF file', 400));
+        }
+        callback(null, true);
+    }
+});
+
+// Images to edit, with an optional inpainting mask, are kept until the task runs
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: aiConfig.images.maxFileSize, files: 2 },
+    fileFilter: (req, file, callback) => {
+        if (!/^image\/(png|jpeg|webp|avif|gif|tiff)$/.test(file.mimetype)) {
+            return callback(createStatusError('Unsupported file type. Upload a PNG, JPEG, WebP, AVIF, GIF or TIFF image', 400));
+        }
+        callback(null, true);
+    }
+});
 
 // Apply agent-specific rate limiting
 router.use(rateLimit.agentLimiter);
@@ -14,7 +83,7 @@ router.use(adMiddleware.adMiddleware);
 
 router.post('/process', async (req, res) => {
     try {
-        const { task, options = {} } = req.body;
+        const task = withoutInternalFields(req.body.task);
         const user = req.user;
 
         if (!task || !task.type || !task.prompt) {
@@ -25,6 +94,10 @@ router.post('/process', async (req, res) => {
         }
 
         // Process the task
+        if (wantsStream(req)) {
+            return streamTaskResponse(req, res, task);
+        }
+
         const result = await orchestrator.processTask(task, user);
 
         // Include ad information if required
@@ -42,7 +115,7 @@ router.post('/process', async (req, res) => {
 
     } catch (error) {
         console.error('Task processing error:', error);
-        res.status(400).json({
+        res.status(error.status || 400).json({
             success: false,
             error: error.message
         });
@@ -51,7 +124,7 @@ router.post('/process', async (req, res) => {
 
 router.post('/research', async (req, res) => {
     try {
-        const { prompt, includeWebSearch = true, options = {} } = req.body;
+        const { prompt, includeWebSearch = true, knowledgeBaseId, options = {} } = req.body;
         const user = req.user;
 
         if (!prompt) {
@@ -65,12 +138,17 @@ router.post('/research', async (req, res) => {
             type: 'research',
             agentType: 'research',
             prompt: prompt,
+            ...(knowledgeBaseId && { knowledgeBaseId }),
             options: {
                 includeWebSearch,
                 ...options
             }
         };
 
+        if (wantsStream(req)) {
+            return streamTaskResponse(req, res, task);
+        }
+
         const result = await orchestrator.processTask(task, user);
 
         const response = {
@@ -87,7 +165,7 @@ router.post('/research', async (req, res) => {
 
     } catch (error) {
         console.error('Research task error:', error);
-        res.status(400).json({
+        res.status(error.status || 400).json({
             success: false,
             error: error.message
         });
@@ -100,6 +178,10 @@ router.post('/generate-content', async (req, res) => {
             prompt, 
             contentType = 'blog_post', 
             generateImage = false,
+            knowledgeBaseId,
+            brandProfileId,
+            variants,
+            keywords,
             options = {} 
         } = req.body;
         const user = req.user;
@@ -116,12 +198,22 @@ router.post('/generate-content', async (req, res) => {
             agentType: 'creative',
             prompt: prompt,
             contentType: contentType,
+            ...(knowledgeBaseId && { knowledgeBaseId }),
+            // Omitted uses the default profile; null opts out
+            ...(brandProfileId !== undefined && { brandProfileId }),
             options: {
                 generateImage,
+                // variants: number of scored drafts to write (see POST /variants/:variantSetId/feedback)
+                ...(variants !== undefined && { variants }),
+                ...(keywords !== undefined && { keywords }),
                 ...options
             }
         };
 
+        if (wantsStream(req)) {
+            return streamTaskResponse(req, res, task);
+        }
+
         const result = await orchestrator.processTask(task, user);
 
         const response = {
@@ -138,7 +230,153 @@ router.post('/generate-content', async (req, res) => {
 
     } catch (error) {
         console.error('Content generation error:', error);
-        res.status(400).json({
+        res.status(error.status || 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Rewrites existing copy for a free-text goal, or in SEO mode for blog
+// posts when seo is given: { targetKeyword, secondaryKeywords, author,
+// publisher, url, image, datePublished }. SEO mode returns meta tags,
+// JSON-LD and a report of the on-page checks with the rewrite.
+router.post('/optimize-content', async (req, res) => {
+    try {
+        const {
+            content,
+            contentType = 'blog_post',
+            goal,
+            seo,
+            brandProfileId
+        } = req.body;
+        const user = req.user;
+
+        if (!content) {
+            return res.status(400).json({
+                success: false,
+                error: 'Content to optimize is required'
+            });
+        }
+
+        if (!seo && !goal) {
+            return res.status(400).json({
+                success: false,
+                error: 'Provide an optimization goal or seo options'
+            });
+        }
+
+        // SEO mode is checked here too so a bad request is refused before
+        // it is admitted and charged
+        if (seo) {
+            const seoError = checkSeoOptions(content, contentType, seo);
+            if (seoError) {
+                return res.status(400).json({
+                    success: false,
+                    error: seoError
+                });
+            }
+        }
+
+        const task = {
+            type: 'content_creation',
+            agentType: 'creative',
+            text: content,
+            contentType: contentType,
+            optimization: seo ? { ...seo, mode: 'seo' } : { goal },
+            ...(brandProfileId !== undefined && { brandProfileId })
+        };
+
+        const result = await orchestrator.processTask(task, user);
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Content optimization error:', error);
+        res.status(error.status || 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Edits an uploaded image (multipart field `image`, plus `mask` for
+// inpainting, white where the image should change): image-to-image,
+// inpaint, outpaint, upscale or variation. A previous upload can be
+// edited again by imageId.
+router.post('/edit-image', receiveImageUpload, async (req, res) => {
+    try {
+        const { operation, prompt, imageId } = req.body;
+        const options = parseOptions(req.body.options);
+        const user = req.user;
+        const requirements = EDIT_OPERATIONS[operation];
+
+        if (!requirements) {
+            return res.status(400).json({
+                success: false,
+                error: `operation must be one of ${Object.keys(EDIT_OPERATIONS).join(', ')}`
+            });
+        }
+
+        if (!req.files?.image && !imageId) {
+            return res.status(400).json({
+                success: false,
+                error: 'An image to edit is required'
+            });
+        }
+
+        if (requirements.needsPrompt && !prompt) {
+            return res.status(400).json({
+                success: false,
+                error: `A prompt is required for ${operation}`
+            });
+        }
+
+        const image = req.files?.image
+            ? await ingestImage(req.files, user)
+            : await imageStore.load(imageId, user.id);
+
+        if (requirements.needsMask && !image.mask) {
+            return res.status(400).json({
+                success: false,
+                error: 'Inpainting needs a mask image (white where the image should change)'
+            });
+        }
+
+        const task = {
+            type: 'image',
+            agentType: 'creative',
+            operation: operation,
+            prompt: prompt,
+            image: { id: image.id, filename: image.filename },
+            options: options
+        };
+
+        const result = await orchestrator.processTask(task, user);
+
+        const response = {
+            success: true,
+            ...result,
+            image: {
+                id: image.id,
+                filename: image.filename,
+                dimensions: { width: image.width, height: image.height }
+            }
+        };
+
+        if (req.adServed) {
+            response.adRequired = true;
+            response.adData = req.requiredAd;
+        }
+
+        res.json(response);
+
+    } catch (error) {
+        console.error('Image editing error:', error);
+        res.status(error.status || 400).json({
             success: false,
             error: error.message
         });
@@ -152,6 +390,8 @@ router.post('/generate-code', async (req, res) => {
             language = 'javascript', 
             includeTests = false,
             includeExplanation = true,
+            verify = false,
+            project = false,
             options = {} 
         } = req.body;
         const user = req.user;
@@ -171,10 +411,16 @@ router.post('/generate-code', async (req, res) => {
             options: {
                 includeTests,
                 includeExplanation,
+                verify,
+                project: project === true,
                 ...options
             }
         };
 
+        if (wantsStream(req)) {
+            return streamTaskResponse(req, res, task);
+        }
+
         const result = await orchestrator.processTask(task, user);
 
         const response = {
@@ -191,33 +437,195 @@ router.post('/generate-code', async (req, res) => {
 
     } catch (error) {
         console.error('Code generation error:', error);
-        res.status(400).json({
+        res.status(error.status || 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Rewrites code, optionally aimed at static analysis findings from a
+// previous result: `findings` takes ids (D3), rules (no-eval) or categories
+router.post('/refactor-code', async (req, res) => {
+    try {
+        const { code, language = 'javascript', goal, findings = [] } = req.body;
+        const user = req.user;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                error: 'Code to refactor is required'
+            });
+        }
+
+        if (!Array.isArray(findings)) {
+            return res.status(400).json({
+                success: false,
+                error: 'findings must be an array of finding ids, rules or categories'
+            });
+        }
+
+        const task = {
+            type: 'code_generation',
+            agentType: 'coding',
+            action: 'refactor',
+            prompt: goal || 'resolve the selected static analysis findings',
+            code: code,
+            language: language,
+            findings: findings
+        };
+
+        const result = await orchestrator.processTask(task, user);
+
+        const response = {
+            success: true,
+            ...result
+        };
+
+        if (req.adServed) {
+            response.adRequired = true;
+            response.adData = req.requiredAd;
+        }
+
+        res.json(response);
+
+    } catch (error) {
+        console.error('Code refactor error:', error);
+        res.status(error.status || 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+router.get('/projects/:projectId', async (req, res) => {
+    try {
+        const project = await projectStore.load(req.params.projectId, req.user.id);
+
+        res.json({
+            success: true,
+            project: project
+        });
+
+    } catch (error) {
+        console.error('Get project error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to get project'
+        });
+    }
+});
+
+// Follow-up edit to a generated project. `files` limits the edit to those
+// paths (new paths are created); without it the model picks what to change.
+router.post('/projects/:projectId/edit', async (req, res) => {
+    try {
+        const { prompt, files = [] } = req.body;
+        const user = req.user;
+
+        if (!prompt) {
+            return res.status(400).json({
+                success: false,
+                error: 'Edit prompt is required'
+            });
+        }
+
+        if (!Array.isArray(files)) {
+            return res.status(400).json({
+                success: false,
+                error: 'files must be an array of project paths'
+            });
+        }
+
+        const targets = files.map(normalizeProjectPath);
+        const project = await projectStore.load(req.params.projectId, user.id);
+
+        const task = {
+            type: 'code_generation',
+            agentType: 'coding',
+            prompt: prompt,
+            language: project.language,
+            project: {
+                id: project.id,
+                files: targets
+            }
+        };
+
+        if (wantsStream(req)) {
+            return streamTaskResponse(req, res, task);
+        }
+
+        const result = await orchestrator.processTask(task, user);
+
+        const response = {
+            success: true,
+            ...result
+        };
+
+        if (req.adServed) {
+            response.adRequired = true;
+            response.adData = req.requiredAd;
+        }
+
+        res.json(response);
+
+    } catch (error) {
+        console.error('Project edit error:', error);
+        res.status(error.status || 400).json({
             success: false,
             error: error.message
         });
     }
 });
 
-router.post('/analyze-data', async (req, res) => {
+// Downloads the latest revision of a project as a zip archive
+router.get('/projects/:projectId/export', async (req, res) => {
+    try {
+        const project = await projectStore.load(req.params.projectId, req.user.id);
+        const archive = buildProjectArchive(project);
+
+        res.attachment(archive.filename);
+        res.type(archive.contentType).send(archive.body);
+
+    } catch (error) {
+        console.error('Export project error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to export project'
+        });
+    }
+});
+
+// Accepts JSON ({ data }) or a multipart upload with the dataset in `file`.
+// A previously uploaded dataset can be analysed again by datasetId.
+router.post('/analyze-data', receiveDatasetUpload, async (req, res) => {
     try {
         const { 
             data, 
-            analysisType = 'insights',
-            options = {} 
+            datasetId,
+            question,
+            analysisType = 'insights'
         } = req.body;
+        const options = parseOptions(req.body.options);
         const user = req.user;
 
-        if (!data) {
+        if (!data && !datasetId && !req.file) {
             return res.status(400).json({
                 success: false,
                 error: 'Data to analyze is required'
             });
         }
 
+        const dataset = req.file
+            ? await ingestDataset(req.file, user, options.sheet)
+            : datasetId ? await datasetStore.load(datasetId, user.id) : null;
+
         const task = {
             type: 'data_analysis',
             agentType: 'analysis',
-            data: data,
+            prompt: question,
+            data: dataset ? undefined : data,
+            dataset: dataset ? { id: dataset.id, filename: dataset.filename } : undefined,
             analysisType: analysisType,
             options: options
         };
@@ -229,6 +637,15 @@ router.post('/analyze-data', async (req, res) => {
             ...result
         };
 
+        if (dataset) {
+            response.dataset = {
+                id: dataset.id,
+                filename: dataset.filename,
+                format: dataset.format,
+                profile: dataset.profile
+            };
+        }
+
         if (req.adServed) {
             response.adRequired = true;
             response.adData = req.requiredAd;
@@ -238,7 +655,7 @@ router.post('/analyze-data', async (req, res) => {
 
     } catch (error) {
         console.error('Data analysis error:', error);
-        res.status(400).json({
+        res.status(error.status || 400).json({
             success: false,
             error: error.message
         });
@@ -285,7 +702,7 @@ router.post('/text-to-speech', async (req, res) => {
 
     } catch (error) {
         console.error('Text-to-speech error:', error);
-        res.status(400).json({
+        res.status(error.status || 400).json({
             success: false,
             error: error.message
         });
@@ -306,8 +723,7 @@ router.post('/speech-to-text', async (req, res) => {
 
         // This would typically handle file uploads
         // For now, we'll assume base64 audio data
-        const VoiceAgent = require('../agents/voice-agent/text-to-speech');
-        const voiceAgent = new VoiceAgent();
+        const voiceAgent = orchestrator.agents.get('voice');
 
         const result = await voiceAgent.speechToText(audioData);
 
@@ -370,46 +786,842 @@ router.get('/task/:taskId', async (req, res) => {
     }
 });
 
-router.get('/tasks', async (req, res) => {
+// Downloads a completed task's result: json, vega (chart specs), svg or png
+// (one chart, picked with ?chart=<id>), html (report page), markdown (zip
+// bundle) or a research task's reference list as apa, mla or bibtex
+router.get('/task/:taskId/export', async (req, res) => {
     try {
+        const { taskId } = req.params;
+        const { format = 'json', chart: chartId } = req.query;
         const user = req.user;
-        const { limit = 10, offset = 0 } = req.query;
 
-        const tasks = await orchestrator.getUserTasks(user.id, parseInt(limit), parseInt(offset));
+        if (!['json', 'vega', 'svg', 'png', 'html', 'markdown', ...CITATION_STYLES].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: 'format must be one of json, vega, svg, png, html, markdown, apa, mla or bibtex'
+            });
+        }
 
-        res.json({
-            success: true,
-            tasks: tasks,
-            pagination: {
-                limit: parseInt(limit),
-                offset: parseInt(offset),
-                total: tasks.length
-            }
-        });
+        const task = await orchestrator.getTaskStatus(taskId);
 
-    } catch (error) {
-        console.error('Get tasks error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get tasks'
-        });
-    }
-});
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
 
-router.get('/queue-stats', async (req, res) => {
+        if (task.user_id !== user.id) {
+            return res.status(403).json({
+                success: false,
+                error: 'Access denied to this task'
+            });
+        }
+
+        if (task.status !== 'completed' || !task.result_data) {
+            return res.status(409).json({
+                success: false,
+                error: 'Task has not completed yet'
+            });
+        }
+
+        const result = typeof task.result_data === 'string' ? JSON.parse(task.result_data) : task.result_data;
+        const charts = result.charts || [];
+
+        if (format === 'json' || format === 'vega') {
+            res.attachment(`${taskId}${format === 'vega' ? '-charts' : ''}.json`);
+            return res.json(format === 'vega' ? charts : result);
+        }
+
+        if (CITATION_STYLES.includes(format)) {
+            if (!result.bibliography || !result.references?.length) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'This task has no cited sources'
+                });
+            }
+
+            res.attachment(`${taskId}-references.${format === 'bibtex' ? 'bib' : 'txt'}`);
+            return res.type(format === 'bibtex' ? 'application/x-bibtex' : 'text/plain').send(`${result.bibliography[format]}\n`);
+        }
+
+        if (format === 'svg' || format === 'png') {
+            const chart = chartId ? charts.find(candidate => candidate.id === chartId) : charts[0];
+
+            if (!chart) {
+                return res.status(404).json({
+                    success: false,
+                    error: chartId ? `Chart ${chartId} not found` : 'This task has no charts'
+                });
+            }
+
+            res.attachment(`${taskId}-${chart.id}.${format}`);
+            return format === 'svg'
+                ? res.type('image/svg+xml').send(renderSvg(chart.spec))
+                : res.type('image/png').send(await renderPng(chart.spec));
+        }
+
+        const report = buildReport({
+            id: task.id,
+            type: task.task_type,
+            completedAt: task.completed_at,
+            result: result
+        }, format);
+
+        res.attachment(report.filename);
+        res.type(report.contentType).send(report.body);
+
+    } catch (error) {
+        console.error('Export task error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to export task'
+        });
+    }
+});
+
+router.delete('/task/:taskId', async (req, res) => {
+    try {
+        const { taskId } = req.params;
+        const user = req.user;
+
+        const result = await orchestrator.cancelTask(taskId, user.id);
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Cancel task error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to cancel task'
+        });
+    }
+});
+
+router.get('/tasks', async (req, res) => {
+    try {
+        const user = req.user;
+        const { limit = 10, offset = 0 } = req.query;
+
+        const tasks = await orchestrator.getUserTasks(user.id, parseInt(limit), parseInt(offset));
+
+        res.json({
+            success: true,
+            tasks: tasks,
+            pagination: {
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                total: tasks.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get tasks error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get tasks'
+        });
+    }
+});
+
+router.get('/queue-stats', async (req, res) => {
+    try {
+        const stats = await orchestrator.getQueueStats();
+
+        res.json({
+            success: true,
+            stats: stats
+        });
+
+    } catch (error) {
+        console.error('Get queue stats error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get queue stats'
+        });
+    }
+});
+
+// Conversations: threads of turns that give agents the earlier context
+router.post('/conversations', async (req, res) => {
+    try {
+        const { title, agentType = 'research' } = req.body;
+
+        if (!aiConfig.workflows.stepTaskTypes[agentType]) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown agent type: ${agentType}`
+            });
+        }
+
+        const conversation = await conversations.createConversation(req.user, { title, agentType });
+
+        res.status(201).json({
+            success: true,
+            conversation: conversation
+        });
+
+    } catch (error) {
+        console.error('Create conversation error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to create conversation'
+        });
+    }
+});
+
+router.get('/conversations', async (req, res) => {
+    try {
+        const { limit = 20, offset = 0 } = req.query;
+
+        const threads = await conversations.listConversations(req.user.id, parseInt(limit), parseInt(offset));
+
+        res.json({
+            success: true,
+            conversations: threads,
+            pagination: {
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                total: threads.length
+            }
+        });
+
+    } catch (error) {
+        console.error('List conversations error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list conversations'
+        });
+    }
+});
+
+router.get('/conversations/:conversationId', async (req, res) => {
+    try {
+        const { limit = 50, before } = req.query;
+        const conversation = await conversations.getConversation(req.params.conversationId, req.user.id);
+        const messages = await conversations.getMessages(
+            conversation.id,
+            req.user.id,
+            parseInt(limit),
+            before ? parseInt(before) : null
+        );
+
+        res.json({
+            success: true,
+            conversation: conversation,
+            messages: messages
+        });
+
+    } catch (error) {
+        console.error('Get conversation error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to get conversation'
+        });
+    }
+});
+
+router.patch('/conversations/:conversationId', async (req, res) => {
+    try {
+        const conversation = await conversations.renameConversation(req.params.conversationId, req.user.id, req.body.title);
+
+        res.json({
+            success: true,
+            conversation: conversation
+        });
+
+    } catch (error) {
+        console.error('Rename conversation error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to rename conversation'
+        });
+    }
+});
+
+router.delete('/conversations/:conversationId', async (req, res) => {
+    try {
+        const result = await conversations.deleteConversation(req.params.conversationId, req.user.id);
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Delete conversation error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to delete conversation'
+        });
+    }
+});
+
+// Continues a thread: the new prompt runs as a task with the thread's history.
+// The agent defaults to the one the thread last used.
+router.post('/conversations/:conversationId/messages', async (req, res) => {
+    try {
+        const { prompt, agentType, type } = req.body;
+        const conversation = await conversations.getConversation(req.params.conversationId, req.user.id);
+        const agent = agentType || conversation.agentType;
+
+        if (!prompt) {
+            return res.status(400).json({
+                success: false,
+                error: 'Prompt is required'
+            });
+        }
+        if (!aiConfig.workflows.stepTaskTypes[agent]) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown agent type: ${agent}`
+            });
+        }
+
+        const task = {
+            ...pickTaskFields(req.body, CONVERSATION_TASK_FIELDS),
+            type: type || aiConfig.workflows.stepTaskTypes[agent],
+            agentType: agent,
+            prompt: prompt,
+            // The voice agent reads its input from text
+            ...(agent === 'voice' && { text: prompt }),
+            conversationId: conversation.id
+        };
+
+        if (wantsStream(req)) {
+            return streamTaskResponse(req, res, task);
+        }
+
+        const result = await orchestrator.processTask(task, req.user);
+
+        const response = {
+            success: true,
+            conversationId: conversation.id,
+            ...result
+        };
+
+        if (req.adServed) {
+            response.adRequired = true;
+            response.adData = req.requiredAd;
+        }
+
+        res.status(202).json(response);
+
+    } catch (error) {
+        console.error('Continue conversation error:', error);
+        res.status(error.status || 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Knowledge bases: uploaded documents that research and creative tasks retrieve from
+router.post('/knowledge-bases', async (req, res) => {
+    try {
+        const { name, description } = req.body;
+
+        const knowledgeBase = await knowledgeBases.createKnowledgeBase(req.user, { name, description });
+
+        res.status(201).json({
+            success: true,
+            knowledgeBase: knowledgeBase
+        });
+
+    } catch (error) {
+        console.error('Create knowledge base error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to create knowledge base'
+        });
+    }
+});
+
+router.get('/knowledge-bases', async (req, res) => {
+    try {
+        const list = await knowledgeBases.listKnowledgeBases(req.user.id);
+
+        res.json({
+            success: true,
+            knowledgeBases: list
+        });
+
+    } catch (error) {
+        console.error('List knowledge bases error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list knowledge bases'
+        });
+    }
+});
+
+router.get('/knowledge-bases/:knowledgeBaseId', async (req, res) => {
+    try {
+        const knowledgeBase = await knowledgeBases.getKnowledgeBase(req.params.knowledgeBaseId, req.user.id);
+        const documents = await knowledgeBases.listDocuments(knowledgeBase.id, req.user.id);
+
+        res.json({
+            success: true,
+            knowledgeBase: knowledgeBase,
+            documents: documents
+        });
+
+    } catch (error) {
+        console.error('Get knowledge base error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to get knowledge base'
+        });
+    }
+});
+
+router.delete('/knowledge-bases/:knowledgeBaseId', async (req, res) => {
+    try {
+        const result = await knowledgeBases.deleteKnowledgeBase(req.params.knowledgeBaseId, req.user.id);
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Delete knowledge base error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to delete knowledge base'
+        });
+    }
+});
+
+// Multipart upload (field "file"); the document is chunked and embedded before responding
+router.post('/knowledge-bases/:knowledgeBaseId/documents', receiveKnowledgeUpload, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'A document file is required'
+            });
+        }
+
+        const document = await knowledgeBases.addDocument(req.params.knowledgeBaseId, req.user.id, {
+            buffer: req.file.buffer,
+            filename: req.file.originalname,
+            mimetype: req.file.mimetype
+        }, { userTier: req.user.subscriptionTier });
+
+        res.status(201).json({
+            success: true,
+            document: document
+        });
+
+    } catch (error) {
+        console.error('Add knowledge document error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to add document'
+        });
+    }
+});
+
+router.delete('/knowledge-bases/:knowledgeBaseId/documents/:documentId', async (req, res) => {
+    try {
+        const result = await knowledgeBases.deleteDocument(req.params.knowledgeBaseId, req.user.id, req.params.documentId);
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Delete knowledge document error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to delete document'
+        });
+    }
+});
+
+router.post('/knowledge-bases/:knowledgeBaseId/search', async (req, res) => {
+    try {
+        const { query, topK, minScore } = req.body;
+
+        const results = await knowledgeBases.search(req.params.knowledgeBaseId, req.user.id, query, {
+            topK: topK ? parseInt(topK) : undefined,
+            minScore: minScore !== undefined ? parseFloat(minScore) : undefined
+        }, { userTier: req.user.subscriptionTier });
+
+        res.json({
+            success: true,
+            results: results
+        });
+
+    } catch (error) {
+        console.error('Knowledge search error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to search knowledge base'
+        });
+    }
+});
+
+// Brand voice profiles applied to creative content. Personal profiles, or
+// shared with the user's organization when created with scope "organization".
+router.post('/brand-profiles', async (req, res) => {
+    try {
+        const profile = await brandProfiles.createProfile(req.user, req.body);
+
+        res.status(201).json({
+            success: true,
+            profile: profile
+        });
+
+    } catch (error) {
+        console.error('Create brand profile error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to create brand profile'
+        });
+    }
+});
+
+router.get('/brand-profiles', async (req, res) => {
+    try {
+        const profiles = await brandProfiles.listProfiles(req.user);
+
+        res.json({
+            success: true,
+            profiles: profiles
+        });
+
+    } catch (error) {
+        console.error('List brand profiles error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list brand profiles'
+        });
+    }
+});
+
+router.get('/brand-profiles/:profileId', async (req, res) => {
+    try {
+        const profile = await brandProfiles.getProfile(req.params.profileId, req.user);
+
+        res.json({
+            success: true,
+            profile: profile
+        });
+
+    } catch (error) {
+        console.error('Get brand profile error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to get brand profile'
+        });
+    }
+});
+
+router.put('/brand-profiles/:profileId', async (req, res) => {
     try {
-        const stats = orchestrator.getQueueStats();
+        const profile = await brandProfiles.updateProfile(req.params.profileId, req.user, req.body);
 
         res.json({
             success: true,
-            stats: stats
+            profile: profile
         });
 
     } catch (error) {
-        console.error('Get queue stats error:', error);
+        console.error('Update brand profile error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to update brand profile'
+        });
+    }
+});
+
+router.delete('/brand-profiles/:profileId', async (req, res) => {
+    try {
+        const result = await brandProfiles.deleteProfile(req.params.profileId, req.user);
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Delete brand profile error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to delete brand profile'
+        });
+    }
+});
+
+// Checks existing copy (e.g. edited by hand) against a profile's rules
+router.post('/brand-profiles/:profileId/check', async (req, res) => {
+    try {
+        const { text } = req.body;
+
+        if (!text) {
+            return res.status(400).json({
+                success: false,
+                error: 'Text to check is required'
+            });
+        }
+
+        const profile = await brandProfiles.getProfile(req.params.profileId, req.user);
+
+        res.json({
+            success: true,
+            profileId: profile.id,
+            ...brandProfiles.checkContent(text, profile)
+        });
+
+    } catch (error) {
+        console.error('Check brand profile error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to check content'
+        });
+    }
+});
+
+// Content variants. After publishing one, report which it was and how it
+// performed; later variant requests lean toward what worked.
+router.get('/variants/preferences', async (req, res) => {
+    try {
+        const { contentType = 'blog_post' } = req.query;
+
+        const preferences = await variantFeedback.getPreferences(req.user.id, contentType);
+
+        res.json({
+            success: true,
+            contentType: contentType,
+            preferences: preferences
+        });
+
+    } catch (error) {
+        console.error('Get variant preferences error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to get queue stats'
+            error: 'Failed to get variant preferences'
+        });
+    }
+});
+
+router.get('/variants/:variantSetId', async (req, res) => {
+    try {
+        const variantSet = await variantFeedback.getVariantSet(req.params.variantSetId, req.user.id);
+
+        res.json({
+            success: true,
+            variantSet: variantSet
+        });
+
+    } catch (error) {
+        console.error('Get variant set error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to get variant set'
+        });
+    }
+});
+
+router.post('/variants/:variantSetId/feedback', async (req, res) => {
+    try {
+        const { selectedIndex, performance, publishedAt } = req.body;
+
+        if (selectedIndex === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'selectedIndex is required'
+            });
+        }
+
+        const variantSet = await variantFeedback.recordFeedback(req.params.variantSetId, req.user.id, {
+            selectedIndex, performance, publishedAt
+        });
+
+        res.json({
+            success: true,
+            variantSet: variantSet
+        });
+
+    } catch (error) {
+        console.error('Record variant feedback error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to record feedback'
+        });
+    }
+});
+
+// Generated images and audio. Download URLs expire, so clients fetch the
+// asset again for fresh ones rather than keeping the links from a task result.
+router.get('/assets', async (req, res) => {
+    try {
+        const { kind, limit, offset } = req.query;
+
+        const result = await assets.listAssets(req.user, { kind, limit, offset });
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('List assets error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list assets'
+        });
+    }
+});
+
+router.get('/assets/:assetId', async (req, res) => {
+    try {
+        const asset = await assets.getAsset(req.params.assetId, req.user.id);
+
+        res.json({
+            success: true,
+            asset: asset
+        });
+
+    } catch (error) {
+        console.error('Get asset error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to get asset'
+        });
+    }
+});
+
+router.delete('/assets/:assetId', async (req, res) => {
+    try {
+        const result = await assets.deleteAsset(req.params.assetId, req.user.id);
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Delete asset error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to delete asset'
+        });
+    }
+});
+
+// Workflows: multi-step pipelines that chain agents together
+router.post('/workflows', async (req, res) => {
+    try {
+        const { definition } = req.body;
+        const user = req.user;
+
+        if (!definition) {
+            return res.status(400).json({
+                success: false,
+                error: 'Workflow definition is required'
+            });
+        }
+
+        const workflow = await workflowEngine.createWorkflow(definition, user);
+
+        res.status(201).json({
+            success: true,
+            workflow: workflow
+        });
+
+    } catch (error) {
+        console.error('Create workflow error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to create workflow'
+        });
+    }
+});
+
+router.get('/workflows/:workflowId', async (req, res) => {
+    try {
+        const workflow = await workflowEngine.getWorkflow(req.params.workflowId, req.user.id);
+
+        res.json({
+            success: true,
+            workflow: workflow
+        });
+
+    } catch (error) {
+        console.error('Get workflow error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to get workflow'
+        });
+    }
+});
+
+router.post('/workflows/:workflowId/run', async (req, res) => {
+    try {
+        const { input = {} } = req.body;
+
+        const run = await workflowEngine.startRun(req.params.workflowId, req.user, input);
+
+        const response = {
+            success: true,
+            run: run
+        };
+
+        if (req.adServed) {
+            response.adRequired = true;
+            response.adData = req.requiredAd;
+        }
+
+        res.status(202).json(response);
+
+    } catch (error) {
+        console.error('Run workflow error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to run workflow'
+        });
+    }
+});
+
+router.get('/workflows/runs/:runId', async (req, res) => {
+    try {
+        const run = await workflowEngine.getRun(req.params.runId, req.user.id);
+
+        res.json({
+            success: true,
+            run: run
+        });
+
+    } catch (error) {
+        console.error('Get workflow run error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to get workflow run'
+        });
+    }
+});
+
+router.delete('/workflows/runs/:runId', async (req, res) => {
+    try {
+        const run = await workflowEngine.cancelRun(req.params.runId, req.user.id);
+
+        res.json({
+            success: true,
+            run: run
+        });
+
+    } catch (error) {
+        console.error('Cancel workflow run error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to cancel workflow run'
         });
     }
 });
@@ -448,16 +1660,153 @@ router.get('/usage', async (req, res) => {
     }
 });
 
+// Runs multer for multipart requests and reports its errors (oversized or
+// unsupported files) as JSON like the rest of the API
+function receiveDatasetUpload(req, res, next) {
+    receiveUpload(datasetUpload.single('file'), req, res, next);
+}
+
+function receiveKnowledgeUpload(req, res, next) {
+    receiveUpload(knowledgeUpload.single('file'), req, res, next);
+}
+
+function receiveImageUpload(req, res, next) {
+    receiveUpload(imageUpload.fields([{ name: 'image', maxCount: 1 }, { name: 'mask', maxCount: 1 }]), req, res, next);
+}
+
+function receiveUpload(middleware, req, res, next) {
+    middleware(req, res, (error) => {
+        if (error) {
+            return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : error.status || 400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        next();
+    });
+}
+
+// Parses and profiles an uploaded file, then stores it for the analysis task
+async function ingestDataset(file, user, sheet) {
+    const parsed = await parseDataset(file.buffer, {
+        filename: file.originalname,
+        mimetype: file.mimetype,
+        sheet: sheet
+    });
+
+    if (parsed.rows.length > aiConfig.datasets.maxRows) {
+        throw createStatusError(`Datasets are limited to ${aiConfig.datasets.maxRows} rows`, 413);
+    }
+
+    return await datasetStore.save(user.id, {
+        filename: file.originalname,
+        ...parsed,
+        profile: profileDataset(parsed)
+    });
+}
+
+// Checks an uploaded image (and mask) and stores them for the editing task
+async function ingestImage(files, user) {
+    const [image] = files.image;
+    const [mask] = files.mask || [];
+    const info = await readImageInfo(image.buffer);
+
+    if (info.width * info.height > aiConfig.images.maxInputPixels) {
+        throw createStatusError(`Images are limited to ${aiConfig.images.maxInputPixels} pixels`, 413);
+    }
+    if (mask) {
+        await readImageInfo(mask.buffer);
+    }
+
+    return await imageStore.save(user.id, {
+        filename: image.originalname,
+        format: info.format,
+        width: info.width,
+        height: info.height,
+        image: image.buffer.toString('base64'),
+        ...(mask && { mask: mask.buffer.toString('base64') })
+    });
+}
+
+// Multipart bodies carry nested options as a JSON string
+function parseOptions(options) {
+    if (typeof options !== 'string') {
+        return options || {};
+    }
+
+    try {
+        return JSON.parse(options);
+    } catch (error) {
+        throw createStatusError('options must be valid JSON', 400);
+    }
+}
+
+// Same limits as CreativeAgent.optimizeForSeo. Returns what is wrong with
+// the request, if anything.
+function checkSeoOptions(content, contentType, seo) {
+    const { maxContentChars, maxSecondaryKeywords } = aiConfig.seo;
+    if (contentType !== 'blog_post') {
+        return 'SEO mode is only available for blog posts';
+    }
+    if (String(content).length > maxContentChars) {
+        return `Content to optimize is limited to ${maxContentChars} characters`;
+    }
+
+    const targetKeyword = String(seo.targetKeyword || '').trim();
+    if (!targetKeyword) {
+        return 'targetKeyword is required in SEO mode';
+    }
+
+    const list = Array.isArray(seo.secondaryKeywords) ? seo.secondaryKeywords : String(seo.secondaryKeywords || '').split(',');
+    const secondaryKeywords = [...new Set(list.map(keyword => String(keyword).trim()).filter(Boolean))]
+        .filter(keyword => keyword.toLowerCase() !== targetKeyword.toLowerCase());
+    if (secondaryKeywords.length > maxSecondaryKeywords) {
+        return `secondaryKeywords is limited to ${maxSecondaryKeywords}`;
+    }
+
+    return null;
+}
+
+function createStatusError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function pickTaskFields(body, fields) {
+    return Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+// Drops task fields only the server may set. A workflow step's task
+// carries its run and step ids, and a client copying them in could pass
+// its task off as a step of someone else's run.
+function withoutInternalFields(task) {
+    if (!task || typeof task !== 'object') {
+        return task;
+    }
+
+    const { workflowRunId, workflowStepId, ...rest } = task;
+    return rest;
+}
+
+// Clients opt in to streaming with `stream: true` or an SSE Accept header
+function wantsStream(req) {
+    return req.body.stream === true || (req.get('Accept') || '').includes('text/event-stream');
+}
+
 // Debug endpoint for development
 if (process.env.NODE_ENV === 'development') {
-    router.get('/debug/agents', (req, res) => {
+    router.get('/debug/agents', async (req, res) => {
         const agents = Array.from(orchestrator.agents.keys());
         res.json({
             success: true,
             agents: agents,
-            queueStats: orchestrator.getQueueStats()
+            queueStats: await orchestrator.getQueueStats()
         });
     });
 }
 
+// Exposed so the app can stop the task processor on shutdown
+router.orchestrator = orchestrator;
+
 module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const AssetService = require('../services/assets/asset-service');
+
+const assets = new AssetService();
+
+// Signed downloads for assets on the local backend. The signature in the
+// URL is the authorization, so these links work in <img> and <audio> tags
+// and can be cached until they expire; S3 backends hand out presigned
+// bucket URLs instead and never reach this route.
+router.get('/:assetId/:variant', async (req, res) => {
+    try {
+        const { expires, signature } = req.query;
+
+        const download = await assets.openDownload(req.params.assetId, req.params.variant, { expires, signature });
+
+        res.set({
+            'Content-Type': download.contentType,
+            'Content-Length': download.buffer.length,
+            'Content-Disposition': `inline; filename="${download.filename}"`,
+            'Cache-Control': `private, max-age=${Math.max(0, parseInt(expires, 10) - Math.floor(Date.now() / 1000))}`
+        });
+        res.send(download.buffer);
+
+    } catch (error) {
+        console.error('Asset download error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to download asset'
+        });
+    }
+});
+
+module.exports = router;
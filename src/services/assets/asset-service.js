@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const path = require('path');
+const aiConfig = require('../../../config/ai-config');
+const { createThumbnail } = require('../images/image-processing');
+
+const CONTENT_TYPES = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    ogg: 'audio/ogg',
+    opus: 'audio/opus',
+    aac: 'audio/aac',
+    flac: 'audio/flac'
+};
+
+const VARIANTS = ['original', 'thumbnail'];
+
+// Generated media kept out of task results. Blobs are stored under their
+// SHA-256 (so regenerating the same output costs no extra space), metadata
+// records who owns them and which task made them, and clients download
+// through signed URLs that expire after assets.urlTTL seconds.
+class AssetService {
+    constructor(options = {}) {
+        this.config = options.config || aiConfig.assets;
+        this.store = options.store || AssetService.createStore(process.env.ASSET_STORE, this.config);
+        this.backend = options.backend || AssetService.createBackend(this.config.backend, this.config);
+        this.createThumbnail = options.createThumbnail || createThumbnail;
+    }
+
+    static createStore(type = 'mysql', config = aiConfig.assets) {
+        switch (type) {
+            case 'file': {
+                const FileAssetStore = require('./file-asset-store');
+                return new FileAssetStore({ directory: path.join(config.storageDir, 'records') });
+            }
+            case 'mysql':
+            default: {
+                const MySQLAssetStore = require('./mysql-asset-store');
+                return new MySQLAssetStore();
+            }
+        }
+    }
+
+    static createBackend(type = 'local', config = aiConfig.assets) {
+        switch (type) {
+            case 's3': {
+                const S3AssetBackend = require('./s3-asset-backend');
+                return new S3AssetBackend(config.s3);
+            }
+            case 'local':
+            default: {
+                const LocalAssetBackend = require('./local-asset-backend');
+                return new LocalAssetBackend({ directory: path.join(config.storageDir, 'blobs') });
+            }
+        }
+    }
+
+    // media: { buffer, format, kind ('image' or 'audio'), taskId, filename,
+    // width, height }. Counts against the owner's tier quota.
+    async storeAsset(user, media) {
+        const contentType = CONTENT_TYPES[media.format];
+        if (!contentType) {
+            throw this.createStatusError(`Unsupported asset format: ${media.format}`, 400);
+        }
+
+        await this.checkQuota(user, media.buffer.length);
+
+        const sha256 = crypto.createHash('sha256').update(media.buffer).digest('hex');
+        const storageKey = `${sha256.slice(0, 2)}/${sha256}.${media.format}`;
+
+        if (!await this.backend.exists(storageKey)) {
+            await this.backend.put(storageKey, media.buffer, { contentType });
+        }
+
+        const asset = await this.store.insertAsset({
+            id: this.generateId('ast'),
+            userId: user.id,
+            taskId: media.taskId,
+            kind: media.kind,
+            storageKey: storageKey,
+            thumbnailKey: media.kind === 'image' ? await this.storeThumbnail(sha256, media.buffer) : null,
+            contentType: contentType,
+            sizeBytes: media.buffer.length,
+            sha256: sha256,
+            filename: media.filename || `${media.kind}-${sha256.slice(0, 12)}.${media.format}`,
+            width: media.width,
+            height: media.height,
+            createdAt: new Date()
+        });
+
+        return this.present(asset);
+    }
+
+    // Swaps the base64 of agent output ({ base64, format, ... }) for an asset
+    // id and download URLs. Results keep the bytes inline when storage
+    // fails, over quota included, so a finished generation is never lost.
+    async storeMedia(media, { kind, context = {}, dimensions } = {}) {
+        if (!context.userId || !media?.base64) {
+            return media;
+        }
+
+        try {
+            const asset = await this.storeAsset({ id: context.userId, subscriptionTier: context.userTier }, {
+                buffer: Buffer.from(media.base64, 'base64'),
+                format: media.format,
+                kind: kind,
+                taskId: context.taskId,
+                ...dimensions
+            });
+            const { base64, ...rest } = media;
+
+            return {
+                ...rest,
+                assetId: asset.id,
+                url: asset.url,
+                ...(asset.thumbnailUrl && { thumbnailUrl: asset.thumbnailUrl }),
+                expiresAt: asset.expiresAt
+            };
+        } catch (error) {
+            console.warn(`Keeping ${kind} inline, asset storage failed:`, error.message);
+            return { ...media, storageError: { message: error.message, code: error.code } };
+        }
+    }
+
+    async getAsset(assetId, userId) {
+        return this.present(await this.getOwnedAsset(assetId, userId));
+    }
+
+    async listAssets(user, { kind, limit = 50, offset = 0 } = {}) {
+        const assets = await this.store.listAssets(user.id, {
+            kind: kind,
+            limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100),
+            offset: Math.max(parseInt(offset, 10) || 0, 0)
+        });
+
+        return {
+            assets: assets.map(asset => this.present(asset)),
+            usage: await this.getUsage(user)
+        };
+    }
+
+    async getUsage(user) {
+        const usage = await this.store.getUsage(user.id);
+        return { ...usage, quotaBytes: this.getQuota(user) };
+    }
+
+    async deleteAsset(assetId, userId) {
+        const asset = await this.getOwnedAsset(assetId, userId);
+        await this.removeAsset(asset);
+        return { deleted: true, assetId };
+    }
+
+    // Removes assets older than the task retention window; see
+    // assets.retentionDays and the admin cleanup route
+    async cleanup(days = this.config.retentionDays) {
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const expired = await this.store.listAssetsCreatedBefore(cutoff);
+
+        for (const asset of expired) {
+            await this.removeAsset(asset);
+        }
+
+        return expired.length;
+    }
+
+    // Serves a local-backend download after checking the URL signature.
+    // Returns { buffer, contentType, filename }.
+    async openDownload(assetId, variant, { expires, signature } = {}) {
+        if (!VARIANTS.includes(variant) || !this.verifySignature(assetId, variant, expires, signature)) {
+            throw this.createStatusError('Invalid or expired download link', 403);
+        }
+
+        const asset = await this.store.getAsset(assetId);
+        const key = asset && (variant === 'thumbnail' ? asset.thumbnailKey : asset.storageKey);
+        const buffer = key ? await this.backend.get(key) : null;
+
+        if (!buffer) {
+            throw this.createStatusError('Asset not found', 404);
+        }
+
+        return {
+            buffer: buffer,
+            contentType: variant === 'thumbnail' ? 'image/webp' : asset.contentType,
+            filename: variant === 'thumbnail' ? `${path.parse(asset.filename).name}-thumbnail.webp` : asset.filename
+        };
+    }
+
+    // S3 backends presign their own URLs; local blobs go through /assets
+    getDownloadUrl(asset, variant = 'original', now = Date.now()) {
+        const expires = Math.floor(now / 1000) + this.config.urlTTL;
+
+        if (this.backend.getSignedUrl) {
+            return this.backend.getSignedUrl(variant === 'thumbnail' ? asset.thumbnailKey : asset.storageKey, {
+                expiresIn: this.config.urlTTL,
+                filename: asset.filename
+            });
+        }
+
+        const signature = this.sign(asset.id, variant, expires);
+        return `${this.config.publicBaseURL}/assets/${asset.id}/${variant}?expires=${expires}&signature=${signature}`;
+    }
+
+    async checkQuota(user, bytes) {
+        const quota = this.getQuota(user);
+        if (quota === -1) return;
+
+        const usage = await this.store.getUsage(user.id);
+        if (usage.bytes + bytes > quota) {
+            const error = this.createStatusError(
+                `Storage quota of ${Math.round(quota / (1024 * 1024))} MB for the ${user.subscriptionTier || 'free'} tier is full`,
+                413
+            );
+            error.code = 'STORAGE_QUOTA_EXCEEDED';
+            throw error;
+        }
+    }
+
+    getQuota(user) {
+        const quotas = this.config.quotaBytes;
+        return quotas[user.subscriptionTier] ?? quotas.free;
+    }
+
+    // Thumbnails are a convenience; an image that sharp can't read is
+    // still stored, just without one
+    async storeThumbnail(sha256, buffer) {
+        const key = `thumbnails/${sha256.slice(0, 2)}/${sha256}.webp`;
+
+        try {
+            if (!await this.backend.exists(key)) {
+                await this.backend.put(key, await this.createThumbnail(buffer, this.config.thumbnailSize), { contentType: 'image/webp' });
+            }
+            return key;
+        } catch (error) {
+            console.warn('Thumbnail generation failed:', error.message);
+            return null;
+        }
+    }
+
+    // Identical outputs share a blob, so it goes only with its last asset
+    async removeAsset(asset) {
+        await this.store.deleteAsset(asset.id);
+
+        for (const key of [asset.storageKey, asset.thumbnailKey].filter(Boolean)) {
+            if (await this.store.countReferences(key) === 0) {
+                await this.backend.delete(key);
+            }
+        }
+    }
+
+    async getOwnedAsset(assetId, userId) {
+        const asset = await this.store.getAsset(assetId);
+
+        if (!asset) {
+            throw this.createStatusError('Asset not found', 404);
+        }
+        if (asset.userId !== userId) {
+            throw this.createStatusError('Access denied to this asset', 403);
+        }
+
+        return asset;
+    }
+
+    present(asset, now = Date.now()) {
+        return {
+            id: asset.id,
+            kind: asset.kind,
+            taskId: asset.taskId,
+            contentType: asset.contentType,
+            sizeBytes: asset.sizeBytes,
+            filename: asset.filename,
+            ...(asset.width && { dimensions: { width: asset.width, height: asset.height } }),
+            createdAt: asset.createdAt,
+            url: this.getDownloadUrl(asset, 'original', now),
+            ...(asset.thumbnailKey && { thumbnailUrl: this.getDownloadUrl(asset, 'thumbnail', now) }),
+            expiresAt: new Date(now + this.config.urlTTL * 1000).toISOString()
+        };
+    }
+
+    sign(assetId, variant, expires) {
+        if (!this.config.urlSecret) {
+            throw new Error('ASSET_URL_SECRET must be set to sign asset download URLs');
+        }
+
+        return crypto.createHmac('sha256', this.config.urlSecret)
+            .update(`${assetId}:${variant}:${expires}`)
+            .digest('hex');
+    }
+
+    verifySignature(assetId, variant, expires, signature) {
+        const expiresAt = parseInt(expires, 10);
+        if (!(expiresAt * 1000 > Date.now()) || !/^[a-f0-9]{64}$/.test(String(signature))) {
+            return false;
+        }
+
+        return crypto.timingSafeEqual(
+            Buffer.from(this.sign(assetId, variant, expiresAt), 'hex'),
+            Buffer.from(signature, 'hex')
+        );
+    }
+
+    generateId(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    createStatusError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+module.exports = AssetService;
@@ -0,0 +1,83 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// File-backed asset metadata for deployments without MySQL: one small JSON
+// file per asset next to a blobs directory used by the local backend.
+class FileAssetStore {
+    constructor(options = {}) {
+        this.directory = path.resolve(options.directory);
+    }
+
+    async insertAsset(asset) {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(this.getPath(asset.id), JSON.stringify(asset));
+        return await this.getAsset(asset.id);
+    }
+
+    async getAsset(id) {
+        if (!/^ast_\d+_[a-z0-9]+$/.test(String(id))) {
+            return null;
+        }
+
+        try {
+            return this.toAsset(JSON.parse(await fs.readFile(this.getPath(id), 'utf8')));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async listAssets(userId, { kind, limit = 50, offset = 0 } = {}) {
+        const assets = (await this.readAll())
+            .filter(asset => asset.userId === userId && (!kind || asset.kind === kind))
+            .sort((a, b) => b.createdAt - a.createdAt);
+
+        return assets.slice(offset, offset + limit);
+    }
+
+    async getUsage(userId) {
+        const assets = (await this.readAll()).filter(asset => asset.userId === userId);
+        return { count: assets.length, bytes: assets.reduce((total, asset) => total + asset.sizeBytes, 0) };
+    }
+
+    async listAssetsCreatedBefore(date) {
+        return (await this.readAll()).filter(asset => asset.createdAt < new Date(date));
+    }
+
+    async countReferences(key) {
+        return (await this.readAll()).filter(asset => asset.storageKey === key || asset.thumbnailKey === key).length;
+    }
+
+    async deleteAsset(id) {
+        if (!await this.getAsset(id)) return false;
+
+        await fs.rm(this.getPath(id), { force: true });
+        return true;
+    }
+
+    async readAll() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const assets = await Promise.all(files
+            .filter(file => /^ast_[^.]+\.json$/.test(file))
+            .map(file => this.getAsset(file.slice(0, -'.json'.length))));
+
+        return assets.filter(Boolean);
+    }
+
+    getPath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    toAsset(record) {
+        return { ...record, createdAt: new Date(record.createdAt) };
+    }
+}
+
+module.exports = FileAssetStore;
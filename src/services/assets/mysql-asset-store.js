@@ -0,0 +1,93 @@
+const db = require('../database/mysql-connector');
+
+// Persists asset metadata. See migrations/010-assets.sql.
+class MySQLAssetStore {
+    async insertAsset(asset) {
+        await db.execute(
+            `INSERT INTO assets (id, user_id, task_id, kind, storage_key, thumbnail_key, content_type,
+                                 size_bytes, sha256, filename, width, height, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                asset.id,
+                asset.userId,
+                asset.taskId || null,
+                asset.kind,
+                asset.storageKey,
+                asset.thumbnailKey || null,
+                asset.contentType,
+                asset.sizeBytes,
+                asset.sha256,
+                asset.filename || null,
+                asset.width || null,
+                asset.height || null,
+                asset.createdAt
+            ]
+        );
+
+        return await this.getAsset(asset.id);
+    }
+
+    async getAsset(id) {
+        const [rows] = await db.execute('SELECT * FROM assets WHERE id = ?', [id]);
+        return rows[0] ? this.toAsset(rows[0]) : null;
+    }
+
+    async listAssets(userId, { kind, limit = 50, offset = 0 } = {}) {
+        const [rows] = await db.execute(
+            `SELECT * FROM assets WHERE user_id = ?${kind ? ' AND kind = ?' : ''}
+             ORDER BY created_at DESC
+             LIMIT ? OFFSET ?`,
+            [userId, ...(kind ? [kind] : []), limit, offset]
+        );
+
+        return rows.map(row => this.toAsset(row));
+    }
+
+    async getUsage(userId) {
+        const [rows] = await db.execute(
+            'SELECT COUNT(*) AS count, COALESCE(SUM(size_bytes), 0) AS bytes FROM assets WHERE user_id = ?',
+            [userId]
+        );
+
+        return { count: Number(rows[0].count), bytes: Number(rows[0].bytes) };
+    }
+
+    async listAssetsCreatedBefore(date) {
+        const [rows] = await db.execute('SELECT * FROM assets WHERE created_at < ?', [date]);
+        return rows.map(row => this.toAsset(row));
+    }
+
+    async countReferences(key) {
+        const [rows] = await db.execute(
+            'SELECT COUNT(*) AS count FROM assets WHERE storage_key = ? OR thumbnail_key = ?',
+            [key, key]
+        );
+
+        return Number(rows[0].count);
+    }
+
+    async deleteAsset(id) {
+        const [result] = await db.execute('DELETE FROM assets WHERE id = ?', [id]);
+        return result.affectedRows > 0;
+    }
+
+    toAsset(row) {
+        return {
+            id: row.id,
+            userId: row.user_id,
+            taskId: row.task_id,
+            kind: row.kind,
+            storageKey: row.storage_key,
+            thumbnailKey: row.thumbnail_key,
+            contentType: row.content_type,
+            sizeBytes: Number(row.size_bytes),
+            sha256: row.sha256,
+            filename: row.filename,
+            width: row.width,
+            height: row.height,
+            createdAt: row.created_at
+        };
+    }
+}
+
+module.exports = MySQLAssetStore;
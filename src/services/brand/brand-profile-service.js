@@ -0,0 +1,241 @@
+const aiConfig = require('../../../config/ai-config');
+const { checkBrandCompliance } = require('./brand-rules');
+
+// Fields a profile can be created or updated with, and whether each holds a list
+const PROFILE_FIELDS = {
+    name: false,
+    description: false,
+    voice: false,
+    styleRules: true,
+    bannedWords: true,
+    requiredDisclaimers: true,
+    examples: true,
+    glossary: true,
+    maxSentenceWords: false,
+    isDefault: false
+};
+
+// Reusable brand voice for the creative agent: voice and style rules,
+// banned words, required disclaimers, example copy and a glossary. A
+// profile is personal or shared with the owner's organization; the default
+// one in scope is applied to creative tasks that don't name a profile.
+class BrandProfileService {
+    constructor(options = {}) {
+        this.config = options.config || aiConfig.brandProfiles;
+        this.store = options.store || BrandProfileService.createStore(process.env.BRAND_PROFILE_STORE, this.config);
+    }
+
+    static createStore(type = 'mysql', config = aiConfig.brandProfiles) {
+        switch (type) {
+            case 'file': {
+                const FileBrandProfileStore = require('./file-brand-profile-store');
+                return new FileBrandProfileStore({ directory: config.storageDir });
+            }
+            case 'mysql':
+            default: {
+                const MySQLBrandProfileStore = require('./mysql-brand-profile-store');
+                return new MySQLBrandProfileStore();
+            }
+        }
+    }
+
+    // data.scope is 'user' (default) or 'organization'
+    async createProfile(user, data = {}) {
+        const scope = data.scope || 'user';
+        if (!['user', 'organization'].includes(scope)) {
+            throw this.createStatusError('scope must be user or organization', 400);
+        }
+        if (scope === 'organization' && !user.organizationId) {
+            throw this.createStatusError('Your account does not belong to an organization', 400);
+        }
+
+        const owner = { userId: user.id, organizationId: scope === 'organization' ? user.organizationId : null };
+        if (await this.store.countProfiles(owner) >= this.config.maxProfiles) {
+            throw this.createStatusError(`Brand profiles are limited to ${this.config.maxProfiles} per ${scope}`, 413);
+        }
+
+        const profile = {
+            id: this.generateId('brand'),
+            ...owner,
+            ...this.normalizeProfile(data, { requireName: true }),
+            createdAt: new Date()
+        };
+
+        if (profile.isDefault) {
+            await this.store.clearDefault(owner);
+        }
+
+        return await this.store.insertProfile(profile);
+    }
+
+    async getProfile(profileId, user) {
+        const profile = await this.store.getProfile(profileId);
+
+        if (!profile) {
+            throw this.createStatusError('Brand profile not found', 404);
+        }
+        if (!this.canAccess(profile, user)) {
+            throw this.createStatusError('Access denied to this brand profile', 403);
+        }
+
+        return profile;
+    }
+
+    // Personal profiles first, then the organization's
+    async listProfiles(user) {
+        return await this.store.listProfiles({ userId: user.id, organizationId: user.organizationId || null });
+    }
+
+    async updateProfile(profileId, user, changes = {}) {
+        const profile = await this.getProfile(profileId, user);
+        const updates = this.normalizeProfile(changes);
+
+        if (updates.isDefault) {
+            await this.store.clearDefault({ userId: profile.userId, organizationId: profile.organizationId });
+        }
+
+        return await this.store.updateProfile(profileId, updates);
+    }
+
+    async deleteProfile(profileId, user) {
+        await this.getProfile(profileId, user);
+        await this.store.deleteProfile(profileId);
+        return { deleted: true, profileId };
+    }
+
+    // The profile a creative task should use: the one it names, otherwise
+    // the user's default, otherwise the organization's. null (or false)
+    // opts the task out of brand rules altogether.
+    async resolveProfile(user, profileId) {
+        if (profileId === null || profileId === false) {
+            return null;
+        }
+        if (profileId !== undefined) {
+            return await this.getProfile(profileId, user);
+        }
+
+        return await this.store.findDefault({ userId: user.id, organizationId: user.organizationId || null });
+    }
+
+    // For agents running an admitted task; access was checked at admission
+    async loadProfile(profileId) {
+        const profile = await this.store.getProfile(profileId);
+        if (!profile) {
+            throw this.createStatusError('Brand profile not found', 404);
+        }
+        return profile;
+    }
+
+    checkContent(text, profile) {
+        return checkBrandCompliance(text, profile);
+    }
+
+    canAccess(profile, user) {
+        return profile.organizationId
+            ? profile.organizationId === user.organizationId
+            : profile.userId === user.id;
+    }
+
+    // Trims and bounds the fields present in data. Lists accept an array or
+    // one item per line; glossary entries are { term, definition, avoid }
+    // or just the term.
+    normalizeProfile(data, { requireName = false } = {}) {
+        const profile = {};
+
+        for (const field of Object.keys(PROFILE_FIELDS)) {
+            if (data[field] === undefined) continue;
+
+            if (PROFILE_FIELDS[field]) {
+                profile[field] = this.normalizeList(field, data[field]);
+            } else if (field === 'maxSentenceWords') {
+                profile[field] = this.normalizeSentenceLimit(data[field]);
+            } else if (field === 'isDefault') {
+                profile[field] = data[field] === true || data[field] === 'true';
+            } else {
+                profile[field] = String(data[field] ?? '').trim();
+            }
+        }
+
+        if ((requireName || profile.name !== undefined) && !profile.name) {
+            throw this.createStatusError('Brand profile name is required', 400);
+        }
+
+        if (requireName) {
+            return {
+                description: '',
+                voice: '',
+                styleRules: [],
+                bannedWords: [],
+                requiredDisclaimers: [],
+                examples: [],
+                glossary: [],
+                maxSentenceWords: this.config.maxSentenceWords || null,
+                isDefault: false,
+                ...profile
+            };
+        }
+
+        return profile;
+    }
+
+    normalizeList(field, value) {
+        // A lone example may span several lines, so only other lists split
+        const items = Array.isArray(value) ? value : (field === 'examples' ? [value] : String(value).split('\n'));
+        const limit = field === 'examples' ? this.config.maxExamples : this.config.maxListItems;
+
+        if (items.length > limit) {
+            throw this.createStatusError(`${field} is limited to ${limit} items`, 400);
+        }
+
+        if (field === 'glossary') {
+            return items.map(item => this.normalizeGlossaryEntry(item)).filter(Boolean);
+        }
+
+        const cleaned = [...new Set(items.map(item => String(item ?? '').trim()).filter(Boolean))];
+
+        if (field === 'examples' && cleaned.some(example => example.length > this.config.maxExampleChars)) {
+            throw this.createStatusError(`Examples are limited to ${this.config.maxExampleChars} characters`, 400);
+        }
+
+        return cleaned;
+    }
+
+    normalizeGlossaryEntry(item) {
+        const entry = typeof item === 'object' && item !== null ? item : { term: item };
+        const term = String(entry.term ?? '').trim();
+
+        if (!term) return null;
+
+        const avoid = Array.isArray(entry.avoid) ? entry.avoid : (entry.avoid ? [entry.avoid] : []);
+
+        return {
+            term: term,
+            definition: String(entry.definition ?? '').trim(),
+            avoid: [...new Set(avoid.map(variant => String(variant).trim()).filter(Boolean))]
+        };
+    }
+
+    normalizeSentenceLimit(value) {
+        if (value === null || value === 0 || value === '0') {
+            return null;
+        }
+
+        const limit = parseInt(value, 10);
+        if (!(limit >= 5 && limit <= 200)) {
+            throw this.createStatusError('maxSentenceWords must be between 5 and 200 (or 0 for no limit)', 400);
+        }
+        return limit;
+    }
+
+    generateId(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    createStatusError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+module.exports = BrandProfileService;
@@ -0,0 +1,170 @@
+// Turns a brand profile into prompt instructions and checks generated copy
+// against the rules that can be checked mechanically: banned words,
+// glossary spellings, required disclaimers and sentence length. Voice and
+// style rules are judgement calls and only go into the prompt.
+
+function buildBrandInstructions(profile) {
+    const sections = [`Write in the brand voice of ${profile.name}.`];
+
+    if (profile.voice) {
+        sections.push(`Voice: ${profile.voice}`);
+    }
+    if (profile.styleRules.length > 0) {
+        sections.push(`Style rules:\n${profile.styleRules.map(rule => `- ${rule}`).join('\n')}`);
+    }
+    if (profile.maxSentenceWords) {
+        sections.push(`Keep sentences under ${profile.maxSentenceWords} words.`);
+    }
+    if (profile.bannedWords.length > 0) {
+        sections.push(`Never use these words or phrases: ${profile.bannedWords.map(word => `"${word}"`).join(', ')}.`);
+    }
+    if (profile.glossary.length > 0) {
+        sections.push(`Glossary (use these terms exactly as written):\n${profile.glossary.map(formatGlossaryEntry).join('\n')}`);
+    }
+    if (profile.requiredDisclaimers.length > 0) {
+        sections.push(`Include each of these disclaimers word for word at the end:\n${profile.requiredDisclaimers.map(text => `- ${text}`).join('\n')}`);
+    }
+    if (profile.examples.length > 0) {
+        sections.push(`Examples of copy in this voice (match the voice, don't reuse the text):\n${profile.examples.map((example, index) => `Example ${index + 1}:\n"""\n${example}\n"""`).join('\n')}`);
+    }
+
+    return sections.join('\n\n');
+}
+
+function formatGlossaryEntry(entry) {
+    let line = `- ${entry.term}`;
+    if (entry.definition) {
+        line += `: ${entry.definition}`;
+    }
+    if (entry.avoid.length > 0) {
+        line += ` (not ${entry.avoid.map(variant => `"${variant}"`).join(' or ')})`;
+    }
+    return line;
+}
+
+// Returns { compliant, violations }. Each violation has a rule
+// (banned-word, glossary, missing-disclaimer, sentence-length), a message
+// and, where it points at the text, the character index of the match.
+function checkBrandCompliance(text, profile) {
+    const content = String(text || '');
+    const violations = [];
+
+    for (const word of profile.bannedWords) {
+        for (const match of findTerm(content, word)) {
+            violations.push({
+                rule: 'banned-word',
+                term: word,
+                index: match.index,
+                message: `"${match[0]}" is on the banned word list`
+            });
+        }
+    }
+
+    for (const entry of profile.glossary) {
+        for (const variant of entry.avoid) {
+            for (const match of findTerm(content, variant)) {
+                violations.push({
+                    rule: 'glossary',
+                    term: match[0],
+                    preferred: entry.term,
+                    index: match.index,
+                    message: `Use "${entry.term}" instead of "${match[0]}"`
+                });
+            }
+        }
+
+        // The term itself, but with the wrong capitalization ("Iphone").
+        // All-lowercase terms are left alone so sentence case isn't flagged.
+        if (!/\p{Lu}/u.test(entry.term)) continue;
+
+        for (const match of findTerm(content, entry.term)) {
+            if (match[0].replace(/\s+/g, ' ') !== entry.term) {
+                violations.push({
+                    rule: 'glossary',
+                    term: match[0],
+                    preferred: entry.term,
+                    index: match.index,
+                    message: `Write "${entry.term}" as it appears in the glossary, not "${match[0]}"`
+                });
+            }
+        }
+    }
+
+    const normalizedContent = normalizeForComparison(content);
+    for (const disclaimer of profile.requiredDisclaimers) {
+        if (!normalizedContent.includes(normalizeForComparison(disclaimer))) {
+            violations.push({
+                rule: 'missing-disclaimer',
+                disclaimer: disclaimer,
+                message: `Missing required disclaimer: "${disclaimer}"`
+            });
+        }
+    }
+
+    if (profile.maxSentenceWords) {
+        for (const sentence of splitSentences(content)) {
+            const words = sentence.text.split(/\s+/).filter(Boolean).length;
+            if (words > profile.maxSentenceWords) {
+                violations.push({
+                    rule: 'sentence-length',
+                    index: sentence.index,
+                    words: words,
+                    message: `Sentence has ${words} words (limit ${profile.maxSentenceWords}): "${truncate(sentence.text, 80)}"`
+                });
+            }
+        }
+    }
+
+    violations.sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity));
+
+    return { compliant: violations.length === 0, violations };
+}
+
+// Whole-word, case-insensitive matches; spaces in a phrase match any run
+// of whitespace so line breaks don't hide a banned phrase
+function findTerm(text, term) {
+    const pattern = term.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+    if (!pattern) return [];
+
+    return [...text.matchAll(new RegExp(`(?<![\\p{L}\\p{N}])${pattern}(?![\\p{L}\\p{N}])`, 'giu'))];
+}
+
+// Sentences outside code blocks; Markdown headings and list items count as
+// their own sentences
+function splitSentences(text) {
+    const sentences = [];
+    const prose = text.replace(/```[\s\S]*?```/g, block => ' '.repeat(block.length));
+    const pattern = /[^.!?\n]+(?:[.!?]+|$)/gm;
+    let match;
+
+    while ((match = pattern.exec(prose)) !== null) {
+        const sentence = match[0].replace(/^\s*(?:#+|[-*]|\d+\.)\s+/, '').trim();
+        if (sentence) {
+            sentences.push({ text: sentence, index: match.index + match[0].indexOf(sentence) });
+        }
+    }
+
+    return sentences;
+}
+
+function normalizeForComparison(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[*_`>]/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/[.!]+$/, '')
+        .trim();
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+    buildBrandInstructions,
+    checkBrandCompliance
+};
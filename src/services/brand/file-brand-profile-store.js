@@ -0,0 +1,108 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// File-backed brand profiles for deployments without MySQL, one JSON file
+// per profile
+class FileBrandProfileStore {
+    constructor(options = {}) {
+        this.directory = path.resolve(options.directory);
+    }
+
+    async insertProfile(profile) {
+        await this.write({ ...profile, updatedAt: profile.createdAt });
+        return await this.getProfile(profile.id);
+    }
+
+    async getProfile(id) {
+        if (!/^brand_\d+_[a-z0-9]+$/.test(String(id))) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(await fs.readFile(this.getPath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async listProfiles({ userId, organizationId }) {
+        const profiles = await this.readAll();
+        const byName = (a, b) => a.name.localeCompare(b.name);
+
+        return [
+            ...profiles.filter(profile => !profile.organizationId && profile.userId === userId).sort(byName),
+            ...profiles.filter(profile => organizationId && profile.organizationId === organizationId).sort(byName)
+        ];
+    }
+
+    async countProfiles(owner) {
+        return (await this.readAll()).filter(profile => this.isOwnedBy(profile, owner)).length;
+    }
+
+    // The user's own default wins over the organization's
+    async findDefault({ userId, organizationId }) {
+        const defaults = (await this.readAll()).filter(profile => profile.isDefault);
+
+        return defaults.find(profile => !profile.organizationId && profile.userId === userId)
+            || defaults.find(profile => organizationId && profile.organizationId === organizationId)
+            || null;
+    }
+
+    async clearDefault(owner) {
+        for (const profile of await this.readAll()) {
+            if (profile.isDefault && this.isOwnedBy(profile, owner)) {
+                await this.write({ ...profile, isDefault: false });
+            }
+        }
+    }
+
+    async updateProfile(id, changes) {
+        const profile = await this.getProfile(id);
+        if (!profile) return null;
+
+        const updated = { ...profile, ...changes, updatedAt: new Date() };
+        await this.write(updated);
+        return JSON.parse(JSON.stringify(updated));
+    }
+
+    async deleteProfile(id) {
+        if (!await this.getProfile(id)) return false;
+
+        await fs.rm(this.getPath(id), { force: true });
+        return true;
+    }
+
+    isOwnedBy(profile, { userId, organizationId }) {
+        return organizationId
+            ? profile.organizationId === organizationId
+            : !profile.organizationId && profile.userId === userId;
+    }
+
+    async readAll() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const profiles = await Promise.all(files
+            .filter(file => /^brand_[^.]+\.json$/.test(file))
+            .map(file => this.getProfile(file.slice(0, -'.json'.length))));
+
+        return profiles.filter(Boolean);
+    }
+
+    async write(profile) {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(this.getPath(profile.id), JSON.stringify(profile));
+    }
+
+    getPath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+}
+
+module.exports = FileBrandProfileStore;
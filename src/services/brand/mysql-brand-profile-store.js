@@ -0,0 +1,130 @@
+const db = require('../database/mysql-connector');
+
+// Persists brand profiles. See migrations/011-brand-profiles.sql.
+class MySQLBrandProfileStore {
+    constructor() {
+        this.columns = {
+            name: 'name',
+            description: 'description',
+            voice: 'voice',
+            styleRules: 'style_rules',
+            bannedWords: 'banned_words',
+            requiredDisclaimers: 'required_disclaimers',
+            examples: 'examples',
+            glossary: 'glossary',
+            maxSentenceWords: 'max_sentence_words',
+            isDefault: 'is_default'
+        };
+        this.jsonFields = ['styleRules', 'bannedWords', 'requiredDisclaimers', 'examples', 'glossary'];
+    }
+
+    async insertProfile(profile) {
+        const fields = Object.keys(this.columns);
+
+        await db.execute(
+            `INSERT INTO brand_profiles (id, user_id, organization_id, ${fields.map(field => this.columns[field]).join(', ')}, created_at, updated_at)
+             VALUES (?, ?, ?, ${fields.map(() => '?').join(', ')}, ?, ?)`,
+            [
+                profile.id,
+                profile.userId,
+                profile.organizationId,
+                ...fields.map(field => this.toColumnValue(field, profile[field])),
+                profile.createdAt,
+                profile.createdAt
+            ]
+        );
+
+        return await this.getProfile(profile.id);
+    }
+
+    async getProfile(id) {
+        const [rows] = await db.execute('SELECT * FROM brand_profiles WHERE id = ?', [id]);
+        return rows[0] ? this.toProfile(rows[0]) : null;
+    }
+
+    async listProfiles({ userId, organizationId }) {
+        const [rows] = await db.execute(
+            `SELECT * FROM brand_profiles
+             WHERE (user_id = ? AND organization_id IS NULL) OR organization_id = ?
+             ORDER BY organization_id IS NOT NULL, name`,
+            [userId, organizationId]
+        );
+
+        return rows.map(row => this.toProfile(row));
+    }
+
+    async countProfiles({ userId, organizationId }) {
+        const [rows] = organizationId
+            ? await db.execute('SELECT COUNT(*) AS count FROM brand_profiles WHERE organization_id = ?', [organizationId])
+            : await db.execute('SELECT COUNT(*) AS count FROM brand_profiles WHERE user_id = ? AND organization_id IS NULL', [userId]);
+
+        return Number(rows[0].count);
+    }
+
+    // The user's own default wins over the organization's
+    async findDefault({ userId, organizationId }) {
+        const [rows] = await db.execute(
+            `SELECT * FROM brand_profiles
+             WHERE is_default = TRUE AND ((user_id = ? AND organization_id IS NULL) OR organization_id = ?)
+             ORDER BY organization_id IS NOT NULL
+             LIMIT 1`,
+            [userId, organizationId]
+        );
+
+        return rows[0] ? this.toProfile(rows[0]) : null;
+    }
+
+    async clearDefault({ userId, organizationId }) {
+        if (organizationId) {
+            await db.execute('UPDATE brand_profiles SET is_default = FALSE WHERE organization_id = ?', [organizationId]);
+        } else {
+            await db.execute('UPDATE brand_profiles SET is_default = FALSE WHERE user_id = ? AND organization_id IS NULL', [userId]);
+        }
+    }
+
+    async updateProfile(id, changes) {
+        const fields = Object.keys(changes).filter(field => this.columns[field]);
+
+        if (fields.length > 0) {
+            await db.execute(
+                `UPDATE brand_profiles
+                 SET ${fields.map(field => `${this.columns[field]} = ?`).join(', ')}, updated_at = NOW()
+                 WHERE id = ?`,
+                [...fields.map(field => this.toColumnValue(field, changes[field])), id]
+            );
+        }
+
+        return await this.getProfile(id);
+    }
+
+    async deleteProfile(id) {
+        const [result] = await db.execute('DELETE FROM brand_profiles WHERE id = ?', [id]);
+        return result.affectedRows > 0;
+    }
+
+    toColumnValue(field, value) {
+        if (this.jsonFields.includes(field)) {
+            return JSON.stringify(value || []);
+        }
+        return value === undefined ? null : value;
+    }
+
+    toProfile(row) {
+        const profile = {
+            id: row.id,
+            userId: row.user_id,
+            organizationId: row.organization_id,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+
+        for (const [field, column] of Object.entries(this.columns)) {
+            profile[field] = this.jsonFields.includes(field) ? JSON.parse(row[column] || '[]') : row[column];
+        }
+        profile.isDefault = Boolean(row.is_default);
+
+        return profile;
+    }
+}
+
+module.exports = MySQLBrandProfileStore;
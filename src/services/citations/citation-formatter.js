@@ -0,0 +1,158 @@
+const CITATION_STYLES = ['apa', 'mla', 'bibtex'];
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const MLA_MONTHS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'];
+const BIBTEX_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Reference list entries for web sources in APA (7th ed.), MLA (9th ed.)
+// or BibTeX. A source is { title, url, author?, siteName?, publishedAt?,
+// accessedAt? }. Entries are plain text, so APA and MLA lose their italics.
+function formatReference(source, style) {
+    switch (style) {
+        case 'apa':
+            return formatApa(source);
+        case 'mla':
+            return formatMla(source);
+        case 'bibtex':
+            return formatBibtex(source, bibtexKey(source));
+        default:
+            throw createStyleError(style);
+    }
+}
+
+// The whole reference list as one string; BibTeX keys are made unique
+function formatBibliography(sources, style) {
+    if (style !== 'bibtex') {
+        return sources.map(source => formatReference(source, style)).join('\n');
+    }
+
+    const used = new Map();
+    return sources.map(source => {
+        const key = bibtexKey(source);
+        const count = used.get(key) || 0;
+        used.set(key, count + 1);
+        return formatBibtex(source, count ? `${key}${String.fromCharCode(97 + (count - 1) % 26)}` : key);
+    }).join('\n\n');
+}
+
+// Author. (2024, March 1). Title. Site. URL
+function formatApa(source) {
+    const date = parseDate(source.publishedAt);
+    const dated = date
+        ? `(${date.getUTCFullYear()}, ${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()})`
+        : '(n.d.)';
+    const title = sentenceEnd(source.title || source.url);
+    const site = source.siteName && source.siteName !== source.author ? ` ${sentenceEnd(source.siteName)}` : '';
+
+    return source.author
+        ? `${sentenceEnd(apaAuthor(source.author))} ${dated}. ${title}${site} ${source.url}`
+        : `${title} ${dated}.${site} ${source.url}`;
+}
+
+// Author. "Title." Site, 1 Mar. 2024, URL. Accessed 5 Mar. 2024.
+function formatMla(source) {
+    const published = parseDate(source.publishedAt);
+    const accessed = parseDate(source.accessedAt);
+    const container = [source.siteName, published && mlaDate(published), stripScheme(source.url)].filter(Boolean).join(', ');
+
+    return [
+        source.author ? sentenceEnd(mlaAuthor(source.author)) : null,
+        `"${sentenceEnd(source.title || source.url)}"`,
+        `${container}.`,
+        accessed ? `Accessed ${mlaDate(accessed)}.` : null
+    ].filter(Boolean).join(' ');
+}
+
+function formatBibtex(source, key) {
+    const published = parseDate(source.publishedAt);
+    const accessed = parseDate(source.accessedAt);
+    const fields = [
+        ['author', source.author && `{${escapeBibtex(source.author)}}`],
+        ['title', `{{${escapeBibtex(source.title || source.url)}}}`],
+        ['howpublished', `{\\url{${source.url}}}`],
+        ['organization', source.siteName && `{${escapeBibtex(source.siteName)}}`],
+        ['year', published && `{${published.getUTCFullYear()}}`],
+        ['month', published && BIBTEX_MONTHS[published.getUTCMonth()]],
+        ['note', accessed && `{Accessed: ${accessed.toISOString().slice(0, 10)}}`]
+    ].filter(([, value]) => value);
+
+    return `@misc{${key},\n${fields.map(([name, value]) => `  ${name} = ${value}`).join(',\n')}\n}`;
+}
+
+// surname (or site) + year + first significant title word, e.g. smith2024heat
+function bibtexKey(source) {
+    const published = parseDate(source.publishedAt);
+    const lead = source.author ? splitName(source.author)?.family || source.author : hostOf(source.url);
+    const titleWord = (source.title || '').toLowerCase().match(/[a-z0-9]{4,}/)?.[0] || '';
+    const slug = text => String(text || '').normalize('NFKD').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    return `${slug(lead) || 'source'}${published ? published.getUTCFullYear() : 'nd'}${slug(titleWord)}`;
+}
+
+// "Jane Q. Smith" -> "Smith, J. Q."; organisations and names already in
+// "Surname, Given" form are left as they are
+function apaAuthor(author) {
+    const name = splitName(author);
+    if (!name) return author;
+
+    const initials = name.given.map(part => `${part[0].toUpperCase()}.`).join(' ');
+    return `${name.family}, ${initials}`;
+}
+
+function mlaAuthor(author) {
+    const name = splitName(author);
+    return name ? `${name.family}, ${name.given.join(' ')}` : author;
+}
+
+function splitName(author) {
+    const parts = String(author).trim().split(/\s+/);
+    if (author.includes(',') || parts.length < 2 || parts.length > 4 ||
+        !parts.every(part => /^\p{Lu}[\p{L}'’.-]*$/u.test(part))) {
+        return null;
+    }
+
+    return { given: parts.slice(0, -1), family: parts[parts.length - 1] };
+}
+
+function mlaDate(date) {
+    return `${date.getUTCDate()} ${MLA_MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+}
+
+function sentenceEnd(text) {
+    const trimmed = String(text).trim();
+    return /[.?!]$/.test(trimmed) ? trimmed : `${trimmed}.`;
+}
+
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function stripScheme(url) {
+    return String(url || '').replace(/^https?:\/\//, '');
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '').split('.')[0];
+    } catch (error) {
+        return null;
+    }
+}
+
+function escapeBibtex(text) {
+    return String(text).replace(/([&%$#_{}])/g, '\\$1');
+}
+
+function createStyleError(style) {
+    const error = new Error(`Unknown citation style: ${style}. Use one of ${CITATION_STYLES.join(', ')}`);
+    error.status = 400;
+    return error;
+}
+
+module.exports = {
+    CITATION_STYLES,
+    formatReference,
+    formatBibliography
+};
@@ -0,0 +1,207 @@
+const { formatBibliography, CITATION_STYLES } = require('./citation-formatter');
+
+const SOURCE_CITATION_INSTRUCTIONS = 'Web sources are numbered. Cite the sources each statement relies on inline with their numbers in square brackets straight after the statement, e.g. [2] or [1, 3]. Only cite a number for something that source says, and do not write a reference list; one is generated from your citations.';
+
+const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by',
+    'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'how', 'however', 'if', 'in',
+    'into', 'is', 'it', 'its', 'may', 'more', 'most', 'much', 'not', 'of', 'on', 'or', 'other', 'over', 'so',
+    'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to',
+    'was', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'will', 'with', 'would'
+]);
+
+// Markers such as [2], [1, 3], [2-4] and [K1]
+const MARKER = /\[((?:K?\d+)(?:\s*(?:[,;]|[-–])\s*K?\d+)*)\]/g;
+const REFERENCE_HEADING = /^\s*(?:#{1,6}\s*)?\**(references|sources|bibliography|works cited|citations)\**:?\s*$/im;
+const SENTENCE_BREAK = /(?<=[.!?]["”')]?(?:\s*\[[^\]]*\])*)\s+(?=["“(\p{Lu}\d])/u;
+
+// Checks each statement of a generated answer against the text it was
+// given. sources is [{ marker, text }] with markers '1', '2', ... for web
+// sources and 'K1', ... for knowledge base excerpts. A statement is
+// supported when one passage (a sentence or two) of a source contains at
+// least `threshold` of its content words:
+//   supported   - a source it cites supports it
+//   uncited     - it cites nothing but a source supports it
+//   miscited    - its citations don't support it but another source does
+//   unsupported - no source supports it
+// Headings, list labels and statements under minWords content words are
+// not checked, nor is anything after a reference list heading.
+function checkGrounding(text, sources, { threshold = 0.5, minWords = 5 } = {}) {
+    const passages = new Map(sources.map(source => [String(source.marker), splitPassages(source.text || '')]));
+    const unknownMarkers = new Set();
+    const statements = [];
+
+    for (const sentence of splitStatements(text)) {
+        const markers = parseMarkers(sentence);
+        const words = [...new Set(tokenize(sentence.replace(MARKER, ' ')))];
+        if (words.length < minWords) continue;
+
+        markers.filter(marker => !passages.has(marker)).forEach(marker => unknownMarkers.add(marker));
+
+        const cited = bestSupport(words, markers.filter(marker => passages.has(marker)), passages);
+        const statement = { text: sentence, markers, status: 'unsupported', score: cited ? cited.score : 0 };
+
+        if (cited && cited.score >= threshold) {
+            Object.assign(statement, { status: 'supported', source: cited.marker, quote: cited.quote });
+        } else {
+            const other = bestSupport(words, [...passages.keys()].filter(marker => !markers.includes(marker)), passages);
+            if (other && other.score >= threshold) {
+                Object.assign(statement, {
+                    status: markers.length ? 'miscited' : 'uncited',
+                    score: other.score,
+                    source: other.marker,
+                    quote: other.quote
+                });
+            }
+        }
+
+        statement.score = Math.round(statement.score * 100) / 100;
+        statements.push(statement);
+    }
+
+    const unsupported = statements.filter(statement => statement.status === 'unsupported');
+
+    return {
+        checked: statements.length,
+        supported: statements.length - unsupported.length,
+        supportedRatio: statements.length ? Math.round((1 - unsupported.length / statements.length) * 100) / 100 : 1,
+        unsupported: unsupported.map(statement => ({ text: statement.text, markers: statement.markers, score: statement.score })),
+        unknownMarkers: [...unknownMarkers],
+        statements
+    };
+}
+
+// Numbered references for the web sources the answer cites, in number
+// order, each with the quoted spans that support statements citing it and
+// a reference list entry per citation style
+function buildReferences(text, searchResults, grounding, accessedAt) {
+    const cited = new Set(parseMarkers(text || '').filter(marker => /^\d+$/.test(marker)).map(Number));
+
+    const references = [...cited]
+        .filter(number => number >= 1 && number <= searchResults.length)
+        .sort((a, b) => a - b)
+        .map(number => {
+            const source = searchResults[number - 1];
+            return {
+                number: number,
+                title: source.title,
+                url: source.link,
+                author: source.author || null,
+                siteName: source.siteName || null,
+                publishedAt: source.publishedAt || null,
+                accessedAt: accessedAt,
+                quotes: (grounding ? grounding.statements : [])
+                    .filter(statement => statement.status === 'supported' && statement.source === String(number))
+                    .map(statement => ({ statement: statement.text, ...statement.quote }))
+            };
+        });
+
+    const bibliography = Object.fromEntries(CITATION_STYLES.map(style => [style, formatBibliography(references, style)]));
+
+    return { references, bibliography };
+}
+
+function parseMarkers(text) {
+    const markers = [];
+
+    for (const match of text.matchAll(MARKER)) {
+        for (const part of match[1].split(/\s*[,;]\s*/)) {
+            const range = part.match(/^(K?)(\d+)\s*[-–]\s*K?(\d+)$/);
+            const labels = range && Number(range[3]) - Number(range[2]) < 50
+                ? Array.from({ length: Number(range[3]) - Number(range[2]) + 1 }, (_, i) => `${range[1]}${Number(range[2]) + i}`)
+                : [part];
+
+            labels.forEach(label => { if (!markers.includes(label)) markers.push(label); });
+        }
+    }
+
+    return markers;
+}
+
+function splitStatements(text) {
+    const body = (text || '').split(REFERENCE_HEADING)[0];
+    const statements = [];
+    let inCode = false;
+
+    for (const rawLine of body.split('\n')) {
+        if (/^\s*```/.test(rawLine)) {
+            inCode = !inCode;
+            continue;
+        }
+        if (inCode || /^\s*(#|\||>?\s*$)/.test(rawLine)) continue;
+
+        const line = rawLine
+            .replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '')
+            .replace(/\*\*|__|`/g, '')
+            .replace(/^[^.!?:]{1,60}:\s+/, '')
+            .trim();
+
+        statements.push(...line.split(SENTENCE_BREAK).map(sentence => sentence.trim()).filter(Boolean));
+    }
+
+    return statements;
+}
+
+// Sentences of a source with their offsets, so quotes are exact spans
+function splitPassages(text) {
+    const sentences = [];
+    const pattern = /[^.!?\n]+(?:[.!?]+|$)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const start = match.index + match[0].search(/\S|$/);
+        const end = match.index + match[0].trimEnd().length;
+        if (end > start) {
+            sentences.push({ start, end, words: new Set(tokenize(match[0])) });
+        }
+        if (match[0].length === 0) pattern.lastIndex++;
+    }
+
+    // Single sentences and adjacent pairs, since a claim often spans two
+    const passages = sentences.map(sentence => ({ ...sentence, text }));
+    for (let i = 0; i + 1 < sentences.length; i++) {
+        passages.push({
+            start: sentences[i].start,
+            end: sentences[i + 1].end,
+            words: new Set([...sentences[i].words, ...sentences[i + 1].words]),
+            text
+        });
+    }
+
+    return passages;
+}
+
+function bestSupport(words, markers, passages) {
+    let best = null;
+
+    for (const marker of markers) {
+        for (const passage of passages.get(marker)) {
+            const score = words.filter(word => passage.words.has(word)).length / words.length;
+
+            // Prefer the shorter passage on a tie so quotes stay tight
+            if (!best || score > best.score || (score === best.score && passage.end - passage.start < best.length)) {
+                best = {
+                    marker,
+                    score,
+                    length: passage.end - passage.start,
+                    quote: { text: passage.text.slice(passage.start, passage.end), start: passage.start, end: passage.end }
+                };
+            }
+        }
+    }
+
+    return best && { marker: best.marker, score: best.score, quote: best.quote };
+}
+
+function tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => !STOP_WORDS.has(word))
+        .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+module.exports = {
+    SOURCE_CITATION_INSTRUCTIONS,
+    checkGrounding,
+    buildReferences,
+    parseMarkers
+};
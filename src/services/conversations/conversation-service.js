@@ -0,0 +1,186 @@
+const aiConfig = require('../../../config/ai-config');
+
+// Result fields that hold an agent's reply text, in order of preference
+const REPLY_FIELDS = ['content', 'text', 'insights', 'summary', 'trends', 'comparison', 'sentiment'];
+
+// Conversation threads for multi-turn work with the agents. A task that
+// carries a conversationId is given the thread's earlier turns (trimmed to
+// the agent's token budget) as context.history, and once it completes its
+// prompt and reply are appended to the thread.
+class ConversationService {
+    constructor(options = {}) {
+        this.store = options.store || ConversationService.createStore(process.env.CONVERSATION_STORE);
+        this.config = options.config || aiConfig.conversations;
+    }
+
+    static createStore(type = 'mysql') {
+        switch (type) {
+            case 'memory': {
+                const MemoryConversationStore = require('./memory-conversation-store');
+                return new MemoryConversationStore();
+            }
+            case 'mysql':
+            default: {
+                const MySQLConversationStore = require('./mysql-conversation-store');
+                return new MySQLConversationStore();
+            }
+        }
+    }
+
+    // Rough count (about four characters per token); only used for trimming
+    static estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+
+    async createConversation(user, { title = '', agentType }) {
+        return await this.store.insertConversation({
+            id: this.generateId('conv'),
+            userId: user.id,
+            title: this.cleanTitle(title),
+            agentType: agentType,
+            createdAt: new Date()
+        });
+    }
+
+    async getConversation(conversationId, userId) {
+        const conversation = await this.store.getConversation(conversationId);
+
+        if (!conversation) {
+            throw this.createStatusError('Conversation not found', 404);
+        }
+        if (conversation.userId !== userId) {
+            throw this.createStatusError('Access denied to this conversation', 403);
+        }
+
+        return conversation;
+    }
+
+    async listConversations(userId, limit = 20, offset = 0) {
+        return await this.store.listConversations(userId, limit, offset);
+    }
+
+    async renameConversation(conversationId, userId, title) {
+        await this.getConversation(conversationId, userId);
+
+        if (!this.cleanTitle(title)) {
+            throw this.createStatusError('Conversation title is required', 400);
+        }
+
+        return await this.store.updateConversation(conversationId, { title: this.cleanTitle(title) });
+    }
+
+    async deleteConversation(conversationId, userId) {
+        await this.getConversation(conversationId, userId);
+        await this.store.deleteConversation(conversationId);
+        return { deleted: true, conversationId };
+    }
+
+    async getMessages(conversationId, userId, limit = 50, beforeId = null) {
+        await this.getConversation(conversationId, userId);
+        return await this.store.listMessages(conversationId, limit, beforeId);
+    }
+
+    // The most recent turns that fit in the agent's token budget, oldest
+    // first, as chat messages. History always starts on a user turn because
+    // some providers reject a conversation that opens with the assistant.
+    async getHistory(conversationId, agentType) {
+        const budget = this.config.historyTokens[agentType] ?? this.config.historyTokens.default;
+        const messages = await this.store.listMessages(conversationId, this.config.maxHistoryMessages);
+        const history = [];
+        let used = 0;
+
+        for (let index = messages.length - 1; index >= 0; index--) {
+            const tokens = messages[index].tokenCount || ConversationService.estimateTokens(messages[index].content);
+            if (used + tokens > budget) {
+                break;
+            }
+
+            history.unshift({ role: messages[index].role, content: messages[index].content });
+            used += tokens;
+        }
+
+        while (history.length && history[0].role !== 'user') {
+            history.shift();
+        }
+
+        return history;
+    }
+
+    // Appends a completed task's prompt and reply. The first turn of an
+    // untitled thread names it after the prompt.
+    async addTurn(conversationId, { prompt, result, agentType, taskId }) {
+        const conversation = await this.store.getConversation(conversationId);
+        if (!conversation) {
+            return null;
+        }
+
+        const messages = [
+            { role: 'user', content: this.truncate(prompt || ''), agentType, taskId },
+            { role: 'assistant', content: this.truncate(this.describeResult(result)), agentType, taskId }
+        ].map(message => ({ ...message, tokenCount: ConversationService.estimateTokens(message.content) }));
+
+        const stored = await this.store.insertMessages(conversationId, messages);
+
+        const changes = {};
+        if (!conversation.title) {
+            changes.title = this.cleanTitle(prompt);
+        }
+        if (agentType && agentType !== conversation.agentType) {
+            changes.agentType = agentType;
+        }
+        if (Object.keys(changes).length > 0) {
+            await this.store.updateConversation(conversationId, changes);
+        }
+
+        return stored;
+    }
+
+    // The text of an agent's reply as the model should see it on later
+    // turns: prose as-is, code fenced, projects as their file list
+    describeResult(result = {}) {
+        if (typeof result.code === 'string') {
+            const explanation = typeof result.explanation === 'string' ? `\n\n${result.explanation}` : '';
+            return `\`\`\`${result.language || ''}\n${result.code}\n\`\`\`${explanation}`;
+        }
+
+        if (result.project && result.manifest) {
+            const files = result.manifest.files.map(file => `- ${file.path}`).join('\n');
+            return `Project ${result.project.name} (revision ${result.project.revision}, id ${result.project.id}):\n${files}`;
+        }
+
+        const field = REPLY_FIELDS.find(name => typeof result[name] === 'string' && result[name]);
+        if (field) {
+            return result[field];
+        }
+
+        if (result.audio) {
+            return '(Generated audio)';
+        }
+
+        return '(No text reply)';
+    }
+
+    truncate(text) {
+        const limit = this.config.maxMessageChars;
+        return text.length > limit ? `${text.slice(0, limit)}\n[truncated]` : text;
+    }
+
+    cleanTitle(title) {
+        const clean = String(title || '').replace(/\s+/g, ' ').trim();
+        return clean.length > this.config.titleLength
+            ? `${clean.slice(0, this.config.titleLength - 1).trim()}…`
+            : clean;
+    }
+
+    generateId(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    createStatusError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+module.exports = ConversationService;
@@ -0,0 +1,68 @@
+// In-memory conversation storage. Used by tests and local development; the
+// contents are lost when the process exits.
+class MemoryConversationStore {
+    constructor() {
+        this.conversations = new Map();
+        this.messages = new Map(); // conversationId -> messages, oldest first
+        this.nextMessageId = 1;
+    }
+
+    async insertConversation(conversation) {
+        this.conversations.set(conversation.id, { ...conversation, messageCount: 0, updatedAt: conversation.createdAt });
+        this.messages.set(conversation.id, []);
+        return { ...this.conversations.get(conversation.id) };
+    }
+
+    async getConversation(id) {
+        const conversation = this.conversations.get(id);
+        return conversation ? { ...conversation } : null;
+    }
+
+    async listConversations(userId, limit = 20, offset = 0) {
+        return Array.from(this.conversations.values())
+            .filter(conversation => conversation.userId === userId)
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .slice(offset, offset + limit)
+            .map(conversation => ({ ...conversation }));
+    }
+
+    async updateConversation(id, changes) {
+        const conversation = this.conversations.get(id);
+        if (!conversation) {
+            return null;
+        }
+
+        const updated = { ...conversation, ...changes, updatedAt: new Date() };
+        this.conversations.set(id, updated);
+        return { ...updated };
+    }
+
+    async deleteConversation(id) {
+        this.messages.delete(id);
+        return this.conversations.delete(id);
+    }
+
+    async insertMessages(conversationId, messages) {
+        const stored = messages.map(message => ({ ...message, id: this.nextMessageId++, conversationId, createdAt: new Date() }));
+        const conversation = this.conversations.get(conversationId);
+
+        this.messages.get(conversationId).push(...stored);
+        this.conversations.set(conversationId, {
+            ...conversation,
+            messageCount: conversation.messageCount + stored.length,
+            updatedAt: new Date()
+        });
+
+        return stored.map(message => ({ ...message }));
+    }
+
+    // The newest `limit` messages (older than beforeId, if given), oldest first
+    async listMessages(conversationId, limit = 50, beforeId = null) {
+        return (this.messages.get(conversationId) || [])
+            .filter(message => beforeId === null || message.id < beforeId)
+            .slice(-limit)
+            .map(message => ({ ...message }));
+    }
+}
+
+module.exports = MemoryConversationStore;
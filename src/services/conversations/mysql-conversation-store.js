@@ -0,0 +1,117 @@
+const db = require('../database/mysql-connector');
+
+// Persists conversation threads and their messages.
+// See migrations/008-conversations.sql.
+class MySQLConversationStore {
+    constructor() {
+        this.conversationColumns = {
+            title: 'title',
+            agentType: 'agent_type'
+        };
+    }
+
+    async insertConversation(conversation) {
+        await db.execute(
+            `INSERT INTO conversations (id, user_id, title, agent_type, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [conversation.id, conversation.userId, conversation.title, conversation.agentType, conversation.createdAt, conversation.createdAt]
+        );
+
+        return await this.getConversation(conversation.id);
+    }
+
+    async getConversation(id) {
+        const [rows] = await db.execute('SELECT * FROM conversations WHERE id = ?', [id]);
+        return rows[0] ? this.toConversation(rows[0]) : null;
+    }
+
+    async listConversations(userId, limit = 20, offset = 0) {
+        const [rows] = await db.execute(
+            `SELECT * FROM conversations
+             WHERE user_id = ?
+             ORDER BY updated_at DESC, created_at DESC
+             LIMIT ? OFFSET ?`,
+            [userId, limit, offset]
+        );
+
+        return rows.map(row => this.toConversation(row));
+    }
+
+    async updateConversation(id, changes) {
+        const fields = Object.keys(changes).filter(field => this.conversationColumns[field]);
+
+        if (fields.length > 0) {
+            await db.execute(
+                `UPDATE conversations
+                 SET ${fields.map(field => `${this.conversationColumns[field]} = ?`).join(', ')}, updated_at = NOW()
+                 WHERE id = ?`,
+                [...fields.map(field => changes[field]), id]
+            );
+        }
+
+        return await this.getConversation(id);
+    }
+
+    async deleteConversation(id) {
+        const [result] = await db.execute('DELETE FROM conversations WHERE id = ?', [id]);
+        return result.affectedRows > 0;
+    }
+
+    async insertMessages(conversationId, messages) {
+        const stored = [];
+
+        for (const message of messages) {
+            const [result] = await db.execute(
+                `INSERT INTO conversation_messages (conversation_id, role, agent_type, task_id, content, token_count, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+                [conversationId, message.role, message.agentType, message.taskId || null, message.content, message.tokenCount]
+            );
+            stored.push({ ...message, id: result.insertId, conversationId });
+        }
+
+        await db.execute(
+            `UPDATE conversations
+             SET message_count = message_count + ?, updated_at = NOW()
+             WHERE id = ?`,
+            [messages.length, conversationId]
+        );
+
+        return stored;
+    }
+
+    // The newest `limit` messages (older than beforeId, if given), oldest first
+    async listMessages(conversationId, limit = 50, beforeId = null) {
+        const [rows] = await db.execute(
+            `SELECT * FROM conversation_messages
+             WHERE conversation_id = ? ${beforeId !== null ? 'AND id < ?' : ''}
+             ORDER BY id DESC
+             LIMIT ?`,
+            beforeId !== null ? [conversationId, beforeId, limit] : [conversationId, limit]
+        );
+
+        return rows.reverse().map(row => ({
+            id: row.id,
+            conversationId: row.conversation_id,
+            role: row.role,
+            agentType: row.agent_type,
+            taskId: row.task_id,
+            content: row.content,
+            tokenCount: row.token_count,
+            createdAt: row.created_at
+        }));
+    }
+
+    toConversation(row) {
+        return {
+            id: row.id,
+            userId: row.user_id,
+            title: row.title,
+            agentType: row.agent_type,
+            messageCount: row.message_count,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+module.exports = MySQLConversationStore;
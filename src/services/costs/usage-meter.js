@@ -0,0 +1,74 @@
+const aiConfig = require('../../../config/ai-config');
+
+// Collects what a single task consumed from AI providers and prices each
+// call from the rate table in aiConfig.pricing. The provider router records
+// into it; the orchestrator stores the entries once the task settles.
+class UsageMeter {
+    constructor(pricing = aiConfig.pricing) {
+        this.pricing = pricing;
+        this.entries = [];
+    }
+
+    record(usage) {
+        const entry = {
+            provider: usage.provider,
+            capability: usage.capability,
+            model: usage.model || null,
+            promptTokens: usage.promptTokens || 0,
+            completionTokens: usage.completionTokens || 0,
+            images: usage.images || 0,
+            characters: usage.characters || 0,
+            audioSeconds: usage.audioSeconds || 0
+        };
+
+        entry.cost = this.price(entry);
+        this.entries.push(entry);
+        return entry;
+    }
+
+    price(entry) {
+        const rates = this.getRates(entry.provider, entry.model);
+
+        const cost = (entry.promptTokens / 1000) * (rates.promptPer1K || 0) +
+            (entry.completionTokens / 1000) * (rates.completionPer1K || 0) +
+            entry.images * (rates.perImage || 0) +
+            (entry.characters / 1000) * (rates.per1KCharacters || 0) +
+            (entry.audioSeconds / 60) * (rates.perMinute || 0);
+
+        return Math.round(cost * 1e6) / 1e6;
+    }
+
+    // Vendors report dated model names (gpt-4-0613), so fall back to the
+    // longest listed prefix before the provider default
+    getRates(provider, model) {
+        const providerRates = this.pricing[provider] || {};
+
+        if (model && providerRates[model]) {
+            return providerRates[model];
+        }
+
+        const prefix = Object.keys(providerRates)
+            .filter(key => key !== 'default' && model && model.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return providerRates[prefix] || providerRates.default || {};
+    }
+
+    getEntries() {
+        return this.entries.slice();
+    }
+
+    getTotals() {
+        return this.entries.reduce((totals, entry) => {
+            totals.promptTokens += entry.promptTokens;
+            totals.completionTokens += entry.completionTokens;
+            totals.images += entry.images;
+            totals.characters += entry.characters;
+            totals.audioSeconds += entry.audioSeconds;
+            totals.cost = Math.round((totals.cost + entry.cost) * 1e6) / 1e6;
+            return totals;
+        }, { promptTokens: 0, completionTokens: 0, images: 0, characters: 0, audioSeconds: 0, cost: 0 });
+    }
+}
+
+module.exports = UsageMeter;
@@ -0,0 +1,20 @@
+-- Durable task queue
+-- Queued and in-flight orchestrator tasks are persisted here so they survive restarts
+
+CREATE TABLE task_queue (
+    id VARCHAR(100) PRIMARY KEY,
+    user_id INT NOT NULL,
+    user_tier ENUM('free', 'basic', 'premium', 'enterprise') NOT NULL,
+    task_type VARCHAR(50) NOT NULL,
+    agent_type VARCHAR(50) NOT NULL,
+    task_data TEXT NOT NULL, -- Encrypted task payload as JSON
+    status ENUM('queued', 'processing') DEFAULT 'queued',
+    attempts INT DEFAULT 0,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_status_created (status, created_at),
+    INDEX idx_user_id (user_id)
+);
@@ -0,0 +1,9 @@
+-- Task retries and dead-letter queue
+-- Failed tasks wait out a backoff via available_at; tasks that exhaust their
+-- retries are parked as dead_letter until an admin re-enqueues them
+
+ALTER TABLE task_queue
+    MODIFY status ENUM('queued', 'processing', 'dead_letter') DEFAULT 'queued',
+    ADD COLUMN available_at TIMESTAMP NULL AFTER started_at,
+    ADD COLUMN dead_lettered_at TIMESTAMP NULL AFTER available_at,
+    ADD INDEX idx_dead_lettered (status, dead_lettered_at);
@@ -0,0 +1,10 @@
+-- Task cancellation
+-- Cancelled tasks are kept for history; usage rows are linked to their task so
+-- tasks cancelled before they start can be refunded
+
+ALTER TABLE tasks
+    MODIFY status ENUM('queued', 'processing', 'completed', 'failed', 'cancelled') DEFAULT 'queued';
+
+ALTER TABLE task_usage
+    ADD COLUMN task_id VARCHAR(100) NULL AFTER user_id,
+    ADD INDEX idx_task_id (task_id);
@@ -0,0 +1,31 @@
+-- Workflow pipelines
+-- Definitions are stored once and can be run many times; each run tracks
+-- the status, task and output of every step as JSON
+
+CREATE TABLE workflows (
+    id VARCHAR(100) PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    definition JSON NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id)
+);
+
+CREATE TABLE workflow_runs (
+    id VARCHAR(100) PRIMARY KEY,
+    workflow_id VARCHAR(100) NOT NULL,
+    user_id INT NOT NULL,
+    user_tier ENUM('free', 'basic', 'premium', 'enterprise') NOT NULL,
+    status ENUM('running', 'completed', 'failed', 'cancelled') DEFAULT 'running',
+    input_data JSON,
+    steps JSON NOT NULL,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (workflow_id) REFERENCES workflows(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_status_created (status, created_at),
+    INDEX idx_user_id (user_id)
+);
@@ -0,0 +1,26 @@
+-- Provider cost accounting
+-- One row per AI provider call made while running a task, priced from the
+-- rate table in config/ai-config.js at the time of the call
+
+CREATE TABLE task_costs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    task_id VARCHAR(100) NOT NULL,
+    user_id INT NOT NULL,
+    user_tier ENUM('free', 'basic', 'premium', 'enterprise') NOT NULL,
+    agent_type VARCHAR(50) NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100),
+    capability ENUM('chat', 'image', 'tts', 'stt') NOT NULL,
+    prompt_tokens INT DEFAULT 0,
+    completion_tokens INT DEFAULT 0,
+    images INT DEFAULT 0,
+    characters INT DEFAULT 0,
+    audio_seconds DECIMAL(10, 2) DEFAULT 0,
+    cost_usd DECIMAL(12, 6) DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_task_id (task_id),
+    INDEX idx_user_created (user_id, created_at),
+    INDEX idx_tier_created (user_tier, created_at),
+    INDEX idx_created_at (created_at)
+);
@@ -0,0 +1,29 @@
+-- Conversation threads
+-- A thread holds the turns of a multi-step exchange with the agents; each
+-- completed task in the thread adds the user's prompt and the agent's reply.
+-- agent_type on the thread is the agent used when a turn does not name one.
+
+CREATE TABLE conversations (
+    id VARCHAR(100) PRIMARY KEY,
+    user_id INT NOT NULL,
+    title VARCHAR(255) NOT NULL DEFAULT '',
+    agent_type VARCHAR(50) NOT NULL,
+    message_count INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_updated (user_id, updated_at)
+);
+
+CREATE TABLE conversation_messages (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    conversation_id VARCHAR(100) NOT NULL,
+    role ENUM('user', 'assistant') NOT NULL,
+    agent_type VARCHAR(50) NOT NULL,
+    task_id VARCHAR(100),
+    content MEDIUMTEXT NOT NULL,
+    token_count INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+    INDEX idx_conversation_id (conversation_id, id)
+);
@@ -0,0 +1,46 @@
+-- Knowledge bases for retrieval-augmented research and content
+-- Uploaded documents are split into chunks and each chunk is stored with its
+-- embedding (a JSON array of floats). Similarity search loads a knowledge
+-- base's vectors and ranks them in the application.
+
+CREATE TABLE knowledge_bases (
+    id VARCHAR(100) PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    embedding_model VARCHAR(100),
+    document_count INT DEFAULT 0,
+    chunk_count INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_updated (user_id, updated_at)
+);
+
+CREATE TABLE knowledge_documents (
+    id VARCHAR(100) PRIMARY KEY,
+    knowledge_base_id VARCHAR(100) NOT NULL,
+    filename VARCHAR(255) NOT NULL,
+    format VARCHAR(20) NOT NULL,
+    characters INT DEFAULT 0,
+    pages INT,
+    chunk_count INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (knowledge_base_id) REFERENCES knowledge_bases(id) ON DELETE CASCADE,
+    INDEX idx_knowledge_base_id (knowledge_base_id)
+);
+
+CREATE TABLE knowledge_chunks (
+    id VARCHAR(120) PRIMARY KEY,
+    knowledge_base_id VARCHAR(100) NOT NULL,
+    document_id VARCHAR(100) NOT NULL,
+    chunk_index INT NOT NULL,
+    content TEXT NOT NULL,
+    start_offset INT NOT NULL,
+    end_offset INT NOT NULL,
+    token_count INT DEFAULT 0,
+    embedding MEDIUMTEXT NOT NULL,
+    FOREIGN KEY (knowledge_base_id) REFERENCES knowledge_bases(id) ON DELETE CASCADE,
+    FOREIGN KEY (document_id) REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+    INDEX idx_knowledge_base_id (knowledge_base_id)
+);
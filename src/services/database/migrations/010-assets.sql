@@ -0,0 +1,26 @@
+-- Generated media (images, audio) kept out of task results
+-- Blobs live in the asset backend (local disk or S3) under content-addressed
+-- keys; identical outputs share one blob, so a blob is only deleted once no
+-- row references its key.
+
+CREATE TABLE assets (
+    id VARCHAR(100) PRIMARY KEY,
+    user_id INT NOT NULL,
+    task_id VARCHAR(100),
+    kind VARCHAR(20) NOT NULL,
+    storage_key VARCHAR(255) NOT NULL,
+    thumbnail_key VARCHAR(255),
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes BIGINT NOT NULL,
+    sha256 CHAR(64) NOT NULL,
+    filename VARCHAR(255),
+    width INT,
+    height INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_created (user_id, created_at),
+    INDEX idx_task_id (task_id),
+    INDEX idx_storage_key (storage_key),
+    INDEX idx_thumbnail_key (thumbnail_key),
+    INDEX idx_created_at (created_at)
+);
@@ -0,0 +1,28 @@
+-- Brand voice profiles for creative content
+-- A profile belongs to one user, or to an organization when organization_id
+-- is set, in which case every member can use it. List-valued rules are
+-- stored as JSON arrays.
+
+ALTER TABLE users ADD COLUMN organization_id VARCHAR(100) NULL AFTER timezone;
+ALTER TABLE users ADD INDEX idx_organization_id (organization_id);
+
+CREATE TABLE brand_profiles (
+    id VARCHAR(100) PRIMARY KEY,
+    user_id INT NOT NULL,
+    organization_id VARCHAR(100),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    voice TEXT,
+    style_rules TEXT,
+    banned_words TEXT,
+    required_disclaimers TEXT,
+    examples MEDIUMTEXT,
+    glossary TEXT,
+    max_sentence_words INT,
+    is_default BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_organization_id (organization_id)
+);
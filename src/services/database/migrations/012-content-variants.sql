@@ -0,0 +1,21 @@
+-- Scored A/B variants of creative copy and what happened to them
+-- Each set keeps its variants with their scores and text features (JSON).
+-- When the user reports which variant they published, and how it did,
+-- that feedback biases later generations of the same content type.
+
+CREATE TABLE variant_sets (
+    id VARCHAR(100) PRIMARY KEY,
+    user_id INT NOT NULL,
+    task_id VARCHAR(100),
+    content_type VARCHAR(50) NOT NULL,
+    prompt TEXT,
+    keywords TEXT,
+    variants MEDIUMTEXT NOT NULL,
+    selected_index INT,
+    performance TEXT,
+    published_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_published (user_id, content_type, published_at)
+);
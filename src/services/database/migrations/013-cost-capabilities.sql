@@ -0,0 +1,6 @@
+-- Cost capabilities for image edits and embeddings
+-- Edits of uploaded images and the embedding calls behind knowledge base
+-- uploads, searches and retrieval are priced like any other provider call
+
+ALTER TABLE task_costs
+    MODIFY capability ENUM('chat', 'image', 'imageEdit', 'tts', 'stt', 'embed') NOT NULL;
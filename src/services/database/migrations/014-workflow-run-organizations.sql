@@ -0,0 +1,6 @@
+-- Workflow run organizations
+-- Steps are submitted as the user who started the run, including their
+-- organization, so creative steps pick up its brand profiles
+
+ALTER TABLE workflow_runs
+    ADD COLUMN organization_id VARCHAR(100) NULL AFTER user_tier;
@@ -0,0 +1,123 @@
+const aiConfig = require('../../../config/ai-config');
+
+const MAX_CELL_LENGTH = 80;
+const MIN_SAMPLE_ROWS = 10;
+const CITATION_PATTERN = /\[(?:row\s+(\d+))?(?:,\s*)?(?:col(?:umn)?\s+"([^"]+)")?\]/gi;
+
+// Renders a parsed dataset as model input: the column profile, then a table
+// of rows labelled with their 1-based row number so the analysis can cite
+// them. Datasets over the prompt budget are sampled at even intervals
+// (always keeping the first and last row) and the model is told so.
+function buildDatasetContext(dataset, limits = {}) {
+    const { promptRows, promptChars } = { ...aiConfig.datasets, ...limits };
+    const total = dataset.rows.length;
+    const profileText = formatProfile(dataset);
+
+    let count = Math.min(total, promptRows);
+    let rowNumbers = sampleRowNumbers(total, count);
+    let table = formatTable(dataset, rowNumbers);
+
+    while (profileText.length + table.length > promptChars && count > MIN_SAMPLE_ROWS) {
+        count = Math.max(MIN_SAMPLE_ROWS, Math.floor(count * 0.75));
+        rowNumbers = sampleRowNumbers(total, count);
+        table = formatTable(dataset, rowNumbers);
+    }
+
+    const sampled = rowNumbers.length < total;
+    const coverage = sampled
+        ? `Rows shown: a sample of ${rowNumbers.length} of ${total} rows taken at even intervals. The column profile covers all rows.`
+        : `Rows shown: all ${total} rows.`;
+
+    return {
+        text: [profileText, coverage, table].join('\n\n'),
+        rowNumbers: rowNumbers,
+        sampled: sampled
+    };
+}
+
+function sampleRowNumbers(total, count) {
+    if (count >= total) {
+        return Array.from({ length: total }, (_, index) => index + 1);
+    }
+
+    const step = (total - 1) / (count - 1);
+    return Array.from({ length: count }, (_, index) => Math.round(index * step) + 1);
+}
+
+function formatProfile(dataset) {
+    const { profile } = dataset;
+    const header = `Dataset "${dataset.filename || 'upload'}" (${dataset.format}${dataset.sheet ? `, sheet "${dataset.sheet}"` : ''}): ${profile.rowCount} rows, ${profile.columnCount} columns.`;
+
+    const lines = profile.columns.map(column => {
+        const details = [`${column.nulls} nulls`, `${column.distinct} distinct`];
+
+        if (column.min !== undefined) {
+            details.push(`min ${column.min}`, `max ${column.max}`);
+        }
+        if (column.mean !== undefined) {
+            details.push(`mean ${column.mean}`);
+        }
+        if (column.maxLength !== undefined) {
+            details.push(`length ${column.minLength}-${column.maxLength}`);
+        }
+
+        return `- "${column.name}" (${column.type}): ${details.join(', ')}`;
+    });
+
+    return [header, 'Columns:', ...lines].join('\n');
+}
+
+function formatTable(dataset, rowNumbers) {
+    const header = ['row', ...dataset.columns].join(' | ');
+    const lines = rowNumbers.map(number => {
+        const row = dataset.rows[number - 1];
+        return [number, ...dataset.columns.map(column => formatCell(row[column]))].join(' | ');
+    });
+
+    return [header, ...lines].join('\n');
+}
+
+function formatCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = String(value).replace(/\s+/g, ' ').replace(/\|/g, '/');
+    return text.length > MAX_CELL_LENGTH ? `${text.slice(0, MAX_CELL_LENGTH - 3)}...` : text;
+}
+
+// Pulls [row 12, column "Revenue"] style references out of an analysis and
+// resolves each against the dataset, so callers can show the cited value or
+// flag references to rows and columns that don't exist
+function extractCitations(text, dataset) {
+    const citations = [];
+    const seen = new Set();
+
+    for (const match of String(text || '').matchAll(CITATION_PATTERN)) {
+        const row = match[1] ? parseInt(match[1], 10) : null;
+        const column = match[2] || null;
+        const key = `${row}:${column}`;
+
+        if ((row === null && column === null) || seen.has(key)) {
+            continue;
+        }
+        seen.add(key);
+
+        const rowExists = row === null || (row >= 1 && row <= dataset.rows.length);
+        const columnExists = column === null || dataset.columns.includes(column);
+        const citation = { reference: match[0], row, column, valid: rowExists && columnExists };
+
+        if (citation.valid && row !== null && column !== null) {
+            citation.value = dataset.rows[row - 1][column];
+        }
+
+        citations.push(citation);
+    }
+
+    return citations;
+}
+
+module.exports = {
+    buildDatasetContext,
+    extractCitations
+};
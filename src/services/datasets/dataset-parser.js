@@ -0,0 +1,359 @@
+const path = require('path');
+
+const NULL_VALUES = new Set(['', 'null', 'na', 'n/a', 'nan', 'none', '-']);
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const NUMBER_PATTERN = /^[-+]?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?([eE][-+]?\d+)?$/;
+
+const FORMATS_BY_EXTENSION = {
+    '.csv': 'csv',
+    '.tsv': 'tsv',
+    '.txt': 'csv',
+    '.xlsx': 'xlsx',
+    '.json': 'json',
+    '.pdf': 'pdf'
+};
+
+const FORMATS_BY_MIME_TYPE = {
+    'text/csv': 'csv',
+    'application/csv': 'csv',
+    'text/tab-separated-values': 'tsv',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/json': 'json',
+    'application/pdf': 'pdf'
+};
+
+function createParseError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    error.code = 'INVALID_DATASET';
+    return error;
+}
+
+function detectFormat(filename = '', mimetype = '') {
+    return FORMATS_BY_EXTENSION[path.extname(filename).toLowerCase()] ||
+        FORMATS_BY_MIME_TYPE[mimetype] ||
+        null;
+}
+
+// Turns an uploaded file into { format, columns, rows } where every row is an
+// object keyed by column name holding typed values (number, boolean, ISO date
+// string or null). PDFs also keep their extracted text.
+async function parseDataset(buffer, { filename, mimetype, sheet } = {}) {
+    const format = detectFormat(filename, mimetype);
+
+    switch (format) {
+        case 'csv':
+        case 'tsv':
+            return parseDelimited(buffer.toString('utf8'), format === 'tsv' ? '\t' : null);
+        case 'json':
+            return parseJson(buffer.toString('utf8'));
+        case 'xlsx':
+            return await parseWorkbook(buffer, sheet);
+        case 'pdf':
+            return await parsePdf(buffer);
+        default:
+            throw createParseError('Unsupported file type. Upload a CSV, XLSX, JSON or PDF file');
+    }
+}
+
+function parseDelimited(text, delimiter) {
+    const content = text.replace(/^\uFEFF/, '');
+    const separator = delimiter || detectDelimiter(content);
+    const records = splitRecords(content, separator).filter(record => record.some(cell => cell.trim() !== ''));
+
+    if (records.length < 2) {
+        throw createParseError('The file needs a header row and at least one data row');
+    }
+
+    const columns = uniqueColumnNames(records[0]);
+    const rows = records.slice(1).map(record => buildRow(columns, record.map(coerceValue)));
+
+    return { format: delimiter === '\t' ? 'tsv' : 'csv', columns, rows };
+}
+
+// RFC 4180: quoted fields may contain separators, newlines and "" escapes
+function splitRecords(text, separator) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === separator) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    return records;
+}
+
+// Picks whichever common separator splits the header line into the most columns
+function detectDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0];
+    const candidates = [',', ';', '\t', '|'];
+
+    return candidates.reduce((best, candidate) => (
+        header.split(candidate).length > header.split(best).length ? candidate : best
+    ), ',');
+}
+
+function parseJson(text) {
+    let parsed;
+
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw createParseError(`Invalid JSON: ${error.message}`);
+    }
+
+    // Accept a bare array, or an object wrapping the records ({ data: [...] })
+    const records = Array.isArray(parsed)
+        ? parsed
+        : Object.values(parsed || {}).find(value => Array.isArray(value)) || [parsed];
+
+    if (records.length === 0 || records.some(record => record === null || typeof record !== 'object')) {
+        throw createParseError('JSON datasets must be an array of objects');
+    }
+
+    return { format: 'json', ...tableFromRecords(records) };
+}
+
+// Also used for inline JSON data posted without a file
+function tableFromRecords(records) {
+    const flattened = records.map(record => flattenRecord(record));
+    const columns = [...new Set(flattened.flatMap(record => Object.keys(record)))];
+    const rows = flattened.map(record => buildRow(columns, columns.map(column => coerceValue(record[column]))));
+
+    return { columns, rows };
+}
+
+// Nested objects become dotted columns (address.city); arrays stay as JSON text
+function flattenRecord(record, prefix = '', target = {}) {
+    for (const [key, value] of Object.entries(record)) {
+        const column = prefix ? `${prefix}.${key}` : key;
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flattenRecord(value, column, target);
+        } else {
+            target[column] = Array.isArray(value) ? JSON.stringify(value) : value;
+        }
+    }
+
+    return target;
+}
+
+// Legacy .xls isn't supported
+async function parseWorkbook(buffer, sheetName) {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw createParseError(`Unreadable spreadsheet: ${error.message}`);
+    }
+
+    const sheets = workbook.worksheets.map(worksheet => worksheet.name);
+    if (sheets.length === 0) {
+        throw createParseError('The workbook has no sheets');
+    }
+
+    const worksheet = workbook.getWorksheet(sheetName && sheets.includes(sheetName) ? sheetName : sheets[0]);
+    const records = [];
+
+    // Blank rows inside the table are kept as empty records so row numbers
+    // (and the citations that use them) follow the sheet; only those before
+    // the header and after the last record are dropped
+    worksheet.eachRow({ includeEmpty: true }, row => {
+        records.push(Array.from({ length: worksheet.columnCount }, (_, index) => cellValue(row.getCell(index + 1).value)));
+    });
+
+    const isBlank = record => record.every(cell => cell === null || String(cell).trim() === '');
+    while (records.length > 0 && isBlank(records[0])) {
+        records.shift();
+    }
+    while (records.length > 0 && isBlank(records[records.length - 1])) {
+        records.pop();
+    }
+
+    if (records.length < 2) {
+        throw createParseError(`Sheet "${worksheet.name}" needs a header row and at least one data row`);
+    }
+
+    const columns = uniqueColumnNames(records[0].map(cell => (cell === null ? '' : String(cell))));
+    const rows = records.slice(1).map(record => buildRow(columns, record.map(coerceValue)));
+
+    return { format: 'xlsx', sheet: worksheet.name, sheets, columns, rows };
+}
+
+// ExcelJS gives formulas, rich text, hyperlinks and errors as objects;
+// keep the value a reader sees in the cell
+function cellValue(value) {
+    if (value === null || value === undefined || typeof value !== 'object' || value instanceof Date) {
+        return value ?? null;
+    }
+    if ('result' in value) {
+        return cellValue(value.result);
+    }
+    if (Array.isArray(value.richText)) {
+        return value.richText.map(run => run.text).join('');
+    }
+    if ('text' in value) {
+        return cellValue(value.text);
+    }
+    return null;
+}
+
+// PDFs have no cell structure, so look for the longest run of lines that
+// split into the same number of columns on wide gaps and treat it as a
+// table. Documents without one become one row per line of text.
+async function parsePdf(buffer) {
+    const pdfParse = require('pdf-parse');
+    let document;
+
+    try {
+        document = await pdfParse(buffer);
+    } catch (error) {
+        throw createParseError(`Unreadable PDF: ${error.message}`);
+    }
+
+    const lines = document.text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const table = findTable(lines);
+
+    if (table) {
+        const columns = uniqueColumnNames(table[0]);
+        const rows = table.slice(1).map(cells => buildRow(columns, cells.map(coerceValue)));
+        return { format: 'pdf', pages: document.numpages, text: document.text, columns, rows };
+    }
+
+    if (lines.length === 0) {
+        throw createParseError('No text could be extracted from the PDF');
+    }
+
+    return {
+        format: 'pdf',
+        pages: document.numpages,
+        text: document.text,
+        columns: ['text'],
+        rows: lines.map(line => ({ text: line }))
+    };
+}
+
+function findTable(lines) {
+    let best = null;
+    let current = [];
+
+    const flush = () => {
+        if (current.length >= 3 && (!best || current.length > best.length)) {
+            best = current;
+        }
+        current = [];
+    };
+
+    for (const line of lines) {
+        const cells = line.split(/\t|\s{2,}/);
+
+        if (cells.length >= 2 && (current.length === 0 || cells.length === current[0].length)) {
+            current.push(cells);
+        } else {
+            flush();
+            if (cells.length >= 2) {
+                current.push(cells);
+            }
+        }
+    }
+
+    flush();
+    return best;
+}
+
+function uniqueColumnNames(header) {
+    const seen = new Map();
+
+    return header.map((name, index) => {
+        const base = String(name).trim() || `column_${index + 1}`;
+        const count = seen.get(base) || 0;
+        seen.set(base, count + 1);
+        return count === 0 ? base : `${base}_${count + 1}`;
+    });
+}
+
+function buildRow(columns, values) {
+    const row = {};
+    columns.forEach((column, index) => {
+        row[column] = values[index] === undefined ? null : values[index];
+    });
+    return row;
+}
+
+function isDateString(value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(Date.parse(value));
+}
+
+function coerceValue(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    if (value instanceof Date) {
+        return isNaN(value) ? null : value.toISOString();
+    }
+
+    if (typeof value !== 'string') {
+        return typeof value === 'number' && !isFinite(value) ? null : value;
+    }
+
+    const text = value.trim();
+    const lower = text.toLowerCase();
+
+    if (NULL_VALUES.has(lower)) {
+        return null;
+    }
+
+    if (lower === 'true' || lower === 'false') {
+        return lower === 'true';
+    }
+
+    if (NUMBER_PATTERN.test(text) && /\d/.test(text)) {
+        return Number(text.replace(/,/g, ''));
+    }
+
+    return text;
+}
+
+module.exports = {
+    parseDataset,
+    detectFormat,
+    tableFromRecords,
+    coerceValue,
+    isDateString
+};
@@ -0,0 +1,100 @@
+const { isDateString } = require('./dataset-parser');
+
+// Column profile computed over every row of a parsed dataset: inferred type,
+// null counts, distinct values and the range of the values present. The
+// profile always covers the full upload even when the model only sees a
+// sample of the rows.
+function profileDataset({ columns, rows }) {
+    return {
+        rowCount: rows.length,
+        columnCount: columns.length,
+        columns: columns.map(column => profileColumn(column, rows.map(row => row[column])))
+    };
+}
+
+function profileColumn(name, values) {
+    const present = values.filter(value => value !== null && value !== undefined);
+    const kinds = {};
+
+    for (const value of present) {
+        const kind = valueKind(value);
+        kinds[kind] = (kinds[kind] || 0) + 1;
+    }
+
+    const profile = {
+        name: name,
+        type: inferType(kinds, present.length),
+        count: present.length,
+        nulls: values.length - present.length,
+        nullRate: values.length ? round(1 - present.length / values.length) : 0,
+        distinct: new Set(present.map(value => String(value))).size
+    };
+
+    if (profile.type === 'mixed') {
+        profile.types = kinds;
+    }
+
+    Object.assign(profile, describeRange(profile.type, present));
+    profile.examples = [...new Set(present.map(value => String(value)))].slice(0, 3);
+
+    return profile;
+}
+
+function valueKind(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    if (typeof value === 'boolean') {
+        return 'boolean';
+    }
+    return isDateString(value) ? 'date' : 'string';
+}
+
+function inferType(kinds, count) {
+    const names = Object.keys(kinds);
+
+    if (count === 0) {
+        return 'empty';
+    }
+    if (names.length === 1) {
+        return names[0];
+    }
+    // A column of whole numbers with the odd decimal is still numeric
+    if (names.every(kind => kind === 'integer' || kind === 'number')) {
+        return 'number';
+    }
+    return 'mixed';
+}
+
+function describeRange(type, values) {
+    if (type === 'integer' || type === 'number') {
+        // reduce rather than Math.min(...values), which overflows the stack on large files
+        return {
+            min: values.reduce((min, value) => Math.min(min, value), Infinity),
+            max: values.reduce((max, value) => Math.max(max, value), -Infinity),
+            mean: round(values.reduce((total, value) => total + value, 0) / values.length)
+        };
+    }
+
+    if (type === 'date') {
+        const sorted = values.slice().sort((a, b) => Date.parse(a) - Date.parse(b));
+        return { min: sorted[0], max: sorted[sorted.length - 1] };
+    }
+
+    if (type === 'string') {
+        return {
+            minLength: values.reduce((min, value) => Math.min(min, value.length), Infinity),
+            maxLength: values.reduce((max, value) => Math.max(max, value.length), 0)
+        };
+    }
+
+    return {};
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+    profileDataset
+};
@@ -0,0 +1,17 @@
+const aiConfig = require('../../../config/ai-config');
+const JsonRecordStore = require('../storage/json-record-store');
+
+// Keeps parsed uploads on disk between the request and the analysis task.
+// Tasks only carry the dataset id because queued task payloads are stored
+// in a TEXT column; the agent loads the rows back when the task runs.
+class DatasetStore extends JsonRecordStore {
+    constructor(options = {}) {
+        super({
+            directory: options.directory || aiConfig.datasets.storageDir,
+            prefix: 'ds',
+            label: 'Dataset'
+        });
+    }
+}
+
+module.exports = DatasetStore;
@@ -0,0 +1,173 @@
+const aiConfig = require('../../../config/ai-config');
+
+const OUTPUT_FORMATS = ['png', 'webp', 'avif', 'jpeg'];
+
+// Edits of an uploaded image and what each one needs besides the image
+const EDIT_OPERATIONS = {
+    'image-to-image': { needsPrompt: true },
+    inpaint: { needsPrompt: true, needsMask: true },
+    outpaint: {},
+    upscale: {},
+    variation: {}
+};
+
+// Local image work with sharp: reading uploads, resizing and converting
+// provider output, watermarking free-tier images and preparing masks for
+// providers with their own conventions. sharp is loaded on first use so
+// text-only deployments don't pay for the native module.
+function loadSharp() {
+    return require('sharp');
+}
+
+// Width and height for an aspect ratio ("16:9") and a size preset (long
+// edge, see images.sizes) or explicit width/height. Returns null when the
+// caller asked for nothing, so providers keep their defaults.
+function resolveDimensions(options = {}, config = aiConfig.images) {
+    const { aspectRatio, size, width, height } = options;
+
+    if (width || height) {
+        const w = parseInt(width, 10);
+        const h = parseInt(height, 10);
+        if (!(w > 0) || !(h > 0) || w > config.maxDimension || h > config.maxDimension) {
+            throw createImageError(`width and height must both be between 1 and ${config.maxDimension}`, 400);
+        }
+        return { width: w, height: h };
+    }
+
+    if (!aspectRatio && !size) {
+        return null;
+    }
+
+    if (size && !config.sizes[size]) {
+        throw createImageError(`size must be one of ${Object.keys(config.sizes).join(', ')}`, 400);
+    }
+    if (aspectRatio && !config.aspectRatios.includes(aspectRatio)) {
+        throw createImageError(`aspectRatio must be one of ${config.aspectRatios.join(', ')}`, 400);
+    }
+
+    const [across, down] = (aspectRatio || '1:1').split(':').map(Number);
+    const longEdge = config.sizes[size || config.defaultSize];
+    // Multiples of 8 keep every provider and codec happy
+    const round = value => Math.max(8, Math.round(value / 8) * 8);
+
+    return across >= down
+        ? { width: round(longEdge), height: round(longEdge * down / across) }
+        : { width: round(longEdge * across / down), height: round(longEdge) };
+}
+
+async function readImageInfo(buffer) {
+    try {
+        const metadata = await loadSharp()(buffer).metadata();
+        return { width: metadata.width, height: metadata.height, format: metadata.format === 'jpg' ? 'jpeg' : metadata.format };
+    } catch (error) {
+        throw createImageError(`Unreadable image: ${error.message}`, 400);
+    }
+}
+
+// fit is a sharp fit mode: cover crops to fill, contain letterboxes, fill stretches
+async function resizeImage(buffer, { width, height, fit = 'cover', format = 'png' }) {
+    return await encode(loadSharp()(buffer).resize(width, height, { fit, background: { r: 0, g: 0, b: 0, alpha: 0 } }), format).toBuffer();
+}
+
+// Masks arrive with white marking the area to repaint. Providers that read
+// the edit area from transparency get a mask whose white areas are clear.
+async function maskToAlpha(mask, width, height) {
+    const sharp = loadSharp();
+    const alpha = await sharp(mask)
+        .resize(width, height, { fit: 'fill' })
+        .toColourspace('b-w')
+        .negate()
+        .png()
+        .toBuffer();
+
+    return await sharp({ create: { width, height, channels: 3, background: { r: 0, g: 0, b: 0 } } })
+        .joinChannel(alpha)
+        .png()
+        .toBuffer();
+}
+
+// Final pass over provider output: exact requested dimensions, output
+// format and the free-tier watermark. Returns { buffer, format, dimensions }.
+async function postProcess(buffer, { width, height, format = 'png', watermark = false, quality } = {}, config = aiConfig.images) {
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw createImageError(`outputFormat must be one of ${OUTPUT_FORMATS.join(', ')}`, 400);
+    }
+
+    const sharp = loadSharp();
+    let image = sharp(buffer);
+
+    if (width && height) {
+        image = image.resize(width, height, { fit: 'cover' });
+    }
+
+    if (watermark) {
+        // Composite needs the final size, so resize first and read it back
+        const resized = await image.png().toBuffer({ resolveWithObject: true });
+        image = sharp(resized.data).composite([{
+            input: Buffer.from(watermarkSvg(resized.info.width, resized.info.height, config.watermark)),
+            gravity: 'southeast'
+        }]);
+    }
+
+    const { data, info } = await encode(image, format, quality || config.quality).toBuffer({ resolveWithObject: true });
+
+    return { buffer: data, format: format, dimensions: { width: info.width, height: info.height } };
+}
+
+// Preview that fits inside a size x size box, never enlarged
+async function createThumbnail(buffer, size, quality = 80) {
+    try {
+        return await loadSharp()(buffer)
+            .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality })
+            .toBuffer();
+    } catch (error) {
+        throw createImageError(`Unreadable image: ${error.message}`, 400);
+    }
+}
+
+function encode(image, format, quality) {
+    switch (format) {
+        case 'jpeg':
+            // JPEG has no alpha; flatten onto white rather than black
+            return image.flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true });
+        case 'webp':
+            return image.webp({ quality });
+        case 'avif':
+            return image.avif({ quality });
+        default:
+            return image.png();
+    }
+}
+
+// Text in the bottom-right corner, scaled to the image, with a dark
+// outline so it reads on light and dark images alike
+function watermarkSvg(width, height, watermark) {
+    const fontSize = Math.max(12, Math.round(Math.min(width, height) * 0.045));
+    const margin = Math.round(fontSize * 0.8);
+    const text = String(watermark.text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+<text x="${width - margin}" y="${height - margin}" text-anchor="end" font-family="Helvetica, Arial, sans-serif"
+ font-size="${fontSize}" font-weight="bold" fill="#ffffff" fill-opacity="${watermark.opacity}"
+ stroke="#000000" stroke-opacity="${watermark.opacity / 2}" stroke-width="${Math.max(1, fontSize / 16)}">${text}</text>
+</svg>`;
+}
+
+function createImageError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = 'INVALID_IMAGE';
+    return error;
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    EDIT_OPERATIONS,
+    resolveDimensions,
+    readImageInfo,
+    resizeImage,
+    maskToAlpha,
+    postProcess,
+    createThumbnail
+};
@@ -0,0 +1,17 @@
+const aiConfig = require('../../../config/ai-config');
+const JsonRecordStore = require('../storage/json-record-store');
+
+// Keeps uploaded source images (and inpainting masks) on disk between the
+// request and the editing task, which only carries the image id. Image
+// data is stored base64 encoded.
+class ImageStore extends JsonRecordStore {
+    constructor(options = {}) {
+        super({
+            directory: options.directory || aiConfig.images.storageDir,
+            prefix: 'img',
+            label: 'Image'
+        });
+    }
+}
+
+module.exports = ImageStore;
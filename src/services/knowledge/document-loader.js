@@ -0,0 +1,139 @@
+const path = require('path');
+
+const FORMATS_BY_EXTENSION = {
+    '.txt': 'text',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.html': 'html',
+    '.htm': 'html',
+    '.json': 'json',
+    '.csv': 'text',
+    '.pdf': 'pdf'
+};
+
+const FORMATS_BY_MIME_TYPE = {
+    'text/plain': 'text',
+    'text/markdown': 'markdown',
+    'text/html': 'html',
+    'text/csv': 'text',
+    'application/json': 'json',
+    'application/pdf': 'pdf'
+};
+
+function createDocumentError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    error.code = 'INVALID_DOCUMENT';
+    return error;
+}
+
+function detectDocumentFormat(filename = '', mimetype = '') {
+    return FORMATS_BY_EXTENSION[path.extname(filename).toLowerCase()] ||
+        FORMATS_BY_MIME_TYPE[mimetype] ||
+        null;
+}
+
+// Extracts the plain text of an uploaded knowledge base document as
+// { format, text, pages? }. Markup is dropped; paragraph breaks are kept
+// because the chunker splits on them.
+async function extractDocumentText(buffer, { filename, mimetype } = {}) {
+    const format = detectDocumentFormat(filename, mimetype);
+    let extracted;
+
+    switch (format) {
+        case 'text':
+        case 'markdown':
+            extracted = { text: buffer.toString('utf8') };
+            break;
+        case 'html':
+            extracted = { text: htmlToText(buffer.toString('utf8')) };
+            break;
+        case 'json':
+            extracted = { text: jsonToText(buffer.toString('utf8')) };
+            break;
+        case 'pdf':
+            extracted = await pdfToText(buffer);
+            break;
+        default:
+            throw createDocumentError('Unsupported file type. Upload a TXT, Markdown, HTML, JSON, CSV or PDF file');
+    }
+
+    const text = normalizeWhitespace(extracted.text);
+    if (!text) {
+        throw createDocumentError('No text could be extracted from the document');
+    }
+
+    return { format, ...extracted, text };
+}
+
+function htmlToText(html) {
+    return html
+        .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<\/(p|div|section|article|li|h[1-6]|tr|blockquote|pre)>/gi, '\n\n')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&(#x[0-9a-f]+|#\d+|nbsp|lt|gt|quot|apos|amp);/gi, (entity, code) => decodeEntity(code));
+}
+
+const NAMED_ENTITIES = { nbsp: ' ', lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' };
+
+function decodeEntity(code) {
+    if (code[0] === '#') {
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return value > 0 && value <= 0x10ffff ? String.fromCodePoint(value) : '';
+    }
+    return NAMED_ENTITIES[code.toLowerCase()];
+}
+
+// Structured documents are flattened to "path: value" lines so a chunk
+// keeps the keys that give its values meaning
+function jsonToText(text) {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (error) {
+        throw createDocumentError(`Invalid JSON: ${error.message}`);
+    }
+
+    const lines = [];
+    const visit = (node, prefix) => {
+        if (Array.isArray(node)) {
+            node.forEach((item, index) => visit(item, `${prefix}[${index}]`));
+            lines.push('');
+        } else if (node && typeof node === 'object') {
+            Object.entries(node).forEach(([key, item]) => visit(item, prefix ? `${prefix}.${key}` : key));
+        } else {
+            lines.push(`${prefix}: ${node}`);
+        }
+    };
+
+    visit(value, '');
+    return lines.join('\n');
+}
+
+async function pdfToText(buffer) {
+    const pdfParse = require('pdf-parse');
+
+    try {
+        const document = await pdfParse(buffer);
+        return { text: document.text, pages: document.numpages };
+    } catch (error) {
+        throw createDocumentError(`Unreadable PDF: ${error.message}`);
+    }
+}
+
+function normalizeWhitespace(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t\f\v]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = {
+    detectDocumentFormat,
+    extractDocumentText,
+    htmlToText,
+    normalizeWhitespace
+};
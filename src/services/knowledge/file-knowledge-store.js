@@ -0,0 +1,167 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// File-backed vector index. Each knowledge base is two JSON files: its
+// metadata and document list, and its chunks with their embeddings, so
+// listing knowledge bases never has to read the vectors.
+class FileKnowledgeStore {
+    constructor(options = {}) {
+        this.directory = path.resolve(options.directory);
+        this.locks = new Map(); // knowledge base id -> tail of its write queue
+    }
+
+    async insertKnowledgeBase(knowledgeBase) {
+        const record = { ...knowledgeBase, documentCount: 0, chunkCount: 0, updatedAt: knowledgeBase.createdAt, documents: [] };
+
+        await this.writeJson(this.getPath(knowledgeBase.id), record);
+        await this.writeJson(this.getPath(knowledgeBase.id, 'chunks'), []);
+
+        return this.toKnowledgeBase(record);
+    }
+
+    async getKnowledgeBase(id) {
+        const record = await this.readRecord(id);
+        return record ? this.toKnowledgeBase(record) : null;
+    }
+
+    async listKnowledgeBases(userId) {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const records = await Promise.all(files
+            .filter(file => /^kb_[^.]+\.json$/.test(file))
+            .map(file => this.readRecord(file.slice(0, -'.json'.length))));
+
+        return records
+            .filter(record => record && record.userId === userId)
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .map(record => this.toKnowledgeBase(record));
+    }
+
+    async updateKnowledgeBase(id, changes) {
+        return await this.withLock(id, async () => {
+            const record = await this.readRecord(id);
+            if (!record) return null;
+
+            const updated = { ...record, ...changes, updatedAt: new Date() };
+            await this.writeJson(this.getPath(id), updated);
+            return this.toKnowledgeBase(updated);
+        });
+    }
+
+    async deleteKnowledgeBase(id) {
+        return await this.withLock(id, async () => {
+            if (!await this.readRecord(id)) return false;
+
+            await fs.rm(this.getPath(id), { force: true });
+            await fs.rm(this.getPath(id, 'chunks'), { force: true });
+            return true;
+        });
+    }
+
+    async insertDocument(knowledgeBaseId, document, chunks) {
+        return await this.withLock(knowledgeBaseId, async () => {
+            const record = await this.readRecord(knowledgeBaseId);
+            const stored = await this.readChunks(knowledgeBaseId);
+            const entry = { ...document, chunkCount: chunks.length };
+
+            stored.push(...chunks.map(chunk => ({ ...chunk, documentId: document.id })));
+            record.documents.push(entry);
+            record.documentCount = record.documents.length;
+            record.chunkCount = stored.length;
+            record.updatedAt = new Date();
+
+            // Chunks first: a record listing a document whose chunks are
+            // missing would cite text that can't be found
+            await this.writeJson(this.getPath(knowledgeBaseId, 'chunks'), stored);
+            await this.writeJson(this.getPath(knowledgeBaseId), record);
+
+            return { ...entry };
+        });
+    }
+
+    async listDocuments(knowledgeBaseId) {
+        const record = await this.readRecord(knowledgeBaseId);
+        return record ? record.documents.map(document => ({ ...document })) : [];
+    }
+
+    async deleteDocument(knowledgeBaseId, documentId) {
+        return await this.withLock(knowledgeBaseId, async () => {
+            const record = await this.readRecord(knowledgeBaseId);
+            if (!record || !record.documents.some(document => document.id === documentId)) {
+                return false;
+            }
+
+            const stored = (await this.readChunks(knowledgeBaseId)).filter(chunk => chunk.documentId !== documentId);
+            record.documents = record.documents.filter(document => document.id !== documentId);
+            record.documentCount = record.documents.length;
+            record.chunkCount = stored.length;
+            record.updatedAt = new Date();
+
+            await this.writeJson(this.getPath(knowledgeBaseId), record);
+            await this.writeJson(this.getPath(knowledgeBaseId, 'chunks'), stored);
+            return true;
+        });
+    }
+
+    async getChunks(knowledgeBaseId) {
+        return await this.readChunks(knowledgeBaseId);
+    }
+
+    // Serializes read-modify-write cycles on one knowledge base
+    async withLock(id, work) {
+        const previous = this.locks.get(id) || Promise.resolve();
+        const next = previous.then(work, work);
+        const tail = next.catch(() => {});
+
+        this.locks.set(id, tail);
+        tail.then(() => {
+            if (this.locks.get(id) === tail) this.locks.delete(id);
+        });
+
+        return await next;
+    }
+
+    async readRecord(id) {
+        if (!/^kb_\d+_[a-z0-9]+$/.test(String(id))) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(await fs.readFile(this.getPath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async readChunks(id) {
+        try {
+            return JSON.parse(await fs.readFile(this.getPath(id, 'chunks'), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async writeJson(filePath, value) {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(filePath, JSON.stringify(value));
+    }
+
+    getPath(id, suffix = null) {
+        return path.join(this.directory, suffix ? `${id}.${suffix}.json` : `${id}.json`);
+    }
+
+    toKnowledgeBase(record) {
+        const { documents, ...knowledgeBase } = record;
+        return knowledgeBase;
+    }
+}
+
+module.exports = FileKnowledgeStore;
@@ -0,0 +1,258 @@
+const aiConfig = require('../../../config/ai-config');
+const ProviderRouter = require('../providers/provider-router');
+const UsageMeter = require('../costs/usage-meter');
+const { extractDocumentText } = require('./document-loader');
+const { chunkText } = require('./text-chunker');
+
+// User-owned document collections for retrieval-augmented generation.
+// Uploaded documents are chunked and embedded once; a search embeds the
+// query with the same model and ranks every chunk by cosine similarity.
+class KnowledgeBaseService {
+    constructor(options = {}) {
+        this.config = options.config || aiConfig.knowledgeBases;
+        this.store = options.store || KnowledgeBaseService.createStore(process.env.KNOWLEDGE_STORE, this.config);
+        this.providers = options.providers || new ProviderRouter();
+        // (owner, usage) => stores the spend of calls made outside a task
+        this.recordCosts = options.recordCosts || (async () => {});
+    }
+
+    static createStore(type = 'mysql', config = aiConfig.knowledgeBases) {
+        switch (type) {
+            case 'file': {
+                const FileKnowledgeStore = require('./file-knowledge-store');
+                return new FileKnowledgeStore({ directory: config.storageDir });
+            }
+            case 'mysql':
+            default: {
+                const MySQLKnowledgeStore = require('./mysql-knowledge-store');
+                return new MySQLKnowledgeStore();
+            }
+        }
+    }
+
+    async createKnowledgeBase(user, { name, description = '' }) {
+        if (!name || !String(name).trim()) {
+            throw this.createStatusError('Knowledge base name is required', 400);
+        }
+
+        return await this.store.insertKnowledgeBase({
+            id: this.generateId('kb'),
+            userId: user.id,
+            name: String(name).trim(),
+            description: description,
+            embeddingModel: null,
+            createdAt: new Date()
+        });
+    }
+
+    async getKnowledgeBase(knowledgeBaseId, userId) {
+        const knowledgeBase = await this.store.getKnowledgeBase(knowledgeBaseId);
+
+        if (!knowledgeBase) {
+            throw this.createStatusError('Knowledge base not found', 404);
+        }
+        if (knowledgeBase.userId !== userId) {
+            throw this.createStatusError('Access denied to this knowledge base', 403);
+        }
+
+        return knowledgeBase;
+    }
+
+    async listKnowledgeBases(userId) {
+        return await this.store.listKnowledgeBases(userId);
+    }
+
+    async deleteKnowledgeBase(knowledgeBaseId, userId) {
+        await this.getKnowledgeBase(knowledgeBaseId, userId);
+        await this.store.deleteKnowledgeBase(knowledgeBaseId);
+        return { deleted: true, knowledgeBaseId };
+    }
+
+    async listDocuments(knowledgeBaseId, userId) {
+        await this.getKnowledgeBase(knowledgeBaseId, userId);
+        return await this.store.listDocuments(knowledgeBaseId);
+    }
+
+    // Extracts, chunks and embeds an uploaded file. The first document fixes
+    // the knowledge base's embedding model; vectors from different models
+    // can't be compared, so later uploads must use the same one.
+    async addDocument(knowledgeBaseId, userId, file, context = {}) {
+        const knowledgeBase = await this.getKnowledgeBase(knowledgeBaseId, userId);
+
+        if (knowledgeBase.documentCount >= this.config.maxDocuments) {
+            throw this.createStatusError(`Knowledge bases are limited to ${this.config.maxDocuments} documents`, 413);
+        }
+
+        const extracted = await extractDocumentText(file.buffer, { filename: file.filename, mimetype: file.mimetype });
+        const chunks = chunkText(extracted.text, {
+            chunkTokens: this.config.chunkTokens,
+            overlapTokens: this.config.chunkOverlap
+        });
+
+        if (chunks.length > this.config.maxChunksPerDocument) {
+            throw this.createStatusError(`Documents are limited to ${this.config.maxChunksPerDocument} chunks`, 413);
+        }
+
+        const documentId = this.generateId('doc');
+        const { embeddings, model } = await this.metered(documentId, userId, context, (meteredContext) => (
+            this.embed(chunks.map(chunk => chunk.content), meteredContext)
+        ));
+        this.checkEmbeddingModel(knowledgeBase, model);
+
+        const document = await this.store.insertDocument(knowledgeBaseId, {
+            id: documentId,
+            filename: file.filename,
+            format: extracted.format,
+            characters: extracted.text.length,
+            pages: extracted.pages,
+            createdAt: new Date()
+        }, chunks.map((chunk, index) => ({
+            ...chunk,
+            id: `${documentId}#${chunk.index}`,
+            embedding: embeddings[index]
+        })));
+
+        if (!knowledgeBase.embeddingModel) {
+            await this.store.updateKnowledgeBase(knowledgeBaseId, { embeddingModel: model });
+        }
+
+        return document;
+    }
+
+    async deleteDocument(knowledgeBaseId, userId, documentId) {
+        await this.getKnowledgeBase(knowledgeBaseId, userId);
+
+        if (!await this.store.deleteDocument(knowledgeBaseId, documentId)) {
+            throw this.createStatusError('Document not found', 404);
+        }
+
+        return { deleted: true, documentId };
+    }
+
+    // The chunks most similar to the query, best first, as
+    // { id, documentId, filename, index, content, start, end, score }.
+    // Chunks below minScore are left out even if fewer than topK remain.
+    async search(knowledgeBaseId, userId, query, options = {}, context = {}) {
+        const knowledgeBase = await this.getKnowledgeBase(knowledgeBaseId, userId);
+        const topK = options.topK || this.config.topK;
+        const minScore = options.minScore ?? this.config.minScore;
+
+        if (!query || !String(query).trim()) {
+            throw this.createStatusError('Search query is required', 400);
+        }
+        if (!knowledgeBase.chunkCount) {
+            return [];
+        }
+
+        const { embeddings, model } = await this.metered(this.generateId('search'), userId, context, (meteredContext) => (
+            this.embed([String(query)], meteredContext)
+        ));
+        this.checkEmbeddingModel(knowledgeBase, model);
+
+        const documents = new Map((await this.store.listDocuments(knowledgeBaseId)).map(document => [document.id, document]));
+        const ranked = (await this.store.getChunks(knowledgeBaseId))
+            .map(chunk => ({ chunk, score: cosineSimilarity(embeddings[0], chunk.embedding) }))
+            .filter(match => match.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+
+        return ranked.map(({ chunk, score }) => ({
+            id: chunk.id,
+            documentId: chunk.documentId,
+            filename: documents.get(chunk.documentId)?.filename,
+            index: chunk.index,
+            content: chunk.content,
+            start: chunk.start,
+            end: chunk.end,
+            score: Math.round(score * 1e4) / 1e4
+        }));
+    }
+
+    // What an agent quotes to the model: the best matches that fit in
+    // maxContextChars
+    async retrieve(knowledgeBaseId, userId, query, context = {}) {
+        const matches = await this.search(knowledgeBaseId, userId, query, {}, context);
+        const selected = [];
+        let characters = 0;
+
+        for (const match of matches) {
+            if (selected.length && characters + match.content.length > this.config.maxContextChars) {
+                break;
+            }
+            selected.push(match);
+            characters += match.content.length;
+        }
+
+        return selected;
+    }
+
+    async embed(texts, context = {}) {
+        const embeddings = [];
+        let model = null;
+
+        for (let start = 0; start < texts.length; start += this.config.embedBatchSize) {
+            const result = await this.providers.embed('knowledge', texts.slice(start, start + this.config.embedBatchSize), {
+                signal: context.signal,
+                usage: context.usage
+            });
+
+            model = model || result.model;
+            embeddings.push(...result.embeddings);
+        }
+
+        return { embeddings, model };
+    }
+
+    // Inside a task the caller's meter collects the spend with the rest of
+    // the task's. Uploads and searches made straight from the API have no
+    // task, so they are metered here and recorded under their own id.
+    async metered(id, userId, context, work) {
+        if (context.usage) {
+            return await work(context);
+        }
+
+        const usage = new UsageMeter();
+        try {
+            return await work({ ...context, usage });
+        } finally {
+            await this.recordCosts({ id, userId, userTier: context.userTier || 'free', agentType: 'knowledge' }, usage);
+        }
+    }
+
+    checkEmbeddingModel(knowledgeBase, model) {
+        if (knowledgeBase.embeddingModel && knowledgeBase.embeddingModel !== model) {
+            const error = this.createStatusError(
+                `This knowledge base was embedded with ${knowledgeBase.embeddingModel}, but ${model} is the embedding model available now`,
+                409
+            );
+            error.code = 'EMBEDDING_MODEL_MISMATCH';
+            throw error;
+        }
+    }
+
+    generateId(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    createStatusError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = KnowledgeBaseService;
@@ -0,0 +1,45 @@
+// Knowledge base excerpts are quoted to the model under markers ([K1],
+// [K2], ...) and the model is asked to cite them inline. The markers it
+// actually uses are mapped back to the chunks, so every citation in a
+// result points at the exact stored text it came from.
+const CITATION_INSTRUCTIONS = 'Knowledge base excerpts are labelled [K1], [K2], ... Base your answer on them where they are relevant and cite each one you use inline with its label, e.g. [K2]. Do not cite a label for anything the excerpt does not say.';
+
+function formatKnowledgeExcerpts(chunks) {
+    return chunks
+        .map((chunk, index) => `[K${index + 1}] ${chunk.filename || chunk.documentId}, section ${chunk.index + 1}:\n${chunk.content}`)
+        .join('\n\n');
+}
+
+// Chunks cited in the text, in order of first citation. Grouped markers
+// such as [K1, K3] count for each label; labels that don't match an
+// excerpt are ignored.
+function extractCitations(text, chunks) {
+    const cited = [];
+
+    for (const match of (text || '').matchAll(/\[(K\d+(?:\s*[,;]\s*K\d+)*)\]/g)) {
+        for (const label of match[1].split(/\s*[,;]\s*/)) {
+            const chunk = chunks[parseInt(label.slice(1), 10) - 1];
+            if (chunk && !cited.some(citation => citation.marker === label)) {
+                cited.push({
+                    marker: label,
+                    chunkId: chunk.id,
+                    documentId: chunk.documentId,
+                    filename: chunk.filename,
+                    chunkIndex: chunk.index,
+                    start: chunk.start,
+                    end: chunk.end,
+                    score: chunk.score,
+                    excerpt: chunk.content
+                });
+            }
+        }
+    }
+
+    return cited;
+}
+
+module.exports = {
+    CITATION_INSTRUCTIONS,
+    formatKnowledgeExcerpts,
+    extractCitations
+};
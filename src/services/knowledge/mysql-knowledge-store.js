@@ -0,0 +1,191 @@
+const db = require('../database/mysql-connector');
+
+// Persists knowledge bases, their documents and embedded chunks.
+// See migrations/009-knowledge-bases.sql.
+class MySQLKnowledgeStore {
+    constructor() {
+        this.knowledgeBaseColumns = {
+            name: 'name',
+            description: 'description',
+            embeddingModel: 'embedding_model'
+        };
+    }
+
+    async insertKnowledgeBase(knowledgeBase) {
+        await db.execute(
+            `INSERT INTO knowledge_bases (id, user_id, name, description, embedding_model, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                knowledgeBase.id,
+                knowledgeBase.userId,
+                knowledgeBase.name,
+                knowledgeBase.description,
+                knowledgeBase.embeddingModel,
+                knowledgeBase.createdAt,
+                knowledgeBase.createdAt
+            ]
+        );
+
+        return await this.getKnowledgeBase(knowledgeBase.id);
+    }
+
+    async getKnowledgeBase(id) {
+        const [rows] = await db.execute('SELECT * FROM knowledge_bases WHERE id = ?', [id]);
+        return rows[0] ? this.toKnowledgeBase(rows[0]) : null;
+    }
+
+    async listKnowledgeBases(userId) {
+        const [rows] = await db.execute(
+            'SELECT * FROM knowledge_bases WHERE user_id = ? ORDER BY updated_at DESC',
+            [userId]
+        );
+
+        return rows.map(row => this.toKnowledgeBase(row));
+    }
+
+    async updateKnowledgeBase(id, changes) {
+        const fields = Object.keys(changes).filter(field => this.knowledgeBaseColumns[field]);
+
+        if (fields.length > 0) {
+            await db.execute(
+                `UPDATE knowledge_bases
+                 SET ${fields.map(field => `${this.knowledgeBaseColumns[field]} = ?`).join(', ')}, updated_at = NOW()
+                 WHERE id = ?`,
+                [...fields.map(field => changes[field]), id]
+            );
+        }
+
+        return await this.getKnowledgeBase(id);
+    }
+
+    async deleteKnowledgeBase(id) {
+        const [result] = await db.execute('DELETE FROM knowledge_bases WHERE id = ?', [id]);
+        return result.affectedRows > 0;
+    }
+
+    async insertDocument(knowledgeBaseId, document, chunks) {
+        const connection = await db.beginTransaction();
+
+        try {
+            await connection.execute(
+                `INSERT INTO knowledge_documents (id, knowledge_base_id, filename, format, characters, pages, chunk_count, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    document.id,
+                    knowledgeBaseId,
+                    document.filename,
+                    document.format,
+                    document.characters,
+                    document.pages || null,
+                    chunks.length,
+                    document.createdAt
+                ]
+            );
+
+            for (const chunk of chunks) {
+                await connection.execute(
+                    `INSERT INTO knowledge_chunks
+                     (id, knowledge_base_id, document_id, chunk_index, content, start_offset, end_offset, token_count, embedding)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        chunk.id,
+                        knowledgeBaseId,
+                        document.id,
+                        chunk.index,
+                        chunk.content,
+                        chunk.start,
+                        chunk.end,
+                        chunk.tokenCount,
+                        JSON.stringify(chunk.embedding)
+                    ]
+                );
+            }
+
+            await connection.execute(
+                `UPDATE knowledge_bases
+                 SET document_count = document_count + 1, chunk_count = chunk_count + ?, updated_at = NOW()
+                 WHERE id = ?`,
+                [chunks.length, knowledgeBaseId]
+            );
+
+            await db.commitTransaction(connection);
+        } catch (error) {
+            await db.rollbackTransaction(connection);
+            throw error;
+        }
+
+        return { ...document, chunkCount: chunks.length };
+    }
+
+    async listDocuments(knowledgeBaseId) {
+        const [rows] = await db.execute(
+            'SELECT * FROM knowledge_documents WHERE knowledge_base_id = ? ORDER BY created_at',
+            [knowledgeBaseId]
+        );
+
+        return rows.map(row => ({
+            id: row.id,
+            filename: row.filename,
+            format: row.format,
+            characters: row.characters,
+            pages: row.pages,
+            chunkCount: row.chunk_count,
+            createdAt: row.created_at
+        }));
+    }
+
+    async deleteDocument(knowledgeBaseId, documentId) {
+        const [rows] = await db.execute(
+            'SELECT chunk_count FROM knowledge_documents WHERE id = ? AND knowledge_base_id = ?',
+            [documentId, knowledgeBaseId]
+        );
+        if (!rows[0]) {
+            return false;
+        }
+
+        // Chunks go with the document (ON DELETE CASCADE)
+        await db.execute('DELETE FROM knowledge_documents WHERE id = ?', [documentId]);
+        await db.execute(
+            `UPDATE knowledge_bases
+             SET document_count = document_count - 1, chunk_count = chunk_count - ?, updated_at = NOW()
+             WHERE id = ?`,
+            [rows[0].chunk_count, knowledgeBaseId]
+        );
+
+        return true;
+    }
+
+    async getChunks(knowledgeBaseId) {
+        const [rows] = await db.execute(
+            'SELECT * FROM knowledge_chunks WHERE knowledge_base_id = ? ORDER BY document_id, chunk_index',
+            [knowledgeBaseId]
+        );
+
+        return rows.map(row => ({
+            id: row.id,
+            documentId: row.document_id,
+            index: row.chunk_index,
+            content: row.content,
+            start: row.start_offset,
+            end: row.end_offset,
+            tokenCount: row.token_count,
+            embedding: JSON.parse(row.embedding)
+        }));
+    }
+
+    toKnowledgeBase(row) {
+        return {
+            id: row.id,
+            userId: row.user_id,
+            name: row.name,
+            description: row.description,
+            embeddingModel: row.embedding_model,
+            documentCount: row.document_count,
+            chunkCount: row.chunk_count,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+module.exports = MySQLKnowledgeStore;
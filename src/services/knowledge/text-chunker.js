@@ -0,0 +1,98 @@
+// Splits document text into overlapping chunks for embedding. Chunks are
+// built from whole paragraphs where possible, then sentences, and only cut
+// mid-sentence when a single sentence is longer than a chunk. Each chunk is
+// an exact slice of the text ({ index, content, start, end, tokenCount }),
+// so a citation can point at the characters it quotes.
+const CHARS_PER_TOKEN = 4;
+
+function chunkText(text, { chunkTokens = 400, overlapTokens = 50 } = {}) {
+    const maxChars = chunkTokens * CHARS_PER_TOKEN;
+    const overlapChars = Math.min(overlapTokens, chunkTokens / 2) * CHARS_PER_TOKEN;
+    const chunks = [];
+    let current = [];
+
+    const flush = () => {
+        const start = current[0].start;
+        const end = current[current.length - 1].end;
+        const content = text.slice(start, end).trim();
+
+        chunks.push({
+            index: chunks.length,
+            content: content,
+            start: start,
+            end: end,
+            tokenCount: Math.ceil(content.length / CHARS_PER_TOKEN)
+        });
+    };
+
+    for (const unit of splitUnits(text, maxChars)) {
+        if (current.length && unit.end - current[0].start > maxChars) {
+            flush();
+
+            // Carry the tail of the previous chunk over so an answer that
+            // spans the boundary is still found whole in one chunk
+            const last = current[current.length - 1];
+            current = current.filter(kept => last.end - kept.start <= overlapChars);
+
+            if (current.length && unit.end - current[0].start > maxChars) {
+                current = [];
+            }
+        }
+
+        current.push(unit);
+    }
+
+    if (current.length) {
+        flush();
+    }
+
+    return chunks;
+}
+
+// Paragraphs, or the sentences of paragraphs too long for one chunk, as
+// { start, end } offsets into the text
+function splitUnits(text, maxChars) {
+    const units = [];
+
+    for (const paragraph of matchSpans(text, /[^\n]+(?:\n(?!\n)[^\n]*)*/g, 0)) {
+        if (paragraph.end - paragraph.start <= maxChars) {
+            units.push(paragraph);
+            continue;
+        }
+
+        const body = text.slice(paragraph.start, paragraph.end);
+        for (const sentence of matchSpans(body, /[^.!?]+(?:[.!?]+["')\]]*)?\s*/g, paragraph.start)) {
+            units.push(...splitLongSpan(text, sentence, maxChars));
+        }
+    }
+
+    return units;
+}
+
+function matchSpans(text, pattern, offset) {
+    return Array.from(text.matchAll(pattern))
+        .filter(match => match[0].trim())
+        .map(match => ({ start: offset + match.index, end: offset + match.index + match[0].length }));
+}
+
+// Cuts a span longer than maxChars at the last whitespace before the limit
+function splitLongSpan(text, span, maxChars) {
+    const pieces = [];
+    let start = span.start;
+
+    while (span.end - start > maxChars) {
+        const window = text.slice(start, start + maxChars);
+        const cut = window.search(/\s\S*$/);
+        const end = start + (cut > 0 ? cut : maxChars);
+
+        pieces.push({ start, end });
+        start = end;
+    }
+
+    pieces.push({ start, end: span.end });
+    return pieces;
+}
+
+module.exports = {
+    chunkText
+};
@@ -0,0 +1,381 @@
+const path = require('path');
+const ZipWriter = require('../../utils/zip-writer');
+
+const FENCE_OPEN = /^(`{3,}|~{3,})\s*(.*)$/;
+const PATH_ATTRIBUTE = /(?:^|\s)(?:path|file|filename)\s*[=:]\s*"?([^\s"]+)"?/i;
+const SAFE_SEGMENT = /^[\w@+.,=-][\w@+.,= -]*$/;
+const MANIFEST_FILE = '.project-manifest.json';
+
+const EXTENSION_LANGUAGES = {
+    js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript',
+    ts: 'typescript', tsx: 'typescript',
+    py: 'python',
+    java: 'java',
+    c: 'cpp', cc: 'cpp', cpp: 'cpp', cxx: 'cpp', h: 'cpp', hpp: 'cpp',
+    html: 'html', htm: 'html',
+    css: 'css', scss: 'css',
+    sql: 'sql',
+    json: 'json', md: 'markdown', yml: 'yaml', yaml: 'yaml', xml: 'xml', toml: 'toml',
+    txt: 'text', sh: 'shell'
+};
+
+// Conventional entry points, tried in order when the model does not name one
+const ENTRY_CANDIDATES = {
+    javascript: [/^(src\/)?(index|server|app|main)\.(js|mjs|cjs)$/, /^src\/(main|index)\.jsx$/, /\.jsx?$/],
+    python: [/^(src\/)?(main|app|manage)\.py$/, /__main__\.py$/, /\.py$/],
+    java: [/(Main|Application)\.java$/, /\.java$/],
+    cpp: [/^(src\/)?main\.(cpp|cc|cxx)$/, /\.(cpp|cc|cxx)$/],
+    html: [/^(public\/)?index\.html$/, /\.html$/],
+    css: [/^index\.html$/, /\.s?css$/],
+    sql: [/^(schema|init|001)[\w-]*\.sql$/, /\.sql$/]
+};
+
+function createPathError(value, reason) {
+    const error = new Error(`Invalid project path "${value}": ${reason}`);
+    error.status = 400;
+    error.code = 'INVALID_PROJECT_PATH';
+    return error;
+}
+
+// Project paths are relative, forward-slashed and cannot climb out of the
+// project root, so they are safe to use as zip entry names
+function normalizeProjectPath(value) {
+    const raw = String(value || '').trim().replace(/\\/g, '/');
+
+    if (!raw) {
+        throw createPathError(raw, 'path is empty');
+    }
+
+    if (raw.startsWith('/') || /^[a-zA-Z]:/.test(raw)) {
+        throw createPathError(raw, 'path must be relative');
+    }
+
+    const segments = raw.split('/').filter(segment => segment && segment !== '.');
+
+    if (segments.some(segment => segment === '..')) {
+        throw createPathError(raw, 'path cannot contain ..');
+    }
+
+    if (!segments.length || segments.some(segment => !SAFE_SEGMENT.test(segment))) {
+        throw createPathError(raw, 'path contains unsupported characters');
+    }
+
+    const normalized = segments.join('/');
+    if (normalized.length > 255) {
+        throw createPathError(raw, 'path is too long');
+    }
+
+    return normalized;
+}
+
+function detectFileLanguage(filePath) {
+    const extension = path.posix.extname(filePath).slice(1).toLowerCase();
+    return EXTENSION_LANGUAGES[extension] || 'text';
+}
+
+// Splits a model response into fenced blocks. Fences close on a line of the
+// same character at least as long as the opening one, so a file fenced with
+// four backticks can contain ``` lines (README examples and the like).
+function readFencedBlocks(text) {
+    const blocks = [];
+    const prose = [];
+    let current = null;
+    let previousLine = '';
+
+    for (const line of String(text || '').split(/\r?\n/)) {
+        if (current) {
+            const closing = line.trim();
+            if (closing.length >= current.fence.length && closing === current.fence[0].repeat(closing.length)) {
+                blocks.push({ ...current, complete: true });
+                current = null;
+            } else {
+                current.lines.push(line);
+            }
+            continue;
+        }
+
+        const match = line.match(FENCE_OPEN);
+        if (match) {
+            current = { fence: match[1], info: match[2].trim(), header: previousLine, lines: [] };
+            continue;
+        }
+
+        prose.push(line);
+        if (line.trim()) {
+            previousLine = line.trim();
+        }
+    }
+
+    // An unclosed block means the response was cut off mid-file
+    if (current) {
+        blocks.push({ ...current, complete: false });
+    }
+
+    return { blocks, prose: prose.join('\n').trim() };
+}
+
+// The path comes from the info string (```js path=src/index.js), a bare
+// path in the info string (```src/index.js) or a heading on the line before
+// the fence (### src/index.js, **src/index.js**, File: src/index.js)
+function findBlockPath(block) {
+    const attribute = block.info.match(PATH_ATTRIBUTE);
+    if (attribute) {
+        return attribute[1];
+    }
+
+    const token = block.info.split(/\s+/).find(candidate => /[./]/.test(candidate));
+    if (token) {
+        return token;
+    }
+
+    const header = block.header
+        .replace(/^#+\s*/, '')
+        .replace(/[*`]/g, '')
+        .replace(/^(?:file(?:name)?|path)\s*:\s*/i, '')
+        .replace(/:$/, '')
+        .trim();
+
+    return /^[\w@+.,=/ -]+$/.test(header) && /[./]/.test(header) && !/\s/.test(header) ? header : null;
+}
+
+// Reads a project-mode response: an optional ```json manifest block, one
+// block per file, and an optional ```delete block listing removed paths.
+// Blocks that cannot be used are reported in `skipped` rather than failing
+// the whole project.
+function parseProjectResponse(text, limits = {}) {
+    const { maxFiles = Infinity, maxFileBytes = Infinity } = limits;
+    const { blocks, prose } = readFencedBlocks(text);
+    const files = new Map();
+    const deleted = [];
+    const skipped = [];
+    let manifest = null;
+
+    for (const block of blocks) {
+        const tokens = block.info.toLowerCase().split(/\s+/);
+        const content = block.lines.join('\n');
+
+        if (tokens.includes('manifest')) {
+            try {
+                manifest = JSON.parse(content);
+            } catch (error) {
+                skipped.push({ path: null, reason: 'Manifest is not valid JSON' });
+            }
+            continue;
+        }
+
+        if (tokens.includes('delete')) {
+            for (const line of block.lines.map(entry => entry.trim()).filter(Boolean)) {
+                try {
+                    deleted.push(normalizeProjectPath(line));
+                } catch (error) {
+                    skipped.push({ path: line, reason: error.message });
+                }
+            }
+            continue;
+        }
+
+        const rawPath = findBlockPath(block);
+        if (!rawPath) {
+            skipped.push({ path: null, reason: 'Code block has no file path' });
+            continue;
+        }
+
+        let filePath;
+        try {
+            filePath = normalizeProjectPath(rawPath);
+        } catch (error) {
+            skipped.push({ path: rawPath, reason: error.message });
+            continue;
+        }
+
+        if (!block.complete) {
+            skipped.push({ path: filePath, reason: 'File was cut off before it ended' });
+        } else if (Buffer.byteLength(content) > maxFileBytes) {
+            skipped.push({ path: filePath, reason: `File is larger than ${maxFileBytes} bytes` });
+        } else if (!files.has(filePath) && files.size >= maxFiles) {
+            skipped.push({ path: filePath, reason: `Projects are limited to ${maxFiles} files` });
+        } else {
+            // A repeated path replaces the earlier block
+            files.set(filePath, { path: filePath, content: content.endsWith('\n') ? content : `${content}\n` });
+        }
+    }
+
+    return { manifest, files: [...files.values()], deleted, skipped, notes: prose };
+}
+
+function slugify(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60) || 'project';
+}
+
+function findEntry(paths, language, declared) {
+    if (declared && paths.includes(declared)) {
+        return declared;
+    }
+
+    for (const pattern of ENTRY_CANDIDATES[language] || []) {
+        const match = paths.find(candidate => pattern.test(candidate));
+        if (match) {
+            return match;
+        }
+    }
+
+    return paths[0] || null;
+}
+
+// The manifest's file list always reflects the files actually stored; the
+// model's manifest only supplies the name, description, entry point,
+// dependencies and commands. Fields it leaves out carry over from the
+// previous revision on edits.
+function buildManifest(files, language, declared, previous = {}) {
+    const source = declared && typeof declared === 'object' ? declared : {};
+    const paths = files.map(file => file.path).sort();
+    const normalizedEntry = (() => {
+        try {
+            return source.entry ? normalizeProjectPath(source.entry) : previous.entry;
+        } catch (error) {
+            return previous.entry;
+        }
+    })();
+    const commands = { ...previous.commands };
+
+    for (const [name, command] of Object.entries(source.commands || {})) {
+        if (typeof command === 'string') {
+            commands[name] = command;
+        }
+    }
+
+    return {
+        name: slugify(source.name || previous.name),
+        description: typeof source.description === 'string' ? source.description : previous.description || '',
+        language: language,
+        entry: findEntry(paths, language, normalizedEntry),
+        dependencies: source.dependencies && typeof source.dependencies === 'object'
+            ? source.dependencies
+            : previous.dependencies || {},
+        commands: commands,
+        files: paths.map(filePath => {
+            const content = files.find(file => file.path === filePath).content;
+            return {
+                path: filePath,
+                language: detectFileLanguage(filePath),
+                bytes: Buffer.byteLength(content),
+                lines: content.split('\n').length - (content.endsWith('\n') ? 1 : 0)
+            };
+        })
+    };
+}
+
+// Applies an edit response to the current files. With target paths, only
+// those files may be written or deleted; anything else the model sends is
+// reported as ignored, as are new files past the project's file limit.
+function applyProjectChanges(currentFiles, parsed, targets = [], maxFiles = Infinity) {
+    const allowed = targets.length ? new Set(targets) : null;
+    const files = new Map(currentFiles.map(file => [file.path, file]));
+    const changes = { added: [], modified: [], deleted: [], ignored: [] };
+
+    for (const filePath of parsed.deleted) {
+        if (allowed && !allowed.has(filePath)) {
+            changes.ignored.push(filePath);
+        } else if (files.delete(filePath)) {
+            changes.deleted.push(filePath);
+        }
+    }
+
+    for (const file of parsed.files) {
+        if (allowed && !allowed.has(file.path)) {
+            changes.ignored.push(file.path);
+            continue;
+        }
+
+        const existing = files.get(file.path);
+        if (!existing && files.size >= maxFiles) {
+            changes.ignored.push(file.path);
+            continue;
+        }
+
+        if (!existing) {
+            changes.added.push(file.path);
+        } else if (existing.content !== file.content) {
+            changes.modified.push(file.path);
+        }
+        files.set(file.path, file);
+    }
+
+    return { files: [...files.values()], changes };
+}
+
+// Quotes the project for an edit: the full file tree, then the contents of
+// the target files (or every file when none are named) until the character
+// budget runs out
+function formatProjectForEdit(project, targets, maxChars) {
+    const tree = project.manifest.files
+        .map(file => `- ${file.path} (${file.lines} lines)`)
+        .join('\n');
+    const quoted = targets.length
+        ? project.files.filter(file => targets.includes(file.path))
+        : project.files;
+    const sections = [];
+    let remaining = maxChars;
+
+    for (const file of quoted) {
+        const fence = file.content.includes('```') ? '````' : '```';
+        const section = `${fence}${detectFileLanguage(file.path)} path=${file.path}\n${file.content}${fence}`;
+
+        if (section.length > remaining) {
+            sections.push(`(${file.path} omitted: too large to quote)`);
+            continue;
+        }
+
+        sections.push(section);
+        remaining -= section.length;
+    }
+
+    const missing = targets.filter(target => !project.files.some(file => file.path === target));
+
+    return [
+        `Project: ${project.manifest.name} (${project.manifest.language})`,
+        `Files:\n${tree}`,
+        missing.length ? `New files to create: ${missing.join(', ')}` : null,
+        sections.length ? `Current contents:\n\n${sections.join('\n\n')}` : null
+    ].filter(Boolean).join('\n\n');
+}
+
+// Zips the project under a folder named after it, with the manifest
+// alongside the files
+function buildProjectArchive(project) {
+    const name = project.manifest.name;
+    const modifiedAt = new Date(project.updatedAt || project.createdAt || Date.now());
+    const zip = new ZipWriter();
+
+    for (const file of project.files) {
+        zip.addFile(`${name}/${file.path}`, file.content, modifiedAt);
+    }
+
+    if (!project.files.some(file => file.path === MANIFEST_FILE)) {
+        zip.addFile(`${name}/${MANIFEST_FILE}`, JSON.stringify({
+            ...project.manifest,
+            id: project.id,
+            revision: project.revision
+        }, null, 2), modifiedAt);
+    }
+
+    return {
+        filename: `${name}.zip`,
+        contentType: 'application/zip',
+        body: zip.toBuffer()
+    };
+}
+
+module.exports = {
+    parseProjectResponse,
+    normalizeProjectPath,
+    detectFileLanguage,
+    buildManifest,
+    applyProjectChanges,
+    formatProjectForEdit,
+    buildProjectArchive
+};
@@ -0,0 +1,16 @@
+const aiConfig = require('../../../config/ai-config');
+const JsonRecordStore = require('../storage/json-record-store');
+
+// Generated projects are kept between requests so follow-up edits can
+// change individual files and the latest revision can be downloaded.
+class ProjectStore extends JsonRecordStore {
+    constructor(options = {}) {
+        super({
+            directory: options.directory || aiConfig.projects.storageDir,
+            prefix: 'proj',
+            label: 'Project'
+        });
+    }
+}
+
+module.exports = ProjectStore;
@@ -0,0 +1,92 @@
+const axios = require('axios');
+const AIProvider = require('./base-provider');
+const { readEventStream } = require('../streaming/chat-stream');
+
+class AnthropicProvider extends AIProvider {
+    constructor(config = {}) {
+        super('anthropic', config);
+        this.capabilities = ['chat'];
+        this.baseURL = config.baseURL || 'https://api.anthropic.com/v1';
+        this.apiVersion = '2023-06-01';
+    }
+
+    async chat(messages, options = {}) {
+        const model = options.model || this.config.model;
+        const body = this.buildBody(model, messages, options);
+
+        if (options.onToken) {
+            return await this.streamChat(model, body, options);
+        }
+
+        const response = await axios.post(`${this.baseURL}/messages`, body, {
+            headers: this.getHeaders(),
+            signal: options.signal
+        });
+
+        return {
+            content: response.data.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join(''),
+            model: response.data.model || model,
+            usage: {
+                promptTokens: response.data.usage?.input_tokens || 0,
+                completionTokens: response.data.usage?.output_tokens || 0
+            }
+        };
+    }
+
+    async streamChat(model, body, options) {
+        const response = await axios.post(`${this.baseURL}/messages`, { ...body, stream: true }, {
+            headers: this.getHeaders(),
+            responseType: 'stream',
+            signal: options.signal
+        });
+
+        let content = '';
+        const usage = { promptTokens: 0, completionTokens: 0 };
+
+        await readEventStream(response.data, (data) => {
+            if (data.type === 'content_block_delta' && data.delta?.text) {
+                content += data.delta.text;
+                options.onToken(data.delta.text);
+            } else if (data.type === 'message_start') {
+                usage.promptTokens = data.message?.usage?.input_tokens || 0;
+            } else if (data.type === 'message_delta') {
+                usage.completionTokens = data.usage?.output_tokens || 0;
+            } else if (data.type === 'error') {
+                throw new Error(data.error?.message || 'Anthropic stream error');
+            }
+        });
+
+        return { content, model, usage };
+    }
+
+    // Anthropic takes system prompts separately from the conversation
+    buildBody(model, messages, options) {
+        const system = messages
+            .filter(message => message.role === 'system')
+            .map(message => message.content)
+            .join('\n\n');
+
+        return {
+            model: model,
+            max_tokens: options.maxTokens || this.config.maxTokens,
+            temperature: options.temperature ?? this.config.temperature,
+            ...(system && { system }),
+            messages: messages
+                .filter(message => message.role !== 'system')
+                .map(message => ({ role: message.role, content: message.content }))
+        };
+    }
+
+    getHeaders() {
+        return {
+            'x-api-key': this.config.apiKey,
+            'anthropic-version': this.apiVersion,
+            'Content-Type': 'application/json'
+        };
+    }
+}
+
+module.exports = AnthropicProvider;
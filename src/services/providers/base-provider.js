@@ -0,0 +1,77 @@
+// Common surface for AI vendors. Each adapter lists the capabilities it
+// offers (chat, image, imageEdit, tts, stt, embed) and overrides the
+// matching methods.
+//
+//   chat(messages, { model, maxTokens, temperature, signal, onToken })
+//       -> { content, model, usage: { promptTokens, completionTokens } }
+//   generateImage(prompt, { width, height, style, signal })
+//       -> { base64, format, dimensions, model }
+//   editImage(image, { operation, prompt, mask, strength, expand, scale, style, signal })
+//       -> { base64, format, dimensions, model }
+//       operation is image-to-image, inpaint, outpaint, upscale or variation;
+//       image and mask are Buffers, mask white where the image is repainted
+//   textToSpeech(text, { voiceType, voice, signal }) -> { base64, format, model }
+//   speechToText(audio, { filename, signal }) -> { text, language, duration, model }
+//   embed(texts, { signal }) -> { embeddings: [[number]], model, usage: { promptTokens } }
+//
+// Messages use the OpenAI shape ({ role, content }); adapters translate.
+class AIProvider {
+    constructor(name, config = {}) {
+        this.name = name;
+        this.config = config;
+        this.capabilities = [];
+    }
+
+    isConfigured() {
+        return Boolean(this.config.apiKey);
+    }
+
+    supports(capability) {
+        return this.capabilities.includes(capability);
+    }
+
+    async chat() {
+        throw this.unsupported('chat');
+    }
+
+    async generateImage() {
+        throw this.unsupported('image');
+    }
+
+    async editImage() {
+        throw this.unsupported('imageEdit');
+    }
+
+    async textToSpeech() {
+        throw this.unsupported('tts');
+    }
+
+    async speechToText() {
+        throw this.unsupported('stt');
+    }
+
+    async embed() {
+        throw this.unsupported('embed');
+    }
+
+    // The [width, height] a model can render that best matches a request:
+    // closest aspect ratio first, then the smallest size covering it (or
+    // the largest there is). Local post-processing crops to the exact size.
+    pickImageSize(sizes, width, height) {
+        const ratioDistance = ([w, h]) => Math.abs(Math.log((w / h) / (width / height)));
+        const bestDistance = Math.min(...sizes.map(ratioDistance));
+        const sameShape = sizes
+            .filter(size => ratioDistance(size) - bestDistance < 0.01)
+            .sort((a, b) => a[0] * a[1] - b[0] * b[1]);
+
+        return sameShape.find(([w, h]) => w >= width && h >= height) || sameShape[sameShape.length - 1];
+    }
+
+    unsupported(capability) {
+        const error = new Error(`${this.name} does not support ${capability}`);
+        error.code = 'NOT_SUPPORTED';
+        return error;
+    }
+}
+
+module.exports = AIProvider;
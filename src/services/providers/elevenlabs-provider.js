@@ -0,0 +1,44 @@
+const axios = require('axios');
+const AIProvider = require('./base-provider');
+
+class ElevenLabsProvider extends AIProvider {
+    constructor(config = {}) {
+        super('elevenLabs', config);
+        this.capabilities = ['tts'];
+        this.baseURL = config.baseURL || 'https://api.elevenlabs.io/v1';
+        this.model = 'eleven_monolingual_v1';
+    }
+
+    async textToSpeech(text, options = {}) {
+        const voices = this.config.voices || {};
+        const voiceId = voices[options.voiceType] || voices.neutral;
+
+        const response = await axios.post(
+            `${this.baseURL}/text-to-speech/${voiceId}`,
+            {
+                text: text,
+                model_id: this.model,
+                voice_settings: {
+                    stability: options.stability || 0.5,
+                    similarity_boost: options.similarity || 0.5
+                }
+            },
+            {
+                headers: {
+                    'xi-api-key': this.config.apiKey,
+                    'Content-Type': 'application/json'
+                },
+                responseType: 'arraybuffer',
+                signal: options.signal
+            }
+        );
+
+        return {
+            base64: Buffer.from(response.data).toString('base64'),
+            format: 'mp3',
+            model: this.model
+        };
+    }
+}
+
+module.exports = ElevenLabsProvider;
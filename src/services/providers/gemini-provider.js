@@ -0,0 +1,100 @@
+const axios = require('axios');
+const AIProvider = require('./base-provider');
+const { readEventStream } = require('../streaming/chat-stream');
+
+class GeminiProvider extends AIProvider {
+    constructor(config = {}) {
+        super('googleAI', config);
+        this.capabilities = ['chat'];
+        this.baseURL = config.baseURL || 'https://generativelanguage.googleapis.com/v1beta';
+    }
+
+    async chat(messages, options = {}) {
+        const model = options.model || this.config.models.text;
+        const body = this.buildBody(messages, options);
+
+        if (options.onToken) {
+            return await this.streamChat(model, body, options);
+        }
+
+        const response = await axios.post(`${this.baseURL}/models/${model}:generateContent`, body, {
+            headers: this.getHeaders(),
+            signal: options.signal
+        });
+
+        return {
+            content: this.extractText(response.data),
+            model: model,
+            usage: this.extractUsage(response.data)
+        };
+    }
+
+    async streamChat(model, body, options) {
+        const response = await axios.post(`${this.baseURL}/models/${model}:streamGenerateContent`, body, {
+            params: { alt: 'sse' },
+            headers: this.getHeaders(),
+            responseType: 'stream',
+            signal: options.signal
+        });
+
+        let content = '';
+        let usage = { promptTokens: 0, completionTokens: 0 };
+
+        await readEventStream(response.data, (data) => {
+            const token = this.extractText(data);
+            if (token) {
+                content += token;
+                options.onToken(token);
+            }
+
+            if (data.usageMetadata) {
+                usage = this.extractUsage(data);
+            }
+        });
+
+        return { content, model, usage };
+    }
+
+    // Gemini calls the assistant role "model" and takes system prompts separately
+    buildBody(messages, options) {
+        const system = messages
+            .filter(message => message.role === 'system')
+            .map(message => message.content)
+            .join('\n\n');
+
+        return {
+            ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+            contents: messages
+                .filter(message => message.role !== 'system')
+                .map(message => ({
+                    role: message.role === 'assistant' ? 'model' : 'user',
+                    parts: [{ text: message.content }]
+                })),
+            generationConfig: {
+                maxOutputTokens: options.maxTokens,
+                temperature: options.temperature
+            }
+        };
+    }
+
+    extractText(data) {
+        const parts = data.candidates?.[0]?.content?.parts || [];
+        return parts.map(part => part.text || '').join('');
+    }
+
+    extractUsage(data) {
+        return {
+            promptTokens: data.usageMetadata?.promptTokenCount || 0,
+            completionTokens: data.usageMetadata?.candidatesTokenCount || 0
+        };
+    }
+
+    getHeaders() {
+        return {
+            'x-goog-api-key': this.config.apiKey,
+            'Content-Type': 'application/json'
+        };
+    }
+}
+
+module.exports = GeminiProvider;
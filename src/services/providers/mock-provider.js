@@ -0,0 +1,122 @@
+const AIProvider = require('./base-provider');
+
+// 1x1 transparent PNG
+const PLACEHOLDER_IMAGE = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+// Deterministic offline provider for tests and local development. Every
+// call is recorded in `calls`; pass `error` to simulate a vendor outage.
+class MockProvider extends AIProvider {
+    constructor(config = {}) {
+        super(config.name || 'mock', config);
+        this.capabilities = ['chat', 'image', 'imageEdit', 'tts', 'stt', 'embed'];
+        this.calls = [];
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async chat(messages, options = {}) {
+        this.record('chat', { messages, options });
+
+        const prompt = messages.filter(message => message.role === 'user').map(message => message.content).join('\n');
+        const content = this.config.chatResponse || `Mock response: ${prompt.slice(0, 200)}`;
+
+        if (options.onToken) {
+            content.split(/(?<=\s)/).forEach(token => options.onToken(token));
+        }
+
+        return {
+            content: content,
+            model: 'mock-chat',
+            usage: {
+                promptTokens: this.countTokens(messages.map(message => message.content).join(' ')),
+                completionTokens: this.countTokens(content)
+            }
+        };
+    }
+
+    async generateImage(prompt, options = {}) {
+        this.record('image', { prompt, options });
+
+        return {
+            base64: PLACEHOLDER_IMAGE,
+            format: 'png',
+            dimensions: { width: 1, height: 1 },
+            model: 'mock-image'
+        };
+    }
+
+    async editImage(image, options = {}) {
+        this.record('imageEdit', { image, options });
+
+        return {
+            base64: PLACEHOLDER_IMAGE,
+            format: 'png',
+            dimensions: { width: 1, height: 1 },
+            model: 'mock-image-edit'
+        };
+    }
+
+    async textToSpeech(text, options = {}) {
+        this.record('tts', { text, options });
+
+        return {
+            base64: Buffer.from(text).toString('base64'),
+            format: 'mp3',
+            model: 'mock-tts'
+        };
+    }
+
+    async speechToText(audio, options = {}) {
+        this.record('stt', { options });
+
+        return {
+            text: this.config.transcript || 'Mock transcript',
+            language: 'en',
+            duration: 0,
+            model: 'mock-stt'
+        };
+    }
+
+    // Hashed bag of words: texts sharing words get similar vectors, which is
+    // enough for retrieval tests without a real embedding model
+    async embed(texts, options = {}) {
+        this.record('embed', { texts, options });
+
+        const embeddings = texts.map(text => {
+            const vector = new Array(64).fill(0);
+            (text.toLowerCase().match(/[a-z0-9]+/g) || []).forEach(word => {
+                let hash = 0;
+                for (const char of word) {
+                    hash = (hash * 31 + char.charCodeAt(0)) % 64;
+                }
+                vector[hash] += 1;
+            });
+
+            const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+            return vector.map(value => value / length);
+        });
+
+        return {
+            embeddings: embeddings,
+            model: 'mock-embedding',
+            usage: { promptTokens: this.countTokens(texts.join(' ')) }
+        };
+    }
+
+    record(capability, details) {
+        this.calls.push({ capability, ...details });
+
+        if (this.config.error) {
+            throw this.config.error;
+        }
+    }
+
+    // Roughly four characters per token, close enough for cost estimates
+    countTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,261 @@
+const axios = require('axios');
+const AIProvider = require('./base-provider');
+const RetryPolicy = require('../task-queue/retry-policy');
+const { readEventStream } = require('../streaming/chat-stream');
+const { readImageInfo, resizeImage, maskToAlpha } = require('../images/image-processing');
+
+class OpenAIProvider extends AIProvider {
+    constructor(config = {}) {
+        super('openai', config);
+        this.capabilities = ['chat', 'image', 'imageEdit', 'tts', 'stt', 'embed'];
+        this.baseURL = config.baseURL || 'https://api.openai.com/v1';
+    }
+
+    async chat(messages, options = {}) {
+        // A stream that has already sent tokens can't switch models halfway
+        if (options.onToken) {
+            return await this.streamChat(options.model || this.config.models.chat, messages, options);
+        }
+
+        const models = options.model ? [options.model] : [this.config.models.chat, this.config.models.chatFallback];
+
+        return await this.withModelFallback(models, options, async (model) => {
+            const response = await axios.post(
+                `${this.baseURL}/chat/completions`,
+                this.buildChatBody(model, messages, options),
+                {
+                    headers: this.getHeaders(),
+                    signal: options.signal
+                }
+            );
+
+            return {
+                content: response.data.choices[0].message.content,
+                model: response.data.model || model,
+                usage: {
+                    promptTokens: response.data.usage?.prompt_tokens || 0,
+                    completionTokens: response.data.usage?.completion_tokens || 0
+                }
+            };
+        });
+    }
+
+    async streamChat(model, messages, options) {
+        const response = await axios.post(
+            `${this.baseURL}/chat/completions`,
+            {
+                ...this.buildChatBody(model, messages, options),
+                stream: true,
+                stream_options: { include_usage: true }
+            },
+            {
+                headers: this.getHeaders(),
+                responseType: 'stream',
+                signal: options.signal
+            }
+        );
+
+        let content = '';
+        const usage = { promptTokens: 0, completionTokens: 0 };
+
+        await readEventStream(response.data, (data) => {
+            const token = data.choices?.[0]?.delta?.content;
+            if (token) {
+                content += token;
+                options.onToken(token);
+            }
+
+            // The final chunk carries usage for the whole completion
+            if (data.usage) {
+                usage.promptTokens = data.usage.prompt_tokens;
+                usage.completionTokens = data.usage.completion_tokens;
+            }
+        });
+
+        return { content, model, usage };
+    }
+
+    buildChatBody(model, messages, options) {
+        return {
+            model: model,
+            messages: messages,
+            max_tokens: options.maxTokens || this.config.limits?.maxTokens,
+            temperature: options.temperature
+        };
+    }
+
+    async generateImage(prompt, options = {}) {
+        const models = options.model ? [options.model] : [this.config.models.image, this.config.models.imageFallback];
+
+        return await this.withModelFallback(models, options, async (model) => {
+            // dall-e-3 only renders 1024px and larger
+            const sizes = this.config.imageSizes?.[model];
+            const [width, height] = options.width && options.height && sizes
+                ? this.pickImageSize(sizes, options.width, options.height)
+                : model === 'dall-e-3' ? [1024, 1024] : [512, 512];
+
+            const response = await axios.post(
+                `${this.baseURL}/images/generations`,
+                {
+                    model: model,
+                    prompt: prompt,
+                    n: 1,
+                    size: `${width}x${height}`,
+                    response_format: 'b64_json'
+                },
+                {
+                    headers: this.getHeaders(),
+                    signal: options.signal
+                }
+            );
+
+            return {
+                base64: response.data.data[0].b64_json,
+                format: 'png',
+                dimensions: { width, height },
+                model: model
+            };
+        });
+    }
+
+    // dall-e-2 edits take a square PNG and read the area to repaint from
+    // the mask's transparency; other operations go to the next provider
+    async editImage(image, options = {}) {
+        if (!['inpaint', 'variation'].includes(options.operation)) {
+            throw this.unsupported(`${options.operation} editing`);
+        }
+
+        const model = this.config.models.imageEdit;
+        const info = await readImageInfo(image);
+        const [size] = this.pickImageSize(this.config.imageSizes[model], Math.max(info.width, info.height), Math.max(info.width, info.height));
+        const form = new FormData();
+
+        form.append('image', new Blob([await resizeImage(image, { width: size, height: size })]), 'image.png');
+        if (options.operation === 'inpaint') {
+            form.append('mask', new Blob([await maskToAlpha(await resizeImage(options.mask, { width: size, height: size }), size, size)]), 'mask.png');
+            form.append('prompt', options.prompt);
+        }
+        form.append('model', model);
+        form.append('n', '1');
+        form.append('size', `${size}x${size}`);
+        form.append('response_format', 'b64_json');
+
+        const response = await axios.post(
+            `${this.baseURL}/images/${options.operation === 'inpaint' ? 'edits' : 'variations'}`,
+            form,
+            {
+                headers: { 'Authorization': `Bearer ${this.config.apiKey}` },
+                signal: options.signal
+            }
+        );
+
+        return {
+            base64: response.data.data[0].b64_json,
+            format: 'png',
+            dimensions: { width: size, height: size },
+            model: model
+        };
+    }
+
+    async textToSpeech(text, options = {}) {
+        const model = this.config.models.tts || 'tts-1';
+
+        const response = await axios.post(
+            `${this.baseURL}/audio/speech`,
+            {
+                model: model,
+                input: text,
+                voice: options.voice || 'alloy',
+                response_format: 'mp3'
+            },
+            {
+                headers: this.getHeaders(),
+                responseType: 'arraybuffer',
+                signal: options.signal
+            }
+        );
+
+        return {
+            base64: Buffer.from(response.data).toString('base64'),
+            format: 'mp3',
+            model: model
+        };
+    }
+
+    async speechToText(audio, options = {}) {
+        const model = this.config.models.whisper;
+        const form = new FormData();
+
+        form.append('file', new Blob([this.toBuffer(audio)]), options.filename || 'audio.mp3');
+        form.append('model', model);
+        form.append('response_format', 'verbose_json');
+
+        const response = await axios.post(`${this.baseURL}/audio/transcriptions`, form, {
+            headers: { 'Authorization': `Bearer ${this.config.apiKey}` },
+            signal: options.signal
+        });
+
+        return {
+            text: response.data.text,
+            language: response.data.language,
+            duration: response.data.duration,
+            model: model
+        };
+    }
+
+    async embed(texts, options = {}) {
+        const model = this.config.models.embedding;
+
+        const response = await axios.post(
+            `${this.baseURL}/embeddings`,
+            { model: model, input: texts },
+            {
+                headers: this.getHeaders(),
+                signal: options.signal
+            }
+        );
+
+        return {
+            // The API may return entries out of order; index restores input order
+            embeddings: response.data.data
+                .sort((a, b) => a.index - b.index)
+                .map(entry => entry.embedding),
+            model: response.data.model || model,
+            usage: { promptTokens: response.data.usage?.prompt_tokens || 0 }
+        };
+    }
+
+    // Falls back to the configured cheaper/older model when the primary one
+    // is unavailable (rate limited, overloaded or not enabled for the key)
+    async withModelFallback(models, options, call) {
+        const candidates = models.filter(Boolean);
+
+        for (let i = 0; i < candidates.length; i++) {
+            try {
+                return await call(candidates[i]);
+            } catch (error) {
+                const statusCode = error.response?.status;
+                const canFallback = RetryPolicy.isRetryable(error) || statusCode === 404;
+
+                if (i === candidates.length - 1 || options.signal?.aborted || !canFallback) {
+                    throw error;
+                }
+
+                console.warn(`OpenAI model ${candidates[i]} failed, falling back to ${candidates[i + 1]}:`, error.message);
+            }
+        }
+    }
+
+    toBuffer(audio) {
+        return Buffer.isBuffer(audio) ? audio : Buffer.from(audio, 'base64');
+    }
+
+    getHeaders() {
+        return {
+            'Authorization': `Bearer ${this.config.apiKey}`,
+            'Content-Type': 'application/json'
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
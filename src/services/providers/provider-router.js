@@ -0,0 +1,157 @@
+const aiConfig = require('../../../config/ai-config');
+const RetryPolicy = require('../task-queue/retry-policy');
+const OpenAIProvider = require('./openai-provider');
+const AnthropicProvider = require('./anthropic-provider');
+const GeminiProvider = require('./gemini-provider');
+const StabilityProvider = require('./stability-provider');
+const ElevenLabsProvider = require('./elevenlabs-provider');
+const MockProvider = require('./mock-provider');
+
+// Sends each request to the first available vendor in the agent's fallback
+// order (aiConfig.providers.routing) and fails over to the next one when a
+// vendor is down, rate limited or rejects our credentials. A vendor that
+// just failed is tried last for failoverCooldown ms.
+class ProviderRouter {
+    constructor(options = {}) {
+        this.config = { ...aiConfig.providers, ...options.config };
+        this.providers = options.providers || ProviderRouter.createProviders();
+        this.cooldowns = new Map(); // provider name -> timestamp it becomes preferred again
+    }
+
+    static createProviders() {
+        return {
+            openai: new OpenAIProvider(aiConfig.openai),
+            anthropic: new AnthropicProvider(aiConfig.anthropic),
+            googleAI: new GeminiProvider(aiConfig.googleAI),
+            stabilityAI: new StabilityProvider(aiConfig.stabilityAI),
+            elevenLabs: new ElevenLabsProvider(aiConfig.elevenLabs),
+            mock: new MockProvider()
+        };
+    }
+
+    async chat(agentType, messages, options = {}) {
+        return await this.execute(agentType, 'chat', options, (provider, callOptions) => (
+            provider.chat(messages, callOptions)
+        ), (result) => ({
+            promptTokens: result.usage?.promptTokens || 0,
+            completionTokens: result.usage?.completionTokens || 0
+        }));
+    }
+
+    async generateImage(agentType, prompt, options = {}) {
+        return await this.execute(agentType, 'image', options, (provider, callOptions) => (
+            provider.generateImage(prompt, callOptions)
+        ), () => ({ images: 1 }));
+    }
+
+    async editImage(agentType, image, options = {}) {
+        return await this.execute(agentType, 'imageEdit', options, (provider, callOptions) => (
+            provider.editImage(image, callOptions)
+        ), () => ({ images: 1 }));
+    }
+
+    async textToSpeech(agentType, text, options = {}) {
+        return await this.execute(agentType, 'tts', options, (provider, callOptions) => (
+            provider.textToSpeech(text, callOptions)
+        ), () => ({ characters: text.length }));
+    }
+
+    async speechToText(agentType, audio, options = {}) {
+        return await this.execute(agentType, 'stt', options, (provider, callOptions) => (
+            provider.speechToText(audio, callOptions)
+        ), (result) => ({ audioSeconds: result.duration || 0 }));
+    }
+
+    async embed(agentType, texts, options = {}) {
+        return await this.execute(agentType, 'embed', options, (provider, callOptions) => (
+            provider.embed(texts, callOptions)
+        ), (result) => ({ promptTokens: result.usage?.promptTokens || 0 }));
+    }
+
+    // options.usage, when given, is a UsageMeter that receives what each
+    // successful call consumed, as reported by measure(result)
+    async execute(agentType, capability, options, call, measure) {
+        const candidates = this.getCandidates(agentType, capability);
+
+        if (candidates.length === 0) {
+            const error = new Error(`No ${capability} provider is configured for the ${agentType} agent`);
+            error.code = 'NO_PROVIDER';
+            throw error;
+        }
+
+        let lastError;
+
+        for (const name of candidates) {
+            let streamed = false;
+            // The meter stays here; providers only see request options
+            const { usage, ...callOptions } = options;
+
+            if (options.onToken) {
+                callOptions.onToken = (token) => {
+                    streamed = true;
+                    options.onToken(token);
+                };
+            }
+
+            try {
+                const result = await call(this.providers[name], callOptions);
+                this.cooldowns.delete(name);
+
+                usage?.record({
+                    provider: name,
+                    capability: capability,
+                    model: result.model,
+                    ...measure(result)
+                });
+
+                return { ...result, provider: name };
+
+            } catch (error) {
+                lastError = error;
+
+                // Cancellations, bad requests and half-sent streams can't be replayed elsewhere
+                if (options.signal?.aborted || streamed || !this.shouldFailover(error)) {
+                    throw error;
+                }
+
+                this.cooldowns.set(name, Date.now() + this.config.failoverCooldown);
+                console.warn(`Provider ${name} failed for ${agentType} ${capability}:`, error.message);
+            }
+        }
+
+        throw lastError;
+    }
+
+    getRoute(agentType, capability) {
+        if (this.config.forceProvider) {
+            return [this.config.forceProvider];
+        }
+
+        const routing = this.config.routing;
+        return routing[agentType]?.[capability] || routing.default[capability] || [];
+    }
+
+    // Configured providers for the capability in route order, with any
+    // still cooling down from a recent failure moved to the back
+    getCandidates(agentType, capability) {
+        const now = Date.now();
+        const available = this.getRoute(agentType, capability).filter(name => {
+            const provider = this.providers[name];
+            return provider && provider.isConfigured() && provider.supports(capability);
+        });
+
+        const coolingDown = name => (this.cooldowns.get(name) || 0) > now;
+
+        return [
+            ...available.filter(name => !coolingDown(name)),
+            ...available.filter(name => coolingDown(name))
+        ];
+    }
+
+    shouldFailover(error) {
+        const statusCode = error.statusCode || error.response?.status;
+        return RetryPolicy.isRetryable(error) || [401, 403, 404].includes(statusCode) || error.code === 'NOT_SUPPORTED';
+    }
+}
+
+module.exports = ProviderRouter;
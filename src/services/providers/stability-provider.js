@@ -0,0 +1,174 @@
+const axios = require('axios');
+const AIProvider = require('./base-provider');
+const { readImageInfo, resizeImage } = require('../images/image-processing');
+
+class StabilityProvider extends AIProvider {
+    constructor(config = {}) {
+        super('stabilityAI', config);
+        this.capabilities = ['image', 'imageEdit'];
+        this.baseURL = config.baseURL || 'https://api.stability.ai/v1';
+        this.v2URL = config.v2URL || 'https://api.stability.ai/v2beta';
+    }
+
+    async generateImage(prompt, options = {}) {
+        const defaults = this.config.defaults || {};
+        const [width, height] = options.width && options.height && this.config.sizes
+            ? this.pickImageSize(this.config.sizes, options.width, options.height)
+            : [defaults.width, defaults.height];
+
+        const response = await axios.post(
+            `${this.baseURL}/generation/${this.config.engine}/text-to-image`,
+            {
+                text_prompts: [{ text: prompt }],
+                width: width,
+                height: height,
+                steps: defaults.steps,
+                cfg_scale: defaults.cfg_scale,
+                sampler: 'K_DPMPP_2M',
+                samples: 1,
+                ...(options.style && { style_preset: options.style })
+            },
+            {
+                headers: {
+                    'Authorization': `Bearer ${this.config.apiKey}`,
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                signal: options.signal
+            }
+        );
+
+        return {
+            base64: response.data.artifacts[0].base64,
+            format: 'png',
+            dimensions: { width, height },
+            model: this.config.engine
+        };
+    }
+
+    // Variations have no Stability endpoint; the router moves on to the next provider
+    async editImage(image, options = {}) {
+        switch (options.operation) {
+            case 'image-to-image':
+            case 'inpaint':
+                return await this.imageToImage(image, options);
+            case 'outpaint':
+                return await this.outpaint(image, options);
+            case 'upscale':
+                return await this.upscale(image, options);
+            default:
+                throw this.unsupported(`${options.operation} editing`);
+        }
+    }
+
+    // SDXL only takes its own sizes, so the source (and mask) are first
+    // resized to the closest one
+    async imageToImage(image, options) {
+        const defaults = this.config.defaults || {};
+        const info = await readImageInfo(image);
+        const [width, height] = this.pickImageSize(this.config.sizes, info.width, info.height);
+        const masked = options.operation === 'inpaint';
+
+        const response = await this.postForm(
+            `${this.baseURL}/generation/${this.config.engine}/image-to-image${masked ? '/masking' : ''}`,
+            {
+                init_image: await resizeImage(image, { width, height }),
+                ...(masked
+                    ? { mask_source: 'MASK_IMAGE_WHITE', mask_image: await resizeImage(options.mask, { width, height, fit: 'fill' }) }
+                    // image_strength is how much of the source survives; our strength is how much changes
+                    : { init_image_mode: 'IMAGE_STRENGTH', image_strength: 1 - (options.strength ?? 0.35) }),
+                'text_prompts[0][text]': options.prompt,
+                cfg_scale: defaults.cfg_scale,
+                steps: defaults.steps,
+                samples: 1,
+                style_preset: options.style
+            },
+            options
+        );
+
+        return {
+            base64: response.data.artifacts[0].base64,
+            format: 'png',
+            dimensions: { width, height },
+            model: this.config.engine
+        };
+    }
+
+    // expand is { left, right, up, down } in pixels
+    async outpaint(image, options) {
+        const info = await readImageInfo(image);
+        const expand = { left: 0, right: 0, up: 0, down: 0, ...options.expand };
+
+        const response = await this.postForm(
+            `${this.v2URL}/stable-image/edit/outpaint`,
+            {
+                image: image,
+                ...expand,
+                prompt: options.prompt,
+                output_format: 'png'
+            },
+            options
+        );
+
+        return {
+            base64: response.data.image,
+            format: 'png',
+            dimensions: {
+                width: info.width + expand.left + expand.right,
+                height: info.height + expand.up + expand.down
+            },
+            model: 'stable-image-outpaint'
+        };
+    }
+
+    // ESRGAN doubles the size per pass
+    async upscale(image, options) {
+        const info = await readImageInfo(image);
+        const passes = Math.max(1, Math.round(Math.log2(options.scale || 2)));
+        let base64 = image.toString('base64');
+        let width = info.width;
+        let height = info.height;
+
+        for (let pass = 0; pass < passes; pass++) {
+            const response = await this.postForm(
+                `${this.baseURL}/generation/${this.config.upscaleEngine}/image-to-image/upscale`,
+                { image: Buffer.from(base64, 'base64'), width: width * 2 },
+                options
+            );
+
+            base64 = response.data.artifacts[0].base64;
+            width *= 2;
+            height *= 2;
+        }
+
+        return {
+            base64: base64,
+            format: 'png',
+            dimensions: { width, height },
+            model: this.config.upscaleEngine
+        };
+    }
+
+    async postForm(url, fields, options) {
+        const form = new FormData();
+
+        for (const [name, value] of Object.entries(fields)) {
+            if (value === undefined || value === null) continue;
+            if (Buffer.isBuffer(value)) {
+                form.append(name, new Blob([value]), `${name}.png`);
+            } else {
+                form.append(name, String(value));
+            }
+        }
+
+        return await axios.post(url, form, {
+            headers: {
+                'Authorization': `Bearer ${this.config.apiKey}`,
+                'Accept': 'application/json'
+            },
+            signal: options.signal
+        });
+    }
+}
+
+module.exports = StabilityProvider;
@@ -0,0 +1,65 @@
+const authMiddleware = require('../../middleware/auth');
+
+// Pushes orchestrator task lifecycle events to the owning user over the
+// /tasks Socket.IO namespace. Clients authenticate with the same JWT used
+// for the REST API and only ever receive events for their own tasks.
+class TaskEventsGateway {
+    constructor(io, orchestrator) {
+        this.namespace = io.of('/tasks');
+        this.orchestrator = orchestrator;
+        this.events = ['queued', 'processing', 'progress', 'completed', 'failed', 'cancelled'];
+
+        this.namespace.use(this.authenticate.bind(this));
+        this.namespace.on('connection', this.handleConnection.bind(this));
+
+        this.events.forEach(event => {
+            this.orchestrator.on(`task:${event}`, payload => this.publish(event, payload));
+        });
+    }
+
+    authenticate(socket, next) {
+        try {
+            socket.user = authMiddleware.verifySocketToken(socket);
+            next();
+        } catch (error) {
+            next(new Error('Invalid or expired token'));
+        }
+    }
+
+    handleConnection(socket) {
+        socket.join(this.getUserRoom(socket.user.id));
+
+        // Lets a client that reconnects catch up on a task it is waiting for
+        socket.on('task:subscribe', async (taskId, callback) => {
+            if (typeof callback !== 'function') return;
+
+            const task = await this.orchestrator.getTaskState(taskId);
+
+            if (!task || task.userId !== socket.user.id) {
+                return callback({ success: false, error: 'Task not found' });
+            }
+
+            callback({ success: true, taskId: task.id, status: task.status });
+        });
+    }
+
+    publish(event, payload) {
+        this.namespace
+            .to(this.getUserRoom(payload.userId))
+            .emit(`task:${event}`, this.toClientPayload(payload));
+    }
+
+    toClientPayload(payload) {
+        const { userId, ...clientPayload } = payload;
+        return {
+            ...clientPayload,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    getUserRoom(userId) {
+        return `user:${userId}`;
+    }
+}
+
+module.exports = TaskEventsGateway;
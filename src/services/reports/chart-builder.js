@@ -0,0 +1,113 @@
+const VEGA_LITE_SCHEMA = 'https://vega.github.io/schema/vega-lite/v5.json';
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 320;
+
+// Vega-Lite specifications for the statistics the analysis agent computed:
+// a line chart per trend series (values, moving average and fitted trend)
+// and a bar chart of group means per comparison. Each chart is
+// { id, title, type, spec } so clients can render the spec themselves or
+// ask the export route for SVG/PNG.
+function buildCharts(statistics) {
+    if (!statistics) {
+        return [];
+    }
+
+    const charts = [];
+
+    for (const series of statistics.series || []) {
+        if (series.points && series.points.length > 1) {
+            charts.push(buildTrendChart(series, statistics.orderedBy));
+        }
+    }
+
+    for (const comparison of statistics.comparisons || []) {
+        if (comparison.groups.length > 1) {
+            charts.push(buildComparisonChart(comparison, statistics.groupColumn));
+        }
+    }
+
+    // Column names can slug to the same id
+    const seen = new Map();
+    for (const chart of charts) {
+        const count = seen.get(chart.id) || 0;
+        seen.set(chart.id, count + 1);
+        if (count > 0) {
+            chart.id = `${chart.id}-${count + 1}`;
+        }
+    }
+
+    return charts;
+}
+
+function buildTrendChart(series, orderedBy) {
+    const byRow = orderedBy === 'row';
+    const xOf = point => (byRow ? point.row : point.at);
+    const averageLabel = `${series.movingAverage.window}-point moving average`;
+
+    const values = [
+        ...series.points.map(point => ({ x: xOf(point), value: point.value, series: series.column })),
+        ...series.movingAverage.values.map(point => ({ x: xOf(point), value: point.value, series: averageLabel }))
+    ];
+
+    if (series.trend) {
+        const first = series.points[0];
+        const last = series.points[series.points.length - 1];
+        const fitted = point => Math.round((series.trend.intercept + series.trend.slope * point.position) * 10000) / 10000;
+
+        values.push(
+            { x: xOf(first), value: fitted(first), series: 'Linear trend' },
+            { x: xOf(last), value: fitted(last), series: 'Linear trend' }
+        );
+    }
+
+    return {
+        id: `trend-${slugify(series.column)}`,
+        title: `${series.column} over ${byRow ? 'rows' : orderedBy}`,
+        type: 'line',
+        spec: {
+            $schema: VEGA_LITE_SCHEMA,
+            title: `${series.column} over ${byRow ? 'rows' : orderedBy}`,
+            width: CHART_WIDTH,
+            height: CHART_HEIGHT,
+            data: { values },
+            mark: { type: 'line' },
+            encoding: {
+                x: { field: 'x', type: byRow ? 'quantitative' : 'temporal', title: byRow ? 'Row' : orderedBy },
+                y: { field: 'value', type: 'quantitative', title: series.column },
+                color: { field: 'series', type: 'nominal', title: null }
+            }
+        }
+    };
+}
+
+function buildComparisonChart(comparison, groupColumn) {
+    const title = groupColumn ? `Mean ${comparison.column} by ${groupColumn}` : 'Mean by series';
+
+    return {
+        id: `comparison-${slugify(comparison.column)}`,
+        title: title,
+        type: 'bar',
+        spec: {
+            $schema: VEGA_LITE_SCHEMA,
+            title: title,
+            width: CHART_WIDTH,
+            height: CHART_HEIGHT,
+            data: {
+                values: comparison.groups.map(group => ({ group: group.group, mean: group.mean, count: group.count }))
+            },
+            mark: { type: 'bar' },
+            encoding: {
+                x: { field: 'group', type: 'nominal', title: groupColumn || 'Series', sort: '-y' },
+                y: { field: 'mean', type: 'quantitative', title: groupColumn ? `Mean ${comparison.column}` : 'Mean' }
+            }
+        }
+    };
+}
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'chart';
+}
+
+module.exports = {
+    buildCharts
+};
@@ -0,0 +1,187 @@
+// Server-side rendering of the chart specs from chart-builder.js. This is
+// not a general Vega-Lite renderer: it draws the single-view line and bar
+// charts we generate (x/y encodings, optional color series) to SVG, and
+// rasterises that SVG with sharp for PNG downloads.
+const PALETTE = ['#4c78a8', '#f58518', '#e45756', '#72b7b2', '#54a24b', '#eeca3b', '#b279a2', '#ff9da6', '#9d755d', '#bab0ac'];
+const MARGIN = { top: 48, right: 24, bottom: 56, left: 72 };
+const LEGEND_WIDTH = 180;
+const FONT = 'font-family="Helvetica, Arial, sans-serif"';
+
+function renderSvg(spec) {
+    const mark = typeof spec.mark === 'string' ? spec.mark : spec.mark?.type;
+    if (!['line', 'bar'].includes(mark)) {
+        const error = new Error(`Cannot render ${mark || 'unknown'} charts`);
+        error.status = 400;
+        throw error;
+    }
+
+    const { x, y, color } = spec.encoding;
+    const values = (spec.data?.values || []).filter(datum => typeof datum[y.field] === 'number');
+    const seriesNames = color ? [...new Set(values.map(datum => datum[color.field]))] : [];
+
+    const plotWidth = spec.width || 640;
+    const plotHeight = spec.height || 320;
+    const width = MARGIN.left + plotWidth + MARGIN.right + (seriesNames.length ? LEGEND_WIDTH : 0);
+    const height = MARGIN.top + plotHeight + MARGIN.bottom;
+
+    const yValues = values.map(datum => datum[y.field]);
+    const yTicks = niceTicks(mark === 'bar' ? Math.min(0, ...yValues) : Math.min(...yValues), mark === 'bar' ? Math.max(0, ...yValues) : Math.max(...yValues));
+    const yScale = value => MARGIN.top + plotHeight - ((value - yTicks[0]) / (yTicks[yTicks.length - 1] - yTicks[0])) * plotHeight;
+
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+        `<text x="${MARGIN.left}" y="28" ${FONT} font-size="16" font-weight="bold" fill="#222">${escapeXml(spec.title || '')}</text>`
+    ];
+
+    // Horizontal grid lines and y axis labels
+    for (const tick of yTicks) {
+        const position = round(yScale(tick));
+        parts.push(
+            `<line x1="${MARGIN.left}" x2="${MARGIN.left + plotWidth}" y1="${position}" y2="${position}" stroke="#e5e5e5"/>`,
+            `<text x="${MARGIN.left - 8}" y="${position + 4}" ${FONT} font-size="11" fill="#555" text-anchor="end">${escapeXml(formatNumber(tick))}</text>`
+        );
+    }
+
+    if (mark === 'bar') {
+        parts.push(...drawBars(values, x, y, yScale, plotWidth, plotHeight));
+    } else {
+        parts.push(...drawLines(values, x, y, color, seriesNames, yScale, plotWidth, plotHeight));
+    }
+
+    // Axes and titles
+    parts.push(
+        `<line x1="${MARGIN.left}" x2="${MARGIN.left + plotWidth}" y1="${MARGIN.top + plotHeight}" y2="${MARGIN.top + plotHeight}" stroke="#888"/>`,
+        `<line x1="${MARGIN.left}" x2="${MARGIN.left}" y1="${MARGIN.top}" y2="${MARGIN.top + plotHeight}" stroke="#888"/>`,
+        `<text x="${MARGIN.left + plotWidth / 2}" y="${height - 12}" ${FONT} font-size="12" fill="#333" text-anchor="middle">${escapeXml(x.title || x.field)}</text>`,
+        `<text x="16" y="${MARGIN.top + plotHeight / 2}" ${FONT} font-size="12" fill="#333" text-anchor="middle" transform="rotate(-90 16 ${MARGIN.top + plotHeight / 2})">${escapeXml(y.title || y.field)}</text>`
+    );
+
+    seriesNames.forEach((name, index) => {
+        const top = MARGIN.top + index * 20;
+        const left = MARGIN.left + plotWidth + MARGIN.right;
+        parts.push(
+            `<rect x="${left}" y="${top}" width="12" height="12" fill="${PALETTE[index % PALETTE.length]}"/>`,
+            `<text x="${left + 18}" y="${top + 10}" ${FONT} font-size="11" fill="#333">${escapeXml(truncate(String(name), 26))}</text>`
+        );
+    });
+
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+function drawBars(values, x, y, yScale, plotWidth, plotHeight) {
+    const sorted = x.sort === '-y'
+        ? values.slice().sort((a, b) => b[y.field] - a[y.field])
+        : values;
+    const band = plotWidth / Math.max(sorted.length, 1);
+    const barWidth = band * 0.7;
+    const zero = yScale(0);
+    const parts = [];
+
+    sorted.forEach((datum, index) => {
+        const value = datum[y.field];
+        const left = MARGIN.left + index * band + (band - barWidth) / 2;
+        const top = Math.min(yScale(value), zero);
+
+        parts.push(
+            `<rect x="${round(left)}" y="${round(top)}" width="${round(barWidth)}" height="${round(Math.abs(zero - yScale(value)))}" fill="${PALETTE[0]}"><title>${escapeXml(`${datum[x.field]}: ${formatNumber(value)}`)}</title></rect>`,
+            `<text x="${round(left + barWidth / 2)}" y="${MARGIN.top + plotHeight + 16}" ${FONT} font-size="11" fill="#555" text-anchor="middle">${escapeXml(truncate(String(datum[x.field]), Math.max(4, Math.floor(band / 7))))}</text>`
+        );
+    });
+
+    return parts;
+}
+
+function drawLines(values, x, y, color, seriesNames, yScale, plotWidth, plotHeight) {
+    const temporal = x.type === 'temporal';
+    const toNumber = value => (temporal ? Date.parse(value) : Number(value));
+    const xValues = values.map(datum => toNumber(datum[x.field])).filter(value => !isNaN(value));
+    if (xValues.length === 0) {
+        return [];
+    }
+
+    const xMin = Math.min(...xValues);
+    const xMax = Math.max(...xValues);
+    const xScale = value => MARGIN.left + (xMax === xMin ? plotWidth / 2 : ((value - xMin) / (xMax - xMin)) * plotWidth);
+    const parts = [];
+
+    // Five evenly spaced x labels
+    for (let index = 0; index <= 4; index++) {
+        const value = xMin + ((xMax - xMin) * index) / 4;
+        const label = temporal ? new Date(value).toISOString().slice(0, 10) : formatNumber(value);
+        parts.push(`<text x="${round(xScale(value))}" y="${MARGIN.top + plotHeight + 18}" ${FONT} font-size="11" fill="#555" text-anchor="middle">${escapeXml(label)}</text>`);
+    }
+
+    const groups = color ? seriesNames : [null];
+    groups.forEach((name, index) => {
+        const points = values
+            .filter(datum => !color || datum[color.field] === name)
+            .map(datum => [toNumber(datum[x.field]), datum[y.field]])
+            .filter(([xValue]) => !isNaN(xValue))
+            .sort((a, b) => a[0] - b[0]);
+
+        if (points.length === 0) {
+            return;
+        }
+
+        const path = points.map(([xValue, yValue], pointIndex) => `${pointIndex === 0 ? 'M' : 'L'}${round(xScale(xValue))},${round(yScale(yValue))}`).join(' ');
+        parts.push(`<path d="${path}" fill="none" stroke="${PALETTE[index % PALETTE.length]}" stroke-width="2"/>`);
+    });
+
+    return parts;
+}
+
+async function renderPng(spec, options = {}) {
+    const sharp = require('sharp');
+    return await sharp(Buffer.from(renderSvg(spec)), { density: options.density || 144 }).png().toBuffer();
+}
+
+// Round min/max out to about five evenly spaced ticks on 1, 2 or 5 multiples
+function niceTicks(min, max) {
+    if (!isFinite(min) || !isFinite(max)) {
+        return [0, 1];
+    }
+    if (min === max) {
+        min -= Math.abs(min) / 2 || 1;
+        max += Math.abs(max) / 2 || 1;
+    }
+
+    const rough = (max - min) / 5;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+    const first = Math.floor(min / step);
+    const last = Math.ceil(max / step);
+
+    return Array.from({ length: last - first + 1 }, (_, index) => Number(((first + index) * step).toPrecision(12)));
+}
+
+function formatNumber(value) {
+    const size = Math.abs(value);
+    if (size >= 1e9) return `${round(value / 1e9)}B`;
+    if (size >= 1e6) return `${round(value / 1e6)}M`;
+    if (size >= 1e4) return `${round(value / 1e3)}k`;
+    return String(round(value));
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    renderSvg,
+    renderPng,
+    escapeXml
+};
@@ -0,0 +1,226 @@
+const ZipWriter = require('../../utils/zip-writer');
+const { renderSvg, escapeXml } = require('./chart-renderer');
+const { formatReference } = require('../citations/citation-formatter');
+
+const TEXT_SECTIONS = [
+    ['summary', 'Summary'],
+    ['insights', 'Insights'],
+    ['trends', 'Trends'],
+    ['comparison', 'Comparison'],
+    ['sentiment', 'Sentiment'],
+    ['content', 'Content'],
+    ['keyPoints', 'Key Points'],
+    ['recommendations', 'Recommendations']
+];
+
+const LIST_SECTIONS = [
+    ['patterns', 'Patterns'],
+    ['keyDifferences', 'Key Differences']
+];
+
+// Turns a stored task result into a downloadable report. HTML reports are a
+// single self-contained page with the charts inlined as SVG; Markdown
+// reports are a zip of report.md, the charts (SVG plus Vega-Lite spec) and
+// the raw statistics.
+function buildReport(task, format) {
+    const report = collectSections(task);
+
+    if (format === 'html') {
+        return {
+            filename: `${task.id}-report.html`,
+            contentType: 'text/html; charset=utf-8',
+            body: Buffer.from(renderHtml(report), 'utf8')
+        };
+    }
+
+    const zip = new ZipWriter();
+    zip.addFile('report.md', renderMarkdown(report));
+
+    for (const chart of report.charts) {
+        zip.addFile(`charts/${chart.id}.svg`, renderSvg(chart.spec));
+        zip.addFile(`charts/${chart.id}.vl.json`, JSON.stringify(chart.spec, null, 2));
+    }
+
+    if (task.result.statistics) {
+        zip.addFile('statistics.json', JSON.stringify(task.result.statistics, null, 2));
+    }
+
+    return {
+        filename: `${task.id}-report.zip`,
+        contentType: 'application/zip',
+        body: zip.toBuffer()
+    };
+}
+
+function collectSections(task) {
+    const { result } = task;
+    const analysisType = result.analysisType ? `${result.analysisType} analysis` : `${task.type} task`;
+
+    return {
+        title: result.dataset ? `${capitalize(analysisType)}: ${result.dataset.filename}` : capitalize(analysisType),
+        meta: [
+            ['Task', task.id],
+            ['Completed', task.completedAt ? new Date(task.completedAt).toISOString() : result.timestamp],
+            result.dataset ? ['Dataset', `${result.dataset.filename} (${result.dataset.rowCount} rows${result.dataset.sampled ? `, ${result.dataset.rowsShown} sampled for the model` : ''})`] : null
+        ].filter(Boolean),
+        text: TEXT_SECTIONS
+            .filter(([key]) => typeof result[key] === 'string' && result[key].trim())
+            .map(([key, heading]) => ({ heading, body: result[key].trim() })),
+        lists: [
+            ...LIST_SECTIONS
+                .filter(([key]) => Array.isArray(result[key]) && result[key].length)
+                .map(([key, heading]) => ({ heading, items: result[key].map(String) })),
+            ...buildReferenceLists(result)
+        ],
+        tables: buildStatisticsTables(result.statistics),
+        charts: result.charts || [],
+        citations: (result.citations || []).filter(citation => citation.reference).map(citation => (
+            `${citation.reference}${citation.valid ? (citation.value !== undefined ? ` = ${citation.value}` : '') : ' (not found in the dataset)'}`
+        ))
+    };
+}
+
+// Research results: the cited sources in APA style, numbered as in the
+// text, and the statements no source supports
+function buildReferenceLists(result) {
+    const lists = [];
+
+    if (result.references && result.references.length) {
+        lists.push({
+            heading: 'References',
+            items: result.references.map(reference => `[${reference.number}] ${formatReference(reference, 'apa')}`)
+        });
+    }
+
+    if (result.grounding && result.grounding.unsupported.length) {
+        lists.push({
+            heading: 'Unsupported Statements',
+            items: result.grounding.unsupported.map(statement => statement.text)
+        });
+    }
+
+    return lists;
+}
+
+function buildStatisticsTables(statistics) {
+    if (!statistics) {
+        return [];
+    }
+
+    const tables = [];
+
+    if (statistics.series) {
+        tables.push({
+            heading: 'Series Statistics',
+            columns: ['Column', 'Count', 'Mean', 'Median', 'Min', 'Max', 'Std Dev', 'Trend', 'Seasonality'],
+            rows: statistics.series.map(series => [
+                series.column,
+                series.count,
+                series.descriptive.mean,
+                series.descriptive.median,
+                series.descriptive.min,
+                series.descriptive.max,
+                series.descriptive.stdDev,
+                series.trend ? `${series.trend.direction} (slope ${series.trend.slope}, R² ${series.trend.r2})` : '-',
+                series.seasonality ? `every ${series.seasonality.period} (${series.seasonality.strength})` : '-'
+            ])
+        });
+    }
+
+    for (const comparison of statistics.comparisons || []) {
+        tables.push({
+            heading: statistics.groupColumn ? `${comparison.column} by ${statistics.groupColumn}` : 'Series Comparison',
+            columns: ['Group', 'Count', 'Mean', 'Median', 'Min', 'Max', 'Std Dev'],
+            rows: comparison.groups.map(group => [group.group, group.count, group.mean, group.median, group.min, group.max, group.stdDev])
+        });
+    }
+
+    if (statistics.correlations && statistics.correlations.length) {
+        tables.push({
+            heading: 'Correlations',
+            columns: ['Columns', 'r', 'n', 'Strength'],
+            rows: statistics.correlations.map(pair => [pair.columns.join(' / '), pair.r, pair.n, pair.strength])
+        });
+    }
+
+    return tables;
+}
+
+function renderHtml(report) {
+    const escape = value => escapeXml(value === null || value === undefined ? '' : value);
+
+    const sections = [
+        `<h1>${escape(report.title)}</h1>`,
+        `<dl>${report.meta.map(([label, value]) => `<dt>${escape(label)}</dt><dd>${escape(value)}</dd>`).join('')}</dl>`,
+        ...report.text.map(section => `<h2>${escape(section.heading)}</h2>\n<div class="text">${escape(section.body)}</div>`),
+        ...report.lists.map(list => `<h2>${escape(list.heading)}</h2>\n<ul>${list.items.map(item => `<li>${escape(item)}</li>`).join('')}</ul>`),
+        ...report.charts.map(chart => `<figure>${renderSvg(chart.spec)}<figcaption>${escape(chart.title)}</figcaption></figure>`),
+        ...report.tables.map(table => [
+            `<h2>${escape(table.heading)}</h2>`,
+            '<table>',
+            `<thead><tr>${table.columns.map(column => `<th>${escape(column)}</th>`).join('')}</tr></thead>`,
+            `<tbody>${table.rows.map(row => `<tr>${row.map(cell => `<td>${escape(cell)}</td>`).join('')}</tr>`).join('\n')}</tbody>`,
+            '</table>'
+        ].join('\n')),
+        report.citations.length
+            ? `<h2>Cited Data</h2>\n<ul>${report.citations.map(citation => `<li>${escape(citation)}</li>`).join('')}</ul>`
+            : ''
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escape(report.title)}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+dt { font-weight: bold; }
+.text { white-space: pre-wrap; line-height: 1.5; }
+figure { margin: 2rem 0; }
+figure svg { max-width: 100%; height: auto; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; }
+th, td { border: 1px solid #ddd; padding: 0.35rem 0.6rem; text-align: left; }
+th { background: #f5f5f5; }
+</style>
+</head>
+<body>
+${sections.filter(Boolean).join('\n\n')}
+</body>
+</html>
+`;
+}
+
+function renderMarkdown(report) {
+    const cell = value => String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+    const sections = [
+        `# ${report.title}`,
+        report.meta.map(([label, value]) => `- **${label}:** ${value}`).join('\n'),
+        ...report.text.map(section => `## ${section.heading}\n\n${section.body}`),
+        ...report.lists.map(list => `## ${list.heading}\n\n${list.items.map(item => `- ${item}`).join('\n')}`),
+        report.charts.length
+            ? `## Charts\n\n${report.charts.map(chart => `![${chart.title}](charts/${chart.id}.svg)`).join('\n\n')}`
+            : '',
+        ...report.tables.map(table => [
+            `## ${table.heading}`,
+            '',
+            `| ${table.columns.map(cell).join(' | ')} |`,
+            `| ${table.columns.map(() => '---').join(' | ')} |`,
+            ...table.rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+        ].join('\n')),
+        report.citations.length
+            ? `## Cited Data\n\n${report.citations.map(citation => `- ${citation}`).join('\n')}`
+            : ''
+    ];
+
+    return `${sections.filter(Boolean).join('\n\n')}\n`;
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+    buildReport
+};
@@ -0,0 +1,276 @@
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+const aiConfig = require('../../../config/ai-config');
+
+const HARNESS_DIR = path.join(__dirname, 'harness');
+const RESULT_FILE = '.sandbox-result.json';
+const CONFINE_SCRIPT = path.join(HARNESS_DIR, 'confine.sh');
+// Shared libraries and the shell confine.sh execs through; the rest of the
+// host filesystem, /etc and home directories included, stays out of reach
+const SYSTEM_DIRS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/libx32'];
+const NAMESPACE_FLAGS = ['--user', '--map-root-user', '--net', '--mount', '--pid', '--fork', '--kill-child'];
+
+// File layout and command line for each supported language. Generated code
+// is saved as the solution module and the generated tests import it.
+const LANGUAGES = {
+    javascript: {
+        solutionFile: 'solution.js',
+        testFile: 'solution.test.js',
+        harness: 'node-harness.js',
+        args: (config, workDir) => [
+            `--max-old-space-size=${config.memoryLimitMb}`,
+            // Node's permission model confines file access to the work
+            // directory and blocks child processes and workers
+            '--experimental-permission',
+            `--allow-fs-read=${workDir}`,
+            `--allow-fs-write=${workDir}`,
+            '--no-warnings'
+        ],
+        // V8 reserves most of a gigabyte of address space up front for its
+        // heaps and generated code, so that comes on top of the memory limit
+        addressSpaceMb: config => config.memoryLimitMb + 1024,
+        // Prints the interpreter's real path; PATH entries are often shims
+        locate: ['-p', 'process.execPath']
+    },
+    python: {
+        solutionFile: 'solution.py',
+        testFile: 'test_solution.py',
+        harness: 'python-harness.py',
+        // Isolated mode ignores PYTHON* variables and user site-packages
+        args: () => ['-I', '-B'],
+        addressSpaceMb: config => config.memoryLimitMb,
+        locate: ['-I', '-c', 'import sys; print(sys.executable)']
+    }
+};
+
+// Runs generated code against generated tests in a throwaway directory,
+// one child process per run, with a wall-clock limit, capped address space
+// and process count, and no network. Each run gets its own user, network,
+// mount and PID namespaces (unshare) and is chrooted into a root holding
+// only read-only system libraries, the interpreter and its work directory
+// (confine.sh, which also sets the limits). The harnesses also
+// disable socket and process APIs in-process, but only as a second line:
+// generated code can get around those, so hosts that don't allow
+// unprivileged namespaces can't run code at all.
+class CodeRunner {
+    constructor(config = aiConfig.sandbox) {
+        this.config = config;
+        this.active = 0;
+        this.waiting = [];
+        this.namespaceSupported = null;
+        this.interpreters = new Map(); // language -> real path of its binary
+    }
+
+    static supports(language) {
+        return Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+    }
+
+    // Resolves to { passed, total, failed, results, loadError, exitCode,
+    // timedOut, stdout, stderr, durationMs }
+    async runTests(language, code, tests, options = {}) {
+        const layout = LANGUAGES[language];
+        if (!layout) {
+            const error = new Error(`Sandboxed execution is not available for ${language}`);
+            error.code = 'UNSUPPORTED_LANGUAGE';
+            throw error;
+        }
+        if (!this.isolationAvailable()) {
+            const error = new Error('Sandboxed execution needs unprivileged user, network and mount namespaces, which this host does not allow');
+            error.code = 'SANDBOX_UNAVAILABLE';
+            throw error;
+        }
+
+        await this.acquire();
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-'));
+        // Mount point for the run's confined root; empty outside the namespace
+        const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-root-'));
+
+        try {
+            await fs.writeFile(path.join(workDir, layout.solutionFile), code);
+            await fs.writeFile(path.join(workDir, layout.testFile), tests);
+            await fs.copyFile(path.join(HARNESS_DIR, layout.harness), path.join(workDir, layout.harness));
+
+            const interpreter = this.locateInterpreter(language);
+            const args = [...layout.args(this.config, workDir), layout.harness, layout.testFile];
+            const limits = { addressSpaceMb: layout.addressSpaceMb(this.config), maxProcesses: this.config.maxProcesses };
+            const run = await this.spawnProcess(interpreter, args, workDir, rootDir, limits, options.signal);
+            const summary = await this.readSummary(workDir);
+
+            return {
+                passed: !run.timedOut && run.exitCode === 0 && summary !== null && summary.total > 0 && summary.failed === 0,
+                total: summary ? summary.total : 0,
+                failed: summary ? summary.failed : 0,
+                results: summary ? summary.results : [],
+                loadError: summary ? summary.loadError : null,
+                ...run
+            };
+        } finally {
+            await fs.rm(workDir, { recursive: true, force: true });
+            await fs.rm(rootDir, { recursive: true, force: true });
+            this.release();
+        }
+    }
+
+    spawnProcess(interpreter, args, workDir, rootDir, limits, signal) {
+        const { timeLimit, maxOutputBytes } = this.config;
+        const readOnlyDirs = [...new Set([...SYSTEM_DIRS, path.dirname(path.dirname(interpreter))])];
+        const unshareArgs = [...NAMESPACE_FLAGS, 'sh', CONFINE_SCRIPT, rootDir, workDir, ...readOnlyDirs, '--', interpreter, ...args];
+
+        return new Promise((resolve, reject) => {
+            const startedAt = Date.now();
+            const stdout = new OutputBuffer(maxOutputBytes);
+            const stderr = new OutputBuffer(maxOutputBytes);
+            let timedOut = false;
+
+            const child = spawn('unshare', unshareArgs, {
+                cwd: workDir,
+                // Own process group so the whole tree can be killed at once
+                detached: true,
+                stdio: ['ignore', 'pipe', 'pipe'],
+                env: {
+                    PATH: process.env.PATH,
+                    HOME: workDir,
+                    TMPDIR: workDir,
+                    LANG: 'C.UTF-8',
+                    SANDBOX_MEMORY_MB: String(this.config.memoryLimitMb),
+                    SANDBOX_ADDRESS_SPACE_MB: String(limits.addressSpaceMb),
+                    SANDBOX_MAX_PROCESSES: String(limits.maxProcesses)
+                }
+            });
+
+            const kill = () => {
+                try {
+                    process.kill(-child.pid, 'SIGKILL');
+                } catch (error) {
+                    // Already exited
+                }
+            };
+
+            const timer = setTimeout(() => {
+                timedOut = true;
+                kill();
+            }, timeLimit);
+
+            const onAbort = () => kill();
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            child.stdout.on('data', chunk => stdout.append(chunk));
+            child.stderr.on('data', chunk => stderr.append(chunk));
+
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+                reject(error);
+            });
+
+            child.on('close', (exitCode, exitSignal) => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+
+                if (signal?.aborted) {
+                    return reject(signal.reason);
+                }
+
+                resolve({
+                    exitCode: exitCode,
+                    exitSignal: exitSignal,
+                    timedOut: timedOut,
+                    stdout: stdout.toString(),
+                    stderr: timedOut ? `${stderr.toString()}\nTimed out after ${timeLimit}ms`.trim() : stderr.toString(),
+                    outputTruncated: stdout.truncated || stderr.truncated,
+                    durationMs: Date.now() - startedAt
+                });
+            });
+        });
+    }
+
+    async readSummary(workDir) {
+        try {
+            return JSON.parse(await fs.readFile(path.join(workDir, RESULT_FILE), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Probed once per process; containers often forbid user namespaces
+    isolationAvailable() {
+        if (this.namespaceSupported === null) {
+            const probe = spawnSync('unshare', [...NAMESPACE_FLAGS, 'true'], { stdio: 'ignore', timeout: 5000 });
+            this.namespaceSupported = probe.status === 0;
+
+            if (!this.namespaceSupported) {
+                console.warn('Sandbox: unshare is unavailable, so generated code will not be run');
+            }
+        }
+
+        return this.namespaceSupported;
+    }
+
+    // The interpreter is run by absolute path inside the confined root, and
+    // its install directory is mounted there
+    locateInterpreter(language) {
+        if (!this.interpreters.has(language)) {
+            const probe = spawnSync(this.config.commands[language], LANGUAGES[language].locate, { encoding: 'utf8', timeout: 5000 });
+            if (probe.status !== 0) {
+                const error = new Error(`The ${language} interpreter (${this.config.commands[language]}) could not be started`);
+                error.code = 'SANDBOX_UNAVAILABLE';
+                throw error;
+            }
+
+            this.interpreters.set(language, fsSync.realpathSync(probe.stdout.trim()));
+        }
+
+        return this.interpreters.get(language);
+    }
+
+    async acquire() {
+        if (this.active < this.config.maxConcurrentRuns) {
+            this.active++;
+            return;
+        }
+
+        await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    // Hands the slot straight to the next waiting run, if any
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+}
+
+// Keeps the first maxBytes of a stream and notes whether anything was dropped
+class OutputBuffer {
+    constructor(maxBytes) {
+        this.maxBytes = maxBytes;
+        this.chunks = [];
+        this.size = 0;
+        this.truncated = false;
+    }
+
+    append(chunk) {
+        const room = this.maxBytes - this.size;
+        if (room <= 0) {
+            this.truncated = true;
+            return;
+        }
+
+        const kept = chunk.length > room ? chunk.subarray(0, room) : chunk;
+        this.truncated = this.truncated || kept.length < chunk.length;
+        this.chunks.push(kept);
+        this.size += kept.length;
+    }
+
+    toString() {
+        return Buffer.concat(this.chunks).toString('utf8');
+    }
+}
+
+module.exports = CodeRunner;
@@ -0,0 +1,48 @@
+#!/bin/sh
+# Runs as root of a fresh user and mount namespace (see CodeRunner): builds a
+# root filesystem on a tmpfs holding read-only binds of the given system and
+# interpreter directories, the null/random devices and the work directory,
+# then runs the command chrooted into it from the work directory, capped at
+# SANDBOX_ADDRESS_SPACE_MB of address space and SANDBOX_MAX_PROCESSES
+# processes.
+#
+# Usage: confine.sh ROOT WORKDIR [READONLY_DIR...] -- COMMAND [ARG...]
+set -e
+
+: "${SANDBOX_ADDRESS_SPACE_MB:?}" "${SANDBOX_MAX_PROCESSES:?}"
+
+root=$1
+work=$2
+shift 2
+
+mount -t tmpfs -o size=16m,mode=755 sandbox-root "$root"
+
+while [ "$1" != "--" ]; do
+    dir=$1
+    shift
+    [ -e "$dir" ] || continue
+
+    mkdir -p "$root$(dirname "$dir")"
+    # Merged-/usr systems link /bin, /lib and friends into /usr
+    if [ -L "$dir" ]; then
+        ln -s "$(readlink "$dir")" "$root$dir"
+        continue
+    fi
+
+    mkdir -p "$root$dir"
+    mount --rbind "$dir" "$root$dir"
+    mount -o remount,bind,ro "$root$dir"
+done
+shift
+
+mkdir -p "$root/dev" "$root$work"
+for device in null zero random urandom; do
+    touch "$root/dev/$device"
+    mount --bind "/dev/$device" "$root/dev/$device"
+done
+mount --bind "$work" "$root$work"
+
+# The limits are inherited by everything the command starts. The process
+# cap counts per user, and a host running as root is exempt from it.
+exec prlimit --as=$((SANDBOX_ADDRESS_SPACE_MB * 1024 * 1024)) --nproc="$SANDBOX_MAX_PROCESSES" \
+    chroot "$root" /bin/sh -c 'cd "$0" && exec "$@"' "$work" "$@"
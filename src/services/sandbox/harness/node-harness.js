@@ -0,0 +1,182 @@
+// Runs inside the sandbox: blocks network access, provides a small
+// Jest-compatible test API (describe/it/test/expect and hooks), loads the
+// test file given on the command line and writes a JSON summary to
+// .sandbox-result.json for the runner to collect.
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const RESULT_FILE = path.join(__dirname, '.sandbox-result.json');
+
+function blockNetwork() {
+    const blocked = () => {
+        throw new Error('Network access is disabled in the sandbox');
+    };
+
+    const net = require('net');
+    net.connect = blocked;
+    net.createConnection = blocked;
+    net.createServer = blocked;
+    net.Socket.prototype.connect = blocked;
+
+    require('dgram').createSocket = blocked;
+
+    const dns = require('dns');
+    ['lookup', 'resolve', 'resolve4', 'resolve6'].forEach(method => {
+        dns[method] = blocked;
+        dns.promises[method] = async () => blocked();
+    });
+
+    globalThis.fetch = async () => blocked();
+}
+
+const stack = [{ name: '', tests: [], beforeEach: [], afterEach: [], beforeAll: [], afterAll: [], children: [] }];
+
+function currentSuite() {
+    return stack[stack.length - 1];
+}
+
+function describe(name, body) {
+    const suite = { name, tests: [], beforeEach: [], afterEach: [], beforeAll: [], afterAll: [], children: [] };
+    currentSuite().children.push(suite);
+    stack.push(suite);
+    try {
+        body();
+    } finally {
+        stack.pop();
+    }
+}
+
+function test(name, body) {
+    currentSuite().tests.push({ name, body });
+}
+
+class AssertionError extends Error {}
+
+function expect(actual) {
+    const check = (negated) => {
+        const assert = (pass, message) => {
+            if (pass === negated) {
+                throw new AssertionError(negated ? `Expected not: ${message}` : message);
+            }
+        };
+        const show = value => util.inspect(value, { depth: 4 });
+
+        return {
+            toBe: expected => assert(Object.is(actual, expected), `expected ${show(actual)} to be ${show(expected)}`),
+            toEqual: expected => assert(util.isDeepStrictEqual(actual, expected), `expected ${show(actual)} to equal ${show(expected)}`),
+            toStrictEqual: expected => assert(util.isDeepStrictEqual(actual, expected), `expected ${show(actual)} to strictly equal ${show(expected)}`),
+            toBeTruthy: () => assert(Boolean(actual), `expected ${show(actual)} to be truthy`),
+            toBeFalsy: () => assert(!actual, `expected ${show(actual)} to be falsy`),
+            toBeNull: () => assert(actual === null, `expected ${show(actual)} to be null`),
+            toBeUndefined: () => assert(actual === undefined, `expected ${show(actual)} to be undefined`),
+            toBeDefined: () => assert(actual !== undefined, `expected value to be defined`),
+            toBeNaN: () => assert(Number.isNaN(actual), `expected ${show(actual)} to be NaN`),
+            toBeInstanceOf: type => assert(actual instanceof type, `expected ${show(actual)} to be an instance of ${type && type.name}`),
+            toContain: item => assert(actual != null && actual.includes(item), `expected ${show(actual)} to contain ${show(item)}`),
+            toHaveLength: length => assert(actual != null && actual.length === length, `expected length ${actual && actual.length} to be ${length}`),
+            toHaveProperty: key => assert(actual != null && key in Object(actual), `expected ${show(actual)} to have property ${key}`),
+            toMatch: pattern => assert(new RegExp(pattern).test(actual), `expected ${show(actual)} to match ${pattern}`),
+            toBeGreaterThan: value => assert(actual > value, `expected ${show(actual)} to be greater than ${value}`),
+            toBeGreaterThanOrEqual: value => assert(actual >= value, `expected ${show(actual)} to be >= ${value}`),
+            toBeLessThan: value => assert(actual < value, `expected ${show(actual)} to be less than ${value}`),
+            toBeLessThanOrEqual: value => assert(actual <= value, `expected ${show(actual)} to be <= ${value}`),
+            toBeCloseTo: (value, digits = 2) => assert(Math.abs(actual - value) < 10 ** -digits / 2, `expected ${show(actual)} to be close to ${value}`),
+            toThrow: expected => {
+                let thrown = null;
+                try {
+                    actual();
+                } catch (error) {
+                    thrown = error instanceof Error ? error : new Error(String(error));
+                }
+                const message = thrown ? String(thrown.message) : '';
+                const matches = thrown !== null && (
+                    expected === undefined ||
+                    (typeof expected === 'function' && thrown instanceof expected) ||
+                    (expected instanceof RegExp && expected.test(message)) ||
+                    (typeof expected === 'string' && message.includes(expected)) ||
+                    (expected instanceof Error && message === expected.message)
+                );
+                assert(matches, `expected function to throw${expected ? ` ${show(expected)}` : ''}${thrown ? `, got ${show(message)}` : ''}`);
+            }
+        };
+    };
+
+    const matchers = check(false);
+    matchers.not = check(true);
+    matchers.resolves = new Proxy({}, {
+        get: (_, name) => async (...args) => expect(await actual)[name](...args)
+    });
+    matchers.rejects = new Proxy({}, {
+        get: (_, name) => async (...args) => {
+            try {
+                await actual;
+            } catch (error) {
+                return expect(() => { throw error; })[name](...args);
+            }
+            throw new AssertionError('expected promise to reject');
+        }
+    });
+    return matchers;
+}
+
+// Runs a suite's tests, then its nested suites; beforeEach/afterEach hooks
+// apply from the outermost suite in
+async function runSuite(suite, parents, results) {
+    const chain = [...parents, suite];
+
+    for (const hook of suite.beforeAll) await hook();
+
+    for (const item of suite.tests) {
+        const fullName = [...chain.map(parent => parent.name), item.name].filter(Boolean).join(' > ');
+        try {
+            for (const hook of chain.flatMap(parent => parent.beforeEach)) await hook();
+            await item.body();
+            for (const hook of chain.flatMap(parent => parent.afterEach).reverse()) await hook();
+            results.push({ name: fullName, passed: true });
+        } catch (error) {
+            results.push({ name: fullName, passed: false, message: describeError(error, 4) });
+        }
+    }
+
+    for (const child of suite.children) {
+        await runSuite(child, chain, results);
+    }
+
+    for (const hook of suite.afterAll) await hook();
+}
+
+function describeError(error, lines) {
+    return error && error.stack ? String(error.stack).split('\n').slice(0, lines).join('\n') : String(error);
+}
+
+async function main() {
+    blockNetwork();
+
+    Object.assign(globalThis, {
+        describe,
+        test,
+        it: test,
+        expect,
+        beforeEach: fn => currentSuite().beforeEach.push(fn),
+        afterEach: fn => currentSuite().afterEach.push(fn),
+        beforeAll: fn => currentSuite().beforeAll.push(fn),
+        afterAll: fn => currentSuite().afterAll.push(fn)
+    });
+
+    const results = [];
+    let loadError = null;
+
+    try {
+        require(path.resolve(__dirname, process.argv[2]));
+        await runSuite(stack[0], [], results);
+    } catch (error) {
+        loadError = describeError(error, 6);
+    }
+
+    const failed = results.filter(result => !result.passed).length;
+    fs.writeFileSync(RESULT_FILE, JSON.stringify({ total: results.length, failed, results, loadError }));
+    process.exitCode = failed > 0 || loadError || results.length === 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,110 @@
+# Runs inside the sandbox: caps memory, blocks sockets and subprocesses,
+# runs the unittest cases and bare test_* functions in the test module given
+# on the command line and writes a JSON summary to .sandbox-result.json for
+# the runner to collect. The blocking here is a second line only; the
+# runner's namespaces and confined root are what keep the code in.
+import importlib
+import json
+import os
+import resource
+import socket
+import subprocess
+import sys
+import traceback
+import unittest
+
+WORKDIR = os.path.dirname(os.path.abspath(__file__))
+RESULT_FILE = os.path.join(WORKDIR, '.sandbox-result.json')
+
+
+def limit_memory():
+    limit = int(os.environ.get('SANDBOX_MEMORY_MB', '256')) * 1024 * 1024
+    resource.setrlimit(resource.RLIMIT_AS, (limit, limit))
+
+
+def blocked(*args, **kwargs):
+    raise PermissionError('Network and process access are disabled in the sandbox')
+
+
+class BlockedSocket(socket.socket):
+    def __init__(self, *args, **kwargs):
+        blocked()
+
+
+def block_access():
+    socket.socket = BlockedSocket
+    socket.create_connection = blocked
+    socket.getaddrinfo = blocked
+    subprocess.Popen = blocked
+    os.system = blocked
+    os.fork = blocked
+    os.execv = blocked
+    os.execve = blocked
+
+
+def collect_tests(module):
+    suite = unittest.defaultTestLoader.loadTestsFromModule(module)
+
+    for name in sorted(dir(module)):
+        candidate = getattr(module, name)
+        if name.startswith('test') and callable(candidate) and not isinstance(candidate, type):
+            suite.addTest(unittest.FunctionTestCase(candidate, description=name))
+
+    return suite
+
+
+class RecordingResult(unittest.TestResult):
+    def __init__(self):
+        super().__init__()
+        self.records = []
+
+    def addSuccess(self, test):
+        super().addSuccess(test)
+        self.records.append({'name': describe(test), 'passed': True})
+
+    # unittest's own formatting drops its internal frames from the traceback
+    def format_error(self, err, test):
+        lines = self._exc_info_to_string(err, test).strip().splitlines()
+        return '\n'.join(lines[-6:])
+
+    def addFailure(self, test, err):
+        super().addFailure(test, err)
+        self.records.append({'name': describe(test), 'passed': False, 'message': self.format_error(err, test)})
+
+    def addError(self, test, err):
+        super().addError(test, err)
+        self.records.append({'name': describe(test), 'passed': False, 'message': self.format_error(err, test)})
+
+
+def describe(test):
+    if isinstance(test, unittest.FunctionTestCase):
+        return test.shortDescription() or test.id()
+    return test.id()
+
+
+def main():
+    limit_memory()
+    block_access()
+    sys.path.insert(0, WORKDIR)
+
+    summary = {'total': 0, 'failed': 0, 'results': [], 'loadError': None}
+
+    try:
+        module_name = os.path.splitext(os.path.basename(sys.argv[1]))[0]
+        module = importlib.import_module(module_name)
+        result = RecordingResult()
+        collect_tests(module).run(result)
+        summary['results'] = result.records
+        summary['total'] = len(result.records)
+        summary['failed'] = len([record for record in result.records if not record['passed']])
+    except BaseException:
+        summary['loadError'] = ''.join(traceback.format_exc().splitlines(True)[-6:]).strip()
+
+    with open(RESULT_FILE, 'w') as handle:
+        json.dump(summary, handle)
+
+    sys.exit(1 if summary['failed'] or summary['loadError'] or summary['total'] == 0 else 0)
+
+
+if __name__ == '__main__':
+    main()
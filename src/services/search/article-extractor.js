@@ -0,0 +1,95 @@
+const { htmlToText, normalizeWhitespace } = require('../knowledge/document-loader');
+
+// Page furniture that never holds the article body
+const BOILERPLATE = /<(script|style|noscript|svg|nav|header|footer|aside|form|iframe|button|select|template)\b[^>]*>[\s\S]*?<\/\1>/gi;
+const BLOCK = /<(p|h[1-6]|li|blockquote|pre|td)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+const MIN_BLOCK_CHARS = 40;
+const MIN_ARTICLE_CHARS = 200;
+
+// Pulls the readable article out of a web page:
+// { title, text, publishedAt, author, siteName }.
+// The body is taken from the largest <article> (or <main>, or the whole
+// body) as its paragraphs, headings and list items, skipping short
+// fragments and blocks that are mostly links (menus, related-story lists).
+function extractArticle(html) {
+    const cleaned = html.replace(/<!--[\s\S]*?-->/g, ' ');
+    const container = findContainer(cleaned.replace(BOILERPLATE, ' '));
+    const blocks = [];
+
+    for (const match of container.matchAll(BLOCK)) {
+        const text = normalizeWhitespace(htmlToText(match[2]));
+        const isHeading = /^h[1-6]$/i.test(match[1]);
+
+        if (!text || (!isHeading && text.length < MIN_BLOCK_CHARS) || isMostlyLinks(match[2], text)) {
+            continue;
+        }
+        blocks.push(isHeading ? `## ${text}` : text);
+    }
+
+    let text = blocks.join('\n\n');
+    if (text.length < MIN_ARTICLE_CHARS) {
+        text = normalizeWhitespace(htmlToText(container));
+    }
+
+    return {
+        title: findTitle(cleaned),
+        text: text,
+        publishedAt: findPublishedAt(cleaned),
+        author: findMeta(cleaned, 'author'),
+        siteName: findMeta(cleaned, 'og:site_name')
+    };
+}
+
+function findContainer(html) {
+    for (const tag of ['article', 'main']) {
+        const matches = Array.from(html.matchAll(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`, 'gi')));
+        if (matches.length) {
+            return matches.map(match => match[1]).sort((a, b) => b.length - a.length)[0];
+        }
+    }
+
+    const body = html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+    return body ? body[1] : html;
+}
+
+function isMostlyLinks(blockHtml, text) {
+    const linkText = Array.from(blockHtml.matchAll(/<a\b[^>]*>([\s\S]*?)<\/a>/gi))
+        .map(match => normalizeWhitespace(htmlToText(match[1])))
+        .join('');
+
+    return linkText.length / text.length > 0.5;
+}
+
+function findTitle(html) {
+    const ogTitle = findMeta(html, 'og:title');
+    if (ogTitle) return ogTitle;
+
+    const title = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+    return title ? normalizeWhitespace(htmlToText(title[1])) : null;
+}
+
+function findPublishedAt(html) {
+    const value = findMeta(html, 'article:published_time') ||
+        findMeta(html, 'date') ||
+        html.match(/<time\b[^>]*datetime=["']([^"']+)["']/i)?.[1];
+
+    return value && !Number.isNaN(Date.parse(value)) ? new Date(value).toISOString() : null;
+}
+
+// <meta property="og:title" content="..."> or name=, in either attribute order
+function findMeta(html, name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+        if (new RegExp(`(?:property|name)=["']${escaped}["']`, 'i').test(tag)) {
+            const content = tag.match(/content=["']([^"']*)["']/i);
+            if (content) return normalizeWhitespace(htmlToText(content[1]));
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    extractArticle
+};
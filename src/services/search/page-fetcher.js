@@ -0,0 +1,128 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Result URLs come from third parties, so only public http(s) addresses are
+// fetched; anything pointing into our own network is refused, including
+// after a redirect. The URL is checked up front and every hostname is
+// checked again once resolved, at connect time, so a public name that
+// resolves (or rebinds) to a private address is refused too.
+function assertPublicUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw createFetchError(`Invalid URL: ${url}`, 'INVALID_URL');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw createFetchError(`Refusing to fetch ${parsed.protocol} URL`, 'BLOCKED_URL');
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') ||
+        host.endsWith('.internal') || isPrivateAddress(host)) {
+        throw createFetchError(`Refusing to fetch private address ${host}`, 'BLOCKED_URL');
+    }
+
+    return parsed;
+}
+
+function isPrivateAddress(host) {
+    if (net.isIPv4(host)) {
+        const [a, b, c] = host.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || a >= 224 ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168) ||
+            (a === 192 && b === 0 && c === 0) ||
+            (a === 198 && (b === 18 || b === 19)) ||
+            (a === 100 && b >= 64 && b <= 127);
+    }
+
+    if (net.isIPv6(host)) {
+        // IPv4-mapped and NAT64 addresses reach the embedded IPv4 address
+        const embedded = host.match(/^(?:::ffff:|64:ff9b::)(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+        if (embedded) {
+            return isPrivateAddress(embedded[1] || hexToIPv4(embedded[2], embedded[3]));
+        }
+        return host === '::' || host === '::1' || /^f[cdf]/.test(host) || /^fe[89ab]/.test(host);
+    }
+
+    return false;
+}
+
+// The URL parser writes ::ffff:127.0.0.1 as ::ffff:7f00:1
+function hexToIPv4(high, low) {
+    const value = parseInt(high, 16) * 65536 + parseInt(low, 16);
+    return [value >>> 24, (value >>> 16) & 255, (value >>> 8) & 255, value & 255].join('.');
+}
+
+// dns.lookup for the fetch agents: fails the connection when the name
+// resolves to any private address
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address.toLowerCase()));
+        if (blocked) {
+            return callback(createFetchError(`Refusing to fetch ${hostname}: it resolves to private address ${blocked.address}`, 'BLOCKED_URL'));
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const httpAgent = new http.Agent({ lookup: lookupPublicAddress });
+const httpsAgent = new https.Agent({ lookup: lookupPublicAddress });
+
+// Downloads a page as text: { url (after redirects), contentType, body }.
+// Non-HTML/text responses are rejected rather than parsed.
+async function fetchPage(url, options = {}) {
+    assertPublicUrl(url);
+
+    const response = await axios.get(url, {
+        responseType: 'text',
+        transformResponse: [data => data],
+        timeout: options.timeout,
+        maxContentLength: options.maxBytes,
+        maxRedirects: 3,
+        // Each hop is checked by URL here and by address in the agents
+        beforeRedirect: (redirect) => assertPublicUrl(redirect.href),
+        httpAgent: httpAgent,
+        httpsAgent: httpsAgent,
+        // A proxy would resolve the name itself, out of our agents' reach
+        proxy: false,
+        headers: {
+            'User-Agent': options.userAgent,
+            'Accept': 'text/html,application/xhtml+xml,text/plain;q=0.8'
+        },
+        signal: options.signal
+    });
+
+    const contentType = String(response.headers['content-type'] || '');
+    if (contentType && !/text\/html|application\/xhtml\+xml|text\/plain/i.test(contentType)) {
+        throw createFetchError(`Unsupported content type ${contentType}`, 'UNSUPPORTED_CONTENT');
+    }
+
+    return {
+        url: response.request?.res?.responseUrl || url,
+        contentType: contentType,
+        body: String(response.data || '')
+    };
+}
+
+function createFetchError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+module.exports = {
+    fetchPage,
+    assertPublicUrl,
+    isPrivateAddress
+};
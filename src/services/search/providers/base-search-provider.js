@@ -0,0 +1,25 @@
+// Common surface for web search vendors:
+//
+//   search(query, { count, timeRange, signal })
+//       -> [{ title, link, snippet, publishedAt }] in the vendor's rank order
+//
+// timeRange is one of day, week, month or year; adapters map it to the
+// vendor's freshness parameter. Domain filters are applied by the search
+// service, which rewrites the query with site: operators every vendor here
+// understands.
+class SearchProvider {
+    constructor(name, config = {}) {
+        this.name = name;
+        this.config = config;
+    }
+
+    isConfigured() {
+        return Boolean(this.config.apiKey);
+    }
+
+    async search() {
+        throw new Error(`${this.name} does not implement search`);
+    }
+}
+
+module.exports = SearchProvider;
@@ -0,0 +1,42 @@
+const axios = require('axios');
+const SearchProvider = require('./base-search-provider');
+
+// Bing has no yearly freshness filter; it takes an explicit date range instead
+const TIME_RANGES = { day: 'Day', week: 'Week', month: 'Month' };
+
+class BingSearchProvider extends SearchProvider {
+    constructor(config = {}) {
+        super('bing', config);
+    }
+
+    async search(query, options = {}) {
+        const response = await axios.get(this.config.endpoint, {
+            params: {
+                q: query,
+                count: options.count,
+                mkt: this.config.market,
+                responseFilter: 'Webpages',
+                ...(options.timeRange && { freshness: TIME_RANGES[options.timeRange] || this.getYearRange() })
+            },
+            headers: { 'Ocp-Apim-Subscription-Key': this.config.apiKey },
+            signal: options.signal
+        });
+
+        return (response.data.webPages?.value || []).map(result => ({
+            title: result.name,
+            link: result.url,
+            snippet: result.snippet,
+            publishedAt: result.datePublished || result.dateLastCrawled || null
+        }));
+    }
+
+    getYearRange() {
+        const today = new Date();
+        const lastYear = new Date(today);
+        lastYear.setFullYear(today.getFullYear() - 1);
+
+        return `${lastYear.toISOString().slice(0, 10)}..${today.toISOString().slice(0, 10)}`;
+    }
+}
+
+module.exports = BingSearchProvider;
@@ -0,0 +1,36 @@
+const axios = require('axios');
+const SearchProvider = require('./base-search-provider');
+
+const TIME_RANGES = { day: 'pd', week: 'pw', month: 'pm', year: 'py' };
+
+class BraveSearchProvider extends SearchProvider {
+    constructor(config = {}) {
+        super('brave', config);
+    }
+
+    async search(query, options = {}) {
+        const response = await axios.get(this.config.endpoint, {
+            params: {
+                q: query,
+                // Brave caps a page of results at 20
+                count: Math.min(options.count || 10, 20),
+                ...(TIME_RANGES[options.timeRange] && { freshness: TIME_RANGES[options.timeRange] })
+            },
+            headers: {
+                'X-Subscription-Token': this.config.apiKey,
+                'Accept': 'application/json'
+            },
+            signal: options.signal
+        });
+
+        return (response.data.web?.results || []).map(result => ({
+            title: result.title,
+            link: result.url,
+            // Brave highlights matches with <strong> tags
+            snippet: (result.description || '').replace(/<[^>]+>/g, ''),
+            publishedAt: result.page_age || result.age || null
+        }));
+    }
+}
+
+module.exports = BraveSearchProvider;
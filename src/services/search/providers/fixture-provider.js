@@ -0,0 +1,49 @@
+const fs = require('fs');
+const SearchProvider = require('./base-search-provider');
+
+// Offline search for tests and local development. Results and the HTML of
+// the pages they link to come from config ({ results, pages }) or from a
+// JSON file of the same shape (config.file), so research runs end to end
+// without network access. Every query gets the same results.
+class FixtureSearchProvider extends SearchProvider {
+    constructor(config = {}) {
+        super('fixture', config);
+        this.fixtures = null;
+    }
+
+    isConfigured() {
+        return Boolean(this.config.results || this.config.file);
+    }
+
+    async search(query, options = {}) {
+        const { results = [] } = this.loadFixtures();
+        return results.slice(0, options.count || results.length).map(result => ({
+            publishedAt: null,
+            ...result
+        }));
+    }
+
+    // Used by the search service in place of an HTTP fetch
+    async fetchPage(url) {
+        const { pages = {} } = this.loadFixtures();
+
+        if (!(url in pages)) {
+            const error = new Error(`No fixture page for ${url}`);
+            error.response = { status: 404 };
+            throw error;
+        }
+
+        return { url, contentType: 'text/html', body: pages[url] };
+    }
+
+    loadFixtures() {
+        if (!this.fixtures) {
+            this.fixtures = this.config.file
+                ? JSON.parse(fs.readFileSync(this.config.file, 'utf8'))
+                : { results: this.config.results, pages: this.config.pages };
+        }
+        return this.fixtures;
+    }
+}
+
+module.exports = FixtureSearchProvider;
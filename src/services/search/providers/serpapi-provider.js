@@ -0,0 +1,32 @@
+const axios = require('axios');
+const SearchProvider = require('./base-search-provider');
+
+const TIME_RANGES = { day: 'qdr:d', week: 'qdr:w', month: 'qdr:m', year: 'qdr:y' };
+
+class SerpApiProvider extends SearchProvider {
+    constructor(config = {}) {
+        super('serpapi', config);
+    }
+
+    async search(query, options = {}) {
+        const response = await axios.get('https://serpapi.com/search', {
+            params: {
+                q: query,
+                api_key: this.config.apiKey,
+                engine: this.config.engine || 'google',
+                num: options.count,
+                ...(TIME_RANGES[options.timeRange] && { tbs: TIME_RANGES[options.timeRange] })
+            },
+            signal: options.signal
+        });
+
+        return (response.data.organic_results || []).map(result => ({
+            title: result.title,
+            link: result.link,
+            snippet: result.snippet,
+            publishedAt: result.date || null
+        }));
+    }
+}
+
+module.exports = SerpApiProvider;
@@ -0,0 +1,307 @@
+const axios = require('axios');
+const aiConfig = require('../../../config/ai-config');
+const SerpApiProvider = require('./providers/serpapi-provider');
+const BingSearchProvider = require('./providers/bing-provider');
+const BraveSearchProvider = require('./providers/brave-provider');
+const FixtureSearchProvider = require('./providers/fixture-provider');
+const { fetchPage } = require('./page-fetcher');
+const { extractArticle } = require('./article-extractor');
+
+const TIME_RANGES = { day: 1, week: 7, month: 31, year: 366 }; // days
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it', 'of',
+    'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'with'
+]);
+
+// Web research for the research agent. Queries the first configured search
+// vendor (failing over like the AI provider router), applies time-range and
+// domain filters, reads the top results in full, drops duplicate articles
+// and ranks what is left by relevance to the query.
+//
+// Results: [{ title, link, snippet, content, publishedAt, author, siteName,
+//            provider, fetched, score }]
+class WebSearchService {
+    constructor(options = {}) {
+        this.config = { ...aiConfig.search, ...options.config };
+        this.providers = options.providers || WebSearchService.createProviders(this.config);
+        this.fetchPage = options.fetchPage || fetchPage;
+    }
+
+    static createProviders(config = aiConfig.search) {
+        return {
+            serpapi: new SerpApiProvider(aiConfig.serpAPI),
+            bing: new BingSearchProvider(aiConfig.bingSearch),
+            brave: new BraveSearchProvider(aiConfig.braveSearch),
+            fixture: new FixtureSearchProvider({ file: config.fixtureFile })
+        };
+    }
+
+    // Refuses a timeRange or searchProvider this service doesn't know with
+    // a 400. The orchestrator runs it on research tasks before admitting
+    // them, and search runs it against the providers it was given.
+    static checkOptions(options = {}, providers = Object.keys(WebSearchService.createProviders())) {
+        if (options.timeRange && !TIME_RANGES[options.timeRange]) {
+            throw createStatusError(`timeRange must be one of ${Object.keys(TIME_RANGES).join(', ')}`, 400);
+        }
+        if (options.searchProvider && !providers.includes(options.searchProvider)) {
+            throw createStatusError(`Unknown search provider: ${options.searchProvider}`, 400);
+        }
+    }
+
+    // options: searchProvider, numResults, timeRange (day|week|month|year),
+    // includeDomains, excludeDomains, fetchPages (default true)
+    async search(query, options = {}, context = {}) {
+        WebSearchService.checkOptions(options, Object.keys(this.providers));
+        const filters = this.getFilters(options);
+        const count = Math.min(parseInt(options.numResults) || this.config.numResults, 20);
+        const { provider, results } = await this.queryProviders(this.buildQuery(query, filters), {
+            count: count,
+            timeRange: filters.timeRange,
+            signal: context.signal
+        }, options.searchProvider);
+
+        const candidates = this.dedupeByUrl(results.map(result => ({ ...result, provider })))
+            .filter(result => this.matchesFilters(result, filters))
+            .slice(0, count);
+
+        if (options.fetchPages !== false) {
+            await this.fetchContents(candidates.slice(0, this.config.fetchTop), provider, context);
+        }
+
+        // Pages can carry a date the search result didn't, so filter again
+        const fresh = candidates.filter(result => this.matchesFilters(result, filters));
+        return this.rank(query, this.dedupeByContent(fresh));
+    }
+
+    getFilters(options) {
+        const domains = (list) => (Array.isArray(list) ? list : list ? [list] : [])
+            .map(domain => String(domain).trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, ''))
+            .filter(Boolean);
+
+        return {
+            timeRange: options.timeRange || null,
+            includeDomains: domains(options.includeDomains),
+            excludeDomains: domains(options.excludeDomains)
+        };
+    }
+
+    // Domain filters go into the query so the vendor fills the result page
+    // with allowed sites; they are enforced again locally in matchesFilters
+    buildQuery(query, filters) {
+        const parts = [query];
+
+        if (filters.includeDomains.length === 1) {
+            parts.push(`site:${filters.includeDomains[0]}`);
+        } else if (filters.includeDomains.length > 1) {
+            parts.push(`(${filters.includeDomains.map(domain => `site:${domain}`).join(' OR ')})`);
+        }
+        filters.excludeDomains.forEach(domain => parts.push(`-site:${domain}`));
+
+        return parts.join(' ');
+    }
+
+    async queryProviders(query, searchOptions, preferred) {
+        const candidates = this.getCandidates(preferred);
+
+        if (candidates.length === 0) {
+            const error = new Error('No web search provider is configured');
+            error.code = 'NO_SEARCH_PROVIDER';
+            throw error;
+        }
+
+        let lastError;
+        for (const name of candidates) {
+            try {
+                return { provider: name, results: await this.providers[name].search(query, searchOptions) };
+            } catch (error) {
+                if (axios.isCancel(error) || searchOptions.signal?.aborted) throw error;
+
+                lastError = error;
+                console.warn(`Search provider ${name} failed:`, error.message);
+            }
+        }
+
+        throw lastError;
+    }
+
+    getCandidates(preferred) {
+        const order = this.config.forceProvider
+            ? [this.config.forceProvider]
+            : [...new Set([preferred, ...this.config.providers].filter(Boolean))];
+
+        return order.filter(name => this.providers[name]?.isConfigured());
+    }
+
+    matchesFilters(result, filters) {
+        const host = this.getHost(result.link);
+        if (!host) return false;
+
+        const onDomain = domain => host === domain || host.endsWith(`.${domain}`);
+        if (filters.includeDomains.length && !filters.includeDomains.some(onDomain)) return false;
+        if (filters.excludeDomains.some(onDomain)) return false;
+
+        // Undated results are kept; vendors have already applied their freshness filter
+        if (filters.timeRange && result.publishedAt && !Number.isNaN(Date.parse(result.publishedAt))) {
+            const age = Date.now() - Date.parse(result.publishedAt);
+            return age <= TIME_RANGES[filters.timeRange] * 24 * 60 * 60 * 1000;
+        }
+
+        return true;
+    }
+
+    // Reads up to fetchConcurrency pages at a time. A page that can't be
+    // fetched or has no readable text keeps its snippet.
+    async fetchContents(results, providerName, context) {
+        const provider = this.providers[providerName];
+        const queue = results.slice();
+
+        const worker = async () => {
+            while (queue.length) {
+                const result = queue.shift();
+
+                try {
+                    const page = provider.fetchPage
+                        ? await provider.fetchPage(result.link, { signal: context.signal })
+                        : await this.fetchPage(result.link, {
+                            signal: context.signal,
+                            timeout: this.config.fetchTimeout,
+                            maxBytes: this.config.maxPageBytes,
+                            userAgent: this.config.userAgent
+                        });
+                    const article = /html/i.test(page.contentType) ? extractArticle(page.body) : { text: page.body.trim() };
+
+                    if (article.text) {
+                        result.content = article.text;
+                        result.fetched = true;
+                        result.title = result.title || article.title;
+                        result.publishedAt = result.publishedAt || article.publishedAt;
+                        result.author = article.author || null;
+                        result.siteName = article.siteName || null;
+                    }
+                } catch (error) {
+                    if (axios.isCancel(error) || context.signal?.aborted) throw error;
+                    console.warn(`Could not fetch ${result.link}:`, error.message);
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.config.fetchConcurrency, results.length) }, worker));
+    }
+
+    dedupeByUrl(results) {
+        const seen = new Set();
+
+        return results.filter(result => {
+            const key = this.canonicalUrl(result.link);
+            if (!key || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    // Syndicated copies of one story show up under several URLs; keep the
+    // better-ranked copy of any pair whose text mostly overlaps
+    dedupeByContent(results) {
+        const kept = [];
+
+        for (const result of results) {
+            const shingles = this.getShingles(result.content || `${result.title} ${result.snippet}`);
+            const duplicate = kept.some(other => this.overlap(shingles, other.shingles) >= this.config.duplicateThreshold);
+
+            if (!duplicate) {
+                kept.push({ result, shingles });
+            }
+        }
+
+        return kept.map(entry => entry.result);
+    }
+
+    // BM25 over title (counted twice), snippet and article text, blended
+    // with the vendor's own rank so ties keep the search engine's order
+    rank(query, results) {
+        const terms = [...new Set(this.tokenize(query))];
+        const documents = results.map(result => this.tokenize(
+            `${result.title || ''} ${result.title || ''} ${result.snippet || ''} ${(result.content || '').slice(0, 20000)}`
+        ));
+        const averageLength = documents.reduce((sum, tokens) => sum + tokens.length, 0) / (documents.length || 1);
+        const documentFrequency = new Map(terms.map(term => [term, documents.filter(tokens => tokens.includes(term)).length]));
+
+        const relevance = documents.map(tokens => terms.reduce((score, term) => {
+            const frequency = tokens.filter(token => token === term).length;
+            if (!frequency) return score;
+
+            const idf = Math.log(1 + (documents.length - documentFrequency.get(term) + 0.5) / (documentFrequency.get(term) + 0.5));
+            return score + idf * (frequency * 2.2) / (frequency + 1.2 * (0.25 + 0.75 * tokens.length / (averageLength || 1)));
+        }, 0));
+        const best = Math.max(...relevance, 0) || 1;
+
+        return results
+            .map((result, index) => ({
+                ...result,
+                content: result.content ? result.content.slice(0, this.config.sourceChars) : null,
+                fetched: Boolean(result.fetched),
+                score: Math.round((0.8 * relevance[index] / best + 0.2 * (1 - index / results.length)) * 1e4) / 1e4
+            }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    tokenize(text) {
+        return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(token => !STOP_WORDS.has(token));
+    }
+
+    getShingles(text) {
+        const words = this.tokenize(text);
+        const shingles = new Set();
+
+        for (let i = 0; i + 5 <= words.length; i++) {
+            shingles.add(words.slice(i, i + 5).join(' '));
+        }
+        if (shingles.size === 0 && words.length) {
+            shingles.add(words.join(' '));
+        }
+
+        return shingles;
+    }
+
+    // Share of the smaller set found in the other (a short excerpt inside a
+    // longer copy of the same article still counts as a duplicate)
+    overlap(a, b) {
+        if (!a.size || !b.size) return 0;
+
+        let shared = 0;
+        const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+        small.forEach(shingle => { if (large.has(shingle)) shared++; });
+
+        return shared / small.size;
+    }
+
+    canonicalUrl(link) {
+        try {
+            const url = new URL(link);
+            url.hash = '';
+            [...url.searchParams.keys()]
+                .filter(key => /^(utm_|fbclid$|gclid$|ref$)/i.test(key))
+                .forEach(key => url.searchParams.delete(key));
+
+            return `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}${url.search}`.toLowerCase();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getHost(link) {
+        try {
+            return new URL(link).hostname.toLowerCase().replace(/^www\./, '');
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+function createStatusError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = WebSearchService;
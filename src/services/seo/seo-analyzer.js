@@ -0,0 +1,195 @@
+const aiConfig = require('../../../config/ai-config');
+const { extractFeatures } = require('../variants/variant-scorer');
+
+// On-page SEO checks for Markdown articles: keyword density and placement,
+// heading structure, meta tag lengths and readability. Each problem found
+// is an issue with a severity; the score is 100 less a penalty per issue.
+
+function analyzeSeo(content, { targetKeyword, secondaryKeywords = [], metaTitle = '', metaDescription = '' } = {}, config = aiConfig.seo) {
+    const text = String(content || '');
+    const features = extractFeatures(text);
+    const headings = extractHeadings(text);
+    const firstParagraph = extractFirstParagraph(text);
+    const issues = [];
+    const issue = (severity, rule, message) => issues.push({ severity, rule, message });
+
+    // Keyword placement and density
+    const target = measureKeyword(text, targetKeyword, features.words);
+    const h1 = headings.filter(heading => heading.level === 1);
+    const subheadings = headings.filter(heading => heading.level > 1);
+    target.placements = {
+        title: h1.some(heading => containsKeyword(heading.text, targetKeyword)),
+        firstParagraph: containsKeyword(firstParagraph, targetKeyword),
+        subheadings: subheadings.some(heading => containsKeyword(heading.text, targetKeyword)),
+        metaTitle: containsKeyword(metaTitle, targetKeyword),
+        metaDescription: containsKeyword(metaDescription, targetKeyword)
+    };
+
+    if (target.count === 0) {
+        issue('error', 'keyword-missing', `The target keyword "${targetKeyword}" does not appear in the content`);
+    } else if (target.density < config.keywordDensity.min) {
+        issue('warning', 'keyword-density', `Target keyword density is ${target.density}% (aim for ${config.keywordDensity.min}–${config.keywordDensity.max}%)`);
+    } else if (target.density > config.keywordDensity.max) {
+        issue('warning', 'keyword-stuffing', `Target keyword density is ${target.density}%, above ${config.keywordDensity.max}%, which reads as keyword stuffing`);
+    }
+
+    const placementNames = {
+        title: 'the H1 title',
+        firstParagraph: 'the first paragraph',
+        subheadings: 'any subheading',
+        metaTitle: 'the meta title',
+        metaDescription: 'the meta description'
+    };
+    for (const [placement, found] of Object.entries(target.placements)) {
+        if (found) continue;
+        // Missing meta tags are reported once below, not per keyword
+        if (placement === 'metaTitle' && !metaTitle) continue;
+        if (placement === 'metaDescription' && !metaDescription) continue;
+        if (placement === 'title' && h1.length === 0) continue;
+        if (placement === 'subheadings' && subheadings.length === 0) continue;
+
+        issue('warning', 'keyword-placement', `The target keyword is not in ${placementNames[placement]}`);
+    }
+
+    const secondary = secondaryKeywords.map(keyword => measureKeyword(text, keyword, features.words));
+    for (const keyword of secondary.filter(entry => entry.count === 0)) {
+        issue('warning', 'secondary-keyword-missing', `The secondary keyword "${keyword.keyword}" does not appear in the content`);
+    }
+
+    // Heading structure: one H1, no skipped levels, subheadings to scan by
+    if (h1.length === 0) {
+        issue('error', 'missing-h1', 'The article has no H1 title');
+    } else if (h1.length > 1) {
+        issue('error', 'multiple-h1', `The article has ${h1.length} H1 headings; use one title and H2s below it`);
+    }
+
+    headings.forEach((heading, index) => {
+        const previous = index > 0 ? headings[index - 1].level : 1;
+        if (heading.level > previous + 1) {
+            issue('warning', 'skipped-heading-level', `"${heading.text}" jumps from H${previous} to H${heading.level}`);
+        }
+    });
+
+    if (features.words >= config.minWords && subheadings.length === 0) {
+        issue('warning', 'no-subheadings', 'Break the article up with H2 subheadings');
+    }
+
+    // Meta tags
+    const meta = {
+        title: describeMeta(metaTitle, targetKeyword),
+        description: describeMeta(metaDescription, targetKeyword)
+    };
+    checkMetaLength(meta.title, 'meta title', config.metaTitleLength, issue);
+    checkMetaLength(meta.description, 'meta description', config.metaDescriptionLength, issue);
+
+    // Length and readability
+    if (features.words < config.minWords) {
+        issue('warning', 'thin-content', `The article has ${features.words} words; aim for at least ${config.minWords}`);
+    }
+
+    const readability = {
+        score: Math.min(100, Math.max(0, Math.round(100 - Math.max(0, config.readabilityTarget - features.readingEase) * 2))),
+        readingEase: features.readingEase,
+        gradeLevel: features.gradeLevel,
+        avgSentenceWords: features.avgSentenceWords
+    };
+    if (features.readingEase < config.readabilityTarget) {
+        issue('warning', 'readability', `Reading ease is ${features.readingEase} (aim for ${config.readabilityTarget} or above); use shorter sentences and plainer words`);
+    }
+
+    const penalty = issues.reduce((total, { severity }) => total + config.penalties[severity], 0);
+
+    return {
+        score: Math.max(0, 100 - penalty),
+        wordCount: features.words,
+        targetKeyword: target,
+        secondaryKeywords: secondary,
+        headings: headings,
+        meta: meta,
+        readability: readability,
+        issues: issues
+    };
+}
+
+// schema.org BlogPosting for the page's <script type="application/ld+json">.
+// author, publisher, url, image and datePublished are optional.
+function buildJsonLd({ title = '', description, keywords = [], wordCount, author, publisher, url, image, datePublished } = {}) {
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        // Google truncates headlines past 110 characters
+        headline: title.length > 110 ? `${title.slice(0, 109)}…` : title,
+        description: description,
+        keywords: keywords.join(', '),
+        wordCount: wordCount,
+        ...(author && { author: { '@type': 'Person', name: author } }),
+        ...(publisher && { publisher: { '@type': 'Organization', name: publisher } }),
+        ...(url && { url: url, mainEntityOfPage: { '@type': 'WebPage', '@id': url } }),
+        ...(image && { image: image }),
+        ...(datePublished && { datePublished: datePublished })
+    };
+}
+
+// Markdown ATX headings outside code blocks
+function extractHeadings(text) {
+    const prose = text.replace(/```[\s\S]*?```/g, '');
+    return [...prose.matchAll(/^(#{1,6})[ \t]+(.+?)[ \t#]*$/gm)]
+        .map(match => ({ level: match[1].length, text: stripInline(match[2]) }));
+}
+
+// First block of prose that isn't a heading, list, quote or code
+function extractFirstParagraph(text) {
+    const blocks = text.replace(/```[\s\S]*?```/g, '').split(/\n\s*\n/);
+    const paragraph = blocks.map(block => block.trim()).find(block => block && !/^(?:#|[-*>]|\d+\.|!\[)/.test(block));
+    return paragraph ? stripInline(paragraph) : '';
+}
+
+function measureKeyword(text, keyword, totalWords) {
+    const count = [...text.matchAll(keywordPattern(keyword, 'giu'))].length;
+    const keywordWords = keyword.trim().split(/\s+/).length;
+
+    return {
+        keyword: keyword,
+        count: count,
+        density: totalWords > 0 ? Math.round(1000 * count * keywordWords / totalWords) / 10 : 0
+    };
+}
+
+function containsKeyword(text, keyword) {
+    return keywordPattern(keyword, 'iu').test(text || '');
+}
+
+// Whole-word, case-insensitive, allowing a plural ending on each word
+function keywordPattern(keyword, flags) {
+    const pattern = keyword.trim().split(/\s+/)
+        .map(word => `${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:s|es)?`)
+        .join('[\\s-]+');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${pattern}(?![\\p{L}\\p{N}])`, flags);
+}
+
+function describeMeta(text, keyword) {
+    return { text: text, length: text.length, containsKeyword: containsKeyword(text, keyword) };
+}
+
+function checkMetaLength(meta, name, limits, issue) {
+    if (meta.length === 0) {
+        issue('error', `missing-${name.replace(' ', '-')}`, `The ${name} is missing`);
+    } else if (meta.length < limits.min || meta.length > limits.max) {
+        issue('warning', `${name.replace(' ', '-')}-length`, `The ${name} is ${meta.length} characters (aim for ${limits.min}–${limits.max})`);
+    }
+}
+
+function stripInline(text) {
+    return text
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[*_`]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+module.exports = {
+    analyzeSeo,
+    buildJsonLd,
+    extractHeadings,
+    extractFirstParagraph
+};
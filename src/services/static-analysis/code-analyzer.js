@@ -0,0 +1,168 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const aiConfig = require('../../../config/ai-config');
+const { analyzeJavaScript } = require('./javascript-rules');
+const { scanSecrets, scanPatterns, scanLineLength, checkDelimiters, estimateComplexity } = require('./pattern-rules');
+
+const PYTHON_ANALYZER = path.join(__dirname, 'python-analyzer.py');
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+// Local quality checks on generated code: syntax, lint rules, cyclomatic
+// complexity and dangerous patterns (eval, shell injection, hard-coded
+// secrets). JavaScript is parsed with Babel and Python with its own ast
+// module; the other languages get delimiter and pattern checks. Nothing is
+// executed, so this runs on every result, not only verified ones.
+class CodeAnalyzer {
+    constructor(config = aiConfig.staticAnalysis) {
+        this.config = config;
+    }
+
+    // Resolves to { language, parser, parsed, diagnostics, complexity, summary }.
+    // `parsed` is null when the language has no syntax check.
+    async analyze(code, language) {
+        const source = String(code || '');
+        const lines = source.split(/\r?\n/);
+        const checked = await this.runLanguageChecks(source, lines, language);
+
+        const diagnostics = [
+            ...checked.diagnostics,
+            ...scanSecrets(lines),
+            ...scanLineLength(lines, this.config.maxLineLength)
+        ];
+
+        const complexity = this.summarizeComplexity(checked.functions);
+        for (const fn of complexity ? complexity.functions : []) {
+            if (fn.complexity > this.config.maxComplexity) {
+                diagnostics.push({
+                    rule: 'complexity',
+                    category: 'complexity',
+                    severity: 'warning',
+                    message: `${fn.name} has a cyclomatic complexity of ${fn.complexity} (limit ${this.config.maxComplexity})`,
+                    line: fn.line,
+                    column: 1
+                });
+            }
+        }
+
+        return {
+            language: language,
+            parser: checked.parser,
+            parsed: checked.parsed,
+            diagnostics: this.finalizeDiagnostics(diagnostics, lines),
+            complexity: complexity,
+            summary: {
+                errors: diagnostics.filter(item => item.severity === 'error').length,
+                warnings: diagnostics.filter(item => item.severity === 'warning').length,
+                info: diagnostics.filter(item => item.severity === 'info').length
+            }
+        };
+    }
+
+    async runLanguageChecks(source, lines, language) {
+        if (language === 'javascript') {
+            return { parser: 'babel', ...analyzeJavaScript(source, this.config) };
+        }
+
+        if (language === 'python') {
+            return { parser: 'python-ast', ...await this.analyzePython(source) };
+        }
+
+        const syntaxError = checkDelimiters(source, language);
+        return {
+            parser: syntaxError === null ? null : 'delimiters',
+            parsed: syntaxError === null ? null : !syntaxError,
+            diagnostics: [...(syntaxError ? [syntaxError] : []), ...scanPatterns(lines, language)],
+            functions: estimateComplexity(lines, language)
+        };
+    }
+
+    // The helper only parses the source; a missing interpreter leaves the
+    // Python-specific checks out rather than failing the analysis
+    async analyzePython(source) {
+        try {
+            const output = await this.runHelper(this.config.pythonCommand, [PYTHON_ANALYZER, String(this.config.maxParams)], source);
+            return JSON.parse(output);
+        } catch (error) {
+            console.warn('Python static analysis unavailable:', error.message);
+            return {
+                parsed: null,
+                diagnostics: [{
+                    rule: 'analyzer-unavailable',
+                    category: 'syntax',
+                    severity: 'info',
+                    message: 'Python checks could not run on this server',
+                    line: 1,
+                    column: 1
+                }],
+                functions: []
+            };
+        }
+    }
+
+    runHelper(command, args, input) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+            const stdout = [];
+            const stderr = [];
+
+            const timer = setTimeout(() => {
+                child.kill('SIGKILL');
+                reject(new Error(`Timed out after ${this.config.timeLimit}ms`));
+            }, this.config.timeLimit);
+
+            child.stdout.on('data', chunk => stdout.push(chunk));
+            child.stderr.on('data', chunk => stderr.push(chunk));
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            child.on('close', (exitCode) => {
+                clearTimeout(timer);
+                if (exitCode === 0) {
+                    resolve(Buffer.concat(stdout).toString('utf8'));
+                } else {
+                    reject(new Error(Buffer.concat(stderr).toString('utf8').trim() || `Exited with code ${exitCode}`));
+                }
+            });
+
+            child.stdin.on('error', () => {});
+            child.stdin.end(input);
+        });
+    }
+
+    summarizeComplexity(functions) {
+        if (!functions || !functions.length) {
+            return null;
+        }
+
+        const scores = functions.map(fn => fn.complexity);
+        const max = Math.max(...scores);
+        const limit = this.config.maxComplexity;
+
+        return {
+            max: max,
+            average: Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 10) / 10,
+            rating: max > limit * 2 ? 'high' : max > limit ? 'moderate' : 'low',
+            functions: functions
+        };
+    }
+
+    // Sorted by position, with ids (D1, D2, ...) that refactorCode can be
+    // pointed at, a snippet of the offending line and a fingerprint used to
+    // tell whether a finding survived a rewrite
+    finalizeDiagnostics(diagnostics, lines) {
+        return diagnostics
+            .sort((a, b) => a.line - b.line || a.column - b.column || SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
+            .map((item, index) => {
+                const snippet = item.snippet ?? (lines[item.line - 1] || '').trim().slice(0, 200);
+                return {
+                    id: `D${index + 1}`,
+                    ...item,
+                    snippet: snippet,
+                    fingerprint: `${item.rule}:${snippet.replace(/\s+/g, ' ')}`
+                };
+            });
+    }
+}
+
+module.exports = CodeAnalyzer;
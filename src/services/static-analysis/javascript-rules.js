@@ -0,0 +1,255 @@
+const { parse } = require('@babel/parser');
+
+const FUNCTION_TYPES = new Set([
+    'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+    'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'
+]);
+
+const DECISION_TYPES = new Set([
+    'IfStatement', 'ConditionalExpression', 'ForStatement', 'ForInStatement', 'ForOfStatement',
+    'WhileStatement', 'DoWhileStatement', 'CatchClause'
+]);
+
+const SKIP_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'comments', 'errors', 'tokens']);
+const SHELL_FUNCTIONS = new Set(['exec', 'execSync']);
+const SPAWN_FUNCTIONS = new Set(['spawn', 'spawnSync', 'execFile', 'execFileSync']);
+
+function walk(node, visit, ancestors = []) {
+    if (!node || typeof node.type !== 'string') return;
+
+    visit(node, ancestors);
+    ancestors.push(node);
+
+    for (const key of Object.keys(node)) {
+        if (SKIP_KEYS.has(key)) continue;
+
+        const child = node[key];
+        if (Array.isArray(child)) {
+            child.forEach(item => walk(item, visit, ancestors));
+        } else if (child && typeof child.type === 'string') {
+            walk(child, visit, ancestors);
+        }
+    }
+
+    ancestors.pop();
+}
+
+function isLiteral(node) {
+    return node.type === 'StringLiteral' ||
+        node.type === 'NumericLiteral' ||
+        (node.type === 'TemplateLiteral' && node.expressions.length === 0);
+}
+
+function calleeName(callee) {
+    if (callee.type === 'Identifier') return callee.name;
+    if (callee.type === 'MemberExpression' && !callee.computed) return callee.property.name;
+    return null;
+}
+
+function functionName(node, parent) {
+    if (node.id?.name) return node.id.name;
+    if (node.key) return node.key.name || node.key.value || '(computed)';
+    if (parent?.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+    if (parent?.type === 'AssignmentExpression') {
+        const target = parent.left;
+        return target.type === 'MemberExpression' && !target.computed ? target.property.name : '(anonymous)';
+    }
+    if (parent?.type === 'ObjectProperty') return parent.key.name || parent.key.value || '(anonymous)';
+    return '(anonymous)';
+}
+
+// Identifiers that name something rather than reference a binding
+function isReference(node, parent) {
+    if (!parent) return true;
+    if ((parent.type === 'MemberExpression' || parent.type === 'OptionalMemberExpression') && parent.property === node && !parent.computed) return false;
+    if ((parent.type === 'ObjectProperty' || parent.type === 'ObjectMethod' || parent.type === 'ClassMethod' || parent.type === 'ClassProperty') && parent.key === node && !parent.computed) return false;
+    if (parent.type === 'LabeledStatement' || parent.type === 'BreakStatement' || parent.type === 'ContinueStatement') return false;
+    if (parent.type === 'ImportSpecifier' && parent.imported === node) return false;
+    return true;
+}
+
+function parseJavaScript(code) {
+    const options = {
+        sourceType: 'unambiguous',
+        errorRecovery: true,
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true,
+        plugins: ['jsx']
+    };
+
+    try {
+        const ast = parse(code, options);
+        return { ast, errors: ast.errors || [] };
+    } catch (error) {
+        return { ast: null, errors: [error] };
+    }
+}
+
+function syntaxDiagnostic(error) {
+    return {
+        rule: 'syntax-error',
+        category: 'syntax',
+        severity: 'error',
+        message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+        line: error.loc?.line || 1,
+        column: (error.loc?.column || 0) + 1
+    };
+}
+
+// Parses with Babel and runs the syntax, lint, complexity and security
+// checks over the AST. Returns { parsed, diagnostics, functions }.
+function analyzeJavaScript(code, config) {
+    const { ast, errors } = parseJavaScript(code);
+    const diagnostics = errors.map(syntaxDiagnostic);
+
+    if (!ast) {
+        return { parsed: false, diagnostics, functions: [] };
+    }
+
+    const report = (node, rule, category, severity, message) => diagnostics.push({
+        rule, category, severity, message,
+        line: node.loc.start.line,
+        column: node.loc.start.column + 1
+    });
+
+    const usesChildProcess = code.includes('child_process');
+    const functions = new Map();
+    const declarations = new Set();
+    const references = new Map();
+    let topLevelDecisions = 0;
+
+    walk(ast.program, (node, ancestors) => {
+        const parent = ancestors[ancestors.length - 1];
+        const enclosing = [...ancestors].reverse().find(ancestor => FUNCTION_TYPES.has(ancestor.type));
+
+        // Complexity: 1 per function plus each branch point directly inside it
+        if (FUNCTION_TYPES.has(node.type)) {
+            functions.set(node, { name: functionName(node, parent), line: node.loc.start.line, complexity: 1 });
+
+            if (node.params.length > config.maxParams) {
+                report(node, 'max-params', 'lint', 'warning', `Function takes ${node.params.length} parameters (limit ${config.maxParams})`);
+            }
+        }
+
+        const isDecision = DECISION_TYPES.has(node.type) ||
+            (node.type === 'SwitchCase' && node.test) ||
+            (node.type === 'LogicalExpression');
+        if (isDecision) {
+            if (enclosing) {
+                functions.get(enclosing).complexity++;
+            } else {
+                topLevelDecisions++;
+            }
+        }
+
+        switch (node.type) {
+            case 'VariableDeclaration':
+                if (node.kind === 'var') {
+                    report(node, 'no-var', 'lint', 'warning', 'Use let or const instead of var');
+                }
+                break;
+
+            case 'VariableDeclarator':
+                if (node.id.type === 'Identifier' && !isExported(ancestors)) declarations.add(node.id);
+                break;
+
+            case 'FunctionDeclaration':
+                if (node.id && !isExported(ancestors)) declarations.add(node.id);
+                break;
+
+            case 'ImportSpecifier':
+            case 'ImportDefaultSpecifier':
+            case 'ImportNamespaceSpecifier':
+                declarations.add(node.local);
+                break;
+
+            case 'Identifier':
+                if (!declarations.has(node) && isReference(node, parent)) {
+                    references.set(node.name, (references.get(node.name) || 0) + 1);
+                }
+                break;
+
+            case 'BinaryExpression':
+                if ((node.operator === '==' || node.operator === '!=') &&
+                    node.left.type !== 'NullLiteral' && node.right.type !== 'NullLiteral') {
+                    report(node, 'eqeqeq', 'lint', 'warning', `Use ${node.operator}= instead of ${node.operator}`);
+                }
+                break;
+
+            case 'DebuggerStatement':
+                report(node, 'no-debugger', 'lint', 'warning', 'Remove debugger statements');
+                break;
+
+            case 'BlockStatement':
+                if (node.body.length === 0 && !node.innerComments?.length && !FUNCTION_TYPES.has(parent?.type)) {
+                    report(node, 'no-empty', 'lint', 'warning', parent?.type === 'CatchClause' ? 'Empty catch block swallows the error' : 'Empty block');
+                }
+                break;
+
+            case 'CallExpression':
+            case 'NewExpression': {
+                const name = calleeName(node.callee);
+                const [first] = node.arguments;
+
+                if (node.callee.type === 'Identifier' && name === 'eval') {
+                    report(node, 'no-eval', 'security', 'error', 'eval() executes arbitrary code');
+                } else if (node.type === 'NewExpression' && name === 'Function') {
+                    report(node, 'no-eval', 'security', 'error', 'new Function() compiles code from a string');
+                } else if ((name === 'setTimeout' || name === 'setInterval') && first && (first.type === 'StringLiteral' || first.type === 'TemplateLiteral')) {
+                    report(node, 'no-eval', 'security', 'error', `${name} with a string argument evaluates it as code`);
+                } else if (usesChildProcess && SHELL_FUNCTIONS.has(name) && first && !isLiteral(first)) {
+                    report(node, 'shell-injection', 'security', 'error', `${name}() runs a shell command built from variables; use execFile with an argument array`);
+                } else if (usesChildProcess && SPAWN_FUNCTIONS.has(name) && hasShellOption(node.arguments)) {
+                    report(node, 'shell-injection', 'security', 'warning', `${name}() with shell: true passes arguments through the shell`);
+                } else if (name === 'write' && node.callee.object?.name === 'document') {
+                    report(node, 'unsafe-html', 'security', 'warning', 'document.write() can inject markup');
+                }
+                break;
+            }
+
+            case 'AssignmentExpression': {
+                const property = node.left.type === 'MemberExpression' && !node.left.computed ? node.left.property.name : null;
+                if ((property === 'innerHTML' || property === 'outerHTML') && !isLiteral(node.right)) {
+                    report(node, 'unsafe-html', 'security', 'warning', `Assigning ${property} from a variable can inject markup; use textContent`);
+                }
+                break;
+            }
+
+            case 'JSXAttribute':
+                if (node.name.name === 'dangerouslySetInnerHTML') {
+                    report(node, 'unsafe-html', 'security', 'warning', 'dangerouslySetInnerHTML renders unescaped markup');
+                }
+                break;
+        }
+    });
+
+    // Matched by name, not scope: a binding counts as used if anything with
+    // its name is referenced
+    for (const id of declarations) {
+        if (!id.name.startsWith('_') && !references.has(id.name)) {
+            report(id, 'no-unused-vars', 'lint', 'warning', `'${id.name}' is declared but never used`);
+        }
+    }
+
+    const functionList = [...functions.values()];
+    if (topLevelDecisions > 0) {
+        functionList.unshift({ name: '(top level)', line: 1, complexity: 1 + topLevelDecisions });
+    }
+
+    return { parsed: errors.length === 0, diagnostics, functions: functionList };
+}
+
+// `export const x` and `export function f` are used by definition
+function isExported(ancestors) {
+    return ancestors.slice(-2).some(ancestor => ancestor.type === 'ExportNamedDeclaration' || ancestor.type === 'ExportDefaultDeclaration');
+}
+
+function hasShellOption(args) {
+    return args.some(arg => arg.type === 'ObjectExpression' && arg.properties.some(property => (
+        property.type === 'ObjectProperty' &&
+        (property.key.name === 'shell' || property.key.value === 'shell') &&
+        property.value.type === 'BooleanLiteral' && property.value.value === true
+    )));
+}
+
+module.exports = { analyzeJavaScript };
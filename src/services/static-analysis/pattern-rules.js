@@ -0,0 +1,260 @@
+// Line-based checks for languages without a local parser, plus the secret
+// scan that runs on every language. Each check returns diagnostics in the
+// shape CodeAnalyzer reports: { rule, category, severity, message, line, column }.
+
+const SECRET_PATTERNS = [
+    { name: 'AWS access key', pattern: /\bAKIA[0-9A-Z]{16}\b/ },
+    { name: 'private key', pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH )?PRIVATE KEY-----/ },
+    { name: 'GitHub token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/ },
+    { name: 'Slack token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/ },
+    { name: 'Stripe secret key', pattern: /\b[rs]k_live_[A-Za-z0-9]{16,}/ },
+    { name: 'API key', pattern: /\bsk-[A-Za-z0-9_-]{20,}/ },
+    // Only the quoted value after the name is checked against placeholders
+    { name: 'credential', pattern: /\b(?:api[_-]?key|secret|password|passwd|pwd|token|auth[_-]?token|access[_-]?key|client[_-]?secret)\w*["']?\s*[:=]\s*["'`]([^"'`\s]{6,})["'`]/i, valueGroup: 1 },
+    { name: 'connection string password', pattern: /\b(?:mysql|postgres(?:ql)?|mongodb(?:\+srv)?|redis|amqp):\/\/[^:\s/]+:([^@\s]+)@/, valueGroup: 1 }
+];
+
+const PLACEHOLDER = /^(?:x+|\*+|\.+|<.*>|\$\{.*\}|\{\{.*\}\}|%.*%|your[_-]?\w*|changeme|change[_-]?me|example\w*|test\w*|dummy|placeholder|password|secret|token|todo|null|none|undefined)$/i;
+
+// Language-specific patterns; `unless` suppresses a match on the same line
+const LANGUAGE_PATTERNS = {
+    cpp: [
+        { rule: 'unsafe-function', category: 'security', severity: 'error', pattern: /\bgets\s*\(/, message: 'gets() cannot limit input length; use fgets()' },
+        { rule: 'unsafe-function', category: 'security', severity: 'warning', pattern: /\b(?:strcpy|strcat|sprintf)\s*\(/, message: 'Unbounded string function; use the length-checked variant' },
+        { rule: 'shell-injection', category: 'security', severity: 'error', pattern: /\b(?:system|popen)\s*\(\s*(?!")/, message: 'Shell command built from a variable' }
+    ],
+    java: [
+        { rule: 'shell-injection', category: 'security', severity: 'error', pattern: /Runtime\.getRuntime\(\)\.exec\s*\([^;]*\+/, message: 'Shell command built by string concatenation' },
+        { rule: 'sql-injection', category: 'security', severity: 'error', pattern: /\.(?:executeQuery|executeUpdate|execute|prepareStatement|addBatch)\s*\(\s*"[^"]*"\s*\+/, message: 'SQL built by string concatenation; use bound parameters' },
+        { rule: 'unsafe-deserialization', category: 'security', severity: 'warning', pattern: /new\s+ObjectInputStream\s*\(/, message: 'Java deserialization of untrusted data can execute code' },
+        { rule: 'no-empty', category: 'lint', severity: 'warning', pattern: /catch\s*\([^)]*\)\s*\{\s*\}/, message: 'Empty catch block swallows the exception' }
+    ],
+    sql: [
+        { rule: 'unbounded-write', category: 'security', severity: 'warning', pattern: /^\s*DELETE\s+FROM\s+[\w."`\[\]]+\s*;/i, message: 'DELETE without a WHERE clause removes every row' },
+        { rule: 'unbounded-write', category: 'security', severity: 'warning', pattern: /^\s*UPDATE\s+[\w."`\[\]]+\s+SET\b[^;]*;/i, unless: /\bWHERE\b/i, message: 'UPDATE without a WHERE clause changes every row' },
+        { rule: 'excessive-grant', category: 'security', severity: 'warning', pattern: /\bGRANT\s+ALL\b/i, message: 'GRANT ALL gives more privileges than an application needs' },
+        { rule: 'sql-injection', category: 'security', severity: 'warning', pattern: /\bEXEC(?:UTE)?\s*(?:\(\s*@|\s+sp_executesql\b|\s+IMMEDIATE\b)/i, message: 'Dynamic SQL; make sure inputs are bound, not concatenated' },
+        { rule: 'no-select-star', category: 'lint', severity: 'info', pattern: /\bSELECT\s+\*/i, message: 'SELECT * couples the query to the table layout' }
+    ],
+    html: [
+        { rule: 'no-eval', category: 'security', severity: 'error', pattern: /\beval\s*\(/, message: 'eval() executes arbitrary code' },
+        { rule: 'unsafe-html', category: 'security', severity: 'warning', pattern: /\.(?:innerHTML|outerHTML)\s*=(?!=)/, message: 'Assigning HTML from script can inject markup' },
+        { rule: 'unsafe-html', category: 'security', severity: 'warning', pattern: /href\s*=\s*["']\s*javascript:/i, message: 'javascript: URLs run script on click' },
+        { rule: 'no-unsafe-blank', category: 'security', severity: 'warning', pattern: /target\s*=\s*["']_blank["']/i, unless: /rel\s*=\s*["'][^"']*noopener/i, message: 'target="_blank" without rel="noopener" exposes window.opener' }
+    ],
+    css: [
+        { rule: 'no-important', category: 'lint', severity: 'info', pattern: /!important\b/, message: '!important makes later overrides hard' }
+    ]
+};
+
+// Opening and closing delimiters per language, and how comments start
+const DELIMITER_SYNTAX = {
+    java: { pairs: '(){}[]', lineComment: '//', strings: '"\'' },
+    cpp: { pairs: '(){}[]', lineComment: '//', strings: '"\'' },
+    css: { pairs: '(){}[]', lineComment: null, strings: '"\'' },
+    sql: { pairs: '()', lineComment: '--', strings: '\'"' }
+};
+
+const DECISION_KEYWORDS = /\b(?:if|for|while|case|catch)\b|&&|\|\||\?(?![?.:>])/g;
+const FUNCTION_HEADER = /^\s*(?:[\w<>[\],.:*&~]+\s+)+[*&]*(~?\w+)\s*\([^;{}]*\)\s*(?:const\s*)?(?:noexcept\s*)?(?:throws\s+[\w.,\s]+)?\{/;
+const NOT_FUNCTIONS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'else', 'do', 'new', 'sizeof']);
+
+function maskSecret(line, value) {
+    return line.split(value).join('****');
+}
+
+function scanSecrets(lines) {
+    const diagnostics = [];
+
+    lines.forEach((line, index) => {
+        for (const { name, pattern, valueGroup } of SECRET_PATTERNS) {
+            const match = line.match(pattern);
+            if (!match) continue;
+
+            const value = valueGroup ? match[valueGroup] : match[0];
+            if (valueGroup && PLACEHOLDER.test(value)) continue;
+
+            diagnostics.push({
+                rule: 'hardcoded-secret',
+                category: 'security',
+                severity: 'error',
+                message: `Hard-coded ${name}; load it from the environment or a secret store`,
+                line: index + 1,
+                column: match.index + 1,
+                // The secret itself never goes into the report
+                snippet: maskSecret(line.trim(), value)
+            });
+            break;
+        }
+    });
+
+    return diagnostics;
+}
+
+function scanPatterns(lines, language) {
+    const diagnostics = [];
+
+    lines.forEach((line, index) => {
+        for (const check of LANGUAGE_PATTERNS[language] || []) {
+            const match = line.match(check.pattern);
+            if (!match || (check.unless && check.unless.test(line))) continue;
+
+            diagnostics.push({
+                rule: check.rule,
+                category: check.category,
+                severity: check.severity,
+                message: check.message,
+                line: index + 1,
+                column: match.index + 1
+            });
+        }
+    });
+
+    return diagnostics;
+}
+
+function scanLineLength(lines, maxLineLength) {
+    return lines
+        .map((line, index) => ({ line, index }))
+        .filter(({ line }) => line.length > maxLineLength)
+        .map(({ line, index }) => ({
+            rule: 'max-line-length',
+            category: 'lint',
+            severity: 'info',
+            message: `Line is ${line.length} characters (limit ${maxLineLength})`,
+            line: index + 1,
+            column: maxLineLength + 1
+        }));
+}
+
+// Without a parser the best syntax signal is unbalanced delimiters; strings
+// and comments are skipped so brackets inside them do not count
+function checkDelimiters(code, language) {
+    const syntax = DELIMITER_SYNTAX[language];
+    if (!syntax) return null;
+
+    const stack = [];
+    let line = 1;
+    let column = 0;
+    let quote = null;
+    let blockComment = false;
+    let lineComment = false;
+
+    for (let i = 0; i < code.length; i++) {
+        const char = code[i];
+        column++;
+
+        if (char === '\n') {
+            line++;
+            column = 0;
+            lineComment = false;
+            continue;
+        }
+
+        if (lineComment) continue;
+
+        if (blockComment) {
+            if (char === '*' && code[i + 1] === '/') {
+                blockComment = false;
+                i++;
+                column++;
+            }
+            continue;
+        }
+
+        if (quote) {
+            if (char === '\\') {
+                i++;
+                column++;
+            } else if (char === quote) {
+                quote = null;
+            }
+            continue;
+        }
+
+        if (char === '/' && code[i + 1] === '*') {
+            blockComment = true;
+            continue;
+        }
+
+        if (syntax.lineComment && code.startsWith(syntax.lineComment, i)) {
+            lineComment = true;
+            continue;
+        }
+
+        if (syntax.strings.includes(char)) {
+            quote = char;
+            continue;
+        }
+
+        const position = syntax.pairs.indexOf(char);
+        if (position === -1) continue;
+
+        if (position % 2 === 0) {
+            stack.push({ char, line, column });
+        } else {
+            const open = stack.pop();
+            if (!open || syntax.pairs.indexOf(open.char) !== position - 1) {
+                return {
+                    rule: 'syntax-error',
+                    category: 'syntax',
+                    severity: 'error',
+                    message: open ? `Unexpected '${char}', expected the closing pair of '${open.char}' from line ${open.line}` : `Unexpected '${char}'`,
+                    line,
+                    column
+                };
+            }
+        }
+    }
+
+    const unclosed = stack.pop();
+    if (unclosed) {
+        return {
+            rule: 'syntax-error',
+            category: 'syntax',
+            severity: 'error',
+            message: `'${unclosed.char}' is never closed`,
+            line: unclosed.line,
+            column: unclosed.column
+        };
+    }
+
+    return false;
+}
+
+// Cyclomatic complexity per function for brace languages, found by header
+// pattern and brace matching: 1 + the decision points in the body
+function estimateComplexity(lines, language) {
+    if (!['java', 'cpp'].includes(language)) return [];
+
+    const functions = [];
+
+    for (let index = 0; index < lines.length; index++) {
+        const header = lines[index].match(FUNCTION_HEADER);
+        if (!header || NOT_FUNCTIONS.has(header[1])) continue;
+
+        let depth = 0;
+        let end = index;
+        for (; end < lines.length; end++) {
+            depth += (lines[end].match(/\{/g) || []).length - (lines[end].match(/\}/g) || []).length;
+            if (depth <= 0) break;
+        }
+
+        const body = lines.slice(index, end + 1).join('\n');
+        functions.push({
+            name: header[1],
+            line: index + 1,
+            complexity: 1 + (body.match(DECISION_KEYWORDS) || []).length
+        });
+    }
+
+    return functions;
+}
+
+module.exports = {
+    scanSecrets,
+    scanPatterns,
+    scanLineLength,
+    checkDelimiters,
+    estimateComplexity
+};
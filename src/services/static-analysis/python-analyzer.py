@@ -0,0 +1,206 @@
+# Static checks for generated Python, run by CodeAnalyzer. Reads source on
+# stdin, parses it with ast (the code is never executed) and prints a JSON
+# report: {"parsed", "diagnostics", "functions"}.
+#
+# Usage: python3 python-analyzer.py <max-params>
+import ast
+import json
+import sys
+
+DECISION_NODES = (ast.If, ast.For, ast.AsyncFor, ast.While, ast.IfExp, ast.ExceptHandler, ast.Assert)
+SHELL_CALLS = {'os.system', 'os.popen', 'commands.getoutput'}
+SUBPROCESS_CALLS = {'subprocess.run', 'subprocess.call', 'subprocess.Popen', 'subprocess.check_call', 'subprocess.check_output'}
+DESERIALIZE_CALLS = {'pickle.load', 'pickle.loads', 'marshal.loads', 'shelve.open'}
+
+
+def dotted_name(node):
+    if isinstance(node, ast.Name):
+        return node.id
+    if isinstance(node, ast.Attribute):
+        base = dotted_name(node.value)
+        return f'{base}.{node.attr}' if base else node.attr
+    return None
+
+
+def diagnostic(node, rule, category, severity, message):
+    return {
+        'rule': rule,
+        'category': category,
+        'severity': severity,
+        'message': message,
+        'line': getattr(node, 'lineno', 1),
+        'column': getattr(node, 'col_offset', 0) + 1
+    }
+
+
+def is_dynamic_string(node):
+    if isinstance(node, ast.JoinedStr):
+        return any(isinstance(value, ast.FormattedValue) for value in node.values)
+    if isinstance(node, ast.BinOp) and isinstance(node.op, (ast.Add, ast.Mod)):
+        return True
+    if isinstance(node, ast.Call) and isinstance(node.func, ast.Attribute) and node.func.attr == 'format':
+        return True
+    return False
+
+
+def keyword_value(call, name):
+    for keyword in call.keywords:
+        if keyword.arg == name:
+            return keyword.value
+    return None
+
+
+class Checker(ast.NodeVisitor):
+    def __init__(self, max_params):
+        self.max_params = max_params
+        self.diagnostics = []
+        self.functions = []
+        self.scope = []
+        self.imports = {}
+        self.used_names = set()
+        self.exported = set()
+
+    def report(self, node, rule, category, severity, message):
+        self.diagnostics.append(diagnostic(node, rule, category, severity, message))
+
+    def visit_FunctionDef(self, node):
+        name = '.'.join(self.scope + [node.name])
+        self.functions.append({'name': name, 'line': node.lineno, 'complexity': complexity(node)})
+
+        arguments = node.args
+        params = [arg for arg in arguments.posonlyargs + arguments.args + arguments.kwonlyargs if arg.arg not in ('self', 'cls')]
+        if len(params) > self.max_params:
+            self.report(node, 'max-params', 'lint', 'warning', f'Function takes {len(params)} parameters (limit {self.max_params})')
+
+        for default in arguments.defaults + [value for value in arguments.kw_defaults if value is not None]:
+            if isinstance(default, (ast.List, ast.Dict, ast.Set)):
+                self.report(default, 'mutable-default', 'lint', 'warning', 'Mutable default argument is shared between calls')
+
+        self.scope.append(node.name)
+        self.generic_visit(node)
+        self.scope.pop()
+
+    visit_AsyncFunctionDef = visit_FunctionDef
+
+    def visit_ClassDef(self, node):
+        self.scope.append(node.name)
+        self.generic_visit(node)
+        self.scope.pop()
+
+    def visit_Import(self, node):
+        for alias in node.names:
+            self.imports[(alias.asname or alias.name).split('.')[0]] = node
+        self.generic_visit(node)
+
+    def visit_ImportFrom(self, node):
+        for alias in node.names:
+            if alias.name == '*':
+                self.report(node, 'wildcard-import', 'lint', 'warning', f'from {node.module} import * hides where names come from')
+            else:
+                self.imports[alias.asname or alias.name] = node
+        self.generic_visit(node)
+
+    def visit_Name(self, node):
+        self.used_names.add(node.id)
+        self.generic_visit(node)
+
+    def visit_Assign(self, node):
+        # Names listed in __all__ count as used
+        if any(isinstance(target, ast.Name) and target.id == '__all__' for target in node.targets):
+            if isinstance(node.value, (ast.List, ast.Tuple)):
+                self.exported.update(item.value for item in node.value.elts if isinstance(item, ast.Constant))
+        self.generic_visit(node)
+
+    def visit_ExceptHandler(self, node):
+        if node.type is None:
+            self.report(node, 'bare-except', 'lint', 'warning', 'Bare except also catches KeyboardInterrupt and SystemExit')
+        self.generic_visit(node)
+
+    def visit_Compare(self, node):
+        for operator, comparator in zip(node.ops, node.comparators):
+            if isinstance(operator, (ast.Eq, ast.NotEq)) and isinstance(comparator, ast.Constant) and comparator.value is None:
+                self.report(node, 'none-comparison', 'lint', 'warning', 'Compare to None with "is" or "is not"')
+        self.generic_visit(node)
+
+    def visit_Call(self, node):
+        name = dotted_name(node.func) or ''
+        first = node.args[0] if node.args else None
+
+        if name in ('eval', 'exec'):
+            self.report(node, 'no-eval', 'security', 'error', f'{name}() executes arbitrary code')
+        elif name in SHELL_CALLS:
+            severity = 'warning' if isinstance(first, ast.Constant) else 'error'
+            self.report(node, 'shell-injection', 'security', severity, f'{name}() runs its argument through the shell; use subprocess with an argument list')
+        elif name in SUBPROCESS_CALLS:
+            shell = keyword_value(node, 'shell')
+            if isinstance(shell, ast.Constant) and shell.value is True:
+                severity = 'warning' if isinstance(first, ast.Constant) else 'error'
+                self.report(node, 'shell-injection', 'security', severity, f'{name}() with shell=True passes arguments through the shell')
+        elif name in DESERIALIZE_CALLS:
+            self.report(node, 'unsafe-deserialization', 'security', 'warning', f'{name}() can execute code from untrusted input')
+        elif name == 'yaml.load' and keyword_value(node, 'Loader') is None:
+            self.report(node, 'unsafe-deserialization', 'security', 'warning', 'yaml.load() without a safe Loader can build arbitrary objects; use yaml.safe_load()')
+        elif name.endswith('.execute') or name.endswith('.executemany'):
+            if first is not None and is_dynamic_string(first):
+                self.report(node, 'sql-injection', 'security', 'error', 'SQL built with string formatting; pass parameters separately')
+
+        self.generic_visit(node)
+
+    def unused_imports(self):
+        for name, node in self.imports.items():
+            if name not in self.used_names and name not in self.exported and not name.startswith('_'):
+                self.report(node, 'unused-import', 'lint', 'warning', f"'{name}' is imported but never used")
+
+
+# 1 + branch points in the function body, not counting nested functions
+def complexity(function):
+    score = 1
+    stack = list(ast.iter_child_nodes(function))
+
+    while stack:
+        node = stack.pop()
+        if isinstance(node, (ast.FunctionDef, ast.AsyncFunctionDef, ast.Lambda, ast.ClassDef)):
+            continue
+        if isinstance(node, DECISION_NODES):
+            score += 1
+        elif isinstance(node, ast.BoolOp):
+            score += len(node.values) - 1
+        elif isinstance(node, ast.comprehension):
+            score += 1 + len(node.ifs)
+        elif hasattr(ast, 'match_case') and isinstance(node, ast.match_case):
+            score += 1
+        stack.extend(ast.iter_child_nodes(node))
+
+    return score
+
+
+def main():
+    max_params = int(sys.argv[1]) if len(sys.argv) > 1 else 5
+    source = sys.stdin.read()
+
+    try:
+        tree = ast.parse(source)
+    except SyntaxError as error:
+        print(json.dumps({
+            'parsed': False,
+            'diagnostics': [{
+                'rule': 'syntax-error',
+                'category': 'syntax',
+                'severity': 'error',
+                'message': error.msg,
+                'line': error.lineno or 1,
+                'column': error.offset or 1
+            }],
+            'functions': []
+        }))
+        return
+
+    checker = Checker(max_params)
+    checker.visit(tree)
+    checker.unused_imports()
+
+    print(json.dumps({'parsed': True, 'diagnostics': checker.diagnostics, 'functions': checker.functions}))
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,438 @@
+const aiConfig = require('../../../config/ai-config');
+const { tableFromRecords, isDateString } = require('../datasets/dataset-parser');
+
+// Local numeric layer behind the analysis agent's trends and comparisons.
+// Everything here is deterministic: the agent computes these figures first
+// and the model only narrates them, so the numbers in a result can be
+// reproduced and tested without a provider.
+//
+// Tables are { columns, rows } as produced by the dataset parser. Row
+// numbers in the output are 1-based positions in table.rows so they line
+// up with dataset citations.
+class StatisticalEngine {
+    constructor(config = aiConfig.agents.analysis.statistics) {
+        this.config = config;
+    }
+
+    // Builds a table from inline request data: an array of records, an array
+    // of numbers, or an object of numeric series ({ north: [...], south: [...] }).
+    // Returns null for data with nothing to compute on, such as free text.
+    toTable(data) {
+        if (data && Array.isArray(data.columns) && Array.isArray(data.rows)) {
+            return data;
+        }
+
+        if (Array.isArray(data) && data.length > 0) {
+            if (data.every(value => typeof value === 'number')) {
+                return { columns: ['value'], rows: data.map(value => ({ value })) };
+            }
+            if (data.every(value => value && typeof value === 'object' && !Array.isArray(value))) {
+                return tableFromRecords(data);
+            }
+            return null;
+        }
+
+        if (data && typeof data === 'object') {
+            const arrays = Object.entries(data).filter(([, value]) => Array.isArray(value));
+
+            if (arrays.length === 0) {
+                return null;
+            }
+            if (arrays.length === 1 && arrays[0][1].every(value => value && typeof value === 'object')) {
+                return tableFromRecords(arrays[0][1]);
+            }
+
+            const length = Math.max(...arrays.map(([, values]) => values.length));
+            const columns = arrays.map(([key]) => key);
+            const rows = Array.from({ length }, (_, index) => {
+                const row = {};
+                arrays.forEach(([key, values]) => {
+                    row[key] = typeof values[index] === 'number' ? values[index] : null;
+                });
+                return row;
+            });
+
+            return { columns, rows };
+        }
+
+        return null;
+    }
+
+    // Trend, seasonality and outliers for each numeric column, in time order
+    // when the table has a date column, plus pairwise correlations
+    analyzeTrends(table, options = {}) {
+        const numericColumns = this.getNumericColumns(table, options.columns);
+        if (numericColumns.length === 0) {
+            return null;
+        }
+
+        const timeColumn = options.timeColumn || this.findDateColumn(table);
+        const ordered = this.orderRows(table, timeColumn);
+        const window = Math.max(1, parseInt(options.window, 10) || this.config.movingAverageWindow);
+
+        const series = numericColumns
+            .filter(column => column !== timeColumn)
+            .map(column => {
+                const points = ordered
+                    .filter(({ row }) => typeof row[column] === 'number')
+                    .map(({ row, number }) => ({ row: number, value: row[column], at: timeColumn ? row[timeColumn] : undefined }));
+                const values = points.map(point => point.value);
+
+                return {
+                    column: column,
+                    count: values.length,
+                    descriptive: this.describe(values),
+                    trend: this.linearTrend(values),
+                    // position is the point's index in the ordered series, which the trend line is fitted over
+                    points: this.samplePoints(points.map((point, position) => ({ ...point, position }))),
+                    movingAverage: {
+                        window: window,
+                        values: this.samplePoints(this.movingAverage(values, window).map((value, index) => ({
+                            row: points[index + window - 1].row,
+                            at: points[index + window - 1].at,
+                            value: value
+                        })))
+                    },
+                    seasonality: this.seasonality(values),
+                    outliers: this.outliers(points)
+                };
+            });
+
+        return {
+            rowCount: table.rows.length,
+            orderedBy: timeColumn || 'row',
+            series: series,
+            correlations: this.correlations(table, numericColumns)
+        };
+    }
+
+    // Per-group statistics for each numeric column. Without a categorical
+    // column to group by, the numeric columns are compared with each other.
+    compareGroups(table, options = {}) {
+        const numericColumns = this.getNumericColumns(table, options.columns);
+        if (numericColumns.length === 0) {
+            return null;
+        }
+
+        const groupColumn = options.groupColumn || this.findGroupColumn(table, numericColumns);
+
+        if (!groupColumn) {
+            const groups = numericColumns.map(column => ({
+                group: column,
+                ...this.describe(table.rows.map(row => row[column]).filter(value => typeof value === 'number'))
+            }));
+
+            return {
+                groupColumn: null,
+                rowCount: table.rows.length,
+                comparisons: [this.rankGroups('value', groups)],
+                correlations: this.correlations(table, numericColumns)
+            };
+        }
+
+        const buckets = new Map();
+        for (const row of table.rows) {
+            const key = row[groupColumn] === null || row[groupColumn] === undefined ? '(blank)' : String(row[groupColumn]);
+            if (!buckets.has(key)) {
+                buckets.set(key, []);
+            }
+            buckets.get(key).push(row);
+        }
+
+        const comparisons = numericColumns
+            .filter(column => column !== groupColumn)
+            .map(column => this.rankGroups(column, [...buckets.entries()].map(([group, rows]) => ({
+                group: group,
+                ...this.describe(rows.map(row => row[column]).filter(value => typeof value === 'number'))
+            }))));
+
+        return {
+            groupColumn: groupColumn,
+            rowCount: table.rows.length,
+            groupCount: buckets.size,
+            comparisons: comparisons
+        };
+    }
+
+    rankGroups(column, groups) {
+        const ranked = groups.filter(group => group.count > 0).sort((a, b) => b.mean - a.mean);
+        const highest = ranked[0];
+        const lowest = ranked[ranked.length - 1];
+
+        return {
+            column: column,
+            groups: ranked,
+            highest: highest ? { group: highest.group, mean: highest.mean } : null,
+            lowest: lowest ? { group: lowest.group, mean: lowest.mean } : null,
+            difference: highest ? round(highest.mean - lowest.mean) : null,
+            differencePercent: highest && lowest.mean !== 0
+                ? round(((highest.mean - lowest.mean) / Math.abs(lowest.mean)) * 100)
+                : null
+        };
+    }
+
+    describe(values) {
+        if (values.length === 0) {
+            return { count: 0 };
+        }
+
+        const sorted = values.slice().sort((a, b) => a - b);
+        const sum = values.reduce((total, value) => total + value, 0);
+        const mean = sum / values.length;
+        const variance = values.length > 1
+            ? values.reduce((total, value) => total + (value - mean) ** 2, 0) / (values.length - 1)
+            : 0;
+
+        return {
+            count: values.length,
+            sum: round(sum),
+            mean: round(mean),
+            median: round(quantile(sorted, 0.5)),
+            stdDev: round(Math.sqrt(variance)),
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            q1: round(quantile(sorted, 0.25)),
+            q3: round(quantile(sorted, 0.75))
+        };
+    }
+
+    // Trailing simple moving average; the first value covers points 1..window
+    movingAverage(values, window) {
+        const averages = [];
+        let total = 0;
+
+        values.forEach((value, index) => {
+            total += value;
+            if (index >= window) {
+                total -= values[index - window];
+            }
+            if (index >= window - 1) {
+                averages.push(round(total / window));
+            }
+        });
+
+        return averages;
+    }
+
+    // Least-squares line over the series position. A trend explaining under
+    // 10% of the variance, or moving the fitted value by under 1%, is flat.
+    linearTrend(values) {
+        const n = values.length;
+        if (n < 3) {
+            return null;
+        }
+
+        const { slope, intercept, r2 } = fitLine(values);
+        const start = intercept;
+        const end = intercept + slope * (n - 1);
+        const changePercent = start !== 0 ? ((end - start) / Math.abs(start)) * 100 : null;
+        const flat = r2 < 0.1 || (changePercent !== null && Math.abs(changePercent) < 1);
+
+        return {
+            slope: round(slope),
+            intercept: round(intercept),
+            r2: round(r2),
+            direction: flat ? 'flat' : slope > 0 ? 'increasing' : 'decreasing',
+            changePercent: changePercent === null ? null : round(changePercent)
+        };
+    }
+
+    // Strongest autocorrelation of the detrended series across candidate
+    // periods; needs at least two full cycles of data to report one
+    seasonality(values) {
+        const n = values.length;
+        const maxPeriod = Math.min(this.config.maxSeasonalPeriod, Math.floor(n / 2));
+        if (maxPeriod < 2) {
+            return null;
+        }
+
+        const { slope, intercept } = fitLine(values);
+        const residuals = values.map((value, index) => value - (intercept + slope * index));
+        const variance = residuals.reduce((total, value) => total + value * value, 0);
+        if (variance === 0) {
+            return null;
+        }
+
+        let best = null;
+        for (let period = 2; period <= maxPeriod; period++) {
+            let covariance = 0;
+            for (let index = period; index < n; index++) {
+                covariance += residuals[index] * residuals[index - period];
+            }
+
+            const strength = covariance / variance;
+            if (!best || strength > best.strength) {
+                best = { period, strength };
+            }
+        }
+
+        return best.strength >= this.config.minSeasonalStrength
+            ? { period: best.period, strength: round(best.strength) }
+            : null;
+    }
+
+    // Points outside the 1.5 IQR fences or beyond the z-score threshold,
+    // most extreme first
+    outliers(points) {
+        const values = points.map(point => point.value);
+        if (values.length < 4) {
+            return [];
+        }
+
+        const stats = this.describe(values);
+        const spread = stats.q3 - stats.q1;
+        const lowerFence = stats.q1 - 1.5 * spread;
+        const upperFence = stats.q3 + 1.5 * spread;
+
+        return points
+            .map(point => ({
+                ...point,
+                zScore: stats.stdDev > 0 ? round((point.value - stats.mean) / stats.stdDev) : 0
+            }))
+            .filter(point => point.value < lowerFence || point.value > upperFence ||
+                Math.abs(point.zScore) >= this.config.outlierZScore)
+            .sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore))
+            .slice(0, 10)
+            .map(point => ({ ...point, direction: point.value > stats.mean ? 'high' : 'low' }));
+    }
+
+    // Pearson r for every pair of numeric columns over rows where both are set
+    correlations(table, columns) {
+        const pairs = [];
+
+        for (let i = 0; i < columns.length; i++) {
+            for (let j = i + 1; j < columns.length; j++) {
+                const rows = table.rows.filter(row => typeof row[columns[i]] === 'number' && typeof row[columns[j]] === 'number');
+                const r = this.correlation(rows.map(row => row[columns[i]]), rows.map(row => row[columns[j]]));
+
+                if (r !== null) {
+                    pairs.push({ columns: [columns[i], columns[j]], r: round(r), n: rows.length, strength: describeCorrelation(r) });
+                }
+            }
+        }
+
+        return pairs.sort((a, b) => Math.abs(b.r) - Math.abs(a.r));
+    }
+
+    correlation(xs, ys) {
+        const n = xs.length;
+        if (n < 3) {
+            return null;
+        }
+
+        const meanX = xs.reduce((total, value) => total + value, 0) / n;
+        const meanY = ys.reduce((total, value) => total + value, 0) / n;
+        let covariance = 0;
+        let varianceX = 0;
+        let varianceY = 0;
+
+        for (let index = 0; index < n; index++) {
+            covariance += (xs[index] - meanX) * (ys[index] - meanY);
+            varianceX += (xs[index] - meanX) ** 2;
+            varianceY += (ys[index] - meanY) ** 2;
+        }
+
+        return varianceX === 0 || varianceY === 0 ? null : covariance / Math.sqrt(varianceX * varianceY);
+    }
+
+    getNumericColumns(table, requested) {
+        const candidates = requested && requested.length
+            ? table.columns.filter(column => requested.includes(column))
+            : table.columns;
+
+        return candidates
+            .filter(column => {
+                const present = table.rows.map(row => row[column]).filter(value => value !== null && value !== undefined);
+                return present.length > 0 && present.every(value => typeof value === 'number');
+            })
+            .slice(0, this.config.maxColumns);
+    }
+
+    findDateColumn(table) {
+        return table.columns.find(column => {
+            const present = table.rows.map(row => row[column]).filter(value => value !== null && value !== undefined);
+            return present.length > 0 && present.every(value => isDateString(value));
+        }) || null;
+    }
+
+    // First text column with a manageable number of distinct values
+    findGroupColumn(table, numericColumns) {
+        return table.columns.find(column => {
+            if (numericColumns.includes(column)) {
+                return false;
+            }
+
+            const present = table.rows.map(row => row[column]).filter(value => value !== null && value !== undefined);
+            const distinct = new Set(present.map(String)).size;
+            return present.length > 0 && distinct >= 2 && distinct <= this.config.maxGroups && distinct < present.length;
+        }) || null;
+    }
+
+    // Rows paired with their 1-based number, sorted by the time column if given
+    orderRows(table, timeColumn) {
+        const numbered = table.rows.map((row, index) => ({ row, number: index + 1 }));
+
+        if (!timeColumn) {
+            return numbered;
+        }
+
+        return numbered
+            .filter(({ row }) => row[timeColumn] !== null && row[timeColumn] !== undefined)
+            .sort((a, b) => Date.parse(a.row[timeColumn]) - Date.parse(b.row[timeColumn]) || a.number - b.number);
+    }
+
+    // Long series are thinned to evenly spaced points, keeping the last one
+    samplePoints(points) {
+        const limit = this.config.maxSeriesPoints;
+        if (points.length <= limit) {
+            return points;
+        }
+
+        const step = (points.length - 1) / (limit - 1);
+        return Array.from({ length: limit }, (_, index) => points[Math.round(index * step)]);
+    }
+}
+
+function fitLine(values) {
+    const n = values.length;
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((total, value) => total + value, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+
+    values.forEach((value, index) => {
+        covariance += (index - meanX) * (value - meanY);
+        varianceX += (index - meanX) ** 2;
+        varianceY += (value - meanY) ** 2;
+    });
+
+    const slope = varianceX === 0 ? 0 : covariance / varianceX;
+    const r2 = varianceY === 0 ? 0 : (covariance * covariance) / (varianceX * varianceY);
+
+    return { slope, intercept: meanY - slope * meanX, r2 };
+}
+
+// Linear interpolation between closest ranks
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function describeCorrelation(r) {
+    const size = Math.abs(r);
+    const direction = r > 0 ? 'positive' : 'negative';
+
+    if (size >= 0.7) return `strong ${direction}`;
+    if (size >= 0.4) return `moderate ${direction}`;
+    if (size >= 0.2) return `weak ${direction}`;
+    return 'none';
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+module.exports = StatisticalEngine;
@@ -0,0 +1,102 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// One JSON file per record in a directory, each owned by the user who
+// created it. Used for payloads too large for the task queue's TEXT column
+// (uploaded datasets, generated projects) that agents load back by id.
+class JsonRecordStore {
+    constructor({ directory, prefix, label }) {
+        this.directory = path.resolve(directory);
+        this.prefix = prefix;
+        this.label = label;
+        this.idPattern = new RegExp(`^${prefix}_\\d+_[a-z0-9]+$`);
+    }
+
+    async save(userId, data) {
+        const record = {
+            id: `${this.prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            userId: userId,
+            createdAt: new Date().toISOString(),
+            ...data
+        };
+
+        await this.write(record);
+        return record;
+    }
+
+    // Only the owning user can read a record back; anyone else gets a 404
+    async load(id, userId) {
+        if (!this.idPattern.test(String(id))) {
+            throw this.createNotFoundError(id);
+        }
+
+        let record;
+        try {
+            record = JSON.parse(await fs.readFile(this.getPath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw this.createNotFoundError(id);
+            }
+            throw error;
+        }
+
+        if (userId !== undefined && String(record.userId) !== String(userId)) {
+            throw this.createNotFoundError(id);
+        }
+
+        return record;
+    }
+
+    async update(id, userId, changes) {
+        const record = await this.load(id, userId);
+        const updated = { ...record, ...changes, id: record.id, userId: record.userId, updatedAt: new Date().toISOString() };
+
+        await this.write(updated);
+        return updated;
+    }
+
+    async deleteOlderThan(days) {
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        let deleted = 0;
+        let files;
+
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return 0;
+            }
+            throw error;
+        }
+
+        for (const file of files.filter(name => name.startsWith(`${this.prefix}_`) && name.endsWith('.json'))) {
+            const filePath = path.join(this.directory, file);
+            const stats = await fs.stat(filePath);
+
+            if (stats.mtimeMs < cutoff) {
+                await fs.unlink(filePath);
+                deleted++;
+            }
+        }
+
+        return deleted;
+    }
+
+    async write(record) {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(this.getPath(record.id), JSON.stringify(record));
+    }
+
+    getPath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    createNotFoundError(id) {
+        const error = new Error(`${this.label} ${id} not found`);
+        error.status = 404;
+        error.code = `${this.label.toUpperCase()}_NOT_FOUND`;
+        return error;
+    }
+}
+
+module.exports = JsonRecordStore;
@@ -0,0 +1,41 @@
+// Reads a server-sent event stream (as returned by axios with
+// responseType: 'stream') and calls onData with each parsed `data:` payload.
+async function readEventStream(stream, onData) {
+    let buffer = '';
+
+    for await (const chunk of stream) {
+        buffer += chunk.toString('utf8');
+
+        // Events are newline delimited; keep any partial line for the next chunk
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        lines.forEach(line => dispatchLine(line, onData));
+    }
+
+    dispatchLine(buffer, onData);
+}
+
+function dispatchLine(line, onData) {
+    const data = parseStreamLine(line);
+    if (data) {
+        onData(data);
+    }
+}
+
+function parseStreamLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return null;
+
+    const payload = trimmed.slice(5).trim();
+    if (!payload || payload === '[DONE]') return null;
+
+    try {
+        return JSON.parse(payload);
+    } catch (error) {
+        console.error('Failed to parse stream chunk:', error.message);
+        return null;
+    }
+}
+
+module.exports = { readEventStream, parseStreamLine };
@@ -0,0 +1,66 @@
+// Returns streamTaskResponse(req, res, task), which runs the task inline on
+// the orchestrator and relays it as server-sent events: start, token,
+// progress, then completed or error. Errors raised before the stream opens
+// (validation, limits) are returned as regular JSON responses, and a client
+// that disconnects cancels the task.
+function createTaskStreamer(orchestrator) {
+    return async function streamTaskResponse(req, res, task) {
+        const controller = new AbortController();
+        let streaming = false;
+
+        const send = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            // Compression buffers output unless flushed explicitly
+            if (res.flush) res.flush();
+        };
+
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+
+        try {
+            const { taskId, result } = await orchestrator.streamTask(task, req.user, {
+                signal: controller.signal,
+                onStart: (taskId) => {
+                    streaming = true;
+                    res.set({
+                        'Content-Type': 'text/event-stream',
+                        'Cache-Control': 'no-cache',
+                        'Connection': 'keep-alive',
+                        'X-Accel-Buffering': 'no'
+                    });
+                    res.flushHeaders();
+
+                    const start = { taskId };
+                    if (req.adServed) {
+                        start.adRequired = true;
+                        start.adData = req.requiredAd;
+                    }
+                    send('start', start);
+                },
+                onToken: (token) => send('token', { token }),
+                onProgress: (progress, message) => send('progress', { progress, message })
+            });
+
+            send('completed', { taskId, result });
+            res.end();
+
+        } catch (error) {
+            console.error('Task streaming error:', error);
+
+            if (!streaming) {
+                return res.status(error.status || 400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            if (!res.writableEnded && !controller.signal.aborted) {
+                send('error', { error: error.message, code: error.code });
+                res.end();
+            }
+        }
+    };
+}
+
+module.exports = { createTaskStreamer };
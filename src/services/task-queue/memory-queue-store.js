@@ -0,0 +1,58 @@
+// In-memory queue storage. Used by tests and local development; the
+// contents are lost when the process exits.
+class MemoryQueueStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async insert(record) {
+        this.records.set(record.id, this.clone(record));
+        return this.clone(record);
+    }
+
+    async update(id, changes) {
+        const record = this.records.get(id);
+        if (!record) {
+            return null;
+        }
+
+        const updated = { ...record, ...changes, updatedAt: new Date() };
+        this.records.set(id, updated);
+        return this.clone(updated);
+    }
+
+    async get(id) {
+        const record = this.records.get(id);
+        return record ? this.clone(record) : null;
+    }
+
+    async remove(id) {
+        return this.records.delete(id);
+    }
+
+    async list(statuses = ['queued', 'processing']) {
+        return Array.from(this.records.values())
+            .filter(record => statuses.includes(record.status))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .map(record => this.clone(record));
+    }
+
+    async countByStatus() {
+        const counts = { queued: 0, processing: 0 };
+
+        this.records.forEach(record => {
+            counts[record.status] = (counts[record.status] || 0) + 1;
+        });
+
+        return counts;
+    }
+
+    clone(record) {
+        return {
+            ...record,
+            task: record.task ? JSON.parse(JSON.stringify(record.task)) : record.task
+        };
+    }
+}
+
+module.exports = MemoryQueueStore;
@@ -0,0 +1,107 @@
+const db = require('../database/mysql-connector');
+
+// Persists queue records in the task_queue table so queued and in-flight
+// tasks survive restarts. See migrations/003-task-queue.sql.
+class MySQLQueueStore {
+    constructor() {
+        this.columns = {
+            id: 'id',
+            userId: 'user_id',
+            userTier: 'user_tier',
+            type: 'task_type',
+            agentType: 'agent_type',
+            task: 'task_data',
+            status: 'status',
+            attempts: 'attempts',
+            error: 'last_error',
+            createdAt: 'created_at',
+            startedAt: 'started_at',
+            availableAt: 'available_at',
+            deadLetteredAt: 'dead_lettered_at'
+        };
+    }
+
+    async insert(record) {
+        const fields = Object.keys(this.columns).filter(field => record[field] !== undefined);
+
+        await db.execute(
+            `INSERT INTO task_queue (${fields.map(field => this.columns[field]).join(', ')}, updated_at)
+             VALUES (${fields.map(() => '?').join(', ')}, NOW())`,
+            fields.map(field => this.serialize(field, record[field]))
+        );
+
+        return record;
+    }
+
+    async update(id, changes) {
+        const fields = Object.keys(changes).filter(field => this.columns[field] && field !== 'id');
+
+        if (fields.length > 0) {
+            await db.execute(
+                `UPDATE task_queue
+                 SET ${fields.map(field => `${this.columns[field]} = ?`).join(', ')}, updated_at = NOW()
+                 WHERE id = ?`,
+                [...fields.map(field => this.serialize(field, changes[field])), id]
+            );
+        }
+
+        return await this.get(id);
+    }
+
+    async get(id) {
+        const [rows] = await db.execute('SELECT * FROM task_queue WHERE id = ?', [id]);
+        return rows[0] ? this.toRecord(rows[0]) : null;
+    }
+
+    async remove(id) {
+        const [result] = await db.execute('DELETE FROM task_queue WHERE id = ?', [id]);
+        return result.affectedRows > 0;
+    }
+
+    async list(statuses = ['queued', 'processing']) {
+        const [rows] = await db.execute(
+            `SELECT * FROM task_queue
+             WHERE status IN (${statuses.map(() => '?').join(', ')})
+             ORDER BY created_at ASC`,
+            statuses
+        );
+
+        return rows.map(row => this.toRecord(row));
+    }
+
+    async countByStatus() {
+        const [rows] = await db.execute(
+            'SELECT status, COUNT(*) as count FROM task_queue GROUP BY status'
+        );
+
+        const counts = { queued: 0, processing: 0 };
+        rows.forEach(row => {
+            counts[row.status] = row.count;
+        });
+
+        return counts;
+    }
+
+    serialize(field, value) {
+        if (field === 'task') {
+            return JSON.stringify(value);
+        }
+
+        return value === undefined ? null : value;
+    }
+
+    toRecord(row) {
+        const record = {};
+
+        Object.keys(this.columns).forEach(field => {
+            record[field] = row[this.columns[field]];
+        });
+
+        record.task = typeof row.task_data === 'string' ? JSON.parse(row.task_data) : row.task_data;
+        record.updatedAt = row.updated_at;
+
+        return record;
+    }
+}
+
+module.exports = MySQLQueueStore;
@@ -0,0 +1,56 @@
+// Decides whether a failed task should be retried and how long to wait.
+// Only transient provider failures (rate limits, timeouts, 5xx, dropped
+// connections) are retried; anything else fails immediately.
+class RetryPolicy {
+    constructor(config = {}) {
+        this.defaults = {
+            maxAttempts: 3,
+            baseDelay: 2000,
+            maxDelay: 60000,
+            jitter: 0.2,
+            ...config.default
+        };
+        this.agentPolicies = config.agents || {};
+    }
+
+    getPolicy(agentType) {
+        return { ...this.defaults, ...this.agentPolicies[agentType] };
+    }
+
+    shouldRetry(error, attempts, agentType) {
+        const policy = this.getPolicy(agentType);
+        return RetryPolicy.isRetryable(error) && attempts < policy.maxAttempts;
+    }
+
+    isExhausted(error, attempts, agentType) {
+        return RetryPolicy.isRetryable(error) && !this.shouldRetry(error, attempts, agentType);
+    }
+
+    // Exponential backoff: baseDelay * 2^(attempt - 1), capped at maxDelay,
+    // then spread by +/- jitter so retries from one outage don't line up.
+    getDelay(attempts, agentType, random = Math.random) {
+        const policy = this.getPolicy(agentType);
+        const exponential = Math.min(policy.baseDelay * Math.pow(2, Math.max(0, attempts - 1)), policy.maxDelay);
+        const spread = exponential * policy.jitter;
+
+        return Math.round(exponential - spread + (random() * spread * 2));
+    }
+
+    static isRetryable(error) {
+        if (!error) return false;
+
+        const statusCode = error.statusCode || error.response?.status;
+        if (statusCode === 408 || statusCode === 429 || (statusCode >= 500 && statusCode < 600)) {
+            return true;
+        }
+
+        const transientCodes = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+        if (transientCodes.includes(error.code)) {
+            return true;
+        }
+
+        return /timeout|timed out|rate limit/i.test(error.message || '');
+    }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,57 @@
+// Decides the order in which queued tasks are handed to workers.
+// Higher tiers go first; inside a tier, users take turns (round-robin) so
+// one user with a large backlog can't starve everyone else. Tasks that
+// have waited a long time are aged up a tier so free users always progress.
+class TaskScheduler {
+    constructor(options = {}) {
+        this.tierPriority = options.tierPriority || {
+            'enterprise': 3,
+            'premium': 2,
+            'basic': 1,
+            'free': 0
+        };
+        this.agingInterval = options.agingInterval || 5 * 60 * 1000; // 5 minutes per tier step
+    }
+
+    // Returns waiting tasks in the order they will be claimed. Tasks already
+    // running count towards their user's turn.
+    order(waiting, running = [], now = Date.now()) {
+        const turns = new Map();
+        running.forEach(task => {
+            turns.set(task.userId, (turns.get(task.userId) || 0) + 1);
+        });
+
+        const byAge = [...waiting].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        const ranked = byAge.map(task => {
+            const round = turns.get(task.userId) || 0;
+            turns.set(task.userId, round + 1);
+
+            return {
+                task: task,
+                priority: this.getEffectivePriority(task, now),
+                round: round,
+                createdAt: new Date(task.createdAt).getTime()
+            };
+        });
+
+        ranked.sort((a, b) =>
+            (b.priority - a.priority) ||
+            (a.round - b.round) ||
+            (a.createdAt - b.createdAt)
+        );
+
+        return ranked.map(entry => entry.task);
+    }
+
+    getEffectivePriority(task, now = Date.now()) {
+        const base = this.tierPriority[task.userTier] || 0;
+        const waited = Math.max(0, now - new Date(task.createdAt).getTime());
+        const aged = Math.floor(waited / this.agingInterval);
+        const maxPriority = Math.max(...Object.values(this.tierPriority));
+
+        return Math.min(base + aged, maxPriority);
+    }
+}
+
+module.exports = TaskScheduler;
@@ -0,0 +1,142 @@
+const TaskScheduler = require('./scheduler');
+
+// Durable task queue used by the orchestrator. Storage is pluggable: any
+// object implementing insert/update/get/remove/list/countByStatus works.
+class TaskQueue {
+    constructor(store = null, scheduler = null) {
+        this.store = store || TaskQueue.createStore(process.env.TASK_QUEUE_STORE);
+        this.scheduler = scheduler || new TaskScheduler();
+    }
+
+    static createStore(type = 'mysql') {
+        switch (type) {
+            case 'memory': {
+                const MemoryQueueStore = require('./memory-queue-store');
+                return new MemoryQueueStore();
+            }
+            case 'mysql':
+            default: {
+                const MySQLQueueStore = require('./mysql-queue-store');
+                return new MySQLQueueStore();
+            }
+        }
+    }
+
+    async enqueue(queuedTask) {
+        return await this.store.insert({
+            ...queuedTask,
+            status: 'queued',
+            attempts: queuedTask.attempts || 0
+        });
+    }
+
+    // Marks the first task in scheduling order accepted by canRun as
+    // processing and returns it, or null when nothing eligible is waiting.
+    async claimNext(canRun = () => true) {
+        const now = Date.now();
+        const waiting = await this.getWaiting();
+        const next = waiting.find(task => this.isAvailable(task, now) && canRun(task));
+        if (!next) {
+            return null;
+        }
+
+        return await this.store.update(next.id, {
+            status: 'processing',
+            attempts: (next.attempts || 0) + 1,
+            startedAt: new Date()
+        });
+    }
+
+    // Tasks waiting out a retry backoff are skipped until availableAt
+    isAvailable(task, now = Date.now()) {
+        return !task.availableAt || new Date(task.availableAt).getTime() <= now;
+    }
+
+    async update(taskId, changes) {
+        return await this.store.update(taskId, changes);
+    }
+
+    async scheduleRetry(taskId, delay, errorMessage) {
+        return await this.store.update(taskId, {
+            status: 'queued',
+            availableAt: new Date(Date.now() + delay),
+            error: errorMessage
+        });
+    }
+
+    // Dead-lettered tasks stay in storage, out of the scheduling path,
+    // until an admin re-enqueues them.
+    async deadLetter(taskId, errorMessage) {
+        return await this.store.update(taskId, {
+            status: 'dead_letter',
+            error: errorMessage,
+            deadLetteredAt: new Date()
+        });
+    }
+
+    async getDeadLetters() {
+        return await this.store.list(['dead_letter']);
+    }
+
+    async requeue(taskId) {
+        const task = await this.store.get(taskId);
+        if (!task || task.status !== 'dead_letter') {
+            return null;
+        }
+
+        return await this.store.update(taskId, {
+            status: 'queued',
+            attempts: 0,
+            availableAt: null,
+            deadLetteredAt: null
+        });
+    }
+
+    async complete(taskId) {
+        return await this.store.remove(taskId);
+    }
+
+    async get(taskId) {
+        return await this.store.get(taskId);
+    }
+
+    // Queued tasks in the order the scheduler will hand them out
+    async getWaiting() {
+        const tasks = await this.store.list(['queued', 'processing']);
+        const waiting = tasks.filter(task => task.status === 'queued');
+        const running = tasks.filter(task => task.status === 'processing');
+
+        return this.scheduler.order(waiting, running);
+    }
+
+    async getPosition(taskId) {
+        const waiting = await this.getWaiting();
+        const index = waiting.findIndex(task => task.id === taskId);
+        return index === -1 ? 0 : index + 1;
+    }
+
+    // Tasks that were mid-flight when the process stopped. They keep their
+    // processing status so the orchestrator can resume them, and each
+    // recovery counts as an attempt: a task that takes the process down
+    // with it must not be resumed forever.
+    async recover() {
+        const interrupted = await this.store.list(['processing']);
+
+        return await Promise.all(interrupted.map(task => this.store.update(task.id, {
+            attempts: (task.attempts || 0) + 1,
+            startedAt: new Date()
+        })));
+    }
+
+    async getStats() {
+        const counts = await this.store.countByStatus();
+
+        return {
+            queued: counts.queued || 0,
+            processing: counts.processing || 0,
+            deadLetter: counts.dead_letter || 0
+        };
+    }
+}
+
+module.exports = TaskQueue;
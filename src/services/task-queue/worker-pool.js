@@ -0,0 +1,135 @@
+// Runs queued tasks in parallel up to a global limit, with a separate cap
+// for each agent type so slow providers (e.g. voice) can't take every slot.
+class WorkerPool {
+    constructor(options = {}, handlers = {}) {
+        this.maxConcurrency = options.maxConcurrency || 10;
+        this.agentConcurrency = options.agentConcurrency || {};
+        this.pollInterval = options.pollInterval || 1000;
+
+        this.claim = handlers.claim;
+        this.run = handlers.run;
+
+        this.active = new Map();
+        this.running = new Set();
+        this.filling = null;
+        this.refill = false;
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.fill(), this.pollInterval);
+        this.fill();
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        // Let in-flight tasks finish; anything still queued stays in storage
+        await Promise.allSettled(Array.from(this.running));
+    }
+
+    // Called when new work arrives so it starts without waiting for the next poll
+    notify() {
+        if (this.timer) {
+            this.fill();
+        }
+    }
+
+    hasCapacity(agentType) {
+        if (this.getActiveCount() >= this.maxConcurrency) {
+            return false;
+        }
+
+        const limit = this.agentConcurrency[agentType];
+        if (limit === undefined || limit === -1) {
+            return true;
+        }
+
+        return (this.active.get(agentType) || 0) < limit;
+    }
+
+    getActiveCount() {
+        return this.running.size;
+    }
+
+    // Claims as many tasks as there are free slots. Concurrent calls share
+    // the same pass, which loops again if more work arrived meanwhile.
+    fill() {
+        if (this.filling) {
+            this.refill = true;
+            return this.filling;
+        }
+
+        this.filling = this.claimAvailable().finally(() => {
+            this.filling = null;
+        });
+
+        return this.filling;
+    }
+
+    async claimAvailable() {
+        try {
+            do {
+                this.refill = false;
+
+                while (this.timer && this.getActiveCount() < this.maxConcurrency) {
+                    const task = await this.claim(candidate => this.hasCapacity(this.getAgentType(candidate)));
+                    if (!task) break;
+
+                    this.launch(task);
+                }
+            } while (this.refill && this.timer);
+        } catch (error) {
+            console.error('Worker pool error:', error);
+        }
+    }
+
+    launch(task) {
+        this.track(task, () => this.run(task))
+            .catch(error => console.error(`Worker failed on task ${task.id}:`, error));
+    }
+
+    // Runs work outside the queue (e.g. a streamed task) in one of the
+    // pool's slots so it counts against the same limits. Returns null
+    // without running it when no slot is free for the task's agent.
+    runInline(task, work) {
+        if (!this.hasCapacity(this.getAgentType(task))) {
+            return null;
+        }
+
+        return this.track(task, work);
+    }
+
+    track(task, work) {
+        const agentType = this.getAgentType(task);
+        this.active.set(agentType, (this.active.get(agentType) || 0) + 1);
+
+        const execution = Promise.resolve()
+            .then(work)
+            .finally(() => {
+                this.active.set(agentType, this.active.get(agentType) - 1);
+                this.running.delete(execution);
+                this.notify();
+            });
+
+        this.running.add(execution);
+        return execution;
+    }
+
+    getAgentType(task) {
+        return task.agentType || task.task?.agentType;
+    }
+
+    getStats() {
+        return {
+            active: this.getActiveCount(),
+            maxConcurrency: this.maxConcurrency,
+            byAgent: Object.fromEntries(this.active)
+        };
+    }
+}
+
+module.exports = WorkerPool;
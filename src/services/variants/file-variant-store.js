@@ -0,0 +1,74 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// File-backed variant sets for deployments without MySQL, one JSON file per set
+class FileVariantStore {
+    constructor(options = {}) {
+        this.directory = path.resolve(options.directory);
+    }
+
+    async insertSet(variantSet) {
+        await this.write({ ...variantSet, updatedAt: variantSet.createdAt });
+        return await this.getSet(variantSet.id);
+    }
+
+    async getSet(id) {
+        if (!/^vset_\d+_[a-z0-9]+$/.test(String(id))) {
+            return null;
+        }
+
+        try {
+            return this.toSet(JSON.parse(await fs.readFile(this.getPath(id), 'utf8')));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async updateSet(id, changes) {
+        const variantSet = await this.getSet(id);
+        if (!variantSet) return null;
+
+        await this.write({ ...variantSet, ...changes, updatedAt: new Date() });
+        return await this.getSet(id);
+    }
+
+    // Most recently published first
+    async listPublished(userId, contentType, limit) {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const sets = await Promise.all(files
+            .filter(file => /^vset_[^.]+\.json$/.test(file))
+            .map(file => this.getSet(file.slice(0, -'.json'.length))));
+
+        return sets
+            .filter(set => set && set.userId === userId && set.contentType === contentType && set.publishedAt)
+            .sort((a, b) => b.publishedAt - a.publishedAt)
+            .slice(0, limit);
+    }
+
+    async write(variantSet) {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(this.getPath(variantSet.id), JSON.stringify(variantSet));
+    }
+
+    getPath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    toSet(record) {
+        return {
+            ...record,
+            createdAt: new Date(record.createdAt),
+            publishedAt: record.publishedAt ? new Date(record.publishedAt) : null
+        };
+    }
+}
+
+module.exports = FileVariantStore;
@@ -0,0 +1,70 @@
+const db = require('../database/mysql-connector');
+
+// Persists variant sets and publishing feedback. See migrations/012-content-variants.sql.
+class MySQLVariantStore {
+    async insertSet(variantSet) {
+        await db.execute(
+            `INSERT INTO variant_sets (id, user_id, task_id, content_type, prompt, keywords, variants, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                variantSet.id,
+                variantSet.userId,
+                variantSet.taskId,
+                variantSet.contentType,
+                variantSet.prompt,
+                JSON.stringify(variantSet.keywords || []),
+                JSON.stringify(variantSet.variants),
+                variantSet.createdAt,
+                variantSet.createdAt
+            ]
+        );
+
+        return await this.getSet(variantSet.id);
+    }
+
+    async getSet(id) {
+        const [rows] = await db.execute('SELECT * FROM variant_sets WHERE id = ?', [id]);
+        return rows[0] ? this.toSet(rows[0]) : null;
+    }
+
+    async updateSet(id, { selectedIndex, performance, publishedAt }) {
+        await db.execute(
+            `UPDATE variant_sets
+             SET selected_index = ?, performance = ?, published_at = ?, updated_at = NOW()
+             WHERE id = ?`,
+            [selectedIndex, performance ? JSON.stringify(performance) : null, publishedAt, id]
+        );
+
+        return await this.getSet(id);
+    }
+
+    async listPublished(userId, contentType, limit) {
+        const [rows] = await db.execute(
+            `SELECT * FROM variant_sets
+             WHERE user_id = ? AND content_type = ? AND published_at IS NOT NULL
+             ORDER BY published_at DESC
+             LIMIT ?`,
+            [userId, contentType, limit]
+        );
+
+        return rows.map(row => this.toSet(row));
+    }
+
+    toSet(row) {
+        return {
+            id: row.id,
+            userId: row.user_id,
+            taskId: row.task_id,
+            contentType: row.content_type,
+            prompt: row.prompt,
+            keywords: JSON.parse(row.keywords || '[]'),
+            variants: JSON.parse(row.variants),
+            selectedIndex: row.selected_index,
+            performance: row.performance ? JSON.parse(row.performance) : null,
+            publishedAt: row.published_at,
+            createdAt: row.created_at
+        };
+    }
+}
+
+module.exports = MySQLVariantStore;
@@ -0,0 +1,118 @@
+const aiConfig = require('../../../config/ai-config');
+const { learnPreferences } = require('./variant-scorer');
+
+const METRICS = ['impressions', 'clicks', 'likes', 'shares', 'comments', 'conversions', 'engagementRate'];
+
+// Remembers generated variant sets and which variant the user published,
+// with how it performed. Preferences learned from that history are what
+// bias later generations for the same user and content type.
+class VariantFeedbackService {
+    constructor(options = {}) {
+        this.config = options.config || aiConfig.variants;
+        this.store = options.store || VariantFeedbackService.createStore(process.env.VARIANT_STORE, this.config);
+    }
+
+    static createStore(type = 'mysql', config = aiConfig.variants) {
+        switch (type) {
+            case 'file': {
+                const FileVariantStore = require('./file-variant-store');
+                return new FileVariantStore({ directory: config.storageDir });
+            }
+            case 'mysql':
+            default: {
+                const MySQLVariantStore = require('./mysql-variant-store');
+                return new MySQLVariantStore();
+            }
+        }
+    }
+
+    // variants: [{ index, text, scores }] as returned to the user
+    async recordVariantSet(userId, { taskId, contentType, prompt, keywords = [], variants }) {
+        return await this.store.insertSet({
+            id: this.generateId('vset'),
+            userId: userId,
+            taskId: taskId || null,
+            contentType: contentType,
+            prompt: prompt,
+            keywords: keywords,
+            variants: variants,
+            selectedIndex: null,
+            performance: null,
+            publishedAt: null,
+            createdAt: new Date()
+        });
+    }
+
+    async getVariantSet(variantSetId, userId) {
+        const variantSet = await this.store.getSet(variantSetId);
+
+        if (!variantSet) {
+            throw this.createStatusError('Variant set not found', 404);
+        }
+        if (variantSet.userId !== userId) {
+            throw this.createStatusError('Access denied to this variant set', 403);
+        }
+
+        return variantSet;
+    }
+
+    // Can be called again as metrics come in; the latest report wins
+    async recordFeedback(variantSetId, userId, { selectedIndex, performance, publishedAt } = {}) {
+        const variantSet = await this.getVariantSet(variantSetId, userId);
+        const index = parseInt(selectedIndex, 10);
+
+        if (!variantSet.variants.some(variant => variant.index === index)) {
+            throw this.createStatusError(`selectedIndex must be one of ${variantSet.variants.map(variant => variant.index).join(', ')}`, 400);
+        }
+
+        const published = publishedAt ? new Date(publishedAt) : (variantSet.publishedAt || new Date());
+        if (isNaN(published.getTime())) {
+            throw this.createStatusError('publishedAt must be a date', 400);
+        }
+
+        return await this.store.updateSet(variantSetId, {
+            selectedIndex: index,
+            performance: this.normalizePerformance(performance),
+            publishedAt: published
+        });
+    }
+
+    async getPreferences(userId, contentType) {
+        const published = await this.store.listPublished(userId, contentType, this.config.feedbackWindow);
+        return learnPreferences(published, this.config);
+    }
+
+    normalizePerformance(performance) {
+        if (performance === undefined || performance === null) {
+            return null;
+        }
+        if (typeof performance !== 'object' || Array.isArray(performance)) {
+            throw this.createStatusError('performance must be an object of metrics', 400);
+        }
+
+        const normalized = {};
+        for (const metric of METRICS) {
+            if (performance[metric] === undefined || performance[metric] === null) continue;
+
+            const value = Number(performance[metric]);
+            if (!Number.isFinite(value) || value < 0) {
+                throw this.createStatusError(`${metric} must be a non-negative number`, 400);
+            }
+            normalized[metric] = value;
+        }
+
+        return Object.keys(normalized).length > 0 ? normalized : null;
+    }
+
+    generateId(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    createStatusError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+module.exports = VariantFeedbackService;
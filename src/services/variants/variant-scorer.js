@@ -0,0 +1,283 @@
+const aiConfig = require('../../../config/ai-config');
+
+// Scores drafts of creative copy so variants can be compared: readability
+// (Flesch reading ease), length fit for the content type, coverage of the
+// requested keywords and predicted engagement. Engagement starts from
+// copywriting heuristics and, once a user has published enough variants,
+// leans toward the traits of the ones that performed best for them.
+
+const CALL_TO_ACTION = /\b(?:buy|shop|order|get|try|start|join|sign up|subscribe|download|book|register|learn more|discover|claim|call|visit|click|reply|grab|save)\b/i;
+const EMOJI = /\p{Extended_Pictographic}/gu;
+const WORD = /[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu;
+
+// Traits learned from published variants, and how each is read off the features
+const TRAITS = {
+    question: features => features.questions > 0,
+    callToAction: features => features.callToAction,
+    numbers: features => features.numbers,
+    secondPerson: features => features.secondPerson >= 0.02,
+    emoji: features => features.emoji > 0,
+    hashtags: features => features.hashtags > 0
+};
+
+// Numeric features learned from published variants
+const TARGETS = ['words', 'characters', 'avgSentenceWords', 'readingEase'];
+
+function scoreVariant(text, { contentType, keywords = [], preferences = null } = {}, config = aiConfig.variants) {
+    const features = extractFeatures(text);
+    const readability = scoreReadability(features, config);
+    const lengthFit = scoreLengthFit(features, config.lengthTargets[contentType] || config.lengthTargets.blog_post);
+    const keywordCoverage = keywords.length > 0 ? scoreKeywords(text, keywords) : null;
+    const engagement = scoreEngagement(features, contentType, preferences);
+
+    const parts = { readability, lengthFit, keywordCoverage, engagement };
+    const weights = Object.entries(config.weights).filter(([part]) => parts[part]);
+    const totalWeight = weights.reduce((total, [, weight]) => total + weight, 0);
+    const overall = weights.reduce((total, [part, weight]) => total + parts[part].score * weight, 0) / totalWeight;
+
+    return {
+        overall: Math.round(overall),
+        readability,
+        lengthFit,
+        keywordCoverage,
+        engagement,
+        features
+    };
+}
+
+function extractFeatures(text) {
+    const raw = String(text || '');
+    const prose = raw
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\s*(?:#+|[-*>]|\d+\.)\s+/gm, '');
+    const words = prose.match(WORD) || [];
+    const sentences = prose.split(/[.!?]+\s|[.!?]+$|\n+/).filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+    const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+    const sentenceCount = Math.max(1, sentences.length);
+    const wordCount = Math.max(1, words.length);
+
+    return {
+        words: words.length,
+        characters: raw.trim().length,
+        sentences: sentences.length,
+        avgSentenceWords: round(words.length / sentenceCount, 1),
+        readingEase: round(206.835 - 1.015 * (wordCount / sentenceCount) - 84.6 * (syllables / wordCount), 1),
+        gradeLevel: round(0.39 * (wordCount / sentenceCount) + 11.8 * (syllables / wordCount) - 15.59, 1),
+        firstSentenceWords: sentences.length > 0 ? (sentences[0].match(WORD) || []).length : 0,
+        questions: (raw.match(/\?/g) || []).length,
+        exclamations: (raw.match(/!/g) || []).length,
+        callToAction: CALL_TO_ACTION.test(prose),
+        numbers: /\d/.test(prose),
+        secondPerson: round(words.filter(word => /^(?:you|your|yours|you're|you'll|yourself)$/i.test(word)).length / wordCount, 3),
+        emoji: (raw.match(EMOJI) || []).length,
+        hashtags: (raw.match(/(?:^|\s)#[\p{L}\p{N}_]+/gu) || []).length,
+        structured: /^\s*(?:#+|[-*]|\d+\.)\s+/m.test(raw),
+        shouting: (raw.match(/\b[A-Z]{4,}\b/g) || []).length
+    };
+}
+
+function scoreReadability(features, config) {
+    return {
+        score: clamp(Math.round(100 - Math.max(0, config.readabilityTarget - features.readingEase) * 2)),
+        readingEase: features.readingEase,
+        gradeLevel: features.gradeLevel
+    };
+}
+
+// Full marks inside the range, falling off in proportion outside it
+function scoreLengthFit(features, target) {
+    const value = target.unit === 'characters' ? features.characters : features.words;
+    let score = 100;
+
+    if (value < target.min) {
+        score = 100 * value / target.min;
+    } else if (value > target.max) {
+        score = 100 * target.max / value;
+    }
+
+    return { score: Math.round(score), unit: target.unit, value, min: target.min, max: target.max };
+}
+
+// Whole-word, case-insensitive, allowing a plural ending on each word
+function scoreKeywords(text, keywords) {
+    const found = [];
+    const missing = [];
+
+    for (const keyword of keywords) {
+        const pattern = keyword.trim().split(/\s+/)
+            .map(word => `${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:s|es)?`)
+            .join('[\\s-]+');
+        const matched = new RegExp(`(?<![\\p{L}\\p{N}])${pattern}(?![\\p{L}\\p{N}])`, 'iu').test(text);
+        (matched ? found : missing).push(keyword);
+    }
+
+    return { score: Math.round(100 * found.length / keywords.length), found, missing };
+}
+
+// signals name what the heuristic score credited; learned is the fit to
+// the user's past winners when there is enough feedback to use it
+function scoreEngagement(features, contentType, preferences) {
+    const signals = [];
+    let score = 0;
+    const credit = (signal, points) => {
+        signals.push(signal);
+        score += points;
+    };
+
+    if (features.firstSentenceWords > 0 && features.firstSentenceWords <= 12) credit('short-hook', 20);
+    if (features.callToAction) credit('call-to-action', 25);
+    if (features.secondPerson >= 0.02) credit('second-person', 15);
+    if (features.numbers) credit('specifics', 10);
+    if (features.questions > 0) credit('question', 10);
+
+    if (contentType === 'social_media') {
+        if (features.hashtags >= 1 && features.hashtags <= 3) credit('hashtags', 10);
+        if (features.emoji >= 1 && features.emoji <= 4) credit('emoji', 10);
+    } else if (features.structured || features.avgSentenceWords <= 20) {
+        credit('scannable', 20);
+    }
+
+    if (features.exclamations > 2) score -= 10;
+    if (features.shouting > 2) score -= 10;
+
+    const heuristic = clamp(score);
+
+    if (!preferences || !preferences.confidence) {
+        return { score: heuristic, signals, learned: null };
+    }
+
+    const learned = scorePreferenceFit(features, preferences);
+    return {
+        score: Math.round((1 - preferences.confidence) * heuristic + preferences.confidence * learned),
+        signals,
+        learned
+    };
+}
+
+// 100 when the variant looks like what performed best before
+function scorePreferenceFit(features, preferences) {
+    const fits = [];
+
+    // Characters only stand in for words where length is counted that way
+    for (const target of TARGETS.filter(name => name !== 'characters')) {
+        const expected = preferences.targets[target];
+        const actual = features[target];
+        if (expected === undefined || expected === null) continue;
+
+        fits.push(expected <= 0 || actual <= 0
+            ? (Math.abs(expected - actual) < 10 ? 100 : 50)
+            : 100 * Math.min(actual, expected) / Math.max(actual, expected));
+    }
+
+    for (const [trait, rate] of Object.entries(preferences.traits)) {
+        fits.push(100 * (TRAITS[trait](features) ? rate : 1 - rate));
+    }
+
+    return fits.length > 0 ? Math.round(fits.reduce((total, fit) => total + fit, 0) / fits.length) : 50;
+}
+
+// records: published variant sets ({ variants, selectedIndex, performance }).
+// Winners are weighted by how they performed relative to the user's median,
+// so a post that did twice as well counts twice as much.
+function learnPreferences(records, config = aiConfig.variants) {
+    const winners = records
+        .map(record => ({ features: record.variants[record.selectedIndex]?.scores?.features, performance: performanceScore(record.performance) }))
+        .filter(winner => winner.features);
+
+    if (winners.length === 0) {
+        return { samples: 0, confidence: 0, targets: {}, traits: {} };
+    }
+
+    const measured = winners.map(winner => winner.performance).filter(value => value !== null).sort((a, b) => a - b);
+    const median = measured.length > 0 ? measured[Math.floor(measured.length / 2)] : null;
+    const weights = winners.map(winner => winner.performance === null || !median
+        ? 1
+        : Math.min(4, Math.max(0.25, winner.performance / median)));
+    const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+    const average = value => winners.reduce((total, winner, index) => total + value(winner.features) * weights[index], 0) / totalWeight;
+
+    return {
+        samples: winners.length,
+        confidence: winners.length < config.minFeedback ? 0 : round(Math.min(1, winners.length / config.fullConfidenceFeedback), 2),
+        targets: Object.fromEntries(TARGETS.map(target => [target, round(average(features => features[target]), 1)])),
+        traits: Object.fromEntries(Object.entries(TRAITS).map(([trait, test]) => [trait, round(average(features => (test(features) ? 1 : 0)), 2)]))
+    };
+}
+
+// Engagement per impression from reported metrics, or null without them.
+// engagementRate may be a fraction or a percentage.
+function performanceScore(performance) {
+    if (!performance) return null;
+
+    if (typeof performance.engagementRate === 'number') {
+        return performance.engagementRate > 1 ? performance.engagementRate / 100 : performance.engagementRate;
+    }
+
+    const impressions = Number(performance.impressions) || 0;
+    if (impressions <= 0) return null;
+
+    const interactions = ['clicks', 'likes', 'shares', 'comments']
+        .reduce((total, metric) => total + (Number(performance[metric]) || 0), 0);
+    return (interactions + 5 * (Number(performance.conversions) || 0)) / impressions;
+}
+
+// Prompt guidance describing what worked before, or '' without enough feedback
+function describePreferences(preferences, lengthTarget) {
+    if (!preferences || !preferences.confidence) {
+        return '';
+    }
+
+    const { targets, traits } = preferences;
+    const length = lengthTarget && lengthTarget.unit === 'characters'
+        ? `${Math.round(targets.characters)} characters`
+        : `${Math.round(targets.words)} words`;
+    const habits = [];
+    const phrases = {
+        question: 'asked the reader a question',
+        callToAction: 'ended with a clear call to action',
+        numbers: 'used concrete numbers',
+        secondPerson: 'spoke to the reader as "you"',
+        emoji: 'used emoji',
+        hashtags: 'used hashtags'
+    };
+
+    for (const [trait, rate] of Object.entries(traits)) {
+        if (rate >= 0.7) habits.push(`usually ${phrases[trait]}`);
+        else if (rate <= 0.2) habits.push(`rarely ${phrases[trait]}`);
+    }
+
+    let guidance = `Copy this user published before performed best at around ${length}, with sentences of about ${Math.round(targets.avgSentenceWords)} words`;
+    if (habits.length > 0) {
+        guidance += `; it ${habits.join(', ')}`;
+    }
+
+    return `${guidance}. Lean toward that style.`;
+}
+
+// Rough English syllable count, good enough for reading ease
+function countSyllables(word) {
+    const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (letters.length === 0) return 1;
+    if (letters.length <= 3) return 1;
+
+    const trimmed = letters.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+    return Math.max(1, (trimmed.match(/[aeiouy]{1,2}/g) || []).length);
+}
+
+function clamp(value) {
+    return Math.min(100, Math.max(0, value));
+}
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    scoreVariant,
+    extractFeatures,
+    learnPreferences,
+    performanceScore,
+    describePreferences
+};
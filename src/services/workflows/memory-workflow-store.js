@@ -0,0 +1,58 @@
+// In-memory workflow storage. Used by tests and local development; the
+// contents are lost when the process exits.
+class MemoryWorkflowStore {
+    constructor() {
+        this.workflows = new Map();
+        this.runs = new Map();
+    }
+
+    async insertWorkflow(workflow) {
+        this.workflows.set(workflow.id, this.clone(workflow));
+        return this.clone(workflow);
+    }
+
+    async getWorkflow(id) {
+        const workflow = this.workflows.get(id);
+        return workflow ? this.clone(workflow) : null;
+    }
+
+    async insertRun(run) {
+        this.runs.set(run.id, this.clone(run));
+        return this.clone(run);
+    }
+
+    async updateRun(id, changes) {
+        const run = this.runs.get(id);
+        if (!run) {
+            return null;
+        }
+
+        const updated = { ...run, ...this.clone(changes), updatedAt: new Date() };
+        this.runs.set(id, updated);
+        return this.clone(updated);
+    }
+
+    async getRun(id) {
+        const run = this.runs.get(id);
+        return run ? this.clone(run) : null;
+    }
+
+    async listRuns(statuses = ['running']) {
+        return Array.from(this.runs.values())
+            .filter(run => statuses.includes(run.status))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .map(run => this.clone(run));
+    }
+
+    // Deep copy so callers can't mutate stored state; dates survive as Date objects
+    clone(record) {
+        return Object.fromEntries(Object.entries(record).map(([key, value]) => [
+            key,
+            value && typeof value === 'object' && !(value instanceof Date)
+                ? JSON.parse(JSON.stringify(value))
+                : value
+        ]));
+    }
+}
+
+module.exports = MemoryWorkflowStore;
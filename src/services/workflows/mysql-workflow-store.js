@@ -0,0 +1,119 @@
+const db = require('../database/mysql-connector');
+
+// Persists workflow definitions and runs so in-flight runs survive
+// restarts. See migrations/006-workflows.sql.
+class MySQLWorkflowStore {
+    constructor() {
+        this.runColumns = {
+            id: 'id',
+            workflowId: 'workflow_id',
+            userId: 'user_id',
+            userTier: 'user_tier',
+            organizationId: 'organization_id',
+            status: 'status',
+            input: 'input_data',
+            steps: 'steps',
+            error: 'last_error',
+            createdAt: 'created_at',
+            completedAt: 'completed_at'
+        };
+        this.jsonFields = ['input', 'steps'];
+    }
+
+    async insertWorkflow(workflow) {
+        await db.execute(
+            `INSERT INTO workflows (id, user_id, name, definition, created_at)
+             VALUES (?, ?, ?, ?, ?)`,
+            [workflow.id, workflow.userId, workflow.name, JSON.stringify(workflow.definition), workflow.createdAt]
+        );
+
+        return workflow;
+    }
+
+    async getWorkflow(id) {
+        const [rows] = await db.execute('SELECT * FROM workflows WHERE id = ?', [id]);
+        if (!rows[0]) {
+            return null;
+        }
+
+        return {
+            id: rows[0].id,
+            userId: rows[0].user_id,
+            name: rows[0].name,
+            definition: this.parseJSON(rows[0].definition),
+            createdAt: rows[0].created_at
+        };
+    }
+
+    async insertRun(run) {
+        const fields = Object.keys(this.runColumns).filter(field => run[field] !== undefined);
+
+        await db.execute(
+            `INSERT INTO workflow_runs (${fields.map(field => this.runColumns[field]).join(', ')}, updated_at)
+             VALUES (${fields.map(() => '?').join(', ')}, NOW())`,
+            fields.map(field => this.serialize(field, run[field]))
+        );
+
+        return run;
+    }
+
+    async updateRun(id, changes) {
+        const fields = Object.keys(changes).filter(field => this.runColumns[field] && field !== 'id');
+
+        if (fields.length > 0) {
+            await db.execute(
+                `UPDATE workflow_runs
+                 SET ${fields.map(field => `${this.runColumns[field]} = ?`).join(', ')}, updated_at = NOW()
+                 WHERE id = ?`,
+                [...fields.map(field => this.serialize(field, changes[field])), id]
+            );
+        }
+
+        return await this.getRun(id);
+    }
+
+    async getRun(id) {
+        const [rows] = await db.execute('SELECT * FROM workflow_runs WHERE id = ?', [id]);
+        return rows[0] ? this.toRun(rows[0]) : null;
+    }
+
+    async listRuns(statuses = ['running']) {
+        const [rows] = await db.execute(
+            `SELECT * FROM workflow_runs
+             WHERE status IN (${statuses.map(() => '?').join(', ')})
+             ORDER BY created_at ASC`,
+            statuses
+        );
+
+        return rows.map(row => this.toRun(row));
+    }
+
+    serialize(field, value) {
+        if (this.jsonFields.includes(field)) {
+            return JSON.stringify(value);
+        }
+
+        return value === undefined ? null : value;
+    }
+
+    parseJSON(value) {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    toRun(row) {
+        const run = {};
+
+        Object.keys(this.runColumns).forEach(field => {
+            run[field] = row[this.runColumns[field]];
+        });
+
+        this.jsonFields.forEach(field => {
+            run[field] = this.parseJSON(run[field]);
+        });
+        run.updatedAt = row.updated_at;
+
+        return run;
+    }
+}
+
+module.exports = MySQLWorkflowStore;
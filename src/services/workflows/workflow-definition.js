@@ -0,0 +1,188 @@
+const aiConfig = require('../../../config/ai-config');
+
+const TEMPLATE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// A validated workflow DAG. Definitions look like:
+//
+// {
+//   "name": "Narrated blog post",
+//   "steps": [
+//     { "id": "research", "agent": "research", "input": { "prompt": "{{input.topic}}" } },
+//     { "id": "draft", "agent": "creative",
+//       "input": { "prompt": "Write a blog post from:\n{{steps.research.output.content}}" } },
+//     { "id": "narrate", "agent": "voice", "input": { "text": "{{steps.draft.output.content}}" } }
+//   ]
+// }
+//
+// A step depends on every step its input references plus any listed in
+// dependsOn. Steps with no path between them can run in parallel.
+class WorkflowDefinition {
+    constructor(definition, options = {}) {
+        const config = { ...aiConfig.workflows, ...options };
+
+        this.stepTaskTypes = config.stepTaskTypes;
+        this.maxSteps = config.maxSteps;
+
+        if (!definition || typeof definition !== 'object') {
+            throw this.invalid('Workflow definition must be an object');
+        }
+
+        this.name = definition.name || 'Untitled workflow';
+        this.steps = this.parseSteps(definition.steps);
+        this.order = this.sortSteps();
+    }
+
+    parseSteps(steps) {
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw this.invalid('Workflow must define at least one step');
+        }
+
+        if (steps.length > this.maxSteps) {
+            throw this.invalid(`Workflow cannot have more than ${this.maxSteps} steps`);
+        }
+
+        const ids = new Set();
+
+        const parsed = steps.map((step, index) => {
+            if (!step || typeof step.id !== 'string' || !/^[\w-]+$/.test(step.id)) {
+                throw this.invalid(`Step ${index + 1} needs an id made of letters, numbers, _ or -`);
+            }
+
+            if (ids.has(step.id)) {
+                throw this.invalid(`Duplicate step id: ${step.id}`);
+            }
+            ids.add(step.id);
+
+            if (!this.stepTaskTypes[step.agent]) {
+                throw this.invalid(`Step ${step.id} uses unknown agent: ${step.agent}`);
+            }
+
+            const input = step.input || {};
+            if (typeof input !== 'object' || Array.isArray(input)) {
+                throw this.invalid(`Step ${step.id} input must be an object`);
+            }
+
+            const explicit = Array.isArray(step.dependsOn) ? step.dependsOn : [];
+
+            return {
+                id: step.id,
+                agent: step.agent,
+                type: step.type || this.stepTaskTypes[step.agent],
+                input: input,
+                dependsOn: [...new Set([...explicit, ...this.collectStepReferences(input)])]
+            };
+        });
+
+        parsed.forEach(step => {
+            step.dependsOn.forEach(dependency => {
+                if (!ids.has(dependency)) {
+                    throw this.invalid(`Step ${step.id} depends on unknown step: ${dependency}`);
+                }
+                if (dependency === step.id) {
+                    throw this.invalid(`Step ${step.id} cannot depend on itself`);
+                }
+            });
+        });
+
+        return parsed;
+    }
+
+    // Kahn's algorithm; any steps left over are part of a cycle
+    sortSteps() {
+        const remaining = new Map(this.steps.map(step => [step.id, new Set(step.dependsOn)]));
+        const order = [];
+
+        while (remaining.size > 0) {
+            const ready = Array.from(remaining.keys()).filter(id => remaining.get(id).size === 0);
+
+            if (ready.length === 0) {
+                throw this.invalid(`Workflow steps form a cycle: ${Array.from(remaining.keys()).join(', ')}`);
+            }
+
+            ready.forEach(id => {
+                remaining.delete(id);
+                remaining.forEach(dependencies => dependencies.delete(id));
+                order.push(id);
+            });
+        }
+
+        return order;
+    }
+
+    collectStepReferences(value, references = []) {
+        if (typeof value === 'string') {
+            for (const match of value.matchAll(TEMPLATE_PATTERN)) {
+                const [root, stepId] = match[1].split('.');
+
+                if (root === 'steps' && stepId) {
+                    references.push(stepId);
+                } else if (root !== 'input') {
+                    throw this.invalid(`Unknown template reference: {{${match[1]}}}`);
+                }
+            }
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(item => this.collectStepReferences(item, references));
+        }
+
+        return references;
+    }
+
+    getStep(stepId) {
+        return this.steps.find(step => step.id === stepId) || null;
+    }
+
+    // Fills a step's input templates. scope is { input, steps: { id: { output } } }.
+    // A string that is exactly one placeholder keeps the referenced value's type.
+    renderInput(step, scope) {
+        return this.renderValue(step.input, scope);
+    }
+
+    renderValue(value, scope) {
+        if (typeof value === 'string') {
+            const whole = value.match(/^\{\{\s*([\w.-]+)\s*\}\}$/);
+            if (whole) {
+                const resolved = this.resolvePath(whole[1], scope);
+                return resolved === undefined ? '' : resolved;
+            }
+
+            return value.replace(TEMPLATE_PATTERN, (placeholder, path) => {
+                const resolved = this.resolvePath(path, scope);
+                if (resolved === undefined || resolved === null) return '';
+                return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+            });
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.renderValue(item, scope));
+        }
+
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(
+                Object.entries(value).map(([key, item]) => [key, this.renderValue(item, scope)])
+            );
+        }
+
+        return value;
+    }
+
+    resolvePath(path, scope) {
+        return path.split('.').reduce((current, key) => (
+            current === undefined || current === null ? undefined : current[key]
+        ), scope);
+    }
+
+    invalid(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            steps: this.steps
+        };
+    }
+}
+
+module.exports = WorkflowDefinition;
@@ -0,0 +1,331 @@
+const WorkflowDefinition = require('./workflow-definition');
+
+const ACTIVE_STEP_STATUSES = ['queued', 'running'];
+const FINISHED_STEP_STATUSES = ['completed', 'failed', 'skipped', 'cancelled'];
+
+// Runs workflow DAGs on top of the orchestrator. Every step is submitted as
+// an ordinary task, so it goes through the same queue, limits, retries and
+// cancellation as any other; the engine follows the resulting task events
+// and launches steps as soon as everything they depend on has completed.
+class WorkflowEngine {
+    constructor(orchestrator, options = {}) {
+        this.orchestrator = orchestrator;
+        this.store = options.store || WorkflowEngine.createStore(process.env.WORKFLOW_STORE);
+        this.runLocks = new Map(); // runId -> tail of that run's update chain
+
+        ['processing', 'completed', 'failed', 'cancelled'].forEach(event => {
+            this.orchestrator.on(`task:${event}`, payload => {
+                if (payload.workflowRunId) {
+                    this.handleTaskEvent(event, payload).catch(error => {
+                        console.error(`Error handling ${event} for workflow run ${payload.workflowRunId}:`, error);
+                    });
+                }
+            });
+        });
+
+        this.ready = this.resumeRuns();
+    }
+
+    static createStore(type = 'mysql') {
+        switch (type) {
+            case 'memory': {
+                const MemoryWorkflowStore = require('./memory-workflow-store');
+                return new MemoryWorkflowStore();
+            }
+            case 'mysql':
+            default: {
+                const MySQLWorkflowStore = require('./mysql-workflow-store');
+                return new MySQLWorkflowStore();
+            }
+        }
+    }
+
+    async createWorkflow(definition, user) {
+        const userTier = user.subscriptionTier || 'free';
+        const parsed = new WorkflowDefinition(definition);
+
+        const denied = parsed.steps.find(step => !this.orchestrator.validateAgentAccess(userTier, step.agent));
+        if (denied) {
+            throw this.createStatusError(`Agent ${denied.agent} not available for your subscription tier`, 403);
+        }
+
+        return await this.store.insertWorkflow({
+            id: this.generateId('workflow'),
+            userId: user.id,
+            name: parsed.name,
+            definition: parsed.toJSON(),
+            createdAt: new Date()
+        });
+    }
+
+    async getWorkflow(workflowId, userId) {
+        const workflow = await this.store.getWorkflow(workflowId);
+
+        if (!workflow) {
+            throw this.createStatusError('Workflow not found', 404);
+        }
+        if (workflow.userId !== userId) {
+            throw this.createStatusError('Access denied to this workflow', 403);
+        }
+
+        return workflow;
+    }
+
+    async startRun(workflowId, user, input = {}) {
+        const workflow = await this.getWorkflow(workflowId, user.id);
+
+        const run = await this.store.insertRun({
+            id: this.generateId('run'),
+            workflowId: workflow.id,
+            userId: user.id,
+            userTier: user.subscriptionTier || 'free',
+            // Steps are submitted later as this user, and brand profiles
+            // are shared by organization
+            organizationId: user.organizationId || null,
+            status: 'running',
+            input: input,
+            steps: workflow.definition.steps.map(step => ({
+                id: step.id,
+                agent: step.agent,
+                status: 'pending',
+                taskId: null,
+                output: null,
+                error: null
+            })),
+            createdAt: new Date()
+        });
+
+        return await this.withRunLock(run.id, () => this.advance(run));
+    }
+
+    async getRun(runId, userId) {
+        const run = await this.store.getRun(runId);
+
+        if (!run) {
+            throw this.createStatusError('Workflow run not found', 404);
+        }
+        if (run.userId !== userId) {
+            throw this.createStatusError('Access denied to this workflow run', 403);
+        }
+
+        return run;
+    }
+
+    async cancelRun(runId, userId) {
+        await this.getRun(runId, userId);
+
+        return await this.withRunLock(runId, async () => {
+            const run = await this.store.getRun(runId);
+
+            if (run.status !== 'running') {
+                throw this.createStatusError(`Workflow run is already ${run.status}`, 409);
+            }
+
+            for (const step of run.steps) {
+                if (step.status === 'pending') {
+                    step.status = 'cancelled';
+                } else if (ACTIVE_STEP_STATUSES.includes(step.status) && step.taskId) {
+                    // Running tasks report back through task:cancelled once they stop
+                    try {
+                        const result = await this.orchestrator.cancelTask(step.taskId, userId);
+                        if (result.status === 'cancelled') {
+                            step.status = 'cancelled';
+                        }
+                    } catch (error) {
+                        console.warn(`Could not cancel task ${step.taskId} for workflow run ${runId}:`, error.message);
+                    }
+                }
+            }
+
+            return await this.store.updateRun(runId, {
+                status: 'cancelled',
+                steps: run.steps,
+                completedAt: new Date()
+            });
+        });
+    }
+
+    async handleTaskEvent(event, payload) {
+        return await this.withRunLock(payload.workflowRunId, async () => {
+            const run = await this.store.getRun(payload.workflowRunId);
+            const step = run && run.steps.find(item => item.id === payload.workflowStepId);
+            if (!step || FINISHED_STEP_STATUSES.includes(step.status)) {
+                return;
+            }
+
+            // Only the task this step launched may move it on. Its id is
+            // stored before the lock is released, so events can't beat it.
+            if (run.userId !== payload.userId || step.taskId !== payload.taskId) {
+                console.warn(`Ignoring ${event} from task ${payload.taskId}: not the task of step ${step.id} in workflow run ${run.id}`);
+                return;
+            }
+
+            if (event === 'processing') {
+                step.status = 'running';
+                step.startedAt = step.startedAt || new Date();
+                await this.store.updateRun(run.id, { steps: run.steps });
+                return;
+            }
+
+            this.finishStep(step, event, event === 'completed' ? payload.result : { error: payload.error });
+
+            if (run.status === 'running') {
+                await this.advance(run);
+            } else {
+                await this.store.updateRun(run.id, { steps: run.steps });
+            }
+        });
+    }
+
+    finishStep(step, status, result) {
+        step.status = status;
+        step.completedAt = new Date();
+
+        if (status === 'completed') {
+            step.output = result;
+        } else if (status === 'failed') {
+            step.error = result?.error || 'Step failed';
+        }
+    }
+
+    // Skips steps that can no longer run, launches every step whose
+    // dependencies have completed and closes the run once nothing is left.
+    async advance(run) {
+        const workflow = await this.store.getWorkflow(run.workflowId);
+        const definition = new WorkflowDefinition(workflow.definition);
+        const steps = new Map(run.steps.map(step => [step.id, step]));
+
+        let rescan = true;
+        while (rescan) {
+            rescan = false;
+
+            for (const stepId of definition.order) {
+                const step = steps.get(stepId);
+                if (step.status !== 'pending') continue;
+
+                const dependencies = definition.getStep(stepId).dependsOn.map(id => steps.get(id));
+
+                if (dependencies.some(dependency => FINISHED_STEP_STATUSES.includes(dependency.status) && dependency.status !== 'completed')) {
+                    step.status = 'skipped';
+                } else if (dependencies.every(dependency => dependency.status === 'completed')) {
+                    await this.launchStep(run, step, definition);
+                    // A step that fails to launch may leave further steps to skip
+                    rescan = rescan || step.status === 'failed';
+                }
+            }
+        }
+
+        const changes = { steps: run.steps };
+
+        if (run.steps.every(step => FINISHED_STEP_STATUSES.includes(step.status))) {
+            const failed = run.steps.find(step => step.status === 'failed');
+
+            changes.status = failed ? 'failed' : (run.steps.some(step => step.status === 'cancelled') ? 'cancelled' : 'completed');
+            changes.error = failed ? `Step ${failed.id} failed: ${failed.error}` : null;
+            changes.completedAt = new Date();
+        }
+
+        return await this.store.updateRun(run.id, changes);
+    }
+
+    async launchStep(run, step, definition) {
+        const stepDefinition = definition.getStep(step.id);
+        const scope = {
+            input: run.input || {},
+            steps: Object.fromEntries(run.steps.map(item => [item.id, { output: item.output }]))
+        };
+
+        step.status = 'queued';
+
+        try {
+            const task = {
+                ...definition.renderInput(stepDefinition, scope),
+                type: stepDefinition.type,
+                agentType: stepDefinition.agent,
+                workflowRunId: run.id,
+                workflowStepId: step.id
+            };
+
+            const result = await this.orchestrator.processTask(task, {
+                id: run.userId,
+                subscriptionTier: run.userTier,
+                organizationId: run.organizationId || null
+            });
+
+            step.taskId = result.taskId;
+        } catch (error) {
+            this.finishStep(step, 'failed', { error: error.message });
+        }
+    }
+
+    // Runs left mid-flight by a restart pick up where they stopped: steps
+    // whose task finished while we were down are settled from the stored
+    // result, and steps whose task was never submitted are launched again.
+    async resumeRuns() {
+        try {
+            const runs = await this.store.listRuns(['running']);
+
+            for (const run of runs) {
+                await this.withRunLock(run.id, () => this.reconcileRun(run));
+            }
+
+            if (runs.length > 0) {
+                console.log(`Resumed ${runs.length} workflow runs`);
+            }
+        } catch (error) {
+            console.error('Failed to resume workflow runs:', error);
+        }
+    }
+
+    async reconcileRun(run) {
+        for (const step of run.steps) {
+            if (!ACTIVE_STEP_STATUSES.includes(step.status)) continue;
+
+            if (!step.taskId) {
+                step.status = 'pending';
+                continue;
+            }
+
+            const state = await this.orchestrator.getTaskState(step.taskId);
+            if (!state || ['queued', 'processing'].includes(state.status)) continue;
+
+            const storedTask = await this.orchestrator.getTaskStatus(step.taskId);
+            const result = storedTask && storedTask.result_data
+                ? (typeof storedTask.result_data === 'string' ? JSON.parse(storedTask.result_data) : storedTask.result_data)
+                : null;
+
+            const status = storedTask && FINISHED_STEP_STATUSES.includes(storedTask.status) ? storedTask.status : 'failed';
+            this.finishStep(step, status, result);
+        }
+
+        return await this.advance(run);
+    }
+
+    // Task events and user actions for the same run are applied one at a time
+    withRunLock(runId, fn) {
+        const previous = this.runLocks.get(runId) || Promise.resolve();
+        const current = previous.catch(() => {}).then(fn);
+        const tail = current.catch(() => {});
+
+        this.runLocks.set(runId, tail);
+        tail.then(() => {
+            if (this.runLocks.get(runId) === tail) {
+                this.runLocks.delete(runId);
+            }
+        });
+
+        return current;
+    }
+
+    generateId(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    createStatusError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+module.exports = WorkflowEngine;
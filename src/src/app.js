@@ -32,6 +32,7 @@ class AIOrchestratorApp {
                     styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
                     fontSrc: ["'self'", "https://fonts.gstatic.com"],
                     imgSrc: ["'self'", "data:", "https:"],
+                    mediaSrc: ["'self'", "data:", "https:"],
                     connectSrc: ["'self'", "https://api.stripe.com", "https://api.openai.com"]
                 }
             }
@@ -68,6 +69,9 @@ class AIOrchestratorApp {
         this.app.use('/api/user', require('./routes/user'));
         this.app.use('/api/admin', require('./routes/admin'));
 
+        // Signed asset downloads (the URL signature stands in for auth)
+        this.app.use('/assets', require('./routes/assets'));
+
         // Webhook routes (no auth required for webhooks)
         this.app.use('/webhooks/stripe', require('./routes/webhooks/stripe'));
         this.app.use('/webhooks/payfast', require('./routes/webhooks/payfast'));
@@ -181,6 +185,14 @@ class AIOrchestratorApp {
             await payoutDistributor.processMonthlyPayout();
         });
 
+        // Generated media follows task retention
+        cron.schedule('0 3 * * *', async () => {
+            console.log('Cleaning up expired assets...');
+            const AssetService = require('./services/assets/asset-service');
+            const deleted = await new AssetService().cleanup();
+            console.log(`Deleted ${deleted} expired assets`);
+        });
+
         // Daily compliance checks
         cron.schedule('0 2 * * *', async () => {
             console.log('Running daily compliance checks...');
@@ -197,6 +209,8 @@ class AIOrchestratorApp {
             console.log(`Database: ${process.env.DB_HOST}`);
         });
 
+        this.initializeRealtime();
+
         // Graceful shutdown
         process.on('SIGTERM', this.gracefulShutdown.bind(this));
         process.on('SIGINT', this.gracefulShutdown.bind(this));
@@ -204,12 +218,36 @@ class AIOrchestratorApp {
         return this.server;
     }
 
+    initializeRealtime() {
+        const { Server } = require('socket.io');
+        const TaskEventsGateway = require('./services/realtime/task-events');
+
+        this.io = new Server(this.server, {
+            cors: {
+                origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:3000'],
+                credentials: true
+            }
+        });
+
+        const agentRoutes = require('./routes/agents');
+        this.taskEvents = new TaskEventsGateway(this.io, agentRoutes.orchestrator);
+    }
+
     async gracefulShutdown() {
         console.log('Received shutdown signal, closing server gracefully...');
         
+        // Drop realtime clients so the HTTP server can close
+        if (this.io) {
+            this.io.disconnectSockets(true);
+        }
+
         this.server.close(async () => {
             console.log('HTTP server closed');
             
+            // Stop taking new work; queued tasks remain in durable storage
+            const agentRoutes = require('./routes/agents');
+            await agentRoutes.orchestrator.shutdown();
+            
             // Close database connections
             const db = require('./services/database/mysql-connector');
             await db.end();
@@ -0,0 +1,95 @@
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc >>> 0;
+});
+
+// Builds small ZIP archives in memory for download bundles. Entries are
+// deflated and the whole archive is returned as one Buffer, so this is only
+// meant for exports of a few megabytes.
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+    }
+
+    addFile(name, content, modifiedAt = new Date()) {
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+        this.entries.push({ name: name.replace(/\\/g, '/').replace(/^\/+/, ''), data, modifiedAt });
+        return this;
+    }
+
+    toBuffer() {
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const entry of this.entries) {
+            const name = Buffer.from(entry.name, 'utf8');
+            const compressed = zlib.deflateRawSync(entry.data);
+            const crc = ZipWriter.crc32(entry.data);
+            const { time, date } = ZipWriter.dosDateTime(entry.modifiedAt);
+
+            const local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034b50, 0);
+            local.writeUInt16LE(20, 4); // version needed
+            local.writeUInt16LE(0x0800, 6); // UTF-8 names
+            local.writeUInt16LE(8, 8); // deflate
+            local.writeUInt16LE(time, 10);
+            local.writeUInt16LE(date, 12);
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(compressed.length, 18);
+            local.writeUInt32LE(entry.data.length, 22);
+            local.writeUInt16LE(name.length, 26);
+            local.writeUInt16LE(0, 28);
+
+            const central = Buffer.alloc(46);
+            central.writeUInt32LE(0x02014b50, 0);
+            central.writeUInt16LE(20, 4); // version made by
+            central.writeUInt16LE(20, 6);
+            central.writeUInt16LE(0x0800, 8);
+            central.writeUInt16LE(8, 10);
+            central.writeUInt16LE(time, 12);
+            central.writeUInt16LE(date, 14);
+            central.writeUInt32LE(crc, 16);
+            central.writeUInt32LE(compressed.length, 20);
+            central.writeUInt32LE(entry.data.length, 24);
+            central.writeUInt16LE(name.length, 28);
+            central.writeUInt32LE(offset, 42);
+
+            localParts.push(local, name, compressed);
+            centralParts.push(central, name);
+            offset += local.length + name.length + compressed.length;
+        }
+
+        const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(centralSize, 12);
+        end.writeUInt32LE(offset, 16);
+
+        return Buffer.concat([...localParts, ...centralParts, end]);
+    }
+
+    static crc32(buffer) {
+        let crc = 0xFFFFFFFF;
+        for (const byte of buffer) {
+            crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    static dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+}
+
+module.exports = ZipWriter;
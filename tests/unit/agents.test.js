@@ -184,7 +184,7 @@ describe('AI Agents System', () => {
 
     describe('Task Queue Management', () => {
         it('should manage task queue efficiently', async () => {
-            const stats = orchestrator.getQueueStats();
+            const stats = await orchestrator.getQueueStats();
             expect(stats).toHaveProperty('queueLength');
             expect(stats).toHaveProperty('processing');
             expect(stats).toHaveProperty('waiting');
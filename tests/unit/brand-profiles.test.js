@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BrandProfileService = require('../../src/services/brand/brand-profile-service');
+const FileBrandProfileStore = require('../../src/services/brand/file-brand-profile-store');
+const { checkBrandCompliance } = require('../../src/services/brand/brand-rules');
+const CreativeAgent = require('../../src/agents/creative-agent/content-generator');
+const ProviderRouter = require('../../src/services/providers/provider-router');
+const MockProvider = require('../../src/services/providers/mock-provider');
+const aiConfig = require('../../config/ai-config');
+
+describe('Brand Profiles', () => {
+    let directory;
+    let profiles;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'brand-'));
+        profiles = new BrandProfileService({
+            config: aiConfig.brandProfiles,
+            store: new FileBrandProfileStore({ directory })
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const alice = { id: 1, organizationId: 'org_acme' };
+    const bob = { id: 2, organizationId: 'org_acme' };
+    const eve = { id: 3, organizationId: null };
+
+    const acme = {
+        name: 'Acme',
+        voice: 'Warm, plain-spoken and confident',
+        styleRules: 'Use second person\nNo jargon',
+        bannedWords: ['synergy', 'world class'],
+        requiredDisclaimers: ['Terms apply.'],
+        examples: ['Meet the kettle that\nknows when you wake up.'],
+        glossary: [{ term: 'AcmeCloud', definition: 'our sync service', avoid: ['Acme Cloud'] }, 'sign-up'],
+        maxSentenceWords: 12
+    };
+
+    it('should share organization profiles with members and resolve the default in scope', async () => {
+        const shared = await profiles.createProfile(alice, { ...acme, scope: 'organization', isDefault: true });
+        const personal = await profiles.createProfile(bob, { name: 'Bob drafts', isDefault: 'true' });
+
+        expect(shared).toMatchObject({
+            userId: 1,
+            organizationId: 'org_acme',
+            styleRules: ['Use second person', 'No jargon'],
+            examples: ['Meet the kettle that\nknows when you wake up.'],
+            glossary: [
+                { term: 'AcmeCloud', definition: 'our sync service', avoid: ['Acme Cloud'] },
+                { term: 'sign-up', definition: '', avoid: [] }
+            ]
+        });
+        expect(personal).toMatchObject({ organizationId: null, bannedWords: [], maxSentenceWords: 40 });
+
+        expect((await profiles.getProfile(shared.id, bob)).name).toBe('Acme');
+        await expect(profiles.getProfile(shared.id, eve)).rejects.toMatchObject({ status: 403 });
+        await expect(profiles.getProfile(personal.id, alice)).rejects.toMatchObject({ status: 403 });
+        expect((await profiles.listProfiles(bob)).map(profile => profile.name)).toEqual(['Bob drafts', 'Acme']);
+
+        // A personal default wins over the organization's; null opts out
+        expect((await profiles.resolveProfile(bob)).id).toBe(personal.id);
+        expect((await profiles.resolveProfile(alice)).id).toBe(shared.id);
+        expect(await profiles.resolveProfile(eve)).toBeNull();
+        expect(await profiles.resolveProfile(bob, null)).toBeNull();
+        expect((await profiles.resolveProfile(bob, shared.id)).id).toBe(shared.id);
+
+        const second = await profiles.createProfile(bob, { name: 'Bob final' });
+        await profiles.updateProfile(second.id, bob, { isDefault: true });
+        expect((await profiles.getProfile(personal.id, bob)).isDefault).toBe(false);
+        expect((await profiles.resolveProfile(bob)).id).toBe(second.id);
+        expect((await profiles.getProfile(shared.id, bob)).isDefault).toBe(true);
+
+        await expect(profiles.createProfile(eve, { name: 'Solo', scope: 'organization' })).rejects.toThrow('does not belong to an organization');
+        await expect(profiles.createProfile(eve, { voice: 'Nameless' })).rejects.toThrow('name is required');
+        await expect(profiles.updateProfile(second.id, bob, { maxSentenceWords: 2 })).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should flag banned words, glossary misuse, missing disclaimers and long sentences', async () => {
+        const profile = await profiles.createProfile(alice, acme);
+        const text = [
+            '# Launch',
+            'Our world\nclass team brings Synergy to every home.',
+            'Back up everything with Acme Cloud, or with acmecloud on the go, and enjoy the quietest kettle anyone has ever made.',
+            'Complete your sign-up today.'
+        ].join('\n');
+
+        const { compliant, violations } = checkBrandCompliance(text, profile);
+
+        expect(compliant).toBe(false);
+        expect(violations.map(violation => [violation.rule, violation.term || violation.disclaimer || violation.words])).toEqual([
+            ['banned-word', 'world class'],
+            ['banned-word', 'synergy'],
+            ['sentence-length', 21],
+            ['glossary', 'Acme Cloud'],
+            ['glossary', 'acmecloud'],
+            ['missing-disclaimer', 'Terms apply.']
+        ]);
+        expect(violations[3].message).toBe('Use "AcmeCloud" instead of "Acme Cloud"');
+        expect(violations[5].index).toBeUndefined();
+
+        expect(checkBrandCompliance('Try AcmeCloud free. Sign-up takes a minute. **Terms apply**', profile)).toEqual({ compliant: true, violations: [] });
+    });
+
+    it('should write in the brand voice and report rule breaks with the generated copy', async () => {
+        const profile = await profiles.createProfile(alice, acme);
+        const mock = new MockProvider({ chatResponse: 'A world class kettle for everyone. Terms apply.' });
+        const agent = new CreativeAgent({
+            providers: new ProviderRouter({ providers: { mock }, config: { forceProvider: 'mock' } }),
+            brandProfiles: profiles
+        });
+
+        const result = await agent.execute({ prompt: 'Launch post', contentType: 'social_media', brandProfileId: profile.id }, { userId: 1 });
+        const unbranded = await agent.execute({ prompt: 'Launch post', brandProfileId: null }, { userId: 1 });
+
+        const systemPrompt = mock.calls[0].messages[0].content;
+        expect(systemPrompt).toContain('Write in the brand voice of Acme.\n\nVoice: Warm, plain-spoken and confident');
+        expect(systemPrompt).toContain('Never use these words or phrases: "synergy", "world class".');
+        expect(systemPrompt).toContain('- AcmeCloud: our sync service (not "Acme Cloud")');
+        expect(systemPrompt).toContain('Example 1:\n"""\nMeet the kettle that\nknows when you wake up.\n"""');
+
+        expect(result.brand).toEqual({
+            profileId: profile.id,
+            name: 'Acme',
+            compliant: false,
+            violations: [{ rule: 'banned-word', term: 'world class', index: 2, message: '"world class" is on the banned word list' }]
+        });
+        expect(unbranded.brand).toBeUndefined();
+        expect(mock.calls[1].messages[0].content).not.toContain('brand voice');
+    });
+});
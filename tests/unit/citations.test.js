@@ -0,0 +1,117 @@
+const { formatReference, formatBibliography } = require('../../src/services/citations/citation-formatter');
+const { checkGrounding } = require('../../src/services/citations/source-grounding');
+const { buildReport } = require('../../src/services/reports/report-builder');
+const ResearchAgent = require('../../src/agents/research-agent/research');
+const ProviderRouter = require('../../src/services/providers/provider-router');
+const MockProvider = require('../../src/services/providers/mock-provider');
+
+const heatPumps = {
+    title: 'How heat pumps work',
+    url: 'https://energy.example/heat-pumps',
+    author: 'Jane Q. Smith',
+    siteName: 'Energy Weekly',
+    publishedAt: '2024-03-01T09:00:00Z',
+    accessedAt: '2024-03-05T12:00:00Z'
+};
+
+const sources = [
+    {
+        title: 'How heat pumps work',
+        link: 'https://energy.example/heat-pumps',
+        author: 'Jane Q. Smith',
+        siteName: 'Energy Weekly',
+        publishedAt: '2024-03-01T09:00:00.000Z',
+        content: 'Heat pumps move heat rather than generating it. That makes them three to four times as efficient as gas boilers. Most models work down to minus fifteen degrees.'
+    },
+    {
+        title: 'Installer survey 2024',
+        link: 'https://survey.example/installers',
+        snippet: 'Installation costs for air source heat pumps fell by a fifth last year as more installers trained.'
+    }
+];
+
+describe('Research Citations', () => {
+    it('should format web sources in APA, MLA and BibTeX', () => {
+        expect(formatReference(heatPumps, 'apa')).toBe(
+            'Smith, J. Q. (2024, March 1). How heat pumps work. Energy Weekly. https://energy.example/heat-pumps'
+        );
+        expect(formatReference(heatPumps, 'mla')).toBe(
+            'Smith, Jane Q. "How heat pumps work." Energy Weekly, 1 Mar. 2024, energy.example/heat-pumps. Accessed 5 Mar. 2024.'
+        );
+        expect(formatReference({ title: 'Costs & savings', url: 'https://survey.example/costs' }, 'apa')).toBe(
+            'Costs & savings. (n.d.). https://survey.example/costs'
+        );
+
+        const bibtex = formatBibliography([heatPumps, { ...heatPumps, title: 'Heat pump myths' }], 'bibtex');
+        expect(bibtex).toContain('@misc{smith2024heat,\n  author = {Jane Q. Smith},\n  title = {{How heat pumps work}},\n  howpublished = {\\url{https://energy.example/heat-pumps}}');
+        expect(bibtex).toContain('@misc{smith2024heata,');
+        expect(bibtex).toContain('  month = mar,\n  note = {Accessed: 2024-03-05}\n}');
+        expect(() => formatReference(heatPumps, 'chicago')).toThrow('Unknown citation style');
+    });
+
+    it('should classify statements by whether the cited source supports them', () => {
+        const answer = [
+            '## Efficiency',
+            'Heat pumps are three to four times as efficient as gas boilers [1].',
+            '- Installation costs for air source heat pumps fell by a fifth last year [1].',
+            'Most heat pump models keep working down to minus fifteen degrees.',
+            'Heat pumps will replace every boiler in Europe by 2030 [2].',
+            '',
+            '## References',
+            '1. How heat pumps work, energy.example, a source that is not checked.'
+        ].join('\n');
+
+        const grounding = checkGrounding(answer, sources.map((source, index) => ({
+            marker: String(index + 1),
+            text: source.content || source.snippet
+        })));
+
+        expect(grounding.statements.map(statement => [statement.status, statement.source])).toEqual([
+            ['supported', '1'],
+            ['miscited', '2'],
+            ['uncited', '1'],
+            ['unsupported', undefined]
+        ]);
+        // "Heat pumps" is only in the sentence before, so the quote spans both
+        expect(grounding.statements[0].quote).toEqual({
+            text: 'Heat pumps move heat rather than generating it. That makes them three to four times as efficient as gas boilers.',
+            start: 0,
+            end: 112
+        });
+        expect(grounding.unsupported).toEqual([
+            { text: 'Heat pumps will replace every boiler in Europe by 2030 [2].', markers: ['2'], score: 0.29 }
+        ]);
+        expect(grounding).toMatchObject({ checked: 4, supported: 3, supportedRatio: 0.75, unknownMarkers: [] });
+    });
+
+    it('should return numbered references, a bibliography and grounding from the research agent', async () => {
+        const mock = new MockProvider({
+            chatResponse: 'Heat pumps move heat rather than generating it [1]. Heat pump installation costs fell by a fifth last year [2, 7]. Solar panels double the value of every house.'
+        });
+        const agent = new ResearchAgent({
+            providers: new ProviderRouter({ providers: { mock }, config: { forceProvider: 'mock' } }),
+            search: { search: jest.fn().mockResolvedValue(sources) }
+        });
+
+        const result = await agent.execute({ prompt: 'heat pumps', options: { includeWebSearch: true } });
+
+        expect(mock.calls[0].messages[0].content).toContain('Cite the sources each statement relies on');
+        expect(mock.calls[0].messages[1].content).toContain('[2] Installer survey 2024\n   URL: https://survey.example/installers');
+        expect(result.references.map(reference => [reference.number, reference.url, reference.quotes.length])).toEqual([
+            [1, 'https://energy.example/heat-pumps', 1],
+            [2, 'https://survey.example/installers', 1]
+        ]);
+        expect(result.references[0].quotes[0].text).toBe('Heat pumps move heat rather than generating it.');
+        expect(result.bibliography.apa.split('\n')).toHaveLength(2);
+        expect(result.bibliography.bibtex).toContain('@misc{surveyndinstaller,');
+        expect(result.grounding.unknownMarkers).toEqual(['7']);
+        expect(result.grounding.unsupported.map(statement => statement.text)).toEqual([
+            'Solar panels double the value of every house.'
+        ]);
+
+        const report = buildReport({ id: 'task_1', type: 'research', result }, 'html').body.toString();
+        expect(report).toContain('<h2>References</h2>');
+        expect(report).toContain('[1] Smith, J. Q. (2024, March 1). How heat pumps work. Energy Weekly.');
+        expect(report).toContain('<h2>Unsupported Statements</h2>\n<ul><li>Solar panels double the value of every house.</li></ul>');
+    });
+});
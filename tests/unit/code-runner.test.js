@@ -0,0 +1,165 @@
+const CodeRunner = require('../../src/services/sandbox/code-runner');
+const CodingAgent = require('../../src/agents/coding-agent/code-generator');
+const ProviderRouter = require('../../src/services/providers/provider-router');
+const MockProvider = require('../../src/services/providers/mock-provider');
+
+describe('Sandboxed Code Runner', () => {
+    const config = {
+        timeLimit: 3000,
+        memoryLimitMb: 128,
+        maxProcesses: 32,
+        maxOutputBytes: 1024,
+        maxConcurrentRuns: 1,
+        commands: { javascript: process.execPath, python: 'python3' }
+    };
+    const runner = new CodeRunner(config);
+    // Runs need unprivileged namespaces, which some CI containers forbid
+    const itIsolated = runner.isolationAvailable() ? it : it.skip;
+
+    const code = 'function add(a, b) { return a + b; }\nmodule.exports = { add };';
+
+    itIsolated('should run generated JavaScript tests and report each result', async () => {
+        const tests = `
+            const { add } = require('./solution');
+            describe('add', () => {
+                it('adds numbers', () => expect(add(2, 3)).toBe(5));
+                it('is wrong on purpose', () => expect(add(2, 3)).toEqual(6));
+            });
+            console.log('ran');
+        `;
+
+        const run = await runner.runTests('javascript', code, tests);
+
+        expect(run.passed).toBe(false);
+        expect(run).toMatchObject({ total: 2, failed: 1, timedOut: false, stdout: 'ran\n' });
+        expect(run.results[1]).toMatchObject({ name: 'add > is wrong on purpose', passed: false });
+        expect(run.results[1].message).toContain('expected 5 to equal 6');
+    });
+
+    itIsolated('should block network, process and outside file access', async () => {
+        const tests = `
+            it('cannot connect', async () => {
+                await expect(fetch('http://example.com')).rejects.toThrow('Network access is disabled');
+                expect(() => require('net').connect(80, 'example.com')).toThrow('Network access is disabled');
+            });
+            it('cannot spawn or read outside the sandbox', () => {
+                expect(() => require('child_process').execSync('echo hi')).toThrow();
+                expect(() => require('fs').readFileSync('/etc/hostname')).toThrow();
+            });
+        `;
+
+        const run = await runner.runTests('javascript', code, tests);
+
+        expect(run.results).toEqual([
+            { name: 'cannot connect', passed: true },
+            { name: 'cannot spawn or read outside the sandbox', passed: true }
+        ]);
+        expect(run.passed).toBe(true);
+    });
+
+    itIsolated('should confine Python to its work directory with no network, even past the harness', async () => {
+        const tests = `
+import os
+import _socket
+from solution import add
+
+def test_add():
+    assert add(2, 3) == 5
+
+def test_raw_socket_has_no_route():
+    sock = _socket.socket()
+    try:
+        sock.connect(('1.1.1.1', 80))
+    except OSError:
+        return
+    raise AssertionError('connected')
+
+def test_host_files_are_out_of_reach():
+    assert not os.path.exists('/etc/hostname')
+    assert not {'etc', 'home', 'proc', 'var'} & set(os.listdir('/'))
+    try:
+        open('/usr/sandbox-escape', 'w')
+    except OSError:
+        return
+    raise AssertionError('wrote outside the work directory')
+`;
+
+        const run = await runner.runTests('python', 'def add(a, b):\n    return a + b\n', tests);
+
+        expect(run.results.filter(result => !result.passed)).toEqual([]);
+        expect(run).toMatchObject({ passed: true, total: 3 });
+    });
+
+    itIsolated('should cap the address space and process count of each run', async () => {
+        const jsTests = `
+            it('cannot allocate past the limit', () => {
+                expect(() => Buffer.alloc(2 * 1024 * 1024 * 1024)).toThrow();
+            });
+        `;
+        const pyTests = `
+import resource
+
+def test_limits_hold_past_the_harness():
+    assert resource.getrlimit(resource.RLIMIT_NPROC) == (32, 32)
+    assert resource.getrlimit(resource.RLIMIT_AS)[1] == 128 * 1024 * 1024
+`;
+
+        const js = await runner.runTests('javascript', code, jsTests);
+        const py = await runner.runTests('python', 'def add(a, b):\n    return a + b\n', pyTests);
+
+        expect(js.results).toEqual([{ name: 'cannot allocate past the limit', passed: true }]);
+        expect(py.results.filter(result => !result.passed)).toEqual([]);
+        expect(py).toMatchObject({ passed: true, total: 1 });
+    });
+
+    it('should refuse to run code without namespace isolation and report verification as skipped', async () => {
+        const unconfined = new CodeRunner(config);
+        unconfined.namespaceSupported = false;
+
+        await expect(unconfined.runTests('python', 'x = 1', 'def test_x():\n    pass\n')).rejects.toMatchObject({ code: 'SANDBOX_UNAVAILABLE' });
+
+        const mock = new MockProvider({ chatResponse: '```python\ndef add(a, b):\n    return a + b\n```' });
+        const agent = new CodingAgent({
+            providers: new ProviderRouter({ providers: { mock }, config: { forceProvider: 'mock' } }),
+            runner: unconfined
+        });
+
+        const result = await agent.execute({ prompt: 'Write add(a, b)', language: 'python', options: { verify: true } });
+
+        expect(result.verification).toMatchObject({ passed: false, skipped: true, repairs: 0, rounds: [] });
+        expect(result.verification.reason).toContain('namespaces');
+    });
+
+    itIsolated('should kill runs that exceed the time limit', async () => {
+        const run = await runner.runTests('javascript', 'while (true) {}', "require('./solution');");
+
+        expect(run.passed).toBe(false);
+        expect(run.timedOut).toBe(true);
+        expect(run.stderr).toContain('Timed out after 3000ms');
+    });
+
+    it('should feed failures to debugCode until the tests pass', async () => {
+        const mock = new MockProvider({ chatResponse: '```javascript\nmodule.exports = { add: (a, b) => a + b };\n```' });
+        const runs = [
+            { passed: false, total: 1, failed: 1, results: [{ name: 'adds', passed: false, message: 'expected -1 to be 5' }], loadError: null, exitCode: 1, timedOut: false, stdout: '', stderr: '', durationMs: 5 },
+            { passed: true, total: 1, failed: 0, results: [{ name: 'adds', passed: true }], loadError: null, exitCode: 0, timedOut: false, stdout: '', stderr: '', durationMs: 5 }
+        ];
+        const fakeRunner = { runTests: jest.fn(async () => runs.shift()) };
+
+        const agent = new CodingAgent({
+            providers: new ProviderRouter({ providers: { mock }, config: { forceProvider: 'mock' } }),
+            runner: fakeRunner,
+            repairRounds: 2
+        });
+
+        const result = await agent.execute({ prompt: 'Write add(a, b)', language: 'javascript', options: { verify: true } });
+
+        expect(result.success).toBe(true);
+        expect(result.verification).toMatchObject({ passed: true, repairs: 1 });
+        expect(result.verification.rounds.map(round => round.passed)).toEqual([false, true]);
+        expect(fakeRunner.runTests).toHaveBeenCalledTimes(2);
+
+        const debugCall = mock.calls.find(call => call.messages[0].content.startsWith('You are a debugging expert'));
+        expect(debugCall.messages[1].content).toContain('- adds: expected -1 to be 5');
+    });
+});
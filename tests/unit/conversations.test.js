@@ -0,0 +1,87 @@
+const ConversationService = require('../../src/services/conversations/conversation-service');
+const MemoryConversationStore = require('../../src/services/conversations/memory-conversation-store');
+const ProviderRouter = require('../../src/services/providers/provider-router');
+const MockProvider = require('../../src/services/providers/mock-provider');
+const CreativeAgent = require('../../src/agents/creative-agent/content-generator');
+
+describe('Conversation Threads', () => {
+    const owner = { id: 1 };
+    let conversations;
+
+    beforeEach(() => {
+        conversations = new ConversationService({
+            store: new MemoryConversationStore(),
+            config: {
+                historyTokens: { default: 100, creative: 30 },
+                maxHistoryMessages: 50,
+                maxMessageChars: 1000,
+                titleLength: 20
+            }
+        });
+    });
+
+    it('should only let the owner read, rename or delete a thread', async () => {
+        const conversation = await conversations.createConversation(owner, { agentType: 'research' });
+
+        await expect(conversations.getConversation(conversation.id, 2)).rejects.toMatchObject({ status: 403 });
+        await expect(conversations.renameConversation(conversation.id, 2, 'Mine now')).rejects.toMatchObject({ status: 403 });
+        await expect(conversations.deleteConversation('conv_missing', owner.id)).rejects.toMatchObject({ status: 404 });
+
+        const renamed = await conversations.renameConversation(conversation.id, owner.id, '  Solar   power ');
+        expect(renamed.title).toBe('Solar power');
+    });
+
+    it('should record turns and name an untitled thread after its first prompt', async () => {
+        const conversation = await conversations.createConversation(owner, { agentType: 'research' });
+
+        await conversations.addTurn(conversation.id, {
+            prompt: 'Write a sorting function for invoices',
+            result: { code: 'sort()', language: 'javascript', explanation: 'Sorts by date.' },
+            agentType: 'coding',
+            taskId: 'task_1'
+        });
+
+        const updated = await conversations.getConversation(conversation.id, owner.id);
+        const messages = await conversations.getMessages(conversation.id, owner.id);
+
+        expect(updated).toMatchObject({ title: 'Write a sorting fun…', agentType: 'coding', messageCount: 2 });
+        expect(messages.map(message => message.role)).toEqual(['user', 'assistant']);
+        expect(messages[1].content).toBe('```javascript\nsort()\n```\n\nSorts by date.');
+    });
+
+    it('should trim history to the agent budget and start on a user turn', async () => {
+        const conversation = await conversations.createConversation(owner, { agentType: 'creative' });
+
+        for (const turn of ['one', 'two', 'three']) {
+            await conversations.addTurn(conversation.id, {
+                prompt: `Prompt ${turn}`.padEnd(40, '.'), // 10 tokens
+                result: { text: `Reply ${turn}`.padEnd(40, '.') },
+                agentType: 'creative'
+            });
+        }
+
+        // 30 tokens fit three messages; the oldest of them is a reply, so it is dropped
+        const creative = await conversations.getHistory(conversation.id, 'creative');
+        expect(creative.map(message => message.content.split('.')[0])).toEqual(['Prompt three', 'Reply three']);
+
+        const research = await conversations.getHistory(conversation.id, 'research');
+        expect(research).toHaveLength(6);
+        expect(research[0]).toEqual({ role: 'user', content: 'Prompt one'.padEnd(40, '.') });
+    });
+
+    it('should pass the history to the agent between the system prompt and the new prompt', async () => {
+        const mock = new MockProvider();
+        const router = new ProviderRouter({ providers: { mock }, config: { forceProvider: 'mock' } });
+        const agent = new CreativeAgent({ providers: router });
+        const history = [
+            { role: 'user', content: 'Write a tagline for a bakery' },
+            { role: 'assistant', content: 'Fresh from our oven to your table.' }
+        ];
+
+        const result = await agent.execute({ prompt: 'Make it shorter' }, { history });
+
+        expect(result.success).toBe(true);
+        expect(mock.calls[0].messages.map(message => message.role)).toEqual(['system', 'user', 'assistant', 'user']);
+        expect(mock.calls[0].messages[3].content).toBe('Make it shorter');
+    });
+});
@@ -0,0 +1,130 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const ExcelJS = require('exceljs');
+const { parseDataset } = require('../../src/services/datasets/dataset-parser');
+const { profileDataset } = require('../../src/services/datasets/dataset-profiler');
+const { buildDatasetContext, extractCitations } = require('../../src/services/datasets/dataset-context');
+const DatasetStore = require('../../src/services/datasets/dataset-store');
+
+describe('Dataset Ingestion', () => {
+    const csv = [
+        'region,revenue,launched,notes',
+        'North,"1,200",2024-01-15,"Strong, steady"',
+        'South,850.5,2024-02-01,',
+        'East,N/A,2024-03-10,"Said ""maybe"""'
+    ].join('\r\n');
+
+    it('should parse quoted CSV fields into typed values', async () => {
+        const dataset = await parseDataset(Buffer.from(csv), { filename: 'sales.csv' });
+
+        expect(dataset.columns).toEqual(['region', 'revenue', 'launched', 'notes']);
+        expect(dataset.rows[0]).toEqual({ region: 'North', revenue: 1200, launched: '2024-01-15', notes: 'Strong, steady' });
+        expect(dataset.rows[1].notes).toBeNull();
+        expect(dataset.rows[2].revenue).toBeNull();
+        expect(dataset.rows[2].notes).toBe('Said "maybe"');
+    });
+
+    it('should flatten nested JSON records and reject unsupported files', async () => {
+        const json = JSON.stringify({ data: [{ id: 1, address: { city: 'Cape Town' } }, { id: 2, tags: ['a'] }] });
+        const dataset = await parseDataset(Buffer.from(json), { filename: 'people.json' });
+
+        expect(dataset.columns).toEqual(['id', 'address.city', 'tags']);
+        expect(dataset.rows[1]).toEqual({ id: 2, 'address.city': null, tags: '["a"]' });
+
+        await expect(parseDataset(Buffer.from('x'), { filename: 'notes.docx' })).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should read the chosen sheet of an XLSX workbook as the values shown in its cells', async () => {
+        const workbook = new ExcelJS.Workbook();
+        workbook.addWorksheet('Notes').addRow(['ignored']);
+        const sales = workbook.addWorksheet('Sales');
+        sales.addRows([
+            ['region', 'revenue', 'launched', 'notes'],
+            ['North', 1200, new Date('2024-01-15T00:00:00Z'), { richText: [{ text: 'Strong, ' }, { text: 'steady' }] }],
+            ['South', { formula: 'B2/2', result: 600 }, null, { text: 'Site', hyperlink: 'https://example.com' }],
+            ['East', { formula: '1/0', result: { error: '#DIV/0!' } }]
+        ]);
+        const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+        const dataset = await parseDataset(buffer, { filename: 'sales.xlsx', sheet: 'Sales' });
+
+        expect(dataset).toMatchObject({ format: 'xlsx', sheet: 'Sales', sheets: ['Notes', 'Sales'], columns: ['region', 'revenue', 'launched', 'notes'] });
+        expect(dataset.rows).toEqual([
+            { region: 'North', revenue: 1200, launched: '2024-01-15T00:00:00.000Z', notes: 'Strong, steady' },
+            { region: 'South', revenue: 600, launched: null, notes: 'Site' },
+            { region: 'East', revenue: null, launched: null, notes: null }
+        ]);
+
+        await expect(parseDataset(Buffer.from('not a zip'), { filename: 'sales.xlsx' })).rejects.toMatchObject({ status: 400, code: 'INVALID_DATASET' });
+        await expect(parseDataset(buffer, { filename: 'sales.xls' })).rejects.toThrow('Unsupported file type');
+    });
+
+    it('should keep blank workbook rows inside the table so cited rows match the sheet', async () => {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Sales');
+        sheet.getRow(2).values = ['region', 'revenue'];
+        sheet.getRow(3).values = ['North', 1200];
+        sheet.getRow(5).values = ['South', 850];
+        sheet.getRow(7).values = [' '];
+        const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+        const dataset = await parseDataset(buffer, { filename: 'sales.xlsx' });
+
+        expect(dataset.rows).toEqual([
+            { region: 'North', revenue: 1200 },
+            { region: null, revenue: null },
+            { region: 'South', revenue: 850 }
+        ]);
+        expect(extractCitations('[row 3, column "revenue"]', dataset)[0]).toMatchObject({ valid: true, value: 850 });
+    });
+
+    it('should profile column types, nulls and ranges', async () => {
+        const dataset = await parseDataset(Buffer.from(csv), { filename: 'sales.csv' });
+        const profile = profileDataset(dataset);
+        const [region, revenue, launched, notes] = profile.columns;
+
+        expect(profile.rowCount).toBe(3);
+        expect(region).toMatchObject({ type: 'string', nulls: 0, distinct: 3 });
+        expect(revenue).toMatchObject({ type: 'number', nulls: 1, min: 850.5, max: 1200, mean: 1025.25 });
+        expect(launched).toMatchObject({ type: 'date', min: '2024-01-15', max: '2024-03-10' });
+        expect(notes.nullRate).toBeCloseTo(0.3333, 4);
+    });
+
+    it('should sample large datasets with numbered rows and resolve citations', () => {
+        const rows = Array.from({ length: 1000 }, (_, index) => ({ id: index + 1, score: index % 7 }));
+        const dataset = { filename: 'scores.csv', format: 'csv', columns: ['id', 'score'], rows };
+        dataset.profile = profileDataset(dataset);
+
+        const context = buildDatasetContext(dataset, { promptRows: 50, promptChars: 100000 });
+
+        expect(context.sampled).toBe(true);
+        expect(context.rowNumbers).toHaveLength(50);
+        expect(context.rowNumbers[0]).toBe(1);
+        expect(context.rowNumbers[49]).toBe(1000);
+        expect(context.text).toContain('a sample of 50 of 1000 rows');
+        expect(context.text).toContain('\n1000 | 1000 | 5');
+
+        const citations = extractCitations('Scores peak at [row 7, column "score"] but [row 5000] and [column "bogus"] do not exist.', dataset);
+        expect(citations).toEqual([
+            { reference: '[row 7, column "score"]', row: 7, column: 'score', valid: true, value: 6 },
+            { reference: '[row 5000]', row: 5000, column: null, valid: false },
+            { reference: '[column "bogus"]', row: null, column: 'bogus', valid: false }
+        ]);
+    });
+
+    it('should only return stored datasets to the user who uploaded them', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'datasets-'));
+        const store = new DatasetStore({ directory });
+
+        try {
+            const saved = await store.save(7, { filename: 'a.csv', columns: ['x'], rows: [{ x: 1 }] });
+
+            expect((await store.load(saved.id, 7)).rows).toEqual([{ x: 1 }]);
+            await expect(store.load(saved.id, 8)).rejects.toMatchObject({ status: 404 });
+            await expect(store.load('../../etc/passwd', 7)).rejects.toMatchObject({ status: 404 });
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
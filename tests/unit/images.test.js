@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveDimensions } = require('../../src/services/images/image-processing');
+const ImageStore = require('../../src/services/images/image-store');
+const CreativeAgent = require('../../src/agents/creative-agent/content-generator');
+const ProviderRouter = require('../../src/services/providers/provider-router');
+const StabilityProvider = require('../../src/services/providers/stability-provider');
+const MockProvider = require('../../src/services/providers/mock-provider');
+const aiConfig = require('../../config/ai-config');
+
+describe('Image Editing', () => {
+    let directory;
+    let images;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'images-'));
+        images = new ImageStore({ directory });
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const buildAgent = (mock = new MockProvider()) => new CreativeAgent({
+        providers: new ProviderRouter({ providers: { mock }, config: { forceProvider: 'mock' } }),
+        images: images
+    });
+
+    const upload = (extra = {}) => images.save(7, {
+        filename: 'photo.png',
+        format: 'png',
+        width: 1000,
+        height: 1000,
+        image: Buffer.from('source image').toString('base64'),
+        ...extra
+    });
+
+    it('should turn aspect ratios and size presets into dimensions', () => {
+        expect(resolveDimensions({ aspectRatio: '16:9' })).toEqual({ width: 1024, height: 576 });
+        expect(resolveDimensions({ aspectRatio: '2:3', size: 'small' })).toEqual({ width: 344, height: 512 });
+        expect(resolveDimensions({ width: 800, height: 600 })).toEqual({ width: 800, height: 600 });
+        expect(resolveDimensions({})).toBeNull();
+        expect(() => resolveDimensions({ aspectRatio: '5:1' })).toThrow('aspectRatio must be one of');
+        expect(() => resolveDimensions({ width: 9000, height: 10 })).toThrow('between 1 and 4096');
+    });
+
+    it('should ask each provider for the closest size it can render', () => {
+        const stability = new StabilityProvider(aiConfig.stabilityAI);
+
+        expect(stability.pickImageSize(aiConfig.stabilityAI.sizes, 1024, 576)).toEqual([1344, 768]);
+        expect(stability.pickImageSize(aiConfig.openai.imageSizes['dall-e-3'], 576, 1024)).toEqual([1024, 1792]);
+        expect(stability.pickImageSize(aiConfig.openai.imageSizes['dall-e-2'], 300, 300)).toEqual([512, 512]);
+        expect(stability.pickImageSize(aiConfig.openai.imageSizes['dall-e-2'], 2048, 2048)).toEqual([1024, 1024]);
+    });
+
+    it('should send variations past providers that cannot make them', async () => {
+        const stability = new StabilityProvider({ ...aiConfig.stabilityAI, apiKey: 'test-key' });
+        const mock = new MockProvider();
+        const router = new ProviderRouter({
+            providers: { stabilityAI: stability, mock },
+            config: { forceProvider: undefined, routing: { default: { imageEdit: ['stabilityAI', 'mock'] } } }
+        });
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const edited = await router.editImage('creative', Buffer.from('image'), { operation: 'variation' });
+
+        expect(edited.provider).toBe('mock');
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('stabilityAI failed'), 'stabilityAI does not support variation editing');
+        warn.mockRestore();
+    });
+
+    it('should inpaint with the stored mask and outpaint towards a target aspect ratio', async () => {
+        const mock = new MockProvider();
+        const agent = buildAgent(mock);
+        const photo = await upload({ mask: Buffer.from('mask').toString('base64') });
+        const context = { userId: 7, userTier: 'premium' };
+
+        const inpainted = await agent.execute({
+            type: 'image', agentType: 'creative', operation: 'inpaint', prompt: 'a red door', image: { id: photo.id }
+        }, context);
+        const outpainted = await agent.execute({
+            type: 'image', agentType: 'creative', operation: 'outpaint', image: { id: photo.id }, options: { aspectRatio: '16:9' }
+        }, context);
+
+        expect(inpainted).toMatchObject({ success: true, operation: 'inpaint', image: { provider: 'mock', format: 'png' } });
+        expect(inpainted.source).toEqual({ id: photo.id, filename: 'photo.png', dimensions: { width: 1000, height: 1000 } });
+        expect(mock.calls[0].image.toString()).toBe('source image');
+        expect(mock.calls[0].options).toMatchObject({ operation: 'inpaint', prompt: 'a red door' });
+        expect(mock.calls[0].options.mask.toString()).toBe('mask');
+        expect(mock.calls[1].options).toMatchObject({ operation: 'outpaint', expand: { left: 389, right: 389, up: 0, down: 0 } });
+    });
+
+    it('should return each requested variation and reject invalid edits before calling a provider', async () => {
+        const mock = new MockProvider();
+        const agent = buildAgent(mock);
+        const photo = await upload();
+        const context = { userId: 7, userTier: 'premium' };
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const variations = await agent.execute({
+            type: 'image', operation: 'variation', image: { id: photo.id }, options: { count: 3 }
+        }, context);
+        const withoutMask = await agent.execute({ type: 'image', operation: 'inpaint', prompt: 'a door', image: { id: photo.id } }, context);
+        const badScale = await agent.execute({ type: 'image', operation: 'upscale', image: { id: photo.id }, options: { scale: 3 } }, context);
+        const otherUser = await agent.execute({ type: 'image', operation: 'upscale', image: { id: photo.id } }, { userId: 8 });
+
+        expect(variations.images).toHaveLength(3);
+        expect(mock.calls.filter(call => call.capability === 'imageEdit')).toHaveLength(3);
+        expect(withoutMask).toMatchObject({ success: false, statusCode: 400, error: expect.stringContaining('mask') });
+        expect(badScale).toMatchObject({ success: false, statusCode: 400, error: 'scale must be one of 2, 4' });
+        expect(otherUser).toMatchObject({ success: false, statusCode: 404 });
+        expect(mock.calls).toHaveLength(3);
+        error.mockRestore();
+    });
+});
@@ -0,0 +1,137 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { chunkText } = require('../../src/services/knowledge/text-chunker');
+const { extractCitations } = require('../../src/services/knowledge/knowledge-citations');
+const KnowledgeBaseService = require('../../src/services/knowledge/knowledge-base-service');
+const FileKnowledgeStore = require('../../src/services/knowledge/file-knowledge-store');
+const ResearchAgent = require('../../src/agents/research-agent/research');
+const ProviderRouter = require('../../src/services/providers/provider-router');
+const MockProvider = require('../../src/services/providers/mock-provider');
+const UsageMeter = require('../../src/services/costs/usage-meter');
+
+const handbook = [
+    'Refund policy. Customers can return hardware within 30 days of delivery for a full refund.',
+    'Shipping. Orders ship from the Leeds warehouse within two working days.',
+    'Support hours. The support desk answers calls from 8am to 6pm on weekdays.'
+].join('\n\n');
+
+describe('Knowledge Bases', () => {
+    const owner = { id: 1 };
+    let directory;
+    let mock;
+    let knowledge;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-'));
+        mock = new MockProvider({ chatResponse: 'Hardware can be returned within 30 days [K1]. Calls are answered on weekdays [K9].' });
+        knowledge = new KnowledgeBaseService({
+            store: new FileKnowledgeStore({ directory }),
+            providers: new ProviderRouter({ providers: { mock }, config: { forceProvider: 'mock' } }),
+            config: {
+                maxDocuments: 5,
+                maxChunksPerDocument: 100,
+                chunkTokens: 25,
+                chunkOverlap: 0,
+                embedBatchSize: 2,
+                topK: 2,
+                minScore: 0.1,
+                maxContextChars: 2000
+            }
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should chunk on paragraph boundaries with exact offsets and overlap', () => {
+        const chunks = chunkText(handbook, { chunkTokens: 25, overlapTokens: 0 });
+
+        expect(chunks.map(chunk => chunk.content.split('.')[0])).toEqual(['Refund policy', 'Shipping', 'Support hours']);
+        chunks.forEach(chunk => expect(handbook.slice(chunk.start, chunk.end).trim()).toBe(chunk.content));
+
+        const sentences = 'One short sentence here. Another short sentence here. A third short sentence here.';
+        const overlapping = chunkText(sentences, { chunkTokens: 16, overlapTokens: 8 });
+
+        expect(overlapping.map(chunk => chunk.content)).toEqual([
+            'One short sentence here. Another short sentence here.',
+            'Another short sentence here. A third short sentence here.'
+        ]);
+    });
+
+    it('should embed uploaded documents and rank chunks by similarity', async () => {
+        const knowledgeBase = await knowledge.createKnowledgeBase(owner, { name: 'Handbook' });
+        const document = await knowledge.addDocument(knowledgeBase.id, owner.id, {
+            buffer: Buffer.from(handbook),
+            filename: 'handbook.md'
+        });
+
+        expect(document).toMatchObject({ filename: 'handbook.md', format: 'markdown', chunkCount: 3 });
+        // Two embedding calls: the batch size is 2
+        expect(mock.calls.filter(call => call.capability === 'embed')).toHaveLength(2);
+
+        const results = await knowledge.search(knowledgeBase.id, owner.id, 'return hardware refund');
+        expect(results[0]).toMatchObject({ id: `${document.id}#0`, filename: 'handbook.md', index: 0 });
+        expect(results[0].content).toContain('within 30 days');
+
+        const updated = await knowledge.getKnowledgeBase(knowledgeBase.id, owner.id);
+        expect(updated).toMatchObject({ embeddingModel: 'mock-embedding', documentCount: 1, chunkCount: 3 });
+
+        await expect(knowledge.search(knowledgeBase.id, 2, 'refund')).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should record the embedding spend of uploads and searches made outside a task', async () => {
+        knowledge.recordCosts = jest.fn();
+        const knowledgeBase = await knowledge.createKnowledgeBase(owner, { name: 'Handbook' });
+        const document = await knowledge.addDocument(knowledgeBase.id, owner.id, {
+            buffer: Buffer.from(handbook),
+            filename: 'handbook.md'
+        }, { userTier: 'basic' });
+
+        const [ingestion, usage] = knowledge.recordCosts.mock.calls[0];
+        expect(ingestion).toEqual({ id: document.id, userId: owner.id, userTier: 'basic', agentType: 'knowledge' });
+        expect(usage.getEntries().map(entry => [entry.provider, entry.capability])).toEqual([['mock', 'embed'], ['mock', 'embed']]);
+
+        await knowledge.search(knowledgeBase.id, owner.id, 'refund');
+        expect(knowledge.recordCosts.mock.calls[1][0]).toMatchObject({ id: expect.stringMatching(/^search_/), userTier: 'free' });
+
+        // A task's own meter collects the spend instead
+        const taskUsage = new UsageMeter();
+        await knowledge.search(knowledgeBase.id, owner.id, 'refund', {}, { usage: taskUsage });
+        expect(knowledge.recordCosts).toHaveBeenCalledTimes(2);
+        expect(taskUsage.getEntries()).toHaveLength(1);
+    });
+
+    it('should refuse to mix embedding models in one knowledge base', async () => {
+        const knowledgeBase = await knowledge.createKnowledgeBase(owner, { name: 'Handbook' });
+        await knowledge.addDocument(knowledgeBase.id, owner.id, { buffer: Buffer.from(handbook), filename: 'handbook.txt' });
+        await knowledge.store.updateKnowledgeBase(knowledgeBase.id, { embeddingModel: 'text-embedding-3-small' });
+
+        await expect(knowledge.search(knowledgeBase.id, owner.id, 'refund'))
+            .rejects.toMatchObject({ status: 409, code: 'EMBEDDING_MODEL_MISMATCH' });
+    });
+
+    it('should have research answers cite the chunks they used', async () => {
+        const knowledgeBase = await knowledge.createKnowledgeBase(owner, { name: 'Handbook' });
+        const document = await knowledge.addDocument(knowledgeBase.id, owner.id, { buffer: Buffer.from(handbook), filename: 'handbook.txt' });
+        const agent = new ResearchAgent({ providers: knowledge.providers, knowledge });
+
+        const result = await agent.execute(
+            { prompt: 'How long do customers have to return hardware for a refund?', knowledgeBaseId: knowledgeBase.id },
+            { userId: owner.id }
+        );
+
+        const chat = mock.calls.find(call => call.capability === 'chat');
+        expect(chat.messages[0].content).toContain('[K1], [K2]');
+        expect(chat.messages[1].content).toContain('[K1] handbook.txt, section 1:\nRefund policy.');
+
+        // [K9] was not among the excerpts, so it is not a citation
+        expect(result.citations).toEqual([expect.objectContaining({
+            marker: 'K1',
+            chunkId: `${document.id}#0`,
+            excerpt: expect.stringContaining('within 30 days')
+        })]);
+        expect(extractCitations('See [K1, K2].', [{ id: 'a' }, { id: 'b' }]).map(citation => citation.chunkId)).toEqual(['a', 'b']);
+    });
+});
@@ -0,0 +1,152 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { parseProjectResponse, normalizeProjectPath, buildProjectArchive } = require('../../src/services/projects/project-files');
+const ProjectStore = require('../../src/services/projects/project-store');
+const CodingAgent = require('../../src/agents/coding-agent/code-generator');
+const ProviderRouter = require('../../src/services/providers/provider-router');
+const MockProvider = require('../../src/services/providers/mock-provider');
+
+const projectResponse = [
+    'Here is the app.',
+    '```json manifest',
+    '{ "name": "Todo API", "entry": "src/server.js", "commands": { "start": "node src/server.js" } }',
+    '```',
+    '```javascript path=src/server.js',
+    "const app = require('./app');",
+    'app.listen(3000);',
+    '```',
+    '### src/app.js',
+    '```javascript',
+    "module.exports = require('express')();",
+    '```',
+    '````markdown path=README.md',
+    '# Todo API',
+    '```bash',
+    'npm start',
+    '```',
+    '````',
+    '```text path=../../etc/passwd',
+    'root',
+    '```'
+].join('\n');
+
+function createAgent(responses, directory) {
+    const mock = new MockProvider();
+    mock.chat = jest.fn(async () => ({ content: responses.shift(), provider: 'mock' }));
+
+    return {
+        mock,
+        agent: new CodingAgent({
+            providers: new ProviderRouter({ providers: { mock }, config: { forceProvider: 'mock' } }),
+            projects: new ProjectStore({ directory }),
+            projectConfig: { maxTokens: 4000, temperature: 0.3, maxFiles: 10, maxFileBytes: 10000, editPromptChars: 5000 }
+        })
+    };
+}
+
+describe('Project Generation', () => {
+    it('should read file paths from info strings and headings and skip unsafe paths', () => {
+        const parsed = parseProjectResponse(projectResponse);
+
+        expect(parsed.manifest.name).toBe('Todo API');
+        expect(parsed.files.map(file => file.path)).toEqual(['src/server.js', 'src/app.js', 'README.md']);
+        expect(parsed.files[2].content).toBe('# Todo API\n```bash\nnpm start\n```\n');
+        expect(parsed.skipped).toEqual([
+            { path: '../../etc/passwd', reason: 'Invalid project path "../../etc/passwd": path cannot contain ..' }
+        ]);
+
+        expect(normalizeProjectPath('./src\\index.js')).toBe('src/index.js');
+        expect(() => normalizeProjectPath('/etc/passwd')).toThrow('path must be relative');
+    });
+
+    it('should report files cut off by the token limit', () => {
+        const parsed = parseProjectResponse('```python path=main.py\nprint("ok")\n```\n```python path=app.py\ndef run(');
+
+        expect(parsed.files.map(file => file.path)).toEqual(['main.py']);
+        expect(parsed.skipped).toEqual([{ path: 'app.py', reason: 'File was cut off before it ended' }]);
+    });
+
+    it('should save a generated project and apply targeted edits as new revisions', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+        const { agent, mock } = createAgent([
+            projectResponse,
+            [
+                '```javascript path=src/app.js',
+                "const express = require('express');",
+                'module.exports = express();',
+                '```',
+                '```javascript path=src/server.js',
+                'process.exit(1);',
+                '```'
+            ].join('\n')
+        ], directory);
+
+        try {
+            const created = await agent.execute(
+                { prompt: 'A small Express todo API', language: 'javascript', options: { project: true } },
+                { userId: 7 }
+            );
+
+            expect(created.success).toBe(true);
+            expect(created.project).toMatchObject({ name: 'todo-api', revision: 1 });
+            expect(created.manifest).toMatchObject({ entry: 'src/server.js', commands: { start: 'node src/server.js' } });
+            expect(created.manifest.files.map(file => file.path)).toEqual(['README.md', 'src/app.js', 'src/server.js']);
+
+            const edited = await agent.execute(
+                { prompt: 'Split the express require', project: { id: created.project.id, files: ['src/app.js'] } },
+                { userId: 7 }
+            );
+
+            expect(edited.project.revision).toBe(2);
+            expect(edited.changes).toEqual({ added: [], modified: ['src/app.js'], deleted: [], ignored: ['src/server.js'] });
+            expect(edited.files.find(file => file.path === 'src/server.js').content).toContain('app.listen(3000)');
+            expect(edited.manifest.entry).toBe('src/server.js');
+
+            const editPrompt = mock.chat.mock.calls[1][0];
+            expect(editPrompt[0].content).toContain('Only change these files: src/app.js.');
+            expect(editPrompt[1].content).toContain('- src/server.js (2 lines)');
+            expect(editPrompt[1].content).toContain("```javascript path=src/app.js\nmodule.exports = require('express')();\n```");
+            expect(editPrompt[1].content).not.toContain('app.listen');
+
+            const denied = await agent.execute(
+                { prompt: 'Edit', project: { id: created.project.id } },
+                { userId: 8 }
+            );
+            expect(denied).toMatchObject({ success: false, statusCode: 404, errorCode: 'PROJECT_NOT_FOUND' });
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    it('should export the project files and manifest as a zip archive', () => {
+        const archive = buildProjectArchive({
+            id: 'proj_1_abc',
+            revision: 3,
+            createdAt: '2026-01-01T00:00:00.000Z',
+            manifest: { name: 'todo-api', language: 'javascript', files: [] },
+            files: [{ path: 'src/app.js', content: 'module.exports = {};\n' }]
+        });
+
+        expect(archive.filename).toBe('todo-api.zip');
+        expect(archive.contentType).toBe('application/zip');
+
+        // Walk the local file headers and inflate each entry
+        const entries = {};
+        let offset = 0;
+        while (archive.body.readUInt32LE(offset) === 0x04034b50) {
+            const compressedSize = archive.body.readUInt32LE(offset + 18);
+            const nameLength = archive.body.readUInt16LE(offset + 26);
+            const extraLength = archive.body.readUInt16LE(offset + 28);
+            const name = archive.body.toString('utf8', offset + 30, offset + 30 + nameLength);
+            const dataStart = offset + 30 + nameLength + extraLength;
+
+            entries[name] = zlib.inflateRawSync(archive.body.subarray(dataStart, dataStart + compressedSize)).toString('utf8');
+            offset = dataStart + compressedSize;
+        }
+
+        expect(entries['todo-api/src/app.js']).toBe('module.exports = {};\n');
+        expect(JSON.parse(entries['todo-api/.project-manifest.json'])).toMatchObject({ id: 'proj_1_abc', revision: 3 });
+    });
+});
@@ -0,0 +1,104 @@
+const ProviderRouter = require('../../src/services/providers/provider-router');
+const MockProvider = require('../../src/services/providers/mock-provider');
+const ResearchAgent = require('../../src/agents/research-agent/research');
+
+describe('AI Provider Routing', () => {
+    const outage = () => {
+        const error = new Error('Request failed with status code 503');
+        error.response = { status: 503 };
+        return error;
+    };
+
+    const buildRouter = (providers, routing = {}) => new ProviderRouter({
+        providers: providers,
+        config: {
+            forceProvider: undefined,
+            failoverCooldown: 30000,
+            routing: {
+                default: { chat: ['primary', 'secondary'], image: ['secondary'] },
+                ...routing
+            }
+        }
+    });
+
+    const messages = [{ role: 'user', content: 'Explain solar power' }];
+
+    it('should use the first provider in the route', async () => {
+        const primary = new MockProvider({ name: 'primary', chatResponse: 'from primary' });
+        const secondary = new MockProvider({ name: 'secondary' });
+        const router = buildRouter({ primary, secondary });
+
+        const completion = await router.chat('research', messages);
+
+        expect(completion.content).toBe('from primary');
+        expect(completion.provider).toBe('primary');
+        expect(secondary.calls).toHaveLength(0);
+    });
+
+    it('should fail over when a provider is down and try it last while it cools down', async () => {
+        const primary = new MockProvider({ name: 'primary', error: outage() });
+        const secondary = new MockProvider({ name: 'secondary', chatResponse: 'from secondary' });
+        const router = buildRouter({ primary, secondary });
+
+        expect((await router.chat('research', messages)).provider).toBe('secondary');
+        expect(router.getCandidates('research', 'chat')).toEqual(['secondary', 'primary']);
+
+        await router.chat('research', messages);
+        expect(primary.calls).toHaveLength(1);
+    });
+
+    it('should not fail over on requests the vendor rejected as invalid', async () => {
+        const badRequest = new Error('Request failed with status code 400');
+        badRequest.response = { status: 400 };
+
+        const primary = new MockProvider({ name: 'primary', error: badRequest });
+        const secondary = new MockProvider({ name: 'secondary' });
+        const router = buildRouter({ primary, secondary });
+
+        await expect(router.chat('research', messages)).rejects.toThrow('status code 400');
+        expect(secondary.calls).toHaveLength(0);
+    });
+
+    it('should not replay a stream that already sent tokens', async () => {
+        const primary = new MockProvider({ name: 'primary' });
+        primary.chat = async (chatMessages, options) => {
+            options.onToken('partial ');
+            throw outage();
+        };
+        const secondary = new MockProvider({ name: 'secondary' });
+        const router = buildRouter({ primary, secondary });
+        const tokens = [];
+
+        await expect(router.chat('research', messages, { onToken: token => tokens.push(token) })).rejects.toThrow('503');
+        expect(tokens).toEqual(['partial ']);
+        expect(secondary.calls).toHaveLength(0);
+    });
+
+    it('should honour per-agent routes and skip providers without the capability', async () => {
+        const primary = new MockProvider({ name: 'primary' });
+        const secondary = new MockProvider({ name: 'secondary' });
+        primary.capabilities = ['chat'];
+        const router = buildRouter({ primary, secondary }, { coding: { chat: ['secondary', 'primary'] } });
+
+        expect((await router.chat('coding', messages)).provider).toBe('secondary');
+        expect(router.getCandidates('creative', 'image')).toEqual(['secondary']);
+        expect(router.getCandidates('voice', 'tts')).toEqual([]);
+        await expect(router.textToSpeech('voice', 'hello')).rejects.toMatchObject({ code: 'NO_PROVIDER' });
+    });
+
+    it('should let agents run entirely against the mock provider', async () => {
+        const mock = new MockProvider();
+        const router = new ProviderRouter({ providers: { mock }, config: { forceProvider: 'mock' } });
+        const agent = new ResearchAgent({ providers: router });
+        const tokens = [];
+
+        const result = await agent.execute(
+            { prompt: 'Solar power', options: { includeWebSearch: false } },
+            { onToken: token => tokens.push(token) }
+        );
+
+        expect(result.success).toBe(true);
+        expect(result.content).toContain('Research Topic: Solar power');
+        expect(tokens.join('')).toBe(result.content);
+    });
+});
@@ -0,0 +1,80 @@
+const StatisticalEngine = require('../../src/services/statistics/statistical-engine');
+const { buildCharts } = require('../../src/services/reports/chart-builder');
+const { renderSvg } = require('../../src/services/reports/chart-renderer');
+const { buildReport } = require('../../src/services/reports/report-builder');
+
+describe('Analysis Reports', () => {
+    const engine = new StatisticalEngine({
+        movingAverageWindow: 3,
+        outlierZScore: 3,
+        maxSeasonalPeriod: 12,
+        minSeasonalStrength: 0.3,
+        maxColumns: 10,
+        maxGroups: 20,
+        maxSeriesPoints: 100
+    });
+
+    const trends = engine.analyzeTrends(engine.toTable([
+        { day: '2024-01-01', orders: 10 },
+        { day: '2024-01-02', orders: 12 },
+        { day: '2024-01-03', orders: 15 },
+        { day: '2024-01-04', orders: 19 }
+    ]));
+
+    const comparison = engine.compareGroups(engine.toTable([
+        { store: 'A & B', sales: 5 },
+        { store: 'C', sales: 9 },
+        { store: 'A & B', sales: 7 },
+        { store: 'C', sales: 11 }
+    ]));
+
+    it('should build Vega-Lite specs for trends and comparisons', () => {
+        const [trendChart] = buildCharts(trends);
+        const [barChart] = buildCharts(comparison);
+
+        expect(trendChart).toMatchObject({ id: 'trend-orders', type: 'line' });
+        expect(trendChart.spec.encoding.x).toMatchObject({ field: 'x', type: 'temporal' });
+        expect(new Set(trendChart.spec.data.values.map(datum => datum.series))).toEqual(
+            new Set(['orders', '3-point moving average', 'Linear trend'])
+        );
+
+        expect(barChart).toMatchObject({ id: 'comparison-sales', type: 'bar' });
+        expect(barChart.spec.data.values.map(datum => datum.group)).toEqual(['C', 'A & B']);
+    });
+
+    it('should render chart specs to escaped SVG', () => {
+        const svg = renderSvg(buildCharts(comparison)[0].spec);
+
+        expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+        expect(svg.match(/<rect [^>]*fill="#4c78a8"/g)).toHaveLength(2);
+        expect(svg).toContain('A &amp; B');
+        expect(() => renderSvg({ mark: 'arc', encoding: {} })).toThrow('Cannot render arc charts');
+    });
+
+    it('should export HTML and Markdown bundle reports', () => {
+        const task = {
+            id: 'task_1',
+            type: 'analysis',
+            completedAt: '2024-02-01T00:00:00.000Z',
+            result: {
+                analysisType: 'comparison',
+                comparison: 'Store <C> sells more.',
+                keyDifferences: ['C has the highest mean sales'],
+                statistics: comparison,
+                charts: buildCharts(comparison)
+            }
+        };
+
+        const html = buildReport(task, 'html');
+        expect(html.filename).toBe('task_1-report.html');
+        expect(html.body.toString()).toContain('Store &lt;C&gt; sells more.');
+        expect(html.body.toString()).toContain('<figure><svg');
+
+        const bundle = buildReport(task, 'markdown');
+        expect(bundle.contentType).toBe('application/zip');
+        expect(bundle.body.readUInt32LE(0)).toBe(0x04034b50);
+        ['report.md', 'charts/comparison-sales.svg', 'charts/comparison-sales.vl.json', 'statistics.json'].forEach(name => {
+            expect(bundle.body.includes(Buffer.from(name))).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,62 @@
+const TaskScheduler = require('../../src/services/task-queue/scheduler');
+
+describe('Task Scheduler', () => {
+    const now = 1000000;
+    let scheduler;
+
+    const buildTask = (id, userId, userTier, secondsAgo) => ({
+        id: id,
+        userId: userId,
+        userTier: userTier,
+        createdAt: new Date(now - secondsAgo * 1000)
+    });
+
+    beforeEach(() => {
+        scheduler = new TaskScheduler({ agingInterval: 10 * 60 * 1000 });
+    });
+
+    it('should schedule higher tiers ahead of older lower-tier tasks', () => {
+        const waiting = [
+            buildTask('free_1', 1, 'free', 60),
+            buildTask('basic_1', 2, 'basic', 30),
+            buildTask('enterprise_1', 3, 'enterprise', 1)
+        ];
+
+        const order = scheduler.order(waiting, [], now).map(task => task.id);
+        expect(order).toEqual(['enterprise_1', 'basic_1', 'free_1']);
+    });
+
+    it('should alternate between users in the same tier', () => {
+        const waiting = [
+            buildTask('a_1', 'a', 'free', 50),
+            buildTask('a_2', 'a', 'free', 40),
+            buildTask('a_3', 'a', 'free', 30),
+            buildTask('b_1', 'b', 'free', 20),
+            buildTask('b_2', 'b', 'free', 10)
+        ];
+
+        const order = scheduler.order(waiting, [], now).map(task => task.id);
+        expect(order).toEqual(['a_1', 'b_1', 'a_2', 'b_2', 'a_3']);
+    });
+
+    it('should count running tasks towards a user\'s turn', () => {
+        const waiting = [
+            buildTask('a_2', 'a', 'premium', 50),
+            buildTask('b_1', 'b', 'premium', 10)
+        ];
+        const running = [buildTask('a_1', 'a', 'premium', 60)];
+
+        const order = scheduler.order(waiting, running, now).map(task => task.id);
+        expect(order).toEqual(['b_1', 'a_2']);
+    });
+
+    it('should age long-waiting tasks up so lower tiers are not starved', () => {
+        const waiting = [
+            buildTask('basic_new', 1, 'basic', 5),
+            buildTask('free_old', 2, 'free', 25 * 60)
+        ];
+
+        const order = scheduler.order(waiting, [], now).map(task => task.id);
+        expect(order).toEqual(['free_old', 'basic_new']);
+    });
+});
@@ -0,0 +1,137 @@
+const { analyzeSeo, buildJsonLd } = require('../../src/services/seo/seo-analyzer');
+const CreativeAgent = require('../../src/agents/creative-agent/content-generator');
+const ProviderRouter = require('../../src/services/providers/provider-router');
+const MockProvider = require('../../src/services/providers/mock-provider');
+const aiConfig = require('../../config/ai-config');
+
+describe('SEO Optimization', () => {
+    const intro = 'Cold brew coffee is smooth, mellow and easy to make at home with a few simple tools. You only need ground beans, cold water, a large jar and a little patience overnight.';
+    const steps = 'Stir the grounds so they are wet all the way through. Cover the jar and leave it on the counter for twelve to eighteen hours. Strain it through a paper filter and keep it in the fridge for up to a week.';
+    const article = [
+        '# How to Make Cold Brew Coffee at Home',
+        intro,
+        '## Choosing beans for cold brew coffee',
+        'Pick a medium roast with a coarse grind. Cold brew coffee tastes best with fresh beans.',
+        '## Steeping and straining',
+        Array(12).fill(steps).join(' ')
+    ].join('\n\n');
+    const metaTitle = 'How to Make Cold Brew Coffee at Home in 3 Steps';
+    const metaDescription = 'Learn how to make smooth cold brew coffee at home with ground beans, water and a jar. Steep it overnight, strain it, and enjoy it.';
+
+    const agentFor = response => {
+        const mock = new MockProvider({ chatResponse: response });
+        return {
+            mock,
+            agent: new CreativeAgent({ providers: new ProviderRouter({ providers: { mock }, config: { forceProvider: 'mock' } }) })
+        };
+    };
+
+    it('should check keyword density and placement, headings, meta tags and readability', () => {
+        const good = analyzeSeo(article, { targetKeyword: 'cold brew coffee', secondaryKeywords: ['coarse grind'], metaTitle, metaDescription });
+
+        expect(good.issues).toEqual([]);
+        expect(good.score).toBe(100);
+        expect(good.targetKeyword).toMatchObject({
+            keyword: 'cold brew coffee',
+            count: 4,
+            placements: { title: true, firstParagraph: true, subheadings: true, metaTitle: true, metaDescription: true }
+        });
+        expect(good.targetKeyword.density).toBeGreaterThanOrEqual(aiConfig.seo.keywordDensity.min);
+        expect(good.targetKeyword.density).toBeLessThanOrEqual(aiConfig.seo.keywordDensity.max);
+        expect(good.secondaryKeywords).toEqual([{ keyword: 'coarse grind', count: 1, density: 0.4 }]);
+        expect(good.headings.map(heading => heading.level)).toEqual([1, 2, 2]);
+        expect(good.meta.title).toEqual({ text: metaTitle, length: metaTitle.length, containsKeyword: true });
+
+        const draft = [
+            '# Coffee tips',
+            'Iced drinks are great. The procedural considerations surrounding extraction methodologies necessitate comprehensive understanding.',
+            '### Cold brew',
+            'Cold brew is simple.',
+            '# More tips'
+        ].join('\n\n');
+        const poor = analyzeSeo(draft, { targetKeyword: 'cold brew coffee', secondaryKeywords: ['french press'], metaTitle: 'Coffee' });
+
+        expect(poor.issues.map(issue => issue.rule)).toEqual([
+            'keyword-missing',
+            'keyword-placement',
+            'keyword-placement',
+            'keyword-placement',
+            'keyword-placement',
+            'secondary-keyword-missing',
+            'multiple-h1',
+            'skipped-heading-level',
+            'meta-title-length',
+            'missing-meta-description',
+            'thin-content',
+            'readability'
+        ]);
+        expect(poor.issues[7].message).toBe('"Cold brew" jumps from H1 to H3');
+        expect(poor.score).toBe(100 - 3 * 15 - 9 * 5);
+    });
+
+    it('should rewrite a blog post in SEO mode and report on the rewrite', async () => {
+        const { mock, agent } = agentFor(`**Meta title:** ${metaTitle}\nMeta description: ${metaDescription}\n\n${article}`);
+        const draft = '# Coffee\n\nSome notes on coffee. Cold brew coffee is nice.';
+
+        const result = await agent.execute({
+            type: 'content_creation',
+            text: draft,
+            optimization: {
+                mode: 'seo',
+                targetKeyword: 'cold brew coffee',
+                secondaryKeywords: 'coarse grind, Cold Brew Coffee',
+                author: 'Sam Lee',
+                url: 'https://blog.example/cold-brew'
+            }
+        }, { userId: 1 });
+
+        const systemPrompt = mock.calls[0].messages[0].content;
+        expect(systemPrompt).toContain('ranks for the target keyword "cold brew coffee"');
+        expect(systemPrompt).toContain('Work in these secondary keywords where they fit: coarse grind.');
+        expect(systemPrompt).toContain('- The target keyword is not in the H1 title');
+        expect(systemPrompt).toContain('Meta title: <30–60 characters, including the target keyword>');
+        expect(mock.calls[0].messages[1].content).toBe(draft);
+
+        expect(result.success).toBe(true);
+        expect(result.text).toBe(article);
+        expect(result.seo).toMatchObject({
+            targetKeyword: 'cold brew coffee',
+            secondaryKeywords: ['coarse grind'],
+            meta: { title: metaTitle, description: metaDescription },
+            report: { score: 100, issues: [] },
+            before: { wordCount: 10 }
+        });
+        expect(result.seo.before.score).toBe(50);
+        expect(result.seo.structuredData).toEqual({
+            '@context': 'https://schema.org',
+            '@type': 'BlogPosting',
+            headline: metaTitle,
+            description: metaDescription,
+            keywords: 'cold brew coffee, coarse grind',
+            wordCount: result.seo.report.wordCount,
+            author: { '@type': 'Person', name: 'Sam Lee' },
+            url: 'https://blog.example/cold-brew',
+            mainEntityOfPage: { '@type': 'WebPage', '@id': 'https://blog.example/cold-brew' }
+        });
+    });
+
+    it('should fall back to meta tags cut from the article and validate SEO options', async () => {
+        const { agent } = agentFor(article);
+        const seo = { mode: 'seo', targetKeyword: 'cold brew coffee' };
+
+        const result = await agent.optimizeForSeo('Draft', seo);
+
+        expect(result.seo.meta.title).toBe('How to Make Cold Brew Coffee at Home');
+        expect(result.seo.meta.description).toBe('Cold brew coffee is smooth, mellow and easy to make at home with a few simple tools. You only need ground beans, cold water, a large jar and a little patience…');
+        expect(result.seo.meta.description.length).toBeLessThanOrEqual(aiConfig.seo.metaDescriptionLength.max);
+        expect(result.seo.structuredData.author).toBeUndefined();
+        expect(buildJsonLd({ title: 'x'.repeat(120) }).headline).toHaveLength(110);
+
+        await expect(agent.optimizeForSeo('Draft', { mode: 'seo' })).rejects.toThrow('targetKeyword is required');
+        await expect(agent.optimizeForSeo('Draft', seo, {}, 'social_media')).rejects.toMatchObject({ status: 400 });
+        await expect(agent.optimizeForSeo('Draft', { ...seo, secondaryKeywords: Array.from({ length: 11 }, (_, i) => `k${i}`) })).rejects.toThrow('limited to 10');
+
+        const failed = await agent.execute({ text: 'Draft', contentType: 'ad_copy', optimization: seo });
+        expect(failed).toMatchObject({ success: false, statusCode: 400, error: 'SEO mode is only available for blog posts' });
+    });
+});
@@ -0,0 +1,98 @@
+const CodeAnalyzer = require('../../src/services/static-analysis/code-analyzer');
+const CodingAgent = require('../../src/agents/coding-agent/code-generator');
+const ProviderRouter = require('../../src/services/providers/provider-router');
+const MockProvider = require('../../src/services/providers/mock-provider');
+
+describe('Static Analysis', () => {
+    const analyzer = new CodeAnalyzer({
+        maxComplexity: 3,
+        maxParams: 3,
+        maxLineLength: 120,
+        timeLimit: 5000,
+        pythonCommand: 'python3'
+    });
+
+    const rules = report => report.diagnostics.map(finding => `${finding.line}:${finding.rule}`);
+
+    it('should report lint, complexity and security findings in JavaScript', async () => {
+        const code = [
+            "const { exec } = require('child_process');",
+            "const apiKey = 'sk-live1234567890abcdefghijkl';",
+            'var unused = 1;',
+            'function run(cmd, retries) {',
+            '    if (retries == 0 || !cmd) return;',
+            "    for (const part of cmd.split(' ')) { if (part) exec('ls ' + part); }",
+            '    try { eval(cmd); } catch (error) {}',
+            '}',
+            'module.exports = { run, apiKey };'
+        ].join('\n');
+
+        const report = await analyzer.analyze(code, 'javascript');
+
+        expect(report.parsed).toBe(true);
+        expect(rules(report)).toEqual([
+            '2:hardcoded-secret', '3:no-var', '3:no-unused-vars', '4:complexity',
+            '5:eqeqeq', '6:shell-injection', '7:no-eval', '7:no-empty'
+        ]);
+        expect(report.diagnostics[0]).toMatchObject({ id: 'D1', severity: 'error', snippet: "const apiKey = '****';" });
+        expect(report.complexity).toMatchObject({ max: 6, rating: 'moderate' });
+        expect(report.summary).toEqual({ errors: 3, warnings: 5, info: 0 });
+    });
+
+    it('should report syntax errors with their position', async () => {
+        const javascript = await analyzer.analyze('const total = 1 +;\nmodule.exports = total;', 'javascript');
+        const python = await analyzer.analyze('def broken(:\n    pass\n', 'python');
+        const java = await analyzer.analyze('class A {\n  void f() {\n    call(1;\n  }\n}', 'java');
+
+        expect(javascript).toMatchObject({ parsed: false, diagnostics: [{ rule: 'syntax-error', line: 1, column: 18 }] });
+        expect(python).toMatchObject({ parsed: false, diagnostics: [{ rule: 'syntax-error', line: 1, column: 12 }] });
+        expect(java.diagnostics[0]).toMatchObject({ rule: 'syntax-error', line: 4, message: "Unexpected '}', expected the closing pair of '(' from line 3" });
+    });
+
+    it('should check Python with its ast module and other languages by pattern', async () => {
+        const python = await analyzer.analyze([
+            'import os, json',
+            'import subprocess',
+            'def clean(path, cache=[]):',
+            '    if path == None:',
+            '        return',
+            '    os.system("rm -rf " + path)',
+            '    subprocess.run(path, shell=True)',
+            '    cursor.execute(f"DELETE FROM files WHERE path = \'{path}\'")',
+            '    try:',
+            '        pass',
+            '    except:',
+            '        pass'
+        ].join('\n'), 'python');
+
+        expect(python.parsed).toBe(true);
+        expect(rules(python)).toEqual([
+            '1:unused-import', '3:mutable-default', '4:none-comparison', '6:shell-injection',
+            '7:shell-injection', '8:sql-injection', '11:bare-except'
+        ]);
+
+        const sql = await analyzer.analyze("DELETE FROM users;\nSELECT * FROM users WHERE name = 'a';", 'sql');
+        expect(sql.parsed).toBe(true);
+        expect(rules(sql)).toEqual(['1:unbounded-write', '2:no-select-star']);
+    });
+
+    it('should let refactorCode target findings and report which were resolved', async () => {
+        const mock = new MockProvider({ chatResponse: '```javascript\nfunction run(cmd) {\n    return JSON.parse(cmd);\n}\nmodule.exports = { run };\n```' });
+        const agent = new CodingAgent({
+            providers: new ProviderRouter({ providers: { mock }, config: { forceProvider: 'mock' } }),
+            analyzer: analyzer
+        });
+        const code = 'var x = 1;\nfunction run(cmd) {\n    return eval(cmd);\n}\nmodule.exports = { run, x };';
+
+        const result = await agent.execute({ action: 'refactor', code, language: 'javascript', prompt: 'parse input safely', findings: ['security'] });
+
+        expect(result.success).toBe(true);
+        expect(result.findings.targeted.map(finding => finding.rule)).toEqual(['no-eval']);
+        expect(result.findings).toMatchObject({ resolved: ['D2'], remaining: [] });
+        expect(result.staticAnalysis.summary.errors).toBe(0);
+        expect(mock.calls[0].messages[0].content).toContain('- [D2] line 3, no-eval: eval() executes arbitrary code');
+
+        const missing = await agent.execute({ action: 'refactor', code, language: 'javascript', prompt: 'tidy up', findings: ['D99'] });
+        expect(missing).toMatchObject({ success: false, statusCode: 400, errorCode: 'FINDINGS_NOT_FOUND' });
+    });
+});
@@ -0,0 +1,93 @@
+const StatisticalEngine = require('../../src/services/statistics/statistical-engine');
+const AnalysisAgent = require('../../src/agents/analyst-agent/data-analyzer');
+const ProviderRouter = require('../../src/services/providers/provider-router');
+const MockProvider = require('../../src/services/providers/mock-provider');
+
+describe('Statistical Engine', () => {
+    const engine = new StatisticalEngine({
+        movingAverageWindow: 3,
+        outlierZScore: 3,
+        maxSeasonalPeriod: 12,
+        minSeasonalStrength: 0.3,
+        maxColumns: 10,
+        maxGroups: 20,
+        maxSeriesPoints: 100
+    });
+
+    it('should compute descriptive statistics and moving averages', () => {
+        expect(engine.describe([4, 1, 3, 2])).toEqual({
+            count: 4, sum: 10, mean: 2.5, median: 2.5, stdDev: 1.291, min: 1, max: 4, q1: 1.75, q3: 3.25
+        });
+        expect(engine.movingAverage([1, 2, 3, 4, 5], 3)).toEqual([2, 3, 4]);
+    });
+
+    it('should fit linear trends and detect seasonality in time order', () => {
+        // Quarterly pattern on a rising baseline, listed out of order
+        const months = Array.from({ length: 24 }, (_, index) => ({
+            month: `${2023 + Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}-01`,
+            sales: 100 + index * 5 + [0, 20, 0, -20][index % 4]
+        })).reverse();
+
+        const result = engine.analyzeTrends({ columns: ['month', 'sales'], rows: months });
+        const [sales] = result.series;
+
+        expect(result.orderedBy).toBe('month');
+        expect(sales.trend.direction).toBe('increasing');
+        expect(sales.trend.slope).toBeCloseTo(5, 0);
+        expect(sales.seasonality).toMatchObject({ period: 4 });
+        expect(sales.movingAverage.values[0].row).toBe(22);
+    });
+
+    it('should flag outliers by row and rank correlations', () => {
+        const rows = [10, 11, 9, 10, 12, 11, 95, 10, 9, 11].map((visits, index) => ({ visits, signups: visits * 2 + (index % 2) }));
+        const result = engine.analyzeTrends({ columns: ['visits', 'signups'], rows });
+
+        expect(result.series[0].outliers).toEqual([
+            expect.objectContaining({ row: 7, value: 95, direction: 'high' })
+        ]);
+        expect(result.correlations[0]).toMatchObject({ columns: ['visits', 'signups'], strength: 'strong positive' });
+        expect(result.correlations[0].r).toBeGreaterThan(0.99);
+    });
+
+    it('should compare groups and numeric series', () => {
+        const table = engine.toTable([
+            { region: 'North', revenue: 120 },
+            { region: 'South', revenue: 80 },
+            { region: 'North', revenue: 100 },
+            { region: 'South', revenue: 60 }
+        ]);
+
+        const grouped = engine.compareGroups(table);
+        expect(grouped.groupColumn).toBe('region');
+        expect(grouped.comparisons[0]).toMatchObject({
+            column: 'revenue',
+            highest: { group: 'North', mean: 110 },
+            lowest: { group: 'South', mean: 70 },
+            difference: 40,
+            differencePercent: 57.1429
+        });
+
+        const series = engine.compareGroups(engine.toTable({ before: [1, 2, 3], after: [4, 5, 6] }));
+        expect(series.groupColumn).toBeNull();
+        expect(series.comparisons[0].highest).toEqual({ group: 'after', mean: 5 });
+        expect(engine.toTable('free text')).toBeNull();
+    });
+
+    it('should have the model narrate precomputed statistics', async () => {
+        const mock = new MockProvider();
+        const agent = new AnalysisAgent({
+            providers: new ProviderRouter({ providers: { mock }, config: { forceProvider: 'mock' } }),
+            statistics: engine
+        });
+
+        const result = await agent.execute({
+            analysisType: 'trends',
+            data: [1, 2, 3, 4, 5, 6]
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.statistics.series[0].trend).toMatchObject({ slope: 1, r2: 1, direction: 'increasing' });
+        expect(result.patterns[0]).toBe('value is increasing by 1 per step (R² 1, 500% over the period)');
+        expect(mock.calls[0].messages[1].content).toContain('"slope": 1');
+    });
+});
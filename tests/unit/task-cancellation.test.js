@@ -0,0 +1,109 @@
+const SyntheticIntelligenceOrchestrator = require('../../src/agents/orchestrator/orchestrator');
+const MemoryQueueStore = require('../../src/services/task-queue/memory-queue-store');
+
+describe('Task Cancellation and Timeouts', () => {
+    let orchestrator;
+    let agent;
+
+    beforeEach(() => {
+        process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'test-key';
+
+        // Services are stubbed so nothing opens MySQL; tasks are run by hand
+        const services = {};
+        orchestrator = new SyntheticIntelligenceOrchestrator({
+            queueStore: new MemoryQueueStore(),
+            conversations: services,
+            knowledge: services,
+            assets: services,
+            brandProfiles: services,
+            variantFeedback: services,
+            workerPool: { pollInterval: 60000, timeouts: { default: 60000, coding: 50, code_review: 5000 } }
+        });
+        orchestrator.workerPool.stop();
+        jest.spyOn(orchestrator, 'canProcessTask').mockResolvedValue(true);
+        jest.spyOn(orchestrator, 'recordTaskUsage').mockResolvedValue();
+        jest.spyOn(orchestrator, 'refundTaskUsage').mockResolvedValue(true);
+        jest.spyOn(orchestrator, 'storeTaskResult').mockResolvedValue();
+
+        // Runs until aborted, like a provider call that never answers
+        agent = { execute: jest.fn((task, context) => new Promise(() => { agent.signal = context.signal; })) };
+        orchestrator.agents.set('coding', agent);
+    });
+
+    afterEach(async () => {
+        await orchestrator.shutdown();
+    });
+
+    const user = { id: 1, subscriptionTier: 'premium' };
+    const task = () => ({ type: 'code_generation', agentType: 'coding', prompt: 'Write a parser' });
+    const events = name => {
+        const seen = [];
+        orchestrator.on(`task:${name}`, event => seen.push(event));
+        return seen;
+    };
+
+    const startTask = async () => {
+        const { taskId } = await orchestrator.processTask(task(), user);
+        const queuedTask = await orchestrator.taskQueue.claimNext();
+        const run = orchestrator.processQueuedTask(queuedTask);
+        await new Promise(resolve => setImmediate(resolve));
+        return { taskId, run };
+    };
+
+    it('should cancel a queued task and refund its usage', async () => {
+        const cancelled = events('cancelled');
+        const { taskId } = await orchestrator.processTask(task(), user);
+
+        await expect(orchestrator.cancelTask(taskId, user.id)).resolves.toEqual({ taskId, status: 'cancelled', refunded: true });
+
+        expect(orchestrator.refundTaskUsage).toHaveBeenCalledWith(taskId);
+        expect(orchestrator.storeTaskResult).toHaveBeenCalledWith(expect.objectContaining({ id: taskId, status: 'cancelled' }), { cancelled: true });
+        expect(await orchestrator.taskQueue.get(taskId)).toBeNull();
+        expect(cancelled).toEqual([expect.objectContaining({ taskId, userId: user.id })]);
+        expect(agent.execute).not.toHaveBeenCalled();
+    });
+
+    it('should abort a running task\'s agent and record it as cancelled', async () => {
+        const cancelled = events('cancelled');
+        const { taskId, run } = await startTask();
+        expect(agent.signal.aborted).toBe(false);
+
+        await expect(orchestrator.cancelTask(taskId, user.id)).resolves.toEqual({ taskId, status: 'cancelling', refunded: false });
+        await run;
+
+        expect(agent.signal.aborted).toBe(true);
+        expect(agent.signal.reason).toMatchObject({ code: 'TASK_CANCELLED' });
+        expect(orchestrator.storeTaskResult).toHaveBeenCalledWith(expect.objectContaining({ id: taskId, status: 'cancelled' }), { cancelled: true });
+        expect(orchestrator.refundTaskUsage).not.toHaveBeenCalled();
+        expect(cancelled).toHaveLength(1);
+        expect(orchestrator.runningTasks.size).toBe(0);
+    });
+
+    it('should time a task out with ETIMEDOUT and retry it', async () => {
+        const requeued = events('queued');
+        const { taskId, run } = await startTask();
+        await run;
+
+        expect(agent.signal.reason).toMatchObject({ code: 'ETIMEDOUT', message: 'Task timed out after 50ms' });
+        expect(await orchestrator.taskQueue.get(taskId)).toMatchObject({ status: 'queued', attempts: 1, error: 'Task timed out after 50ms' });
+        expect(requeued.filter(event => event.retry)).toEqual([expect.objectContaining({ taskId, retry: true, error: 'Task timed out after 50ms' })]);
+        expect(orchestrator.storeTaskResult).not.toHaveBeenCalled();
+    });
+
+    it('should look timeouts up by task type, then agent type, then the default', () => {
+        expect(orchestrator.getTaskTimeout({ type: 'code_review', agentType: 'coding', task: {} })).toBe(5000);
+        expect(orchestrator.getTaskTimeout({ type: 'code_generation', agentType: 'coding', task: {} })).toBe(50);
+        expect(orchestrator.getTaskTimeout({ type: 'research', task: { agentType: 'research' } })).toBe(60000);
+    });
+
+    it('should refuse with a 409 to cancel a task that is starting or has finished', async () => {
+        const { taskId } = await orchestrator.processTask(task(), user);
+        await orchestrator.taskQueue.claimNext();
+
+        await expect(orchestrator.cancelTask(taskId, user.id)).rejects.toMatchObject({ status: 409, message: 'Task is starting, please try again' });
+        await expect(orchestrator.cancelTask(taskId, 2)).rejects.toMatchObject({ status: 403 });
+
+        jest.spyOn(orchestrator, 'getTaskStatus').mockResolvedValue({ user_id: user.id, status: 'completed' });
+        await expect(orchestrator.cancelTask('task-finished', user.id)).rejects.toMatchObject({ status: 409, message: 'Task is already completed' });
+    });
+});
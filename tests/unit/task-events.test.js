@@ -0,0 +1,88 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'test-key';
+
+const EventEmitter = require('events');
+const jwt = require('jsonwebtoken');
+const TaskEventsGateway = require('../../src/services/realtime/task-events');
+
+// The audit logger writes to logs/, which these tests don't need
+jest.mock('../../security/audit-logger', () => jest.fn());
+
+describe('Task Events Gateway', () => {
+    let orchestrator;
+    let namespace;
+    let delivered;
+    let gateway;
+
+    beforeEach(() => {
+        orchestrator = new EventEmitter();
+        orchestrator.getTaskState = jest.fn();
+        delivered = [];
+        namespace = {
+            use: jest.fn(),
+            on: jest.fn(),
+            to: room => ({ emit: (event, payload) => delivered.push({ room, event, payload }) })
+        };
+        gateway = new TaskEventsGateway({ of: () => namespace }, orchestrator);
+    });
+
+    const connect = token => {
+        const handlers = {};
+        const socket = {
+            handshake: { auth: token === undefined ? {} : { token }, query: {} },
+            join: jest.fn(),
+            on: (event, handler) => { handlers[event] = handler; }
+        };
+        const next = jest.fn();
+        gateway.authenticate(socket, next);
+        return { socket, next, handlers };
+    };
+
+    it('should refuse connections without a valid token', () => {
+        const forged = jwt.sign({ id: 7 }, 'another-secret');
+        const expired = jwt.sign({ id: 7, exp: Math.floor(Date.now() / 1000) - 60 }, 'test-secret');
+
+        for (const token of [undefined, 'not-a-jwt', forged, expired]) {
+            const { socket, next } = connect(token);
+            expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Invalid or expired token' }));
+            expect(socket.user).toBeUndefined();
+        }
+
+        const { socket, next } = connect(jwt.sign({ id: 7 }, 'test-secret'));
+        expect(next).toHaveBeenCalledWith();
+        expect(socket.user).toMatchObject({ id: 7 });
+    });
+
+    it('should deliver task events only to the owning user\'s room', () => {
+        const { socket } = connect(jwt.sign({ id: 7 }, 'test-secret'));
+        gateway.handleConnection(socket);
+        expect(socket.join).toHaveBeenCalledWith('user:7');
+
+        orchestrator.emit('task:progress', { taskId: 'task-1', userId: 7, progress: 50 });
+        orchestrator.emit('task:completed', { taskId: 'task-2', userId: 8, result: { text: 'private' } });
+
+        expect(delivered).toEqual([
+            { room: 'user:7', event: 'task:progress', payload: { taskId: 'task-1', progress: 50, timestamp: expect.any(String) } },
+            { room: 'user:8', event: 'task:completed', payload: { taskId: 'task-2', result: { text: 'private' }, timestamp: expect.any(String) } }
+        ]);
+    });
+
+    it('should refuse to subscribe to another user\'s task', async () => {
+        const { socket, handlers } = connect(jwt.sign({ id: 7 }, 'test-secret'));
+        gateway.handleConnection(socket);
+        const callback = jest.fn();
+
+        orchestrator.getTaskState.mockResolvedValueOnce({ id: 'task-2', userId: 8, status: 'processing' });
+        await handlers['task:subscribe']('task-2', callback);
+        orchestrator.getTaskState.mockResolvedValueOnce(null);
+        await handlers['task:subscribe']('task-missing', callback);
+        orchestrator.getTaskState.mockResolvedValueOnce({ id: 'task-1', userId: 7, status: 'processing' });
+        await handlers['task:subscribe']('task-1', callback);
+
+        expect(callback.mock.calls).toEqual([
+            [{ success: false, error: 'Task not found' }],
+            [{ success: false, error: 'Task not found' }],
+            [{ success: true, taskId: 'task-1', status: 'processing' }]
+        ]);
+    });
+});
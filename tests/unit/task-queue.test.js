@@ -0,0 +1,91 @@
+const TaskQueue = require('../../src/services/task-queue/task-queue');
+const MemoryQueueStore = require('../../src/services/task-queue/memory-queue-store');
+
+describe('Durable Task Queue', () => {
+    let store;
+    let queue;
+
+    const buildTask = (id, createdAt) => ({
+        id: id,
+        userId: 1,
+        userTier: 'free',
+        type: 'text',
+        agentType: 'creative',
+        task: { prompt: 'encrypted' },
+        createdAt: createdAt
+    });
+
+    beforeEach(() => {
+        store = new MemoryQueueStore();
+        queue = new TaskQueue(store);
+    });
+
+    it('should claim tasks in the order they were queued', async () => {
+        await queue.enqueue(buildTask('task_b', new Date(2000)));
+        await queue.enqueue(buildTask('task_a', new Date(1000)));
+
+        const claimed = await queue.claimNext();
+        expect(claimed.id).toBe('task_a');
+        expect(claimed.status).toBe('processing');
+        expect(claimed.attempts).toBe(1);
+    });
+
+    it('should report positions and stats from storage', async () => {
+        await queue.enqueue(buildTask('task_a', new Date(1000)));
+        await queue.enqueue(buildTask('task_b', new Date(2000)));
+        await queue.claimNext();
+
+        expect(await queue.getPosition('task_b')).toBe(1);
+        expect(await queue.getStats()).toEqual({ queued: 1, processing: 1, deadLetter: 0 });
+    });
+
+    it('should recover processing tasks after a restart, counting the resumed attempt', async () => {
+        await queue.enqueue(buildTask('task_a', new Date(1000)));
+        await queue.claimNext();
+
+        // A new queue over the same storage simulates a process restart
+        const restartedQueue = new TaskQueue(store);
+        const recovered = await restartedQueue.recover();
+
+        expect(recovered).toHaveLength(1);
+        expect(recovered[0].id).toBe('task_a');
+        expect(recovered[0].status).toBe('processing');
+        expect(recovered[0].attempts).toBe(2);
+        expect((await restartedQueue.get('task_a')).attempts).toBe(2);
+    });
+
+    it('should remove completed tasks from the queue', async () => {
+        await queue.enqueue(buildTask('task_a', new Date(1000)));
+        await queue.claimNext();
+        await queue.complete('task_a');
+
+        expect(await queue.get('task_a')).toBeNull();
+        expect(await queue.getStats()).toEqual({ queued: 0, processing: 0, deadLetter: 0 });
+    });
+
+    it('should hold retries until their backoff has elapsed', async () => {
+        await queue.enqueue(buildTask('task_a', new Date(1000)));
+        await queue.claimNext();
+        await queue.scheduleRetry('task_a', 60000, 'Request failed with status code 429');
+
+        expect(await queue.claimNext()).toBeNull();
+
+        await queue.update('task_a', { availableAt: new Date(Date.now() - 1) });
+        const retried = await queue.claimNext();
+        expect(retried.attempts).toBe(2);
+    });
+
+    it('should park dead-lettered tasks until they are re-enqueued', async () => {
+        await queue.enqueue(buildTask('task_a', new Date(1000)));
+        await queue.claimNext();
+        await queue.deadLetter('task_a', 'timeout of 30000ms exceeded');
+
+        expect(await queue.claimNext()).toBeNull();
+        expect(await queue.getDeadLetters()).toHaveLength(1);
+
+        const requeued = await queue.requeue('task_a');
+        expect(requeued.status).toBe('queued');
+        expect(requeued.attempts).toBe(0);
+        expect((await queue.claimNext()).id).toBe('task_a');
+    });
+});
@@ -0,0 +1,133 @@
+const EventEmitter = require('events');
+const SyntheticIntelligenceOrchestrator = require('../../src/agents/orchestrator/orchestrator');
+const MemoryQueueStore = require('../../src/services/task-queue/memory-queue-store');
+const { createTaskStreamer } = require('../../src/services/streaming/task-stream');
+
+// Just enough of an Express response to record what was sent
+function createResponse() {
+    const res = new EventEmitter();
+    return Object.assign(res, {
+        statusCode: 200,
+        headers: {},
+        chunks: [],
+        writableEnded: false,
+        set(headers) { Object.assign(this.headers, headers); return this; },
+        flushHeaders() { this.headersSent = true; },
+        write(chunk) { this.chunks.push(chunk); },
+        end() { this.writableEnded = true; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; this.writableEnded = true; return this; },
+        events() {
+            return this.chunks.map(chunk => {
+                const [, event, data] = chunk.match(/^event: (.*)\ndata: (.*)\n\n$/);
+                return { event, data: JSON.parse(data) };
+            });
+        }
+    });
+}
+
+describe('Task Streaming', () => {
+    let orchestrator;
+    let streamTaskResponse;
+    let agent;
+
+    beforeEach(() => {
+        process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'test-key';
+
+        // Services are stubbed so nothing opens MySQL
+        const services = {};
+        orchestrator = new SyntheticIntelligenceOrchestrator({
+            queueStore: new MemoryQueueStore(),
+            conversations: services,
+            knowledge: services,
+            assets: services,
+            brandProfiles: services,
+            variantFeedback: services,
+            workerPool: { pollInterval: 60000, agentConcurrency: { coding: 1 } }
+        });
+        orchestrator.workerPool.stop();
+        jest.spyOn(orchestrator, 'canProcessTask').mockResolvedValue(true);
+        jest.spyOn(orchestrator, 'recordTaskUsage').mockResolvedValue();
+        jest.spyOn(orchestrator, 'storeTaskResult').mockResolvedValue();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        agent = { execute: jest.fn() };
+        orchestrator.agents.set('coding', agent);
+        streamTaskResponse = createTaskStreamer(orchestrator);
+    });
+
+    afterEach(async () => {
+        console.error.mockRestore();
+        await orchestrator.shutdown();
+    });
+
+    const req = { user: { id: 1, subscriptionTier: 'premium' } };
+    const task = () => ({ type: 'code_generation', agentType: 'coding', prompt: 'Write a parser' });
+    // Streams until the task is aborted
+    const hangUntilAborted = (task, context) => new Promise((resolve, reject) => {
+        agent.signal = context.signal;
+        context.onToken('function');
+        context.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+
+    it('should relay start, token and completed events in order', async () => {
+        agent.execute.mockImplementation(async (task, context) => {
+            context.onToken('function ');
+            context.onToken('parse() {}');
+            return { success: true, code: 'function parse() {}' };
+        });
+        const res = createResponse();
+
+        await streamTaskResponse(req, res, task());
+
+        const events = res.events();
+        expect(events.map(event => event.event)).toEqual(['start', 'token', 'token', 'completed']);
+        expect(events[1].data).toEqual({ token: 'function ' });
+        expect(events[3].data).toEqual({ taskId: events[0].data.taskId, result: { success: true, code: 'function parse() {}' } });
+        expect(res.headers['Content-Type']).toBe('text/event-stream');
+        expect(res.writableEnded).toBe(true);
+    });
+
+    it('should answer with a JSON error when the task fails before the stream opens', async () => {
+        const unsupported = createResponse();
+        await streamTaskResponse(req, unsupported, { type: 'voice', agentType: 'voice', text: 'Hello' });
+
+        expect(unsupported.statusCode).toBe(400);
+        expect(unsupported.body).toEqual({ success: false, error: 'Streaming is not supported for the voice agent' });
+        expect(unsupported.headersSent).toBeUndefined();
+        expect(unsupported.chunks).toEqual([]);
+
+        agent.execute.mockImplementation(hangUntilAborted);
+        const first = createResponse();
+        const running = streamTaskResponse(req, first, task());
+        await new Promise(resolve => setImmediate(resolve));
+
+        const busy = createResponse();
+        await streamTaskResponse(req, busy, task());
+
+        expect(busy.statusCode).toBe(503);
+        expect(busy.body).toMatchObject({ success: false, error: expect.stringContaining('Too many coding tasks are running') });
+        expect(busy.chunks).toEqual([]);
+
+        first.emit('close');
+        await running;
+    });
+
+    it('should cancel the task when the client disconnects', async () => {
+        agent.execute.mockImplementation(hangUntilAborted);
+        const cancelled = [];
+        orchestrator.on('task:cancelled', event => cancelled.push(event));
+        const res = createResponse();
+
+        const streaming = streamTaskResponse(req, res, task());
+        await new Promise(resolve => setImmediate(resolve));
+        res.emit('close');
+        await streaming;
+
+        expect(agent.signal.aborted).toBe(true);
+        expect(res.events().map(event => event.event)).toEqual(['start', 'token']);
+        expect(cancelled).toEqual([expect.objectContaining({ taskId: res.events()[0].data.taskId })]);
+        expect(orchestrator.storeTaskResult).toHaveBeenCalledWith(expect.objectContaining({ status: 'cancelled' }), { cancelled: true });
+        expect(orchestrator.workerPool.getActiveCount()).toBe(0);
+    });
+});
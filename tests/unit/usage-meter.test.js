@@ -0,0 +1,47 @@
+const UsageMeter = require('../../src/services/costs/usage-meter');
+const ProviderRouter = require('../../src/services/providers/provider-router');
+const MockProvider = require('../../src/services/providers/mock-provider');
+
+describe('Usage Metering', () => {
+    const pricing = {
+        openai: {
+            'gpt-4': { promptPer1K: 0.03, completionPer1K: 0.06 },
+            'dall-e-3': { perImage: 0.04 },
+            default: { promptPer1K: 0.01, completionPer1K: 0.01 }
+        },
+        elevenLabs: {
+            default: { per1KCharacters: 0.30 }
+        }
+    };
+
+    it('should price token, image and character usage from the rate table', () => {
+        const meter = new UsageMeter(pricing);
+
+        expect(meter.record({ provider: 'openai', capability: 'chat', model: 'gpt-4', promptTokens: 1000, completionTokens: 500 }).cost).toBe(0.06);
+        expect(meter.record({ provider: 'openai', capability: 'image', model: 'dall-e-3', images: 1 }).cost).toBe(0.04);
+        expect(meter.record({ provider: 'elevenLabs', capability: 'tts', characters: 2000 }).cost).toBe(0.6);
+
+        expect(meter.getTotals()).toMatchObject({ promptTokens: 1000, completionTokens: 500, images: 1, characters: 2000, cost: 0.7 });
+    });
+
+    it('should match dated model names to their family before the provider default', () => {
+        const meter = new UsageMeter(pricing);
+
+        expect(meter.getRates('openai', 'gpt-4-0613')).toBe(pricing.openai['gpt-4']);
+        expect(meter.getRates('openai', 'o1-preview')).toBe(pricing.openai.default);
+        expect(meter.record({ provider: 'unknown', capability: 'chat', promptTokens: 100 }).cost).toBe(0);
+    });
+
+    it('should receive usage from provider calls routed through the router', async () => {
+        const router = new ProviderRouter({ providers: { mock: new MockProvider() }, config: { forceProvider: 'mock' } });
+        const meter = new UsageMeter(pricing);
+
+        await router.chat('research', [{ role: 'user', content: 'Explain solar power' }], { usage: meter });
+        await router.textToSpeech('voice', 'Hello there', { usage: meter });
+
+        const entries = meter.getEntries();
+        expect(entries.map(entry => entry.capability)).toEqual(['chat', 'tts']);
+        expect(entries[0].promptTokens).toBeGreaterThan(0);
+        expect(entries[1].characters).toBe(11);
+    });
+});
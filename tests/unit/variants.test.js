@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VariantFeedbackService = require('../../src/services/variants/variant-feedback-service');
+const FileVariantStore = require('../../src/services/variants/file-variant-store');
+const { scoreVariant, describePreferences } = require('../../src/services/variants/variant-scorer');
+const CreativeAgent = require('../../src/agents/creative-agent/content-generator');
+const ProviderRouter = require('../../src/services/providers/provider-router');
+const MockProvider = require('../../src/services/providers/mock-provider');
+const aiConfig = require('../../config/ai-config');
+
+describe('Content Variants', () => {
+    let directory;
+    let feedback;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'variants-'));
+        feedback = new VariantFeedbackService({
+            config: aiConfig.variants,
+            store: new FileVariantStore({ directory })
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const question = 'Still boiling water the slow way? Our smart kettle is ready in 90 seconds. Try it today #kettle';
+    const statement = 'The kettle features a stainless steel body, a removable filter and a concealed heating element designed for durability.';
+    const options = { contentType: 'social_media', keywords: ['smart kettle', 'filter'] };
+
+    // Publishes the question-style draft of each set with a good result
+    const publishQuestions = async (userId, count) => {
+        for (let i = 0; i < count; i++) {
+            const variantSet = await feedback.recordVariantSet(userId, {
+                contentType: 'social_media',
+                prompt: 'Kettle launch',
+                variants: [question, statement].map((text, index) => ({ index, text, scores: scoreVariant(text, options) }))
+            });
+            await feedback.recordFeedback(variantSet.id, userId, {
+                selectedIndex: 0,
+                performance: { impressions: 1000, clicks: 40 + i, likes: 10 }
+            });
+        }
+    };
+
+    it('should score readability, length fit, keyword coverage and engagement', () => {
+        const punchy = scoreVariant(question, options);
+        const flat = scoreVariant(statement, options);
+
+        expect(punchy.lengthFit).toEqual({ score: 100, unit: 'characters', value: question.length, min: 70, max: 280 });
+        expect(punchy.keywordCoverage).toEqual({ score: 50, found: ['smart kettle'], missing: ['filter'] });
+        expect(flat.keywordCoverage.found).toEqual(['filter']);
+        expect(punchy.engagement.signals).toEqual(expect.arrayContaining(['short-hook', 'call-to-action', 'question', 'specifics', 'hashtags']));
+        expect(punchy.engagement.learned).toBeNull();
+        expect(punchy.readability.readingEase).toBeGreaterThan(flat.readability.readingEase);
+        expect(punchy.overall).toBeGreaterThan(flat.overall);
+
+        // Keywords drop out of the overall score when none were asked for
+        expect(scoreVariant(question, { contentType: 'social_media' }).keywordCoverage).toBeNull();
+        expect(scoreVariant('Too short.', { contentType: 'blog_post' }).lengthFit.score).toBe(0);
+    });
+
+    it('should learn from published variants once there is enough feedback', async () => {
+        await publishQuestions(1, 2);
+        expect(await feedback.getPreferences(1, 'social_media')).toMatchObject({ samples: 2, confidence: 0 });
+
+        await publishQuestions(1, 1);
+        const preferences = await feedback.getPreferences(1, 'social_media');
+
+        expect(preferences).toMatchObject({ samples: 3, confidence: 0.25, traits: { question: 1, callToAction: 1, hashtags: 1 } });
+        expect(preferences.targets.characters).toBe(question.length);
+        expect(await feedback.getPreferences(1, 'blog_post')).toMatchObject({ samples: 0 });
+        expect(await feedback.getPreferences(2, 'social_media')).toMatchObject({ samples: 0 });
+
+        const learned = scoreVariant(question, { ...options, preferences });
+        expect(learned.engagement.learned).toBeGreaterThan(scoreVariant(statement, { ...options, preferences }).engagement.learned);
+        expect(describePreferences(preferences, aiConfig.variants.lengthTargets.social_media)).toBe(
+            `Copy this user published before performed best at around ${question.length} characters, with sentences of about 6 words; ` +
+            'it usually asked the reader a question, usually ended with a clear call to action, usually used concrete numbers, ' +
+            'rarely spoke to the reader as "you", rarely used emoji, usually used hashtags. Lean toward that style.'
+        );
+
+        const variantSet = await feedback.recordVariantSet(1, { contentType: 'social_media', prompt: 'x', variants: [{ index: 0, text: 'a', scores: {} }] });
+        await expect(feedback.recordFeedback(variantSet.id, 2, { selectedIndex: 0 })).rejects.toMatchObject({ status: 403 });
+        await expect(feedback.recordFeedback(variantSet.id, 1, { selectedIndex: 3 })).rejects.toThrow('selectedIndex must be one of 0');
+        await expect(feedback.recordFeedback(variantSet.id, 1, { selectedIndex: 0, performance: { clicks: -1 } })).rejects.toMatchObject({ status: 400 });
+        await expect(feedback.getVariantSet('vset_1_missing', 1)).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should generate ranked variants steered by past feedback and save them for feedback', async () => {
+        await publishQuestions(1, 3);
+
+        const drafts = [statement, question, 'Kettle.'];
+        const mock = new MockProvider();
+        const chat = mock.chat.bind(mock);
+        mock.chat = (messages, chatOptions) => {
+            mock.config.chatResponse = drafts[mock.calls.length];
+            return chat(messages, chatOptions);
+        };
+        const agent = new CreativeAgent({
+            providers: new ProviderRouter({ providers: { mock }, config: { forceProvider: 'mock' } }),
+            variantFeedback: feedback
+        });
+        const onToken = jest.fn();
+
+        const result = await agent.execute(
+            { prompt: 'Kettle launch', contentType: 'social_media', options: { variants: 3, keywords: 'smart kettle, filter' } },
+            { userId: 1, taskId: 'task_9', onToken }
+        );
+
+        expect(mock.calls).toHaveLength(3);
+        expect(mock.calls.map(call => call.options.temperature)).toEqual([0.9, 1, 1.1]);
+        expect(mock.calls[0].messages[0].content).toContain('Work these keywords in naturally: smart kettle, filter.');
+        expect(mock.calls[0].messages[1].content).toContain('Kettle launch\n\nCopy this user published before performed best');
+        expect(onToken).not.toHaveBeenCalled();
+
+        expect(result.variants.map(variant => [variant.index, variant.rank])).toEqual([[1, 1], [0, 2], [2, 3]]);
+        expect(result.recommendedIndex).toBe(1);
+        expect(result.text).toBe(question);
+        expect(result.personalization).toEqual({ samples: 3, confidence: 0.25 });
+        expect(result.variants[0].scores.engagement.learned).toEqual(expect.any(Number));
+
+        const saved = await feedback.getVariantSet(result.variantSetId, 1);
+        expect(saved).toMatchObject({ taskId: 'task_9', keywords: ['smart kettle', 'filter'], selectedIndex: null });
+        expect(saved.variants.map(variant => variant.text)).toEqual(drafts);
+
+        await expect(agent.generateMultipleVariations('x', 'social_media', 9)).rejects.toMatchObject({ status: 400 });
+    });
+});
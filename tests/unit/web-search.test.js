@@ -0,0 +1,143 @@
+const dns = require('dns');
+const http = require('http');
+const WebSearchService = require('../../src/services/search/web-search');
+const FixtureSearchProvider = require('../../src/services/search/providers/fixture-provider');
+const { extractArticle } = require('../../src/services/search/article-extractor');
+const { assertPublicUrl, fetchPage } = require('../../src/services/search/page-fetcher');
+const ResearchAgent = require('../../src/agents/research-agent/research');
+const ProviderRouter = require('../../src/services/providers/provider-router');
+const MockProvider = require('../../src/services/providers/mock-provider');
+
+const article = (title, paragraphs, extra = '') => `
+    <html><head><title>${title}</title>${extra}</head>
+    <body>
+        <nav><ul><li><a href="/">Home</a></li><li><a href="/news">News</a></li></ul></nav>
+        <article>
+            <h1>${title}</h1>
+            ${paragraphs.map(paragraph => `<p>${paragraph}</p>`).join('\n')}
+            <p><a href="/a">Related: another story about something else entirely</a></p>
+        </article>
+        <footer><p>Copyright 2024 Example Media. All rights reserved worldwide.</p></footer>
+    </body></html>`;
+
+const heatPumpText = [
+    'Heat pumps move heat rather than generating it, which makes them three to four times as efficient as gas boilers.',
+    'Installation costs for an air source heat pump fell by a fifth last year as more installers trained.'
+];
+
+const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+
+const fixtures = {
+    results: [
+        { title: 'Gardening in spring', link: 'https://garden.example/spring', snippet: 'When to plant bulbs.' },
+        { title: 'How heat pumps work', link: 'https://energy.example/heat-pumps?utm_source=feed', snippet: 'Heat pump efficiency explained.' },
+        { title: 'How heat pumps work (copy)', link: 'https://www.energy.example/heat-pumps', snippet: 'Same page, tracking removed.' },
+        { title: 'Heat pumps explained', link: 'https://syndicate.example/heat-pumps', snippet: 'Syndicated copy.' },
+        { title: 'Heat pump forum', link: 'https://forum.example/thread/1', snippet: 'Heat pump owners discuss heat pump noise.' },
+        { title: 'Old heat pump review', link: 'https://archive.example/review', snippet: 'Heat pumps in 2001.', publishedAt: '2001-05-01' }
+    ],
+    pages: {
+        'https://garden.example/spring': article('Gardening in spring', ['Plant tulip and daffodil bulbs in autumn so they flower in spring; water them well.']),
+        'https://energy.example/heat-pumps?utm_source=feed': article('How heat pumps work', heatPumpText, `<meta property="article:published_time" content="${lastWeek}">`),
+        'https://syndicate.example/heat-pumps': article('Heat pumps explained', heatPumpText)
+    }
+};
+
+describe('Web Search', () => {
+    it('should extract the article body without navigation or link lists', () => {
+        const extracted = extractArticle(article('How heat pumps work', heatPumpText, '<meta content="Heat pumps, explained" property="og:title">'));
+
+        expect(extracted.title).toBe('Heat pumps, explained');
+        expect(extracted.text).toBe(`## How heat pumps work\n\n${heatPumpText.join('\n\n')}`);
+    });
+
+    it('should filter, fetch, dedupe and rank results', async () => {
+        const search = new WebSearchService({
+            providers: { fixture: new FixtureSearchProvider(fixtures) },
+            config: { forceProvider: 'fixture', fetchTop: 5 }
+        });
+
+        const results = await search.search('heat pump efficiency', {
+            excludeDomains: ['forum.example'],
+            timeRange: 'year'
+        });
+
+        // The tracking-parameter copy and the syndicated copy are dropped, the
+        // forum is excluded and the 2001 review is outside the time range
+        expect(results.map(result => result.link)).toEqual([
+            'https://energy.example/heat-pumps?utm_source=feed',
+            'https://garden.example/spring'
+        ]);
+        expect(results[0]).toMatchObject({
+            provider: 'fixture',
+            fetched: true,
+            publishedAt: lastWeek,
+            content: expect.stringContaining('three to four times as efficient')
+        });
+        expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    it('should fail over to the next configured provider and reject unknown filters', async () => {
+        const failing = { isConfigured: () => true, search: jest.fn().mockRejectedValue(new Error('quota exceeded')) };
+        const fixture = new FixtureSearchProvider(fixtures);
+        const search = new WebSearchService({
+            providers: { serpapi: failing, bing: { isConfigured: () => false }, fixture },
+            config: { providers: ['serpapi', 'bing', 'fixture'], forceProvider: undefined }
+        });
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const results = await search.search('heat pumps', { includeDomains: ['https://energy.example/'], fetchPages: false });
+
+        expect(failing.search).toHaveBeenCalledWith('heat pumps site:energy.example', expect.any(Object));
+        expect(results.map(result => result.link)).toEqual(['https://energy.example/heat-pumps?utm_source=feed']);
+        await expect(search.search('heat pumps', { timeRange: 'decade' })).rejects.toMatchObject({ status: 400 });
+        warn.mockRestore();
+    });
+
+    it('should refuse to fetch private addresses', () => {
+        expect(() => assertPublicUrl('http://127.0.0.1/admin')).toThrow('private address');
+        expect(() => assertPublicUrl('http://[::1]:8080/')).toThrow('private address');
+        expect(() => assertPublicUrl('http://192.168.1.10/')).toThrow('private address');
+        expect(() => assertPublicUrl('file:///etc/passwd')).toThrow('file:');
+        expect(assertPublicUrl('https://energy.example/heat-pumps').hostname).toBe('energy.example');
+        expect(() => assertPublicUrl('http://[::ffff:127.0.0.1]/')).toThrow('private address');
+    });
+
+    it('should refuse public names that resolve to private addresses', async () => {
+        const requests = [];
+        const server = http.createServer((req, res) => {
+            requests.push(req.url);
+            res.end('internal');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const lookup = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => (
+            callback(null, [{ address: '127.0.0.1', family: 4 }])
+        ));
+
+        try {
+            await expect(fetchPage(`http://intranet.example:${server.address().port}/admin`, { timeout: 5000 }))
+                .rejects.toMatchObject({ code: 'BLOCKED_URL', message: expect.stringContaining('resolves to private address 127.0.0.1') });
+            expect(lookup).toHaveBeenCalledWith('intranet.example', expect.objectContaining({ all: true }), expect.any(Function));
+            expect(requests).toEqual([]);
+        } finally {
+            lookup.mockRestore();
+            server.close();
+        }
+    });
+
+    it('should give the research agent the full article text of each source', async () => {
+        const mock = new MockProvider();
+        const agent = new ResearchAgent({
+            providers: new ProviderRouter({ providers: { mock }, config: { forceProvider: 'mock' } }),
+            search: new WebSearchService({
+                providers: { fixture: new FixtureSearchProvider(fixtures) },
+                config: { forceProvider: 'fixture' }
+            })
+        });
+
+        const result = await agent.execute({ prompt: 'heat pump efficiency', options: { includeWebSearch: true, numResults: 2 } });
+
+        expect(result.sources.map(source => source.title)).toEqual(['How heat pumps work', 'Gardening in spring']);
+        expect(mock.calls[0].messages[1].content).toContain('Content:\n## How heat pumps work');
+    });
+});
@@ -0,0 +1,193 @@
+const TaskQueue = require('../../src/services/task-queue/task-queue');
+const MemoryQueueStore = require('../../src/services/task-queue/memory-queue-store');
+const WorkerPool = require('../../src/services/task-queue/worker-pool');
+const SyntheticIntelligenceOrchestrator = require('../../src/agents/orchestrator/orchestrator');
+
+describe('Orchestrator Worker Pool', () => {
+    let queue;
+    let pool;
+    let releases;
+    let peak;
+
+    const enqueue = (id, agentType) => queue.enqueue({
+        id: id,
+        userId: 1,
+        userTier: 'free',
+        type: 'text',
+        agentType: agentType,
+        task: { agentType: agentType },
+        createdAt: new Date()
+    });
+
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    beforeEach(() => {
+        queue = new TaskQueue(new MemoryQueueStore());
+        releases = [];
+        peak = {};
+
+        pool = new WorkerPool({
+            maxConcurrency: 3,
+            agentConcurrency: { voice: 1 },
+            pollInterval: 60000
+        }, {
+            claim: (canRun) => queue.claimNext(canRun),
+            run: (task) => {
+                const running = pool.active.get(task.agentType);
+                peak[task.agentType] = Math.max(peak[task.agentType] || 0, running);
+                return new Promise(resolve => releases.push(resolve));
+            }
+        });
+    });
+
+    afterEach(async () => {
+        releases.forEach(release => release());
+        await pool.stop();
+    });
+
+    it('should run several tasks in parallel up to the global limit', async () => {
+        for (let i = 0; i < 5; i++) {
+            await enqueue(`task_${i}`, 'creative');
+        }
+
+        pool.start();
+        await pool.fill();
+
+        expect(pool.getActiveCount()).toBe(3);
+        expect((await queue.getStats()).queued).toBe(2);
+    });
+
+    it('should respect per-agent concurrency caps', async () => {
+        await enqueue('voice_1', 'voice');
+        await enqueue('voice_2', 'voice');
+        await enqueue('text_1', 'creative');
+
+        pool.start();
+        await pool.fill();
+
+        expect(pool.getStats().byAgent).toEqual({ voice: 1, creative: 1 });
+        expect((await queue.get('voice_2')).status).toBe('queued');
+
+        releases.shift()();
+        await flush();
+        await pool.fill();
+
+        expect(peak.voice).toBe(1);
+        expect((await queue.get('voice_2')).status).toBe('processing');
+    });
+});
+
+describe('Orchestrator Back-Pressure', () => {
+    let orchestrator;
+
+    beforeEach(() => {
+        process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'test-key';
+
+        // Services are stubbed so nothing opens MySQL; the pool never claims
+        const services = {};
+        orchestrator = new SyntheticIntelligenceOrchestrator({
+            queueStore: new MemoryQueueStore(),
+            conversations: services,
+            knowledge: services,
+            assets: services,
+            brandProfiles: services,
+            variantFeedback: services,
+            workerPool: { maxQueueLength: 2, pollInterval: 60000, agentConcurrency: { coding: 1 } }
+        });
+        orchestrator.workerPool.stop();
+        jest.spyOn(orchestrator, 'canProcessTask').mockResolvedValue(true);
+        jest.spyOn(orchestrator, 'recordTaskUsage').mockResolvedValue();
+    });
+
+    afterEach(async () => {
+        await orchestrator.shutdown();
+    });
+
+    const user = { id: 1, subscriptionTier: 'premium' };
+    const task = () => ({ type: 'code_generation', agentType: 'coding', prompt: 'Write a parser' });
+
+    it('should refuse new tasks with a 503 once the queue is full', async () => {
+        await orchestrator.processTask(task(), user);
+        await orchestrator.processTask(task(), user);
+
+        await expect(orchestrator.processTask(task(), user)).rejects.toMatchObject({
+            status: 503,
+            code: 'QUEUE_FULL',
+            message: 'Task queue is full. Please try again shortly.'
+        });
+        expect((await orchestrator.taskQueue.getStats()).queued).toBe(2);
+        expect(orchestrator.recordTaskUsage).toHaveBeenCalledTimes(2);
+    });
+
+    it('should charge each draft of a variant set against the daily limit', async () => {
+        orchestrator.canProcessTask.mockRestore();
+        orchestrator.brandProfiles = { resolveProfile: async () => null };
+        jest.spyOn(orchestrator, 'getTodayTaskCount').mockResolvedValue(47);
+        const basic = { id: 1, subscriptionTier: 'basic' };
+        const brief = variants => ({ type: 'text', agentType: 'creative', prompt: 'Kettle launch', options: { variants } });
+
+        await expect(orchestrator.processTask(brief(4), basic)).rejects.toThrow('Daily text task limit reached for basic tier.');
+        await orchestrator.processTask(brief(3), basic);
+        expect(orchestrator.recordTaskUsage).toHaveBeenLastCalledWith(1, 'basic', 'text', expect.any(String), 3);
+
+        for (const variants of [50, 1, 0, 2.5, 'abc']) {
+            await expect(orchestrator.processTask(brief(variants), basic)).rejects.toThrow('variants must be between 2 and 5');
+        }
+        expect(orchestrator.recordTaskUsage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should dead-letter interrupted tasks once restarts have used up their attempts', async () => {
+        jest.spyOn(orchestrator, 'storeTaskResult').mockResolvedValue();
+        jest.spyOn(orchestrator.workerPool, 'launch').mockImplementation(() => {});
+        const interrupted = (id, attempts) => orchestrator.taskQueue.store.insert({
+            id, userId: 1, agentType: 'coding', task: task(), status: 'processing', attempts, createdAt: new Date()
+        });
+        await interrupted('task-resumed', 2);
+        await interrupted('task-exhausted', 3);
+
+        await orchestrator.resumeInterruptedTasks();
+
+        expect(orchestrator.workerPool.launch).toHaveBeenCalledTimes(1);
+        expect(orchestrator.workerPool.launch).toHaveBeenCalledWith(expect.objectContaining({ id: 'task-resumed', attempts: 3 }));
+        expect(await orchestrator.taskQueue.get('task-exhausted')).toMatchObject({ status: 'dead_letter', attempts: 4 });
+        expect(orchestrator.storeTaskResult).toHaveBeenCalledWith(
+            expect.objectContaining({ id: 'task-exhausted', status: 'failed' }),
+            { error: 'Task was interrupted by a restart on each of its 3 attempts', attempts: 3 }
+        );
+    });
+
+    it('should refuse research tasks with unknown search filters before charging them', async () => {
+        const research = options => ({ type: 'research', agentType: 'research', prompt: 'Heat pump costs', options });
+
+        await expect(orchestrator.processTask(research({ timeRange: 'decade' }), user))
+            .rejects.toThrow('timeRange must be one of day, week, month, year');
+        await expect(orchestrator.processTask(research({ searchProvider: 'altavista' }), user))
+            .rejects.toThrow('Unknown search provider: altavista');
+        expect(orchestrator.recordTaskUsage).not.toHaveBeenCalled();
+
+        await orchestrator.processTask(research({ timeRange: 'week', searchProvider: 'brave' }), user);
+        expect(orchestrator.recordTaskUsage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should hold streamed tasks to the same concurrency caps and back-pressure', async () => {
+        let finish;
+        jest.spyOn(orchestrator, 'runTask').mockImplementation(() => new Promise(resolve => { finish = resolve; }));
+        const onStart = jest.fn();
+
+        const first = orchestrator.streamTask(task(), user, { onStart });
+        await new Promise(resolve => setImmediate(resolve));
+        expect(orchestrator.workerPool.getStats().byAgent).toEqual({ coding: 1 });
+
+        await expect(orchestrator.streamTask(task(), user, { onStart })).rejects.toMatchObject({ status: 503, code: 'WORKERS_BUSY' });
+        expect(onStart).toHaveBeenCalledTimes(1);
+        expect(orchestrator.recordTaskUsage).toHaveBeenCalledTimes(1);
+
+        finish({ success: true });
+        expect((await first).result).toEqual({ success: true });
+        expect(orchestrator.workerPool.getActiveCount()).toBe(0);
+
+        await orchestrator.processTask(task(), user);
+        await orchestrator.processTask(task(), user);
+        await expect(orchestrator.streamTask(task(), user)).rejects.toMatchObject({ status: 503, code: 'QUEUE_FULL' });
+    });
+});
@@ -0,0 +1,188 @@
+const EventEmitter = require('events');
+const WorkflowDefinition = require('../../src/services/workflows/workflow-definition');
+const WorkflowEngine = require('../../src/services/workflows/workflow-engine');
+const MemoryWorkflowStore = require('../../src/services/workflows/memory-workflow-store');
+
+describe('Workflow Pipelines', () => {
+    const blogPipeline = {
+        name: 'Narrated blog post',
+        steps: [
+            { id: 'research', agent: 'research', input: { prompt: '{{input.topic}}' } },
+            { id: 'outline', agent: 'research', input: { prompt: 'Outline for {{input.topic}}' } },
+            {
+                id: 'draft',
+                agent: 'creative',
+                input: { prompt: 'Write from {{steps.research.output.content}} using {{steps.outline.output.content}}' }
+            },
+            { id: 'narrate', agent: 'voice', input: { text: '{{steps.draft.output.content}}' } }
+        ]
+    };
+
+    describe('WorkflowDefinition', () => {
+        it('should infer dependencies from input templates', () => {
+            const definition = new WorkflowDefinition(blogPipeline);
+
+            expect(definition.getStep('draft').dependsOn).toEqual(['research', 'outline']);
+            expect(definition.order).toEqual(['research', 'outline', 'draft', 'narrate']);
+        });
+
+        it('should reject cycles and unknown steps', () => {
+            expect(() => new WorkflowDefinition({
+                steps: [
+                    { id: 'a', agent: 'research', input: { prompt: '{{steps.b.output.content}}' } },
+                    { id: 'b', agent: 'creative', input: { prompt: '{{steps.a.output.content}}' } }
+                ]
+            })).toThrow('cycle');
+
+            expect(() => new WorkflowDefinition({
+                steps: [{ id: 'a', agent: 'research', dependsOn: ['missing'], input: { prompt: 'x' } }]
+            })).toThrow('unknown step');
+        });
+
+        it('should render templates and keep whole-value references intact', () => {
+            const definition = new WorkflowDefinition({
+                steps: [{ id: 'chart', agent: 'analysis', input: { data: '{{input.rows}}', title: 'Sales for {{input.year}}' } }]
+            });
+
+            const input = definition.renderInput(definition.getStep('chart'), {
+                input: { rows: [{ month: 1, total: 5 }], year: 2024 },
+                steps: {}
+            });
+
+            expect(input).toEqual({ data: [{ month: 1, total: 5 }], title: 'Sales for 2024' });
+        });
+    });
+
+    describe('WorkflowEngine', () => {
+        let orchestrator;
+        let engine;
+        let submitted;
+        const user = { id: 1, subscriptionTier: 'premium' };
+
+        // Stands in for the orchestrator: records submitted tasks so the test
+        // can complete or fail them by emitting the matching task events
+        const finishTask = (taskId, event, details) => {
+            const task = submitted.find(item => item.taskId === taskId);
+            orchestrator.emit(`task:${event}`, {
+                taskId: taskId,
+                userId: user.id,
+                workflowRunId: task.workflowRunId,
+                workflowStepId: task.workflowStepId,
+                ...details
+            });
+        };
+
+        const settle = () => new Promise(resolve => setImmediate(resolve));
+
+        beforeEach(async () => {
+            submitted = [];
+            orchestrator = new EventEmitter();
+            orchestrator.validateAgentAccess = () => true;
+            orchestrator.processTask = jest.fn(async (task) => {
+                const taskId = `task_${submitted.length + 1}`;
+                submitted.push({ taskId, ...task });
+                return { taskId, status: 'queued' };
+            });
+            orchestrator.cancelTask = jest.fn(async (taskId) => ({ taskId, status: 'cancelled' }));
+
+            engine = new WorkflowEngine(orchestrator, { store: new MemoryWorkflowStore() });
+            await engine.ready;
+        });
+
+        it('should run independent steps in parallel and feed outputs forward', async () => {
+            const workflow = await engine.createWorkflow(blogPipeline, user);
+            const run = await engine.startRun(workflow.id, user, { topic: 'Solar power' });
+
+            expect(submitted.map(task => task.workflowStepId)).toEqual(['research', 'outline']);
+            expect(run.steps.find(step => step.id === 'draft').status).toBe('pending');
+
+            finishTask('task_1', 'completed', { result: { content: 'Findings' } });
+            finishTask('task_2', 'completed', { result: { content: 'Outline' } });
+            await settle();
+
+            expect(submitted[2].prompt).toBe('Write from Findings using Outline');
+            expect(submitted[2].type).toBe('text');
+
+            finishTask('task_3', 'completed', { result: { content: 'Post' } });
+            await settle();
+
+            expect(submitted[3]).toMatchObject({ agentType: 'voice', type: 'voice', text: 'Post' });
+
+            finishTask('task_4', 'completed', { result: { audio: 'base64' } });
+            await settle();
+
+            const finished = await engine.getRun(run.id, user.id);
+            expect(finished.status).toBe('completed');
+            expect(finished.steps.every(step => step.status === 'completed')).toBe(true);
+        });
+
+        it('should submit steps as the user who started the run, organization included', async () => {
+            const member = { ...user, organizationId: 'org_7' };
+            const workflow = await engine.createWorkflow(blogPipeline, member);
+            const run = await engine.startRun(workflow.id, member, { topic: 'Solar power' });
+
+            expect(run.organizationId).toBe('org_7');
+            expect(orchestrator.processTask).toHaveBeenCalledWith(
+                expect.objectContaining({ workflowStepId: 'research' }),
+                { id: 1, subscriptionTier: 'premium', organizationId: 'org_7' }
+            );
+        });
+
+        it('should skip dependents of a failed step and fail the run', async () => {
+            const workflow = await engine.createWorkflow(blogPipeline, user);
+            const run = await engine.startRun(workflow.id, user, { topic: 'Solar power' });
+
+            finishTask('task_1', 'failed', { error: 'Request failed with status code 400' });
+            finishTask('task_2', 'completed', { result: { content: 'Outline' } });
+            await settle();
+
+            const finished = await engine.getRun(run.id, user.id);
+            expect(finished.status).toBe('failed');
+            expect(finished.steps.map(step => step.status)).toEqual(['failed', 'completed', 'skipped', 'skipped']);
+            expect(submitted).toHaveLength(2);
+        });
+
+        it('should cancel outstanding steps when a run is cancelled', async () => {
+            const workflow = await engine.createWorkflow(blogPipeline, user);
+            const run = await engine.startRun(workflow.id, user, { topic: 'Solar power' });
+
+            const cancelled = await engine.cancelRun(run.id, user.id);
+
+            expect(orchestrator.cancelTask).toHaveBeenCalledTimes(2);
+            expect(cancelled.status).toBe('cancelled');
+            expect(cancelled.steps.map(step => step.status)).toEqual(['cancelled', 'cancelled', 'cancelled', 'cancelled']);
+            await expect(engine.cancelRun(run.id, user.id)).rejects.toMatchObject({ status: 409 });
+        });
+
+        it('should ignore events from tasks the step did not launch', async () => {
+            const workflow = await engine.createWorkflow(blogPipeline, user);
+            const run = await engine.startRun(workflow.id, user, { topic: 'Solar power' });
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const spoof = (details) => orchestrator.emit('task:completed', {
+                workflowRunId: run.id,
+                workflowStepId: 'research',
+                result: { content: 'Injected' },
+                ...details
+            });
+
+            // Another user's task, and the owner's own unrelated task
+            spoof({ taskId: 'task_1', userId: 2 });
+            spoof({ taskId: 'task_99', userId: user.id });
+            await settle();
+
+            const unchanged = await engine.getRun(run.id, user.id);
+            expect(unchanged.steps[0]).toMatchObject({ status: 'queued', taskId: 'task_1', output: null });
+            expect(submitted).toHaveLength(2);
+            expect(warn).toHaveBeenCalledTimes(2);
+            warn.mockRestore();
+        });
+
+        it('should not expose runs to other users', async () => {
+            const workflow = await engine.createWorkflow(blogPipeline, user);
+            const run = await engine.startRun(workflow.id, user, { topic: 'Solar power' });
+
+            await expect(engine.getRun(run.id, 2)).rejects.toMatchObject({ status: 403 });
+            await expect(engine.startRun(workflow.id, { id: 2 }, {})).rejects.toMatchObject({ status: 403 });
+        });
+    });
+});